@@ -0,0 +1,248 @@
+/**
+ * Time aggregation for reports
+ *
+ * ROLE IN ARCHITECTURE:
+ * The one place that decides WHEN an entry's time happened. Every report
+ * total (statistics cards, charts) is built from slices produced here
+ * instead of from entry.endTime, so all reports agree with each other.
+ * Pure functions - no DOM or state access.
+ *
+ * WHY SLICES:
+ * An entry from 22:00 to 02:00 is two hours on each of two days. Counting
+ * it all on its endTime day misreports both days (and "Today"). Each entry
+ * is split at local midnights (or hour boundaries) into slices:
+ * { entry, start: Date, end: Date, durationMs, dayKey }
+ * Hour slices additionally carry `hour` (0-23) and `weekday` (0 = Sunday).
+ *
+ * WHERE THE TIME COMES FROM:
+ * Recorded pause/resume segments when the entry has them, otherwise its
+ * createdAt-endTime span (getEntrySegments). Paused gaps therefore never
+ * count as worked time.
+ *
+ * DURATION IS AUTHORITATIVE:
+ * Slice durations are scaled so an entry's slices always add up to its
+ * totalDurationMs - the number History and CSV exports show - even if old
+ * data has a start time that doesn't quite match its duration.
+ *
+ * IMPACT OF CHANGES:
+ * - Summing entry.totalDurationMs directly in a report bypasses the
+ *   midnight split and disagrees with every other report
+ * - Clipping to a range is by slice, so entries straddling the range edge
+ *   count only their part inside the range
+ *
+ * @module aggregation
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { getEntrySegments } from "./entries.js";
+import { addDays, startOfDay, getBucketKey } from "./ranges.js";
+
+/**
+ * Returns the next local midnight after a date
+ *
+ * @param {Date} date - Date
+ * @returns {Date} Start of the following day
+ */
+const nextDayBoundary = (date) => addDays(startOfDay(date), 1);
+
+/**
+ * Returns the start of the next local hour after a date
+ *
+ * Steps from the start of the current local hour, so half-hour timezone
+ * offsets still split on the user's hour boundaries.
+ *
+ * @param {Date} date - Date
+ * @returns {Date} Start of the following hour
+ */
+const nextHourBoundary = (date) => {
+	const hourStart = new Date(date);
+	hourStart.setMinutes(0, 0, 0);
+	return new Date(hourStart.getTime() + CONSTANTS.MS_PER_HOUR);
+};
+
+/**
+ * Returns an entry's worked intervals and the factor that makes them add up
+ * to totalDurationMs
+ *
+ * @param {Object} entry - Historical entry
+ * @returns {{intervals: Array<{start: Date, end: Date}>, scale: number}}
+ */
+const getEntryIntervals = (entry) => {
+	let intervals = getEntrySegments(entry).filter(
+		({ start, end }) =>
+			!isNaN(start.getTime()) && !isNaN(end.getTime()) && end > start
+	);
+
+	// No usable start time: assume the work ended at endTime
+	if (intervals.length === 0) {
+		const end = new Date(entry.endTime);
+		if (isNaN(end.getTime()) || !(entry.totalDurationMs > 0)) {
+			return { intervals: [], scale: 1 };
+		}
+		intervals = [{ start: new Date(end - entry.totalDurationMs), end }];
+	}
+
+	const spanMs = intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+	const scale = entry.totalDurationMs > 0 ? entry.totalDurationMs / spanMs : 1;
+	return { intervals, scale };
+};
+
+/**
+ * Splits an entry into slices at the given boundaries, clipped to a range
+ *
+ * @param {Object} entry - Historical entry
+ * @param {function(Date): Date} nextBoundary - Returns the next split point
+ * @param {{from: Date, to: Date}} [range] - Optional range to clip to
+ * @returns {Array<Object>} Slices, oldest first
+ */
+const splitEntry = (entry, nextBoundary, range) => {
+	const { intervals, scale } = getEntryIntervals(entry);
+	const slices = [];
+
+	intervals.forEach((interval) => {
+		const from = range && range.from > interval.start ? range.from : interval.start;
+		const to = range && range.to < interval.end ? range.to : interval.end;
+
+		for (let start = from; start < to; ) {
+			const boundary = nextBoundary(start);
+			const end = boundary < to ? boundary : to;
+			slices.push({
+				entry,
+				start,
+				end,
+				durationMs: (end - start) * scale,
+				dayKey: getBucketKey(start),
+			});
+			start = end;
+		}
+	});
+
+	return slices;
+};
+
+/**
+ * Splits an entry into one slice per local calendar day it covers
+ *
+ * @param {Object} entry - Historical entry
+ * @param {{from: Date, to: Date}} [range] - Optional range to clip to
+ * @returns {Array<Object>} Day slices
+ */
+export const splitEntryByDay = (entry, range) =>
+	splitEntry(entry, nextDayBoundary, range);
+
+/**
+ * Splits an entry into one slice per local clock hour it covers
+ *
+ * @param {Object} entry - Historical entry
+ * @param {{from: Date, to: Date}} [range] - Optional range to clip to
+ * @returns {Array<Object>} Hour slices with `hour` and `weekday`
+ */
+export const splitEntryByHour = (entry, range) =>
+	splitEntry(entry, nextHourBoundary, range).map((slice) => ({
+		...slice,
+		hour: slice.start.getHours(),
+		weekday: slice.start.getDay(),
+	}));
+
+/**
+ * Returns the day slices of all entries that fall inside a range
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {{from: Date, to: Date}} range - Range (to is exclusive)
+ * @returns {Array<Object>} Day slices
+ */
+export const getDaySlices = (entries, range) =>
+	entries.flatMap((entry) => splitEntryByDay(entry, range));
+
+/**
+ * Returns the hour slices of all entries that fall inside a range
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {{from: Date, to: Date}} range - Range (to is exclusive)
+ * @returns {Array<Object>} Hour slices
+ */
+export const getHourSlices = (entries, range) =>
+	entries.flatMap((entry) => splitEntryByHour(entry, range));
+
+/**
+ * Sums slice durations by key
+ *
+ * @param {Array<Object>} slices - Day or hour slices
+ * @param {function(Object): string} keyFn - Returns the group key for a slice
+ * @returns {Object<string, number>} Milliseconds per key, in first-seen order
+ */
+export const sumSlicesBy = (slices, keyFn) =>
+	slices.reduce((totals, slice) => {
+		const key = keyFn(slice);
+		totals[key] = (totals[key] || 0) + slice.durationMs;
+		return totals;
+	}, {});
+
+/**
+ * Sums slice durations per tag
+ *
+ * An entry with several tags counts fully towards each of them, so tag
+ * totals can add up to more than the time tracked. Untagged time is
+ * grouped under the "" key.
+ *
+ * @param {Array<Object>} slices - Day or hour slices
+ * @returns {Object<string, number>} Milliseconds per tag
+ */
+export const sumSlicesByTag = (slices) =>
+	slices.reduce((totals, slice) => {
+		const tags = slice.entry.tags?.length ? slice.entry.tags : [""];
+		tags.forEach((tag) => {
+			totals[tag] = (totals[tag] || 0) + slice.durationMs;
+		});
+		return totals;
+	}, {});
+
+/**
+ * Summarizes one project's slices per task
+ *
+ * The entry count is the number of distinct entries with time in the
+ * slices, so an entry crossing midnight counts once. The latest notes are
+ * those of the most recent slice with non-empty notes; the latest entry
+ * (for "Continue") is the one with the most recent slice.
+ *
+ * @param {Array<Object>} slices - Day or hour slices
+ * @param {string} project - Project name (exact match)
+ * @returns {Array<{task: string, durationMs: number, entryCount: number,
+ *   share: number, latestNotes: string, latestEntry: Object}>} Busiest
+ *   task first; share is the task's part of the project's time (0-1)
+ */
+export const summarizeProjectTasks = (slices, project) => {
+	const projectSlices = slices.filter((slice) => slice.entry.project === project);
+	const projectMs = projectSlices.reduce((sum, slice) => sum + slice.durationMs, 0);
+	const tasks = new Map();
+
+	projectSlices.forEach((slice) => {
+		const { task, notes } = slice.entry;
+		if (!tasks.has(task)) {
+			tasks.set(task, {
+				durationMs: 0,
+				entries: new Set(),
+				latest: null,
+				latestSlice: slice,
+			});
+		}
+		const summary = tasks.get(task);
+		summary.durationMs += slice.durationMs;
+		summary.entries.add(slice.entry);
+		if (notes && (!summary.latest || slice.end > summary.latest.end)) {
+			summary.latest = slice;
+		}
+		if (slice.end > summary.latestSlice.end) summary.latestSlice = slice;
+	});
+
+	return [...tasks.entries()]
+		.map(([task, { durationMs, entries, latest, latestSlice }]) => ({
+			task,
+			durationMs,
+			entryCount: entries.size,
+			share: projectMs > 0 ? durationMs / projectMs : 0,
+			latestNotes: latest ? latest.entry.notes : "",
+			latestEntry: latestSlice.entry,
+		}))
+		.sort((a, b) => b.durationMs - a.durationMs);
+};
@@ -3,6 +3,8 @@
  *
  * ROLE IN ARCHITECTURE:
  * This module is the ONLY place where fetch() calls to the server occur.
+ * queue.js only stores writes that couldn't be delivered; sending and
+ * replaying them happens here.
  * It abstracts all server communication and provides a clean interface for
  * other modules to load/save data without knowing HTTP details.
  *
@@ -15,8 +17,25 @@
  * Recoverable Errors (notify + continue):
  * - loadActiveStateFromServer(): Can start fresh without saved timers
  * - loadSuggestionsFromServer(): Can work with empty suggestions
- * - saveDataToServer(): Notifies user, but app continues functioning
+ * - loadSettingsFromServer(): Can work with default settings (no rates)
+ * - loadInvoicesFromServer(): Only the list of past invoices is missing
+ * - createEntryOnServer() / updateEntryOnServer() / deleteEntryOnServer():
+ *   Notify user, but app continues functioning
  * - saveActiveStateToServer(): Notifies user, warns about data loss risk
+ * - saveSettingsToServer(): Notifies user, caller rolls back the form
+ * - saveSuggestionsToServer() / deleteSuggestionOnServer(): Notify user,
+ *   caller rolls back the suggestion list
+ *
+ * Server Unreachable (queue + continue):
+ * - Any write that fails because fetch() itself rejects (server down) is
+ *   queued in localStorage (see queue.js) and reported as successful, so the
+ *   UI doesn't roll back. replayPendingWrites() sends the queue in order once
+ *   /api/health responds again. Error responses (4xx/5xx) still throw - the
+ *   server is up and rejected the write.
+ *
+ * Online Only (throw, never queue):
+ * - createInvoiceOnServer(): The invoice number comes from the server, and
+ *   an invoice must not be issued for entries the server hasn't seen yet
  *
  * WHY THESE DECISIONS:
  * - Historical data is core to the app's purpose - can't work without it
@@ -26,14 +45,15 @@
  * SYNCHRONIZATION APPROACH:
  * This is NOT real-time sync. It's event-driven:
  * - Every timer start/pause/stop triggers a save
+ * - Historical entries are saved one at a time (create/update/delete by id),
+ *   never as the whole array, so payloads stay small as history grows
  * - Server is source of truth; browser state is cache
  * - No polling or websockets needed (single user, local server)
  *
  * SINGLE-USER CONTEXT:
  * No need for:
  * - Optimistic updates with rollback (no concurrent users to conflict)
- * - Request queuing (one user can't create overwhelming request volume)
- * - Complex retry logic (local server is always available)
+ * - Conflict resolution on replay (nobody else writes while we're offline)
  *
  * IMPACT OF CHANGES:
  * - Changing fetch URLs breaks all server communication
@@ -44,8 +64,18 @@
  * @module api
  */
 
-import { state } from "./state.js";
-import { showNotification } from "./utils.js";
+import { state, openTimerSegment } from "./state.js";
+import { generateUUID, showNotification } from "./utils.js";
+import { CONSTANTS } from "./constants.js";
+import {
+	enqueueWrite,
+	getPendingWriteCount,
+	peekPendingWrite,
+	removePendingWrite,
+} from "./queue.js";
+
+let replayTimeout = null;
+let isReplaying = false;
 
 /**
  * Loads historical time entries from the server
@@ -93,37 +123,251 @@ export const loadDataFromServer = async () => {
 };
 
 /**
- * Saves historical time entries to the server
+ * Performs the fetch() for a write, queued or not
  *
- * Posts all historical entries to /api/data endpoint. This persists completed
- * timer data to disk. Called after stopping timers.
+ * @param {Object} write - Write to send ({ method, url, body })
+ * @returns {Promise<Response>} Server response
+ * @throws {TypeError} If the server is unreachable
+ */
+const fetchWrite = (write) =>
+	fetch(write.url, {
+		method: write.method,
+		headers: { "Content-Type": "application/json" },
+		body: write.body === undefined ? undefined : JSON.stringify(write.body),
+	});
+
+/**
+ * Queues a write for later replay and schedules a retry
+ *
+ * @param {Object} write - Write to queue
+ * @returns {void}
+ */
+const queueWrite = (write) => {
+	const wasEmpty = getPendingWriteCount() === 0;
+	enqueueWrite(write);
+	if (wasEmpty) {
+		showNotification(
+			"Server unreachable. Changes are kept in this browser and will be saved when it's back.",
+			"info"
+		);
+	}
+	scheduleReplay();
+};
+
+/**
+ * Sends a write to the server, or queues it if the server is unreachable
+ *
+ * Writes go straight to the queue while older writes are still pending, so
+ * replay order always matches the order the user made the changes in.
+ *
+ * @async
+ * @param {string} method - HTTP method (POST, PATCH or DELETE)
+ * @param {string} url - Endpoint URL
+ * @param {*} [body] - JSON payload (omitted for DELETE)
+ * @param {string} [coalesceKey] - Set for writes that replace a whole file
+ * @returns {Promise<Response|null>} Server response, or null if queued
+ * @throws {Error} If the server returns an error status (with the server's
+ *   message and the HTTP status as error.status)
+ */
+const sendWrite = async (method, url, body, coalesceKey) => {
+	const write = { id: generateUUID(), method, url, body, coalesceKey };
+	if (getPendingWriteCount() > 0) {
+		queueWrite(write);
+		return null;
+	}
+
+	let response;
+	try {
+		response = await fetchWrite(write);
+	} catch (error) {
+		console.warn(`Server unreachable, queuing ${method} ${url}:`, error);
+		queueWrite(write);
+		return null;
+	}
+	if (!response.ok) {
+		const result = await response.json().catch(() => ({}));
+		const error = new Error(
+			result.message || `Server responded with ${response.status}`
+		);
+		error.status = response.status;
+		throw error;
+	}
+	return response;
+};
+
+/**
+ * Schedules the next replay attempt, unless one is already pending
+ *
+ * @returns {void}
+ */
+const scheduleReplay = () => {
+	if (replayTimeout || isReplaying) return;
+	replayTimeout = setTimeout(() => {
+		replayTimeout = null;
+		replayPendingWrites();
+	}, CONSTANTS.OFFLINE_RETRY_INTERVAL);
+};
+
+/**
+ * Checks whether the server is reachable via /api/health
+ *
+ * @async
+ * @returns {Promise<boolean>} True if the health check succeeds
+ */
+const isServerReachable = async () => {
+	try {
+		const response = await fetch("/api/health");
+		return response.ok;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Replays queued offline writes in order
+ *
+ * Does nothing if the queue is empty. Otherwise waits for /api/health, then
+ * sends writes oldest first, removing each once the server answers:
+ * - 2xx: delivered
+ * - 4xx: rejected (e.g. 409 for an entry that reached the server just before
+ *   it went down) - dropped so it can't block the rest of the queue
+ * - 5xx or unreachable: stop and retry after OFFLINE_RETRY_INTERVAL
+ *
+ * Called on startup (before data is loaded, so state includes queued
+ * changes) and automatically while writes are pending.
  *
  * @async
  * @returns {Promise<void>}
- * @throws {Error} If server is unreachable, returns error status, or save fails
  */
-export const saveDataToServer = async () => {
+export const replayPendingWrites = async () => {
+	if (isReplaying || getPendingWriteCount() === 0) return;
+	isReplaying = true;
+	let rejectedCount = 0;
+
 	try {
-		const response = await fetch("/api/data", {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify(state.historicalEntries, null, 2),
-		});
-		if (!response.ok) {
-			throw new Error(`Server responded with ${response.status}`);
+		if (!(await isServerReachable())) return;
+
+		let write;
+		while ((write = peekPendingWrite())) {
+			let response;
+			try {
+				response = await fetchWrite(write);
+			} catch (error) {
+				return; // Server went away again
+			}
+			if (response.status >= 500) return;
+			if (!response.ok) {
+				rejectedCount++;
+				console.warn(
+					`Queued ${write.method} ${write.url} rejected with ${response.status}`
+				);
+			}
+			removePendingWrite(write.id);
 		}
+
+		showNotification("Back online. Offline changes saved.", "success");
+	} finally {
+		isReplaying = false;
+		if (rejectedCount > 0) {
+			showNotification(
+				`${rejectedCount} offline change(s) were rejected by the server and discarded.`,
+				"error"
+			);
+		}
+		if (getPendingWriteCount() > 0) scheduleReplay();
+	}
+};
+
+/**
+ * Creates one historical entry on the server
+ *
+ * Posts a single entry to /api/entries. Called after stopping a timer.
+ * The entry should carry its own id (see generateUUID) so the caller can
+ * reference it before the server responds.
+ *
+ * @async
+ * @param {Object} entry - Historical entry to create
+ * @returns {Promise<Object>} The entry as stored by the server (or as sent,
+ *   if the server was unreachable and the write was queued)
+ * @throws {Error} If server returns error status
+ */
+export const createEntryOnServer = async (entry) => {
+	try {
+		const response = await sendWrite("POST", "/api/entries", entry);
+		if (!response) return entry; // Queued while offline
+		const result = await response.json();
+		return result.entry;
 	} catch (error) {
-		console.error("Error saving historical data:", error);
+		console.error("Error creating historical entry:", error);
 		showNotification("Failed to save data. Your changes may be lost!", "error");
 		throw error;
 	}
 };
 
+/**
+ * Updates fields of one historical entry on the server
+ *
+ * Sends only the changed fields to PATCH /api/entries/:id. The server merges
+ * them into the stored entry and validates the result.
+ *
+ * @async
+ * @param {string} id - Entry id
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} The entry as stored by the server, or null
+ *   if the server was unreachable and the write was queued
+ * @throws {Error} If server returns error status
+ */
+export const updateEntryOnServer = async (id, changes) => {
+	try {
+		const response = await sendWrite(
+			"PATCH",
+			`/api/entries/${encodeURIComponent(id)}`,
+			changes
+		);
+		if (!response) return null; // Queued while offline
+		const result = await response.json();
+		return result.entry;
+	} catch (error) {
+		console.error("Error updating historical entry:", error);
+		showNotification(
+			error.status === 409
+				? error.message
+				: "Failed to update entry. Please try again.",
+			"error"
+		);
+		throw error;
+	}
+};
+
+/**
+ * Deletes one historical entry on the server
+ *
+ * @async
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ * @throws {Error} If server returns error status
+ */
+export const deleteEntryOnServer = async (id) => {
+	try {
+		await sendWrite("DELETE", `/api/entries/${encodeURIComponent(id)}`);
+	} catch (error) {
+		console.error("Error deleting historical entry:", error);
+		showNotification(
+			error.status === 409
+				? error.message
+				: "Failed to delete entry. Please try again.",
+			"error"
+		);
+		throw error;
+	}
+};
+
 /**
  * Loads active timer state from the server for session restoration
  *
  * Fetches running/paused timers from /api/active-state endpoint and populates
- * state.activeTimers. Converts date strings to Date objects. This is a
+ * state.activeTimers. Converts date strings to Date objects and gives timers
+ * saved before segments were tracked an empty segment list. This is a
  * recoverable operation - if it fails, the app starts with empty active timers.
  *
  * @async
@@ -140,6 +384,13 @@ export const loadActiveStateFromServer = async () => {
 			for (const id in savedTimers) {
 				const timer = savedTimers[id];
 				timer.startTime = timer.startTime ? new Date(timer.startTime) : null;
+				// Timers saved before segments were tracked: record from now on
+				if (!Array.isArray(timer.segments)) {
+					timer.segments = [];
+					if (!timer.isPaused && timer.startTime) {
+						openTimerSegment(timer, timer.startTime);
+					}
+				}
 				state.activeTimers[id] = timer;
 			}
 		}
@@ -161,11 +412,12 @@ export const loadActiveStateFromServer = async () => {
  *
  * Posts all running/paused timers to /api/active-state endpoint. Converts
  * Date objects to ISO strings for serialization. Called after any timer
- * state change (start, pause, resume, delete).
+ * state change (start, pause, resume, delete). While offline only the latest
+ * active state stays queued (it replaces the whole file anyway).
  *
  * @async
  * @returns {Promise<void>}
- * @throws {Error} If server is unreachable, returns error status, or save fails
+ * @throws {Error} If server returns error status
  */
 export const saveActiveStateToServer = async () => {
 	const serializableTimers = {};
@@ -177,14 +429,12 @@ export const saveActiveStateToServer = async () => {
 		};
 	}
 	try {
-		const response = await fetch("/api/active-state", {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify(serializableTimers, null, 2),
-		});
-		if (!response.ok) {
-			throw new Error(`Server responded with ${response.status}`);
-		}
+		await sendWrite(
+			"POST",
+			"/api/active-state",
+			serializableTimers,
+			"active-state"
+		);
 	} catch (error) {
 		console.error("Error saving active state:", error);
 		showNotification(
@@ -198,10 +448,11 @@ export const saveActiveStateToServer = async () => {
 /**
  * Loads task/project suggestions from the server
  *
- * Fetches predefined activity suggestions from /api/suggestions endpoint and
+ * Fetches the saved { text, pinned } suggestions from /api/suggestions and
  * populates state.predefinedSuggestions. These are combined with recent activities
- * for the input autocomplete. This is a recoverable operation - if it fails,
- * autocomplete still works with recent activities only.
+ * for the input autocomplete (see rankSuggestions() in suggestions.js). This
+ * is a recoverable operation - if it fails, autocomplete still works with
+ * recent activities only.
  *
  * @async
  * @returns {Promise<void>}
@@ -217,3 +468,147 @@ export const loadSuggestionsFromServer = async () => {
 		state.predefinedSuggestions = [];
 	}
 };
+
+/**
+ * Saves the whole (ordered) suggestion list to the server
+ *
+ * Used for adding, renaming, reordering and pinning. While offline only
+ * the latest list stays queued (it replaces the whole file anyway).
+ *
+ * @async
+ * @param {Array<{text: string, pinned: boolean}>} suggestions - New list
+ * @returns {Promise<void>}
+ * @throws {Error} If server returns error status
+ */
+export const saveSuggestionsToServer = async (suggestions) => {
+	try {
+		await sendWrite("POST", "/api/suggestions", suggestions, "suggestions");
+	} catch (error) {
+		console.error("Error saving suggestions:", error);
+		showNotification("Failed to save suggestions. Please try again.", "error");
+		throw error;
+	}
+};
+
+/**
+ * Deletes one suggestion on the server
+ *
+ * @async
+ * @param {string} text - Suggestion text (matched case-insensitively)
+ * @returns {Promise<void>}
+ * @throws {Error} If server returns error status
+ */
+export const deleteSuggestionOnServer = async (text) => {
+	try {
+		await sendWrite("DELETE", `/api/suggestions/${encodeURIComponent(text)}`);
+	} catch (error) {
+		console.error("Error deleting suggestion:", error);
+		showNotification("Failed to delete suggestion. Please try again.", "error");
+		throw error;
+	}
+};
+
+/**
+ * Loads currency and hourly rates from the server
+ *
+ * Fetches /api/settings into state.settings. This is a recoverable
+ * operation - if it fails, reports show earnings with the default (empty)
+ * settings until the next load.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const loadSettingsFromServer = async () => {
+	try {
+		const response = await fetch("/api/settings");
+		if (!response.ok)
+			throw new Error(`Server responded with ${response.status}`);
+		const settings = await response.json();
+		state.settings = { ...state.settings, ...settings };
+	} catch (error) {
+		console.error("Could not load settings from server.", error);
+	}
+};
+
+/**
+ * Saves currency and hourly rates to the server
+ *
+ * Posts the whole settings object to /api/settings. While offline only the
+ * latest settings stay queued (they replace the whole file anyway).
+ *
+ * @async
+ * @param {Object} settings - Settings to save ({ currency, rates })
+ * @returns {Promise<void>}
+ * @throws {Error} If server returns error status
+ */
+export const saveSettingsToServer = async (settings) => {
+	try {
+		await sendWrite("POST", "/api/settings", settings, "settings");
+	} catch (error) {
+		console.error("Error saving settings:", error);
+		showNotification("Failed to save settings. Please try again.", "error");
+		throw error;
+	}
+};
+
+/**
+ * Loads issued invoices from the server
+ *
+ * Fetches /api/invoices into state.invoices (for re-downloading past
+ * invoices). This is a recoverable operation.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const loadInvoicesFromServer = async () => {
+	try {
+		const response = await fetch("/api/invoices");
+		if (!response.ok)
+			throw new Error(`Server responded with ${response.status}`);
+		state.invoices = await response.json();
+	} catch (error) {
+		console.error("Could not load invoices from server.", error);
+		state.invoices = [];
+	}
+};
+
+/**
+ * Issues an invoice on the server
+ *
+ * Unlike every other write this never goes through the offline queue: the
+ * server assigns the invoice number and marks the entries, so an invoice
+ * only exists once the server has confirmed it. Refuses while offline
+ * changes are still pending, since the server may not have the entries yet.
+ *
+ * @async
+ * @param {Object} invoice - Invoice from buildInvoiceDraft() (billing.js)
+ * @returns {Promise<Object>} Stored invoice with its number and createdAt
+ * @throws {Error} With a message for the user if the server is unreachable,
+ *   writes are pending, or the server rejects the invoice
+ */
+export const createInvoiceOnServer = async (invoice) => {
+	if (getPendingWriteCount() > 0) {
+		throw new Error(
+			"Offline changes are still being saved. Try again once they are."
+		);
+	}
+
+	let response;
+	try {
+		response = await fetchWrite({
+			method: "POST",
+			url: "/api/invoices",
+			body: invoice,
+		});
+	} catch (error) {
+		throw new Error("Server unreachable. Invoices can only be created online.");
+	}
+
+	const result = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(
+			result.message || `Server responded with ${response.status}`
+		);
+	}
+	return result.invoice;
+};
@@ -8,7 +8,7 @@
  * INITIALIZATION ORDER (CRITICAL):
  * The order of operations in initializeApp() matters:
  * 1. Initialize DOM element references FIRST (ui.js needs these)
- * 2. Load server data (suggestions, historical, active state)
+ * 2. Load server data (suggestions, settings, invoices, historical, active state)
  * 3. Render UI with loaded data
  * 4. Start timer display if needed
  *
@@ -18,7 +18,8 @@
  * - Timer display only starts if there are running timers
  *
  * LIFECYCLE HANDLERS:
- * - visibilitychange: Pauses timer updates when tab hidden (saves CPU)
+ * - visibilitychange: Pauses timer updates when tab hidden (saves CPU), asks
+ *   about idle time when it is shown again
  * - beforeunload: Warns user about active timers, cleans up intervals
  * - error/unhandledrejection: Catches and logs unexpected errors
  *
@@ -44,18 +45,31 @@ import {
 	loadDataFromServer,
 	loadActiveStateFromServer,
 	loadSuggestionsFromServer,
+	loadSettingsFromServer,
+	loadInvoicesFromServer,
+	replayPendingWrites,
 } from "./api.js";
 import {
 	initDOMElements,
 	initNotesModal,
 	populateSuggestions,
+	initAutocomplete,
 	renderActiveTimers,
 	startTimerDisplay,
 	startNewTimer,
 	exportData,
+	initManualEntryForm,
+	renderSyncStatus,
 } from "./ui.js";
 import { switchTab } from "./reports.js";
+import { initHistoryView } from "./history.js";
+import { initSettingsView } from "./settings.js";
+import { initSuggestionsPanel } from "./suggestions.js";
+import { initTimesheetView } from "./timesheet.js";
+import { initInvoiceModal } from "./invoices.js";
+import { initIdleDetection, checkForIdle } from "./idle.js";
 import { showNotification } from "./utils.js";
+import { getPendingWriteCount, onPendingWritesChange } from "./queue.js";
 import { CONSTANTS } from "./constants.js";
 
 /**
@@ -63,9 +77,11 @@ import { CONSTANTS } from "./constants.js";
  *
  * Executes critical initialization sequence:
  * 1. Initializes DOM element references
- * 2. Sets up notes modal handlers
+ * 2. Sets up notes modal, manual entry form, history, timesheet, settings,
+ *    suggestions view handlers and idle detection
  * 3. Attaches event listeners for buttons and collapsible sections
- * 4. Loads server data (suggestions, historical entries, active timers)
+ * 4. Replays offline writes, then loads server data (suggestions, settings,
+ *    historical entries, active timers)
  * 5. Renders initial UI state
  * 6. Starts timer display if there are running timers
  *
@@ -81,9 +97,33 @@ const initializeApp = async () => {
 		// Initialize notes modal handlers
 		initNotesModal();
 
-		// Set status
-		document.getElementById("user-id-display").textContent =
-			"Status: Local Mode";
+		// Initialize manual entry form handlers
+		initManualEntryForm();
+
+		// Initialize the ranked suggestion dropdowns of the topic inputs
+		initAutocomplete();
+
+		// Initialize history list and edit modal handlers
+		initHistoryView();
+
+		// Initialize timesheet week navigation
+		initTimesheetView();
+
+		// Initialize settings form handlers
+		initSettingsView();
+
+		// Initialize the suggestion list; saved changes refresh the autocomplete
+		initSuggestionsPanel(populateSuggestions);
+
+		// Initialize invoice modal handlers
+		initInvoiceModal();
+
+		// Watch for activity and wire the idle time modal
+		initIdleDetection();
+
+		// Set status (and keep it in sync with the offline write queue)
+		renderSyncStatus(getPendingWriteCount());
+		onPendingWritesChange(renderSyncStatus);
 
 		// Attach event listeners
 		document
@@ -95,9 +135,18 @@ const initializeApp = async () => {
 		document
 			.getElementById("tab-tracker")
 			.addEventListener("click", () => switchTab("tracker"));
+		document
+			.getElementById("tab-history")
+			.addEventListener("click", () => switchTab("history"));
+		document
+			.getElementById("tab-timesheet")
+			.addEventListener("click", () => switchTab("timesheet"));
 		document
 			.getElementById("tab-reports")
 			.addEventListener("click", () => switchTab("reports"));
+		document
+			.getElementById("tab-settings")
+			.addEventListener("click", () => switchTab("settings"));
 
 		// Setup Data Entry section collapse/expand (collapsed by default)
 		const dataEntryHeader = document.getElementById("data-entry-header");
@@ -163,8 +212,14 @@ const initializeApp = async () => {
 			}
 		});
 
+		// Deliver writes queued while the server was down, so the data
+		// loaded below already includes them
+		await replayPendingWrites();
+
 		// Load data from server
 		await loadSuggestionsFromServer();
+		await loadSettingsFromServer();
+		await loadInvoicesFromServer();
 		await loadDataFromServer();
 		await loadActiveStateFromServer();
 
@@ -193,6 +248,7 @@ const initializeApp = async () => {
  *
  * Registers handlers for:
  * - visibilitychange: Pauses/resumes timer updates when tab visibility changes
+ *   and checks for idle time on return
  * - beforeunload: Warns user about active timers and performs cleanup
  * - error: Catches and displays global JavaScript errors
  * - unhandledrejection: Catches and displays unhandled promise rejections
@@ -206,8 +262,10 @@ const setupLifecycleHandlers = () => {
 	document.addEventListener("visibilitychange", () => {
 		if (document.hidden) {
 			clearTimerInterval();
-		} else if (hasRunningTimers()) {
-			startTimerDisplay();
+		} else {
+			if (hasRunningTimers()) startTimerDisplay();
+			// Time spent on other tabs or away may have been idle
+			checkForIdle();
 		}
 	});
 
@@ -0,0 +1,177 @@
+/**
+ * Autocomplete dropdown for text inputs
+ *
+ * ROLE IN ARCHITECTURE:
+ * Replaces the browser's <datalist> for the topic inputs. A <datalist> can't
+ * be ranked, can't show extra details and matches only a prefix, which made
+ * it useless after a few hundred tasks. This module only draws the list and
+ * handles the keyboard; which items to show (ranked suggestions, see
+ * rankSuggestions() in suggestions.js) comes from the caller.
+ *
+ * KEYBOARD:
+ * - ArrowDown / ArrowUp: Open the list, move the highlight (wraps around)
+ * - Enter: Take the highlighted item (without a highlight, Enter is left to
+ *   the page)
+ * - Escape / Tab: Close the list
+ * Follows the ARIA combobox pattern (role="combobox", aria-activedescendant),
+ * so screen readers announce the highlighted suggestion.
+ *
+ * POSITIONING:
+ * The list is appended to <body> with position: fixed and placed under the
+ * input, so the collapsible sections (overflow: hidden) don't clip it.
+ *
+ * @module autocomplete
+ */
+
+/**
+ * Counter for unique listbox and option ids
+ */
+let autocompleteCount = 0;
+
+/**
+ * Builds one option of the list
+ *
+ * @param {{label: string, detail: string, pinned: boolean}} item - Item to show
+ * @param {string} id - Option id
+ * @returns {HTMLElement} Option element
+ */
+const createOption = (item, id) => {
+	const option = document.createElement("li");
+	option.id = id;
+	option.setAttribute("role", "option");
+	option.setAttribute("aria-selected", "false");
+	option.className =
+		"autocomplete-option flex items-center gap-2 px-4 py-2 cursor-pointer hover:bg-gray-50 aria-selected:bg-indigo-50";
+
+	const label = document.createElement("span");
+	label.className = "flex-grow truncate text-gray-800";
+	label.textContent = item.label;
+
+	const detail = document.createElement("span");
+	detail.className = "flex-shrink-0 text-xs text-gray-500";
+	detail.textContent = item.detail;
+
+	if (item.pinned) {
+		const pin = document.createElement("span");
+		pin.className = "material-icons text-base text-indigo-600";
+		pin.textContent = "push_pin";
+		pin.title = "Pinned";
+		option.appendChild(pin);
+	}
+	option.appendChild(label);
+	option.appendChild(detail);
+	return option;
+};
+
+/**
+ * Attaches an autocomplete dropdown to an input
+ *
+ * @param {HTMLInputElement} input - Text input
+ * @param {function(string): Array<{value: string, label: string,
+ *   detail: string, pinned: boolean}>} getItems - Returns the items for the
+ *   current input value, best first; value is what the input is set to
+ * @returns {void}
+ */
+export const attachAutocomplete = (input, getItems) => {
+	if (!input) return;
+
+	const listId = `autocomplete-list-${++autocompleteCount}`;
+	const list = document.createElement("ul");
+	list.id = listId;
+	list.setAttribute("role", "listbox");
+	list.className =
+		"autocomplete-list hidden fixed z-30 max-h-80 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg text-sm";
+	document.body.appendChild(list);
+
+	input.setAttribute("role", "combobox");
+	input.setAttribute("aria-autocomplete", "list");
+	input.setAttribute("aria-controls", listId);
+	input.setAttribute("aria-expanded", "false");
+	input.setAttribute("autocomplete", "off");
+
+	let items = [];
+	let activeIndex = -1;
+
+	const isOpen = () => !list.classList.contains("hidden");
+
+	const position = () => {
+		const rect = input.getBoundingClientRect();
+		list.style.top = `${rect.bottom + 4}px`;
+		list.style.left = `${rect.left}px`;
+		list.style.width = `${rect.width}px`;
+	};
+
+	const setActive = (index) => {
+		activeIndex = index;
+		[...list.children].forEach((option, i) =>
+			option.setAttribute("aria-selected", String(i === index))
+		);
+		const active = list.children[index];
+		if (active) {
+			input.setAttribute("aria-activedescendant", active.id);
+			active.scrollIntoView?.({ block: "nearest" });
+		} else {
+			input.removeAttribute("aria-activedescendant");
+		}
+	};
+
+	const close = () => {
+		list.classList.add("hidden");
+		input.setAttribute("aria-expanded", "false");
+		setActive(-1);
+	};
+
+	const open = () => {
+		items = getItems(input.value);
+		list.innerHTML = "";
+		items.forEach((item, index) => {
+			const option = createOption(item, `${listId}-${index}`);
+			// mousedown (not click) so the input doesn't blur and close first
+			option.addEventListener("mousedown", (e) => {
+				e.preventDefault();
+				select(index);
+			});
+			list.appendChild(option);
+		});
+		activeIndex = -1;
+		input.removeAttribute("aria-activedescendant");
+
+		if (items.length === 0) {
+			close();
+			return;
+		}
+		position();
+		list.classList.remove("hidden");
+		input.setAttribute("aria-expanded", "true");
+	};
+
+	const select = (index) => {
+		input.value = items[index].value;
+		close();
+		input.focus();
+		input.setSelectionRange(input.value.length, input.value.length);
+	};
+
+	input.addEventListener("focus", open);
+	input.addEventListener("input", open);
+	input.addEventListener("blur", close);
+	input.addEventListener("keydown", (e) => {
+		if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			if (!isOpen()) open();
+			if (items.length === 0) return;
+			const step = e.key === "ArrowDown" ? 1 : -1;
+			const start = activeIndex === -1 && step === -1 ? 0 : activeIndex;
+			setActive((start + step + items.length) % items.length);
+		} else if (e.key === "Enter" && isOpen() && activeIndex !== -1) {
+			e.preventDefault();
+			select(activeIndex);
+		} else if (e.key === "Escape" || e.key === "Tab") {
+			close();
+		}
+	});
+
+	// Keep the list under the input while the page moves
+	window.addEventListener("scroll", () => isOpen() && position(), true);
+	window.addEventListener("resize", () => isOpen() && position());
+};
@@ -0,0 +1,274 @@
+/**
+ * Billable time and earnings
+ *
+ * ROLE IN ARCHITECTURE:
+ * Turns hours into money for the Reports tab. Entries and timers carry a
+ * `billable: true` flag; hourly rates and the currency live in
+ * state.settings (mtt-settings.json, edited in the Settings tab). Pure
+ * functions - no DOM or state access.
+ *
+ * RATES:
+ * settings.rates is a list of { project, task, rate }. A rate with task ""
+ * applies to the whole project; a rate naming a task overrides it for that
+ * task only. Names match case-insensitively, like duplicate timer detection.
+ * Billable time without a matching rate earns 0 but still counts as
+ * billable hours, so a missing rate is visible rather than hidden.
+ *
+ * INVOICES:
+ * An invoice bills the uninvoiced billable entries of one project whose
+ * end time falls in a date range, grouped into one line per task. Hours are
+ * rounded to INVOICE_HOURS_DECIMALS places and each line is priced from the
+ * rounded hours, so the printed lines always add up. Durations follow the
+ * rounding rule in settings (rounding.js) first. The server numbers the
+ * invoice and stamps invoiceNumber on its entries; entries with an
+ * invoiceNumber are never offered again, and the server refuses to delete
+ * them or change anything but their notes and tags.
+ *
+ * MISSING FLAG:
+ * Entries recorded before the flag existed have no `billable` field and
+ * count as non-billable - time is only ever billed when someone said so.
+ *
+ * IMPACT OF CHANGES:
+ * - Changing the rate shape requires the same change in validateSettings()
+ *   in server.cjs
+ * - Earnings are computed from report slices, so they follow the same date
+ *   range and midnight splitting as every other report total
+ *
+ * @module billing
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { getRoundedDurations } from "./rounding.js";
+import {
+	filterEntriesByRange,
+	getRangeLastDay,
+	toDateInputValue,
+} from "./ranges.js";
+
+/**
+ * Normalizes a project or task name for rate lookups
+ *
+ * @param {string} name - Project or task name
+ * @returns {string} Trimmed, lowercase name
+ */
+const normalizeName = (name) => String(name || "").trim().toLowerCase();
+
+/**
+ * Rounds an amount to cents
+ *
+ * @param {number} amount - Amount
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Returns whether an entry (or timer) is billable
+ *
+ * @param {Object} entry - Historical entry or timer
+ * @returns {boolean} True only if explicitly flagged billable
+ */
+export const isBillable = (entry) => entry?.billable === true;
+
+/**
+ * Looks up the hourly rate for a project / task
+ *
+ * @param {Array<{project: string, task: string, rate: number}>} rates - Rates
+ *   from settings
+ * @param {string} project - Project name
+ * @param {string} task - Task name
+ * @returns {number} Task rate if set, else project rate, else 0
+ */
+export const getHourlyRate = (rates, project, task) => {
+	const projectKey = normalizeName(project);
+	const taskKey = normalizeName(task);
+	let projectRate = 0;
+	for (const rate of rates || []) {
+		if (normalizeName(rate.project) !== projectKey) continue;
+		const rateTask = normalizeName(rate.task);
+		if (rateTask === taskKey && rateTask) return rate.rate;
+		if (!rateTask) projectRate = rate.rate;
+	}
+	return projectRate;
+};
+
+/**
+ * Returns what a slice of billable time earns
+ *
+ * @param {Object} slice - Day or hour slice (see aggregation.js)
+ * @param {Array<Object>} rates - Rates from settings
+ * @returns {number} Earnings (0 for non-billable time)
+ */
+export const getSliceEarnings = (slice, rates) => {
+	if (!isBillable(slice.entry)) return 0;
+	const rate = getHourlyRate(rates, slice.entry.project, slice.entry.task);
+	return (slice.durationMs / CONSTANTS.MS_PER_HOUR) * rate;
+};
+
+/**
+ * Totals billable time and earnings for a set of slices
+ *
+ * @param {Array<Object>} slices - Day or hour slices
+ * @param {Array<Object>} rates - Rates from settings
+ * @returns {{billableMs: number, earnings: number, earningsByProject: Object<string, number>}}
+ *   Billable milliseconds, total earnings, and earnings per project (only
+ *   projects with billable time)
+ */
+export const summarizeEarnings = (slices, rates) =>
+	slices.reduce(
+		(summary, slice) => {
+			if (!isBillable(slice.entry)) return summary;
+			const earnings = getSliceEarnings(slice, rates);
+			const project = slice.entry.project;
+			summary.billableMs += slice.durationMs;
+			summary.earnings += earnings;
+			summary.earningsByProject[project] =
+				(summary.earningsByProject[project] || 0) + earnings;
+			return summary;
+		},
+		{ billableMs: 0, earnings: 0, earningsByProject: {} }
+	);
+
+/**
+ * Formats an amount of money in the configured currency
+ *
+ * Falls back to "<amount> <code>" if the browser doesn't know the currency.
+ *
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code, e.g. "EUR"
+ * @returns {string} Formatted amount, e.g. "€1,250.00"
+ */
+export const formatMoney = (amount, currency) => {
+	try {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency,
+		}).format(amount);
+	} catch (error) {
+		return `${amount.toFixed(2)} ${currency}`;
+	}
+};
+
+/**
+ * Parses a typed hourly rate ("120", "95.50")
+ *
+ * @param {string} value - Rate input value
+ * @returns {number|null} Rate, or null if empty, negative or not a number
+ */
+export const parseRateInput = (value) => {
+	const text = String(value ?? "").trim();
+	if (!/^\d+(\.\d+)?$/.test(text)) return null;
+	return Number(text);
+};
+
+/**
+ * Returns whether an entry has already been billed on an invoice
+ *
+ * @param {Object} entry - Historical entry
+ * @returns {boolean} True if the entry carries an invoiceNumber
+ */
+export const isInvoiced = (entry) => Boolean(entry?.invoiceNumber);
+
+/**
+ * Formats an invoice number for display
+ *
+ * @param {number} number - Sequential invoice number from the server
+ * @returns {string} e.g. "INV-0007"
+ */
+export const formatInvoiceNumber = (number) =>
+	`INV-${String(number).padStart(4, "0")}`;
+
+/**
+ * Returns the entries of a project that can still be invoiced in a range
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {string} project - Project name (case-insensitive)
+ * @param {{from: Date, to: Date}} range - Range (to is exclusive); entries
+ *   count by end time, like filterEntriesByRange()
+ * @returns {Array<Object>} Billable, uninvoiced entries of the project
+ */
+export const getInvoiceableEntries = (entries, project, range) => {
+	const projectKey = normalizeName(project);
+	return filterEntriesByRange(entries, range).filter(
+		(entry) =>
+			isBillable(entry) &&
+			!isInvoiced(entry) &&
+			entry.id &&
+			normalizeName(entry.project) === projectKey
+	);
+};
+
+/**
+ * Lists the projects that have billable time not yet invoiced
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @returns {Array<string>} Project names (as first recorded), sorted
+ */
+export const getInvoiceableProjects = (entries) => {
+	const projects = new Map();
+	entries.forEach((entry) => {
+		const key = normalizeName(entry.project);
+		if (isBillable(entry) && !isInvoiced(entry) && !projects.has(key)) {
+			projects.set(key, entry.project);
+		}
+	});
+	return [...projects.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Groups entries into invoice lines, one per task
+ *
+ * @param {Array<Object>} entries - Entries of one project
+ * @param {Array<Object>} rates - Rates from settings
+ * @param {Object} [rounding] - Rounding rule from settings (see rounding.js)
+ * @returns {Array<{task: string, hours: number, rate: number, amount: number}>}
+ *   Lines sorted by task name
+ */
+export const buildInvoiceLines = (entries, rates, rounding) => {
+	const durations = getRoundedDurations(entries, rounding);
+	const tasks = new Map();
+	entries.forEach((entry) => {
+		const key = normalizeName(entry.task);
+		const group = tasks.get(key) || { entry, totalMs: 0 };
+		group.totalMs += durations.get(entry);
+		tasks.set(key, group);
+	});
+
+	const factor = 10 ** CONSTANTS.INVOICE_HOURS_DECIMALS;
+	return [...tasks.values()]
+		.map(({ entry, totalMs }) => {
+			const hours =
+				Math.round((totalMs / CONSTANTS.MS_PER_HOUR) * factor) / factor;
+			const rate = getHourlyRate(rates, entry.project, entry.task);
+			return { task: entry.task, hours, rate, amount: roundMoney(hours * rate) };
+		})
+		.sort((a, b) => a.task.localeCompare(b.task));
+};
+
+/**
+ * Builds the invoice to send to POST /api/invoices
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {string} project - Project to bill
+ * @param {{from: Date, to: Date}} range - Billing period (to is exclusive)
+ * @param {{currency: string, rates: Array<Object>, rounding: Object}} settings - Settings
+ * @returns {Object} { project, from, to, currency, lines, total, entryIds }
+ *   with from/to as inclusive "YYYY-MM-DD" days; lines is empty if there is
+ *   nothing to bill
+ */
+export const buildInvoiceDraft = (entries, project, range, settings) => {
+	const invoiceEntries = getInvoiceableEntries(entries, project, range);
+	const lines = buildInvoiceLines(
+		invoiceEntries,
+		settings.rates,
+		settings.rounding
+	);
+	return {
+		project: invoiceEntries[0]?.project || project,
+		from: toDateInputValue(range.from),
+		to: toDateInputValue(getRangeLastDay(range)),
+		currency: settings.currency,
+		lines,
+		total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+		entryIds: invoiceEntries.map((entry) => entry.id),
+	};
+};
@@ -0,0 +1,316 @@
+/**
+ * Calendar year heatmap and streaks
+ *
+ * ROLE IN ARCHITECTURE:
+ * Draws the Reports tab's GitHub-style year grid: one square per day of a
+ * calendar year, in week columns with Monday on top (like the timesheet),
+ * coloured by the hours tracked that day with the weekly heatmap's scale
+ * (heatmap.js). Above the grid it shows the current and longest streak of
+ * consecutive tracked days; clicking a square lists that day's entries,
+ * each with a "Continue" button (continueEntry() in ui.js).
+ *
+ * WHY A DOM GRID:
+ * Unlike the weekly heatmap's canvas, every square here is a <button>, so
+ * days can be clicked and reached with the keyboard, and the browser shows
+ * each day's hours as a native tooltip.
+ *
+ * WHAT IT COUNTS:
+ * The grid is always a whole calendar year (picked with the ‹ › buttons),
+ * not the report's date range. It still honours the tag filter and the
+ * rounding rule, because it is fed the same rounded day slices as the other
+ * charts - only unclipped. Streaks run over all tracked days, so a streak
+ * started last December keeps counting in January.
+ *
+ * @module calendar
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { formatDuration } from "./utils.js";
+import { createContinueButton } from "./ui.js";
+import {
+	addDays,
+	startOfDay,
+	startOfWeek,
+	toDateInputValue,
+	parseDateInputValue,
+} from "./ranges.js";
+import { sumSlicesBy } from "./aggregation.js";
+import { getHeatmapColor } from "./heatmap.js";
+
+const DAYS_PER_WEEK = 7;
+
+/**
+ * Year shown in the grid (kept while switching tabs)
+ */
+let selectedYear = new Date().getFullYear();
+
+/**
+ * Day slices of the last render, and the day whose entries are listed
+ */
+let currentSlices = [];
+let selectedDayKey = null;
+
+/**
+ * Lays out a calendar year as week columns
+ *
+ * @param {number} year - Full year, e.g. 2025
+ * @returns {Array<Array<Date|null>>} Columns of 7 days (Monday first); days
+ *   outside the year are null
+ */
+export const getYearWeeks = (year) => {
+	const first = new Date(year, 0, 1);
+	const last = new Date(year, 11, 31);
+	const weeks = [];
+	for (let monday = startOfWeek(first); monday <= last; ) {
+		const week = [];
+		for (let i = 0; i < DAYS_PER_WEEK; i++) {
+			const day = addDays(monday, i);
+			week.push(day.getFullYear() === year ? day : null);
+		}
+		weeks.push(week);
+		monday = addDays(monday, DAYS_PER_WEEK);
+	}
+	return weeks;
+};
+
+/**
+ * Counts runs of consecutive days with tracked time
+ *
+ * The current streak ends today, or yesterday if nothing has been tracked
+ * yet today (the day isn't over).
+ *
+ * @param {Object<string, number>} dayTotals - Milliseconds per "YYYY-MM-DD"
+ * @param {Date} [today=new Date()] - Reference day
+ * @returns {{current: number, longest: number}} Streak lengths in days
+ */
+export const calculateStreaks = (dayTotals, today = new Date()) => {
+	const isTracked = (day) => dayTotals[toDateInputValue(day)] > 0;
+
+	let longest = 0;
+	let run = 0;
+	let previousKey = null;
+	Object.keys(dayTotals)
+		.filter((key) => dayTotals[key] > 0)
+		.sort()
+		.forEach((key) => {
+			const dayBefore = toDateInputValue(addDays(parseDateInputValue(key), -1));
+			run = dayBefore === previousKey ? run + 1 : 1;
+			longest = Math.max(longest, run);
+			previousKey = key;
+		});
+
+	let day = startOfDay(today);
+	if (!isTracked(day)) day = addDays(day, -1);
+	let current = 0;
+	while (isTracked(day)) {
+		current++;
+		day = addDays(day, -1);
+	}
+
+	return { current, longest };
+};
+
+/**
+ * Formats a streak length
+ *
+ * @param {number} days - Streak length
+ * @returns {string} e.g. "1 day", "12 days"
+ */
+export const formatStreak = (days) => `${days} ${days === 1 ? "day" : "days"}`;
+
+/**
+ * Describes one day for its square's tooltip
+ *
+ * @param {Date} day - The day
+ * @param {number} ms - Time tracked that day
+ * @returns {string} e.g. "Mon, Oct 6, 2025: 3.50 h"
+ */
+const formatDayLabel = (day, ms) =>
+	`${day.toLocaleDateString("en-US", {
+		weekday: "short",
+		month: "short",
+		day: "numeric",
+		year: "numeric",
+	})}: ${(ms / CONSTANTS.MS_PER_HOUR).toFixed(2)} h`;
+
+/**
+ * Lists the entries of the selected day below the grid
+ *
+ * Shows the part of each entry that falls on the day, so a session crossing
+ * midnight lists its evening on one day and its morning on the next.
+ *
+ * @returns {void}
+ */
+const renderDayDetails = () => {
+	const panel = document.getElementById("year-heatmap-day");
+	if (!panel) return;
+	panel.innerHTML = "";
+
+	const day = parseDateInputValue(selectedDayKey);
+	if (!day) {
+		panel.classList.add("hidden");
+		return;
+	}
+
+	const slices = currentSlices
+		.filter((slice) => slice.dayKey === selectedDayKey)
+		.sort((a, b) => a.start - b.start);
+	const totalMs = slices.reduce((sum, slice) => sum + slice.durationMs, 0);
+
+	const heading = document.createElement("h4");
+	heading.className = "text-sm font-semibold text-gray-700 mb-2";
+	heading.textContent = formatDayLabel(day, totalMs);
+	panel.appendChild(heading);
+
+	if (slices.length === 0) {
+		const empty = document.createElement("p");
+		empty.className = "text-sm text-gray-500";
+		empty.textContent = "No time tracked on this day.";
+		panel.appendChild(empty);
+	}
+
+	slices.forEach((slice) => {
+		const row = document.createElement("div");
+		row.className = "flex items-center gap-3 py-1 border-b last:border-b-0";
+
+		const time = document.createElement("span");
+		time.className = "text-xs font-mono text-gray-500 w-16 flex-shrink-0";
+		time.textContent = slice.start.toLocaleTimeString([], {
+			hour: "2-digit",
+			minute: "2-digit",
+		});
+
+		const text = document.createElement("div");
+		text.className = "flex-grow min-w-0";
+		const title = document.createElement("p");
+		title.className = "text-sm text-gray-800 truncate";
+		title.textContent = `${slice.entry.project} / ${slice.entry.task}`;
+		text.appendChild(title);
+		if (slice.entry.notes) {
+			const notes = document.createElement("p");
+			notes.className = "text-xs text-gray-500 truncate";
+			notes.textContent = slice.entry.notes;
+			text.appendChild(notes);
+		}
+
+		const duration = document.createElement("span");
+		duration.className = "text-sm font-mono text-gray-700 flex-shrink-0";
+		duration.textContent = formatDuration(
+			Math.round(slice.durationMs / CONSTANTS.MS_PER_SECOND)
+		);
+
+		row.appendChild(time);
+		row.appendChild(text);
+		row.appendChild(duration);
+		row.appendChild(createContinueButton(slice.entry));
+		panel.appendChild(row);
+	});
+
+	panel.classList.remove("hidden");
+};
+
+/**
+ * Draws the selected year's grid and the streaks
+ *
+ * @returns {void}
+ */
+const renderYearGrid = () => {
+	const grid = document.getElementById("year-heatmap");
+	if (!grid) return;
+
+	const dayTotals = sumSlicesBy(currentSlices, (slice) => slice.dayKey);
+	const yearPrefix = `${selectedYear}-`;
+	const maxMs = Math.max(
+		0,
+		...Object.keys(dayTotals)
+			.filter((key) => key.startsWith(yearPrefix))
+			.map((key) => dayTotals[key])
+	);
+
+	const yearLabel = document.getElementById("year-heatmap-year");
+	if (yearLabel) yearLabel.textContent = String(selectedYear);
+	const nextBtn = document.getElementById("year-heatmap-next");
+	if (nextBtn) nextBtn.disabled = selectedYear >= new Date().getFullYear();
+
+	const streaks = calculateStreaks(dayTotals);
+	const currentEl = document.getElementById("streak-current");
+	const longestEl = document.getElementById("streak-longest");
+	if (currentEl) currentEl.textContent = formatStreak(streaks.current);
+	if (longestEl) longestEl.textContent = formatStreak(streaks.longest);
+
+	grid.innerHTML = "";
+	getYearWeeks(selectedYear).forEach((week) => {
+		week.forEach((day) => {
+			const cell = document.createElement(day ? "button" : "span");
+			cell.className = "w-3 h-3 rounded-sm";
+			if (day) {
+				const dayKey = toDateInputValue(day);
+				const ms = dayTotals[dayKey] || 0;
+				cell.type = "button";
+				cell.dataset.day = dayKey;
+				cell.title = formatDayLabel(day, ms);
+				cell.setAttribute("aria-label", cell.title);
+				cell.style.backgroundColor = getHeatmapColor(ms, maxMs);
+				if (dayKey === selectedDayKey) {
+					cell.classList.add("ring-2", "ring-indigo-500");
+				}
+			}
+			grid.appendChild(cell);
+		});
+	});
+
+	renderDayDetails();
+};
+
+/**
+ * Handles clicks on a day square: selects it, or clears a second click
+ *
+ * @param {MouseEvent} e - Click event on the grid
+ * @returns {void}
+ */
+const handleDayClick = (e) => {
+	const cell = e.target.closest("[data-day]");
+	if (!cell) return;
+	selectedDayKey = cell.dataset.day === selectedDayKey ? null : cell.dataset.day;
+	renderYearGrid();
+};
+
+/**
+ * Moves the grid one year back or forward
+ *
+ * @param {number} delta - -1 or 1
+ * @returns {void}
+ */
+const shiftYear = (delta) => {
+	selectedYear += delta;
+	selectedDayKey = null;
+	renderYearGrid();
+};
+
+/**
+ * Renders the year heatmap
+ *
+ * Listeners are attached once; each render replaces the slices they read.
+ *
+ * @param {Array<Object>} slices - Day slices of all (tag-filtered) entries,
+ *   unclipped, with rounding applied
+ * @returns {void}
+ */
+export const renderYearHeatmap = (slices) => {
+	const grid = document.getElementById("year-heatmap");
+	if (!grid) return;
+	currentSlices = slices;
+
+	if (!grid.dataset.calendarReady) {
+		grid.addEventListener("click", handleDayClick);
+		document
+			.getElementById("year-heatmap-prev")
+			?.addEventListener("click", () => shiftYear(-1));
+		document
+			.getElementById("year-heatmap-next")
+			?.addEventListener("click", () => shiftYear(1));
+		grid.dataset.calendarReady = "true";
+	}
+
+	renderYearGrid();
+};
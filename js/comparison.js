@@ -0,0 +1,79 @@
+/**
+ * Period-over-period comparison for reports
+ *
+ * ROLE IN ARCHITECTURE:
+ * Puts the Reports tab's numbers in context: each summary card shows its
+ * change against the previous period of equal length (getPreviousRange()
+ * in ranges.js), and a table lists which projects grew or shrank. Pure
+ * functions - reports.js computes both periods' statistics and owns the
+ * DOM.
+ *
+ * WHICH PERIOD:
+ * "Last 7 Days" is compared with the 7 days before it, a custom range of
+ * 19 days with the 19 days before its first day. Today's hours are compared
+ * with the day one period earlier (for "Last 7 Days": the same weekday last
+ * week).
+ *
+ * @module comparison
+ */
+
+import { getRangeDays } from "./ranges.js";
+import { sumSlicesBy } from "./aggregation.js";
+
+/**
+ * Names the period a range is compared with
+ *
+ * @param {{from: Date, to: Date}} range - Selected range
+ * @returns {string} e.g. "previous day", "previous 7 days"
+ */
+export const describePreviousPeriod = (range) => {
+	const days = getRangeDays(range).length;
+	return days === 1 ? "previous day" : `previous ${days} days`;
+};
+
+/**
+ * Formats a change with its sign
+ *
+ * Changes that round to zero are shown as "±0", so a card never reads
+ * "+0.0 h" or "-0.0 h".
+ *
+ * @param {number} delta - Current minus previous value
+ * @param {string} [unit=""] - Appended unit, e.g. " h"
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} e.g. "+3.2 h", "-1.0 h", "±0 h", "+2"
+ */
+export const formatDelta = (delta, unit = "", decimals = 1) => {
+	const rounded = Number(delta.toFixed(decimals));
+	if (rounded === 0) return `±0${unit}`;
+	return `${rounded > 0 ? "+" : "-"}${Math.abs(rounded).toFixed(decimals)}${unit}`;
+};
+
+/**
+ * Compares time per project between two periods
+ *
+ * @param {Array<Object>} slices - Day slices of the selected range
+ * @param {Array<Object>} previousSlices - Day slices of the previous range
+ * @returns {Array<{project: string, currentMs: number, previousMs: number,
+ *   deltaMs: number, change: number|null}>} Every project with time in
+ *   either period, most grown first. change is the relative change (0.25 =
+ *   +25%), or null for projects without time in the previous period
+ */
+export const compareProjectTotals = (slices, previousSlices) => {
+	const current = sumSlicesBy(slices, (slice) => slice.entry.project);
+	const previous = sumSlicesBy(previousSlices, (slice) => slice.entry.project);
+	const projects = new Set([...Object.keys(current), ...Object.keys(previous)]);
+
+	return [...projects]
+		.map((project) => {
+			const currentMs = current[project] || 0;
+			const previousMs = previous[project] || 0;
+			return {
+				project,
+				currentMs,
+				previousMs,
+				deltaMs: currentMs - previousMs,
+				change: previousMs > 0 ? (currentMs - previousMs) / previousMs : null,
+			};
+		})
+		.sort((a, b) => b.deltaMs - a.deltaMs || a.project.localeCompare(b.project));
+};
@@ -20,6 +20,10 @@
  * - Long names break UI layout and make reports messy
  * - 100 chars is generous (most tasks are <30 chars)
  *
+ * MAX_TAGS (10) / MAX_TAG_LENGTH (30 characters):
+ * - Limits for #tags on a timer or entry (see tags.js)
+ * - Must match MAX_TAGS and TAG_PATTERN in server.cjs
+ *
  * NOTIFICATION_DURATION (4000ms = 4 seconds):
  * - How long success/info notifications stay visible
  * - Shorter = less intrusive but might miss important info
@@ -31,6 +35,35 @@
  * - Weekly view is most useful for personal productivity tracking
  * - Can be extended, but more days = smaller bars in chart
  *
+ * REPORT_DAILY_BUCKET_MAX_DAYS (31) / REPORT_WEEKLY_BUCKET_MAX_DAYS (182):
+ * - Ranges up to a month get one bar per day, up to ~6 months one per week,
+ *   longer ranges one per month
+ * - Keeps the bar chart between a handful and ~30 readable bars
+ *
+ * INVOICE_HOURS_DECIMALS (2):
+ * - Invoice lines bill hours rounded to hundredths (0.01 h = 36 seconds)
+ * - Line amounts are priced from the rounded hours so totals add up on paper
+ *
+ * MAX_ROUNDING_INCREMENT_MINUTES (60):
+ * - Largest increment the time rounding setting accepts (see rounding.js)
+ * - Must match MAX_ROUNDING_INCREMENT_MINUTES in server.cjs
+ *
+ * MAX_IDLE_MINUTES (480 minutes = 8 hours):
+ * - Largest idle threshold the settings accept (see idle.js)
+ * - Must match MAX_IDLE_MINUTES in server.cjs
+ *
+ * HISTORY_PAGE_SIZE (50 entries):
+ * - How many past entries the History tab renders before "Show more"
+ * - Keeps the DOM small even with years of history
+ *
+ * AUTOCOMPLETE_MAX_RESULTS (8 suggestions):
+ * - How many ranked suggestions the topic autocomplete shows at once
+ * - Enough to scan at a glance; typing narrows the list further
+ *
+ * OFFLINE_RETRY_INTERVAL (5000ms = 5 seconds):
+ * - How often /api/health is polled while offline writes are queued
+ * - A restarted local server is usually back within seconds
+ *
  * IMPACT OF CHANGES:
  * - Changing time constants affects all duration calculations
  * - Changing MAX_INPUT_LENGTH requires updating sanitizeInput() logic
@@ -55,7 +88,17 @@ export const CONSTANTS = {
 	MS_PER_HOUR: 3600000,
 	MS_PER_DAY: 86400000,
 	MAX_INPUT_LENGTH: 100,
+	MAX_TAGS: 10, // Tags per timer or entry
+	MAX_TAG_LENGTH: 30, // Characters per tag (without "#")
 	REPORT_DAYS_DEFAULT: 7,
+	REPORT_DAILY_BUCKET_MAX_DAYS: 31, // Longer ranges use weekly bars
+	REPORT_WEEKLY_BUCKET_MAX_DAYS: 182, // Longer ranges use monthly bars
+	HISTORY_PAGE_SIZE: 50, // Entries rendered per "Show more" page
+	AUTOCOMPLETE_MAX_RESULTS: 8, // Suggestions shown under a topic input
+	INVOICE_HOURS_DECIMALS: 2, // Hours on invoice lines are rounded to this
+	MAX_ROUNDING_INCREMENT_MINUTES: 60, // Largest time rounding increment
+	MAX_IDLE_MINUTES: 480, // Largest idle detection threshold
+	OFFLINE_RETRY_INTERVAL: 5000, // Health check interval while writes are queued
 	TIMER_UPDATE_INTERVAL: 1000, // Update every second
 	NOTIFICATION_DURATION: 4000, // 4 seconds
 	NOTIFICATION_FADE_DURATION: 300, // Animation duration in milliseconds
@@ -77,9 +120,9 @@ export const CONSTANTS = {
  * - Matches Tailwind CSS design system (indigo, orange, green, etc.)
  *
  * COLOR ASSIGNMENT:
- * Colors are assigned to projects in alphabetical order.
- * Same project always gets same color (deterministic).
- * If more than 10 projects, colors repeat (modulo).
+ * Colors are assigned by position (getDistinctColors), e.g. to the tasks
+ * of a drilled-down project. If more than 10 are needed, colors repeat.
+ * Projects are coloured by name instead (PROJECT_COLORS below).
  *
  * IMPACT: Changing colors affects all charts. Choose carefully for accessibility.
  *
@@ -98,3 +141,36 @@ export const CHART_COLORS = [
 	"#06b6d4",
 	"#84cc16",
 ];
+
+/**
+ * Extended palette for project colours
+ *
+ * COLOR ASSIGNMENT:
+ * getProjectColor() (utils.js) hashes the project name into this list, so
+ * a project keeps its colour on timer headers, charts, the day timeline and
+ * exports, no matter which other projects are shown. With 20 colours two
+ * projects can still share one; users can pick another colour for a
+ * project in the Settings tab (settings.projectColors).
+ *
+ * Starts with CHART_COLORS, followed by darker shades of the same
+ * Tailwind families. Lowercase, like the colours the server accepts.
+ *
+ * IMPACT: Changing the order or length moves projects without a chosen
+ * colour to different colours.
+ *
+ * @constant
+ * @type {string[]}
+ */
+export const PROJECT_COLORS = [
+	...CHART_COLORS,
+	"#0d9488",
+	"#be123c",
+	"#65a30d",
+	"#7c3aed",
+	"#0284c7",
+	"#c2410c",
+	"#a21caf",
+	"#15803d",
+	"#b45309",
+	"#475569",
+];
@@ -0,0 +1,270 @@
+/**
+ * Historical entry helpers
+ *
+ * ROLE IN ARCHITECTURE:
+ * Pure functions for building and editing historical entries. Shared by the
+ * History view (editing past entries) and the manual entry form (backfilling
+ * time that wasn't tracked live). No DOM access, no server calls - easy to
+ * unit test.
+ *
+ * ENTRY SHAPE:
+ * Every entry produced here has the same shape stopTimer() builds, so the
+ * server's validateHistoricalEntries() rules accept it:
+ * { id, project, task, totalDurationMs, durationSeconds, endTime, createdAt, notes, segments }
+ * Manually logged entries additionally carry source: "manual" (or
+ * "timesheet" when entered in the Timesheet tab, "idle" when split off from
+ * idle time, see idle.js). Entries with
+ * tags carry tags: ["client-a", ...] (see tags.js); untagged entries omit it.
+ * Billable entries carry billable: true (see billing.js).
+ *
+ * SEGMENTS:
+ * segments: [{ start, end }] records when the work actually happened (one
+ * segment per run between pauses). Entries recorded before segments existed
+ * don't have them - always read them through getEntrySegments().
+ *
+ * DATE INPUTS:
+ * <input type="datetime-local"> works with local "YYYY-MM-DDTHH:mm" strings,
+ * while entries store ISO 8601 UTC strings. toDateTimeLocalValue() and
+ * parseDateTimeLocalValue() convert between the two.
+ *
+ * MINUTE PRECISION:
+ * datetime-local inputs drop seconds. resolveEditedTime() keeps the original
+ * timestamp when the user didn't touch a field, so editing only the notes
+ * doesn't silently truncate an entry's start or end to the minute.
+ *
+ * @module entries
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { generateUUID, pad2 } from "./utils.js";
+
+// Values of an entry's source field (absent for entries recorded by a timer)
+export const MANUAL_SOURCE = "manual"; // Logged in "Log Past Time"
+export const TIMESHEET_SOURCE = "timesheet"; // Typed into the Timesheet tab
+export const IDLE_SOURCE = "idle"; // Split off from idle time (idle.js)
+
+/**
+ * Formats a date as a local "YYYY-MM-DDTHH:mm" string for datetime-local inputs
+ *
+ * @param {Date|string} date - Date object or ISO string
+ * @returns {string} Local datetime string, or "" if the date is invalid
+ */
+export const toDateTimeLocalValue = (date) => {
+	const d = new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(
+		d.getDate()
+	)}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+};
+
+/**
+ * Parses a local "YYYY-MM-DDTHH:mm" string from a datetime-local input
+ *
+ * @param {string} value - Input value
+ * @returns {Date|null} Date in local time, or null if empty/invalid
+ */
+export const parseDateTimeLocalValue = (value) => {
+	if (typeof value !== "string") return null;
+	const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+	if (!match) return null;
+	const [, y, mo, d, h, mi] = match.map(Number);
+	const date = new Date(y, mo - 1, d, h, mi);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Resolves the value of an edited datetime-local field
+ *
+ * If the input still shows the original timestamp (to the minute), the
+ * original is returned unchanged so seconds aren't lost.
+ *
+ * @param {string} inputValue - Current datetime-local input value
+ * @param {Date|string} original - Original timestamp
+ * @returns {Date|null} Resolved date, or null if the input is invalid
+ */
+export const resolveEditedTime = (inputValue, original) => {
+	if (inputValue === toDateTimeLocalValue(original)) {
+		return new Date(original);
+	}
+	return parseDateTimeLocalValue(inputValue);
+};
+
+/**
+ * Parses a duration typed by the user
+ *
+ * Accepts "H:MM" (1:30), hours and/or minutes with units (1h 30m, 1.5h, 90m)
+ * or a bare number of minutes (90).
+ *
+ * @param {string} value - Duration input value
+ * @returns {number|null} Duration in milliseconds, or null if invalid or zero
+ */
+export const parseDurationInput = (value) => {
+	if (typeof value !== "string") return null;
+	const text = value.trim().toLowerCase();
+	let minutes = null;
+
+	const clock = text.match(/^(\d+):([0-5]\d)$/);
+	const units = text.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+(?:\.\d+)?)\s*m)?$/);
+	if (clock) {
+		minutes = Number(clock[1]) * 60 + Number(clock[2]);
+	} else if (/^\d+(?:\.\d+)?$/.test(text)) {
+		minutes = Number(text);
+	} else if (units && (units[1] || units[2])) {
+		minutes = Number(units[1] || 0) * 60 + Number(units[2] || 0);
+	}
+
+	if (minutes === null || !(minutes > 0)) return null;
+	return Math.round(minutes * CONSTANTS.MS_PER_MINUTE);
+};
+
+/**
+ * Checks that a start/end pair describes a valid, completed time range
+ *
+ * Entries record work that already happened, so ranges ending in the
+ * future are rejected.
+ *
+ * @param {Date|null} start - Range start
+ * @param {Date|null} end - Range end
+ * @param {Date} [now=new Date()] - Current time (injectable for tests)
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateEntryTimes = (start, end, now = new Date()) => {
+	if (!start || isNaN(start.getTime())) return "Please enter a valid start time.";
+	if (!end || isNaN(end.getTime())) return "Please enter a valid end time.";
+	if (end.getTime() <= start.getTime()) {
+		return "End time must be after the start time.";
+	}
+	if (end.getTime() > now.getTime()) {
+		return "End time cannot be in the future.";
+	}
+	return null;
+};
+
+/**
+ * Computes both duration fields for an entry
+ *
+ * @param {number} totalDurationMs - Duration in milliseconds
+ * @returns {{totalDurationMs: number, durationSeconds: number}} Duration fields
+ */
+export const getDurationFields = (totalDurationMs) => ({
+	totalDurationMs,
+	durationSeconds: Math.round(totalDurationMs / CONSTANTS.MS_PER_SECOND),
+});
+
+/**
+ * Returns the time segments an entry covers
+ *
+ * Entries recorded before segments were tracked are treated as one
+ * continuous segment from createdAt to endTime.
+ *
+ * @param {Object} entry - Historical entry
+ * @returns {Array<{start: Date, end: Date}>} Segments as Date objects
+ */
+export const getEntrySegments = (entry) => {
+	if (Array.isArray(entry.segments) && entry.segments.length > 0) {
+		return entry.segments.map((segment) => ({
+			start: new Date(segment.start),
+			end: new Date(segment.end),
+		}));
+	}
+	return [{ start: new Date(entry.createdAt), end: new Date(entry.endTime) }];
+};
+
+/**
+ * Builds the change set for an edited historical entry
+ *
+ * Only fields that actually changed are included, so the server receives
+ * the smallest possible PATCH. If start or end moved, the duration fields
+ * are recomputed from the new range and any recorded pause segments are
+ * replaced by a single segment covering it.
+ *
+ * @param {Object} entry - Original historical entry
+ * @param {Object} edited - Edited values
+ * @param {string} edited.project - Project name
+ * @param {string} edited.task - Task name
+ * @param {Date} edited.start - Start time
+ * @param {Date} edited.end - End time
+ * @param {string} edited.notes - Notes
+ * @param {Array<string>} [edited.tags] - Normalized tags (omit to leave as is)
+ * @param {boolean} [edited.billable] - Billable flag (omit to leave as is)
+ * @returns {Object} Changed fields (empty object if nothing changed)
+ */
+export const buildEntryChanges = (entry, edited) => {
+	const changes = {};
+	if (edited.project !== entry.project) changes.project = edited.project;
+	if (edited.task !== entry.task) changes.task = edited.task;
+	if (edited.notes !== (entry.notes || "")) changes.notes = edited.notes;
+	if (
+		edited.tags &&
+		edited.tags.join(" ") !== (entry.tags || []).join(" ")
+	) {
+		changes.tags = edited.tags;
+	}
+	if (
+		edited.billable !== undefined &&
+		edited.billable !== (entry.billable === true)
+	) {
+		changes.billable = edited.billable;
+	}
+
+	const startChanged =
+		edited.start.getTime() !== new Date(entry.createdAt).getTime();
+	const endChanged = edited.end.getTime() !== new Date(entry.endTime).getTime();
+	if (startChanged || endChanged) {
+		changes.createdAt = edited.start.toISOString();
+		changes.endTime = edited.end.toISOString();
+		Object.assign(
+			changes,
+			getDurationFields(edited.end.getTime() - edited.start.getTime())
+		);
+		if (entry.segments) {
+			changes.segments = [{ start: changes.createdAt, end: changes.endTime }];
+		}
+	}
+	return changes;
+};
+
+/**
+ * Builds a new manually logged historical entry
+ *
+ * Produces the same shape stopTimer() builds, tagged with source: "manual"
+ * (or the given source) so reports and exports can tell backfilled time from
+ * live-tracked time.
+ *
+ * @param {Object} fields - Entry values
+ * @param {string} fields.project - Project name
+ * @param {string} fields.task - Task name
+ * @param {Date} fields.start - Start time
+ * @param {Date} fields.end - End time
+ * @param {string} [fields.notes] - Notes
+ * @param {Array<string>} [fields.tags] - Normalized tags
+ * @param {boolean} [fields.billable] - Whether the time is billable
+ * @param {string} [fields.source="manual"] - How the entry was created
+ *   ("manual", "timesheet" or "idle")
+ * @returns {Object} Historical entry
+ */
+export const buildManualEntry = ({
+	project,
+	task,
+	start,
+	end,
+	notes = "",
+	tags = [],
+	billable = false,
+	source = MANUAL_SOURCE,
+}) => {
+	const entry = {
+		id: generateUUID(),
+		project,
+		task,
+		...getDurationFields(end.getTime() - start.getTime()),
+		endTime: end.toISOString(),
+		createdAt: start.toISOString(),
+		notes,
+		segments: [{ start: start.toISOString(), end: end.toISOString() }],
+		source,
+	};
+	if (tags.length > 0) entry.tags = tags;
+	if (billable) entry.billable = true;
+	return entry;
+};
@@ -0,0 +1,222 @@
+/**
+ * Weekly work pattern heatmap
+ *
+ * ROLE IN ARCHITECTURE:
+ * Draws the Reports tab's day-of-week × hour-of-day heatmap: seven rows
+ * (Monday first, like the timesheet) of 24 hourly cells, darker the more
+ * time was tracked in that hour across the selected range. Fed by hour
+ * slices (aggregation.js), so a session from 09:40 to 11:10 colours three
+ * cells by the minutes actually spent in each.
+ *
+ * WHY PLAIN CANVAS:
+ * The original heatmap used Cal-Heatmap, which needs D3. A 7 × 24 grid is a
+ * few fillRect() calls, so this draws it directly on a <canvas> - no extra
+ * vendored library, and nothing for destroyReportCharts() to clean up.
+ *
+ * TOOLTIP:
+ * Hovering a cell shows its weekday, hour and total hours in
+ * #weekly-heatmap-tooltip. The canvas listeners are attached once; each
+ * render replaces the matrix they read.
+ *
+ * @module heatmap
+ */
+
+import { CONSTANTS } from "./constants.js";
+
+// Row labels (Monday first) and the names used in tooltips
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const WEEKDAY_NAMES = [
+	"Monday",
+	"Tuesday",
+	"Wednesday",
+	"Thursday",
+	"Friday",
+	"Saturday",
+	"Sunday",
+];
+const HOURS_PER_DAY = 24;
+
+// Layout in CSS pixels
+const LABEL_WIDTH = 40; // Weekday labels on the left
+const HEADER_HEIGHT = 20; // Hour labels on top
+const CELL_HEIGHT = 28;
+const CELL_GAP = 2;
+const HOUR_LABEL_STEP = 3; // Label every third hour
+const FALLBACK_WIDTH = 640; // If the canvas isn't laid out yet
+
+// Colour scale: empty cells, then light to dark indigo
+const EMPTY_COLOR = "#f3f4f6";
+const LOW_COLOR = [224, 231, 255]; // indigo-100
+const HIGH_COLOR = [67, 56, 202]; // indigo-700
+
+/**
+ * Matrix the canvas listeners read (replaced on every render)
+ */
+let currentMatrix = null;
+
+/**
+ * Sums hour slices into a weekday × hour matrix
+ *
+ * @param {Array<Object>} slices - Hour slices (with `weekday` and `hour`)
+ * @returns {Array<Array<number>>} 7 rows (Monday first) of 24 hourly totals
+ *   in milliseconds
+ */
+export const buildWeekdayHourMatrix = (slices) => {
+	const matrix = WEEKDAY_LABELS.map(() => new Array(HOURS_PER_DAY).fill(0));
+	slices.forEach((slice) => {
+		// getDay(): Sunday = 0, so shift to make Monday row 0
+		matrix[(slice.weekday + 6) % 7][slice.hour] += slice.durationMs;
+	});
+	return matrix;
+};
+
+/**
+ * Returns the fill colour for a cell
+ *
+ * @param {number} ms - Time tracked in the cell
+ * @param {number} maxMs - Largest cell of the matrix
+ * @returns {string} CSS colour (EMPTY_COLOR for no time)
+ */
+export const getHeatmapColor = (ms, maxMs) => {
+	if (!(ms > 0) || !(maxMs > 0)) return EMPTY_COLOR;
+	const share = Math.min(ms / maxMs, 1);
+	const [r, g, b] = LOW_COLOR.map((low, i) =>
+		Math.round(low + (HIGH_COLOR[i] - low) * share)
+	);
+	return `rgb(${r}, ${g}, ${b})`;
+};
+
+/**
+ * Describes one cell for the tooltip
+ *
+ * @param {number} row - Weekday row (0 = Monday)
+ * @param {number} hour - Hour of day (0-23)
+ * @param {number} ms - Time tracked in the cell
+ * @returns {string} e.g. "Tuesday 14:00–15:00: 1.50 h"
+ */
+export const formatHeatmapTooltip = (row, hour, ms) => {
+	const formatHour = (h) => `${h < 10 ? "0" : ""}${h}:00`;
+	const hours = (ms / CONSTANTS.MS_PER_HOUR).toFixed(2);
+	return `${WEEKDAY_NAMES[row]} ${formatHour(hour)}–${formatHour(
+		(hour + 1) % HOURS_PER_DAY
+	)}: ${hours} h`;
+};
+
+/**
+ * Returns the width of one hour column
+ *
+ * @param {number} width - Canvas width in CSS pixels
+ * @returns {number} Column width
+ */
+const getCellWidth = (width) => (width - LABEL_WIDTH) / HOURS_PER_DAY;
+
+/**
+ * Finds the cell under a point of the canvas
+ *
+ * @param {number} x - X in CSS pixels
+ * @param {number} y - Y in CSS pixels
+ * @param {number} width - Canvas width in CSS pixels
+ * @returns {{row: number, hour: number}|null} Cell, or null outside the grid
+ */
+const getCellAt = (x, y, width) => {
+	if (x < LABEL_WIDTH || y < HEADER_HEIGHT) return null;
+	const hour = Math.floor((x - LABEL_WIDTH) / getCellWidth(width));
+	const row = Math.floor((y - HEADER_HEIGHT) / CELL_HEIGHT);
+	if (hour >= HOURS_PER_DAY || row >= WEEKDAY_LABELS.length) return null;
+	return { row, hour };
+};
+
+/**
+ * Shows or hides the tooltip for the cell under the mouse
+ *
+ * @param {MouseEvent} e - mousemove or mouseleave event
+ * @returns {void}
+ */
+const handleHeatmapHover = (e) => {
+	const tooltip = document.getElementById("weekly-heatmap-tooltip");
+	if (!tooltip) return;
+
+	const canvas = e.currentTarget;
+	const rect = canvas.getBoundingClientRect();
+	const x = e.clientX - rect.left;
+	const y = e.clientY - rect.top;
+	const cell =
+		e.type === "mousemove" && currentMatrix
+			? getCellAt(x, y, rect.width)
+			: null;
+
+	if (!cell) {
+		tooltip.classList.add("hidden");
+		return;
+	}
+	tooltip.textContent = formatHeatmapTooltip(
+		cell.row,
+		cell.hour,
+		currentMatrix[cell.row][cell.hour]
+	);
+	tooltip.style.left = `${canvas.offsetLeft + x + 12}px`;
+	tooltip.style.top = `${canvas.offsetTop + y + 12}px`;
+	tooltip.classList.remove("hidden");
+};
+
+/**
+ * Draws the heatmap on a canvas
+ *
+ * Sizes the canvas to its container (sharp on high-DPI screens) and keeps
+ * the matrix for the hover tooltip.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<Array<number>>} matrix - From buildWeekdayHourMatrix()
+ * @returns {void}
+ */
+export const renderWeeklyHeatmap = (canvas, matrix) => {
+	if (!canvas) return;
+	currentMatrix = matrix;
+
+	if (!canvas.dataset.heatmapReady) {
+		canvas.addEventListener("mousemove", handleHeatmapHover);
+		canvas.addEventListener("mouseleave", handleHeatmapHover);
+		canvas.dataset.heatmapReady = "true";
+	}
+
+	const width = canvas.parentElement?.clientWidth || FALLBACK_WIDTH;
+	const height = HEADER_HEIGHT + WEEKDAY_LABELS.length * CELL_HEIGHT;
+	const ratio = window.devicePixelRatio || 1;
+	canvas.width = width * ratio;
+	canvas.height = height * ratio;
+	canvas.style.width = `${width}px`;
+	canvas.style.height = `${height}px`;
+
+	const ctx = canvas.getContext("2d");
+	if (!ctx?.fillRect) return;
+	ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+	ctx.clearRect(0, 0, width, height);
+	ctx.font = "11px sans-serif";
+	ctx.fillStyle = "#6b7280";
+	ctx.textBaseline = "middle";
+
+	const cellWidth = getCellWidth(width);
+	for (let hour = 0; hour < HOURS_PER_DAY; hour += HOUR_LABEL_STEP) {
+		ctx.fillText(
+			String(hour),
+			LABEL_WIDTH + hour * cellWidth,
+			HEADER_HEIGHT / 2
+		);
+	}
+
+	const maxMs = Math.max(...matrix.flat());
+	matrix.forEach((hours, row) => {
+		const y = HEADER_HEIGHT + row * CELL_HEIGHT;
+		ctx.fillStyle = "#6b7280";
+		ctx.fillText(WEEKDAY_LABELS[row], 0, y + CELL_HEIGHT / 2);
+		hours.forEach((ms, hour) => {
+			ctx.fillStyle = getHeatmapColor(ms, maxMs);
+			ctx.fillRect(
+				LABEL_WIDTH + hour * cellWidth,
+				y,
+				cellWidth - CELL_GAP,
+				CELL_HEIGHT - CELL_GAP
+			);
+		});
+	});
+};
@@ -0,0 +1,503 @@
+/**
+ * History view - browse, edit and delete past entries
+ *
+ * ROLE IN ARCHITECTURE:
+ * Renders the History tab and owns the "Edit Entry" modal. It is the only
+ * place where completed entries (state.historicalEntries) are changed after
+ * stopTimer() created them.
+ *
+ * UI UPDATE FLOW (same pattern as toggleTimer in ui.js):
+ * User edits entry → Mutate state → updateEntryOnServer() → Re-render
+ * On server failure the entry is restored from a backup copy (rollback).
+ *
+ * WHAT CAN BE EDITED:
+ * - Project, task, notes, tags and the billable flag
+ * - Start and end time (duration fields are recomputed from the new range)
+ * Only the changed fields are sent (PATCH /api/entries/:id).
+ *
+ * "Continue" on a row starts a new timer for the entry's task, tags and
+ * billable flag (continueEntry() in ui.js).
+ *
+ * Billed entries show their invoice number and can't be deleted; only their
+ * notes and tags stay editable. Invoices themselves are created from the
+ * "Create Invoice" button here (see invoices.js).
+ *
+ * LIST RENDERING:
+ * Entries are shown newest first, grouped by local calendar day. Only
+ * HISTORY_PAGE_SIZE entries render at once; "Show more" extends the list.
+ * Years of history would otherwise mean thousands of DOM rows.
+ *
+ * @module history
+ */
+
+import { state } from "./state.js";
+import { updateEntryOnServer, deleteEntryOnServer } from "./api.js";
+import { formatDuration, sanitizeInput, showNotification } from "./utils.js";
+import { CONSTANTS } from "./constants.js";
+import {
+	toDateTimeLocalValue,
+	resolveEditedTime,
+	validateEntryTimes,
+	buildEntryChanges,
+} from "./entries.js";
+import { populateSuggestions, continueEntry } from "./ui.js";
+import { parseTagsInput, formatTags } from "./tags.js";
+import { isBillable, isInvoiced, formatInvoiceNumber } from "./billing.js";
+
+/**
+ * Number of entries currently rendered in the history list
+ */
+let visibleCount = CONSTANTS.HISTORY_PAGE_SIZE;
+
+/**
+ * Modal state for tracking which entry is being edited
+ */
+let currentEditingEntryId = null;
+
+/**
+ * Edit modal fields that are on the invoice once an entry is billed
+ */
+const BILLED_FIELD_IDS = [
+	"entry-modal-project",
+	"entry-modal-task",
+	"entry-modal-start",
+	"entry-modal-end",
+	"entry-modal-billable",
+];
+
+/**
+ * Called after the edited entry was saved or deleted, so a view other than
+ * History that opened the modal (e.g. the day timeline) can redraw
+ */
+let onEditorChange = null;
+
+/**
+ * Returns historical entries sorted newest first (by end time)
+ *
+ * @returns {Array<Object>} Sorted copy of state.historicalEntries
+ */
+const getSortedEntries = () =>
+	[...state.historicalEntries].sort(
+		(a, b) => new Date(b.endTime).getTime() - new Date(a.endTime).getTime()
+	);
+
+/**
+ * Formats a timestamp as a short local time (e.g. "09:30")
+ *
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} Local time string
+ */
+const formatTime = (date) =>
+	new Date(date).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Creates one row of the history list
+ *
+ * @param {Object} entry - Historical entry
+ * @returns {HTMLElement} Row element
+ */
+const createHistoryRow = (entry) => {
+	const row = document.createElement("div");
+	row.className =
+		"history-row flex items-center gap-3 px-4 py-3 rounded-lg elevation-1 border border-gray-200 bg-white";
+	row.setAttribute("data-entry-id", entry.id || "");
+
+	const timeSpan = document.createElement("span");
+	timeSpan.className = "flex-shrink-0 text-xs font-mono text-gray-500 w-28";
+	timeSpan.textContent = `${formatTime(entry.createdAt)}–${formatTime(
+		entry.endTime
+	)}`;
+
+	const textWrapper = document.createElement("div");
+	textWrapper.className = "flex-1 min-w-0";
+
+	const title = document.createElement("p");
+	title.className = "text-sm font-medium text-gray-800 truncate";
+	title.textContent = `${entry.project} / ${entry.task}`;
+	if (isBillable(entry)) {
+		const billableIcon = document.createElement("span");
+		billableIcon.className = "material-icons align-middle ml-1 text-sm text-emerald-600";
+		billableIcon.title = "Billable";
+		billableIcon.textContent = "paid";
+		title.appendChild(billableIcon);
+	}
+	if (isInvoiced(entry)) {
+		const invoiceBadge = document.createElement("span");
+		invoiceBadge.className = "ml-2 text-xs font-normal text-gray-500";
+		invoiceBadge.title = "Already billed on this invoice";
+		invoiceBadge.textContent = formatInvoiceNumber(entry.invoiceNumber);
+		title.appendChild(invoiceBadge);
+	}
+	textWrapper.appendChild(title);
+
+	if (entry.notes) {
+		const notes = document.createElement("p");
+		notes.className = "text-xs text-gray-500 truncate";
+		notes.textContent = entry.notes;
+		textWrapper.appendChild(notes);
+	}
+
+	if (entry.tags?.length) {
+		const tags = document.createElement("p");
+		tags.className = "text-xs text-indigo-600 truncate";
+		tags.textContent = formatTags(entry.tags);
+		textWrapper.appendChild(tags);
+	}
+
+	const durationSpan = document.createElement("span");
+	durationSpan.className =
+		"duration flex-shrink-0 text-sm font-mono text-gray-700 w-20 text-right";
+	durationSpan.textContent = formatDuration(entry.durationSeconds);
+
+	const actionButtons = document.createElement("div");
+	actionButtons.className = "action-buttons flex items-center gap-2 flex-shrink-0";
+	actionButtons.innerHTML = `
+		<button data-action="continue" class="bg-emerald-600 hover:bg-emerald-700 text-white text-xs px-2.5 py-1.5 rounded transition duration-150 shadow-sm">Continue</button>
+		<button data-action="edit" class="bg-indigo-500 hover:bg-indigo-600 text-white text-xs px-2.5 py-1.5 rounded transition duration-150 shadow-sm">Edit</button>
+		<button data-action="delete" class="bg-gray-400 hover:bg-gray-500 text-white text-xs px-2.5 py-1.5 rounded transition duration-150 shadow-sm">Delete</button>
+	`;
+
+	actionButtons
+		.querySelector('[data-action="continue"]')
+		.addEventListener("click", () => continueEntry(entry));
+
+	// Billed entries stay on their invoice
+	if (isInvoiced(entry)) {
+		actionButtons.querySelector('[data-action="delete"]').classList.add("hidden");
+	}
+
+	// Entries without an id can't be addressed by the server
+	if (entry.id) {
+		actionButtons
+			.querySelector('[data-action="edit"]')
+			.addEventListener("click", () => openEntryEditor(entry.id));
+		actionButtons
+			.querySelector('[data-action="delete"]')
+			.addEventListener("click", () => deleteHistoricalEntry(entry.id));
+	} else {
+		actionButtons
+			.querySelectorAll('[data-action="edit"], [data-action="delete"]')
+			.forEach((btn) => (btn.disabled = true));
+	}
+
+	row.appendChild(timeSpan);
+	row.appendChild(textWrapper);
+	row.appendChild(durationSpan);
+	row.appendChild(actionButtons);
+	return row;
+};
+
+/**
+ * Renders the History tab
+ *
+ * Lists the most recent entries grouped by local day, newest first, and
+ * shows a "Show more" button while older entries remain hidden.
+ *
+ * @returns {void}
+ */
+export const renderHistoryView = () => {
+	const listEl = document.getElementById("history-list");
+	const emptyEl = document.getElementById("history-empty");
+	const loadMoreBtn = document.getElementById("history-load-more");
+	const countEl = document.getElementById("history-count");
+	if (!listEl) return;
+
+	const entries = getSortedEntries();
+	listEl.innerHTML = "";
+	if (countEl) countEl.textContent = entries.length;
+
+	if (entries.length === 0) {
+		emptyEl?.classList.remove("hidden");
+		loadMoreBtn?.classList.add("hidden");
+		return;
+	}
+	emptyEl?.classList.add("hidden");
+
+	let currentDayKey = null;
+	let dayGroup = null;
+	entries.slice(0, visibleCount).forEach((entry) => {
+		const endTime = new Date(entry.endTime);
+		const dayKey = endTime.toLocaleDateString();
+		if (dayKey !== currentDayKey) {
+			currentDayKey = dayKey;
+			const heading = document.createElement("h3");
+			heading.className =
+				"text-sm font-semibold text-gray-600 uppercase tracking-wide mt-4 mb-2";
+			heading.textContent = endTime.toLocaleDateString("en-US", {
+				weekday: "long",
+				year: "numeric",
+				month: "short",
+				day: "numeric",
+			});
+			dayGroup = document.createElement("div");
+			dayGroup.className = "space-y-2";
+			listEl.appendChild(heading);
+			listEl.appendChild(dayGroup);
+		}
+		dayGroup.appendChild(createHistoryRow(entry));
+	});
+
+	loadMoreBtn?.classList.toggle("hidden", entries.length <= visibleCount);
+};
+
+/**
+ * Shows the next page of older entries
+ *
+ * @returns {void}
+ */
+export const showMoreHistory = () => {
+	visibleCount += CONSTANTS.HISTORY_PAGE_SIZE;
+	renderHistoryView();
+};
+
+/**
+ * Shows a validation message inside the entry modal
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setEntryModalError = (message) => {
+	const errorEl = document.getElementById("entry-modal-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Opens the edit modal for a historical entry
+ *
+ * Fills the form with the entry's project, task, start/end (as local
+ * datetime values), notes, tags and billable flag. For an invoiced entry
+ * only notes and tags stay editable and Delete is hidden, as the server
+ * rejects anything else (409).
+ *
+ * @param {string} entryId - Id of the entry to edit
+ * @param {function(): void} [onChange] - Called after the entry was saved
+ *   or deleted
+ * @returns {void}
+ */
+export const openEntryEditor = (entryId, onChange = null) => {
+	const entry = state.historicalEntries.find((e) => e.id === entryId);
+	if (!entry) return;
+
+	currentEditingEntryId = entryId;
+	onEditorChange = onChange;
+	document.getElementById("entry-modal-project").value = entry.project;
+	document.getElementById("entry-modal-task").value = entry.task;
+	document.getElementById("entry-modal-start").value = toDateTimeLocalValue(
+		entry.createdAt
+	);
+	document.getElementById("entry-modal-end").value = toDateTimeLocalValue(
+		entry.endTime
+	);
+	document.getElementById("entry-modal-notes").value = entry.notes || "";
+	document.getElementById("entry-modal-tags").value = formatTags(entry.tags);
+	document.getElementById("entry-modal-billable").checked = isBillable(entry);
+	setEntryModalError("");
+
+	const invoiced = isInvoiced(entry);
+	BILLED_FIELD_IDS.forEach((id) => {
+		document.getElementById(id).disabled = invoiced;
+	});
+	document.getElementById("entry-modal-delete")?.classList.toggle("hidden", invoiced);
+
+	document.getElementById("entry-modal").classList.add("active");
+	document.getElementById("entry-modal-backdrop").classList.add("active");
+	document
+		.getElementById(invoiced ? "entry-modal-notes" : "entry-modal-project")
+		.focus();
+};
+
+/**
+ * Closes the edit modal without saving
+ *
+ * @returns {void}
+ */
+export const closeEntryEditor = () => {
+	document.getElementById("entry-modal")?.classList.remove("active");
+	document.getElementById("entry-modal-backdrop")?.classList.remove("active");
+	currentEditingEntryId = null;
+	onEditorChange = null;
+};
+
+/**
+ * Saves the edit modal back to the entry
+ *
+ * Validates the form, applies only the changed fields to the entry, then
+ * persists them with updateEntryOnServer(). Rolls back on failure.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const saveEntryEditor = async () => {
+	if (!currentEditingEntryId) return;
+	const entry = state.historicalEntries.find(
+		(e) => e.id === currentEditingEntryId
+	);
+	if (!entry) return;
+
+	const project = sanitizeInput(
+		document.getElementById("entry-modal-project").value
+	);
+	const task = sanitizeInput(document.getElementById("entry-modal-task").value);
+	if (!project || !task) {
+		setEntryModalError("Project and task are required.");
+		return;
+	}
+
+	const start = resolveEditedTime(
+		document.getElementById("entry-modal-start").value,
+		entry.createdAt
+	);
+	const end = resolveEditedTime(
+		document.getElementById("entry-modal-end").value,
+		entry.endTime
+	);
+	const timeError = validateEntryTimes(start, end);
+	if (timeError) {
+		setEntryModalError(timeError);
+		return;
+	}
+
+	const { tags, error: tagsError } = parseTagsInput(
+		document.getElementById("entry-modal-tags").value
+	);
+	if (tagsError) {
+		setEntryModalError(tagsError);
+		return;
+	}
+
+	const changes = buildEntryChanges(entry, {
+		project,
+		task,
+		start,
+		end,
+		notes: document.getElementById("entry-modal-notes").value,
+		tags,
+		billable: document.getElementById("entry-modal-billable").checked,
+	});
+	if (Object.keys(changes).length === 0) {
+		closeEntryEditor();
+		return;
+	}
+
+	// Store backup in case we need to rollback
+	const entryBackup = { ...entry };
+
+	try {
+		Object.assign(entry, changes);
+		if (changes.endTime) entry.endTime = new Date(changes.endTime);
+
+		await updateEntryOnServer(entry.id, changes);
+		const onChange = onEditorChange;
+		closeEntryEditor();
+		renderHistoryView();
+		populateSuggestions();
+		onChange?.();
+	} catch (error) {
+		console.error("Error updating entry:", error);
+		// Rollback to previous state
+		Object.keys(entry).forEach((key) => delete entry[key]);
+		Object.assign(entry, entryBackup);
+		renderHistoryView();
+		setEntryModalError(
+			error.status === 409
+				? error.message
+				: "Failed to save changes. Please try again."
+		);
+	}
+};
+
+/**
+ * Deletes a historical entry after confirmation
+ *
+ * Invoiced entries are never deleted (the server would answer 409).
+ *
+ * ERROR HANDLING & ROLLBACK:
+ * The entry is put back at its original position if the server delete fails.
+ * A 409 shows the server's reason instead of the retry hint.
+ *
+ * @async
+ * @param {string} entryId - Id of the entry to delete
+ * @returns {Promise<boolean>} True if the entry was deleted
+ */
+export const deleteHistoricalEntry = async (entryId) => {
+	const index = state.historicalEntries.findIndex((e) => e.id === entryId);
+	if (index === -1) return false;
+
+	const entryBackup = state.historicalEntries[index];
+	if (isInvoiced(entryBackup)) return false;
+
+	const confirmed = confirm(
+		`Delete "${entryBackup.project} / ${entryBackup.task}" (${formatDuration(
+			entryBackup.durationSeconds
+		)})?\n\nThis entry will be permanently removed from your history.`
+	);
+	if (!confirmed) return false;
+
+	try {
+		state.historicalEntries.splice(index, 1);
+		await deleteEntryOnServer(entryId);
+		renderHistoryView();
+		populateSuggestions();
+		return true;
+	} catch (error) {
+		// Rollback: restore entry if delete failed
+		console.error("Delete entry error:", error);
+		state.historicalEntries.splice(index, 0, entryBackup);
+		renderHistoryView();
+		showNotification(
+			error.status === 409
+				? error.message
+				: "Failed to delete entry. Please try again.",
+			"error"
+		);
+		return false;
+	}
+};
+
+/**
+ * Initializes event listeners for the History tab and the edit modal
+ *
+ * Sets up the "Show more" button, modal save/cancel/close/delete buttons,
+ * backdrop clicks and ESC key handling. Must be called during app initialization.
+ *
+ * @returns {void}
+ */
+export const initHistoryView = () => {
+	document
+		.getElementById("history-load-more")
+		?.addEventListener("click", showMoreHistory);
+
+	document
+		.getElementById("entry-modal-close")
+		?.addEventListener("click", closeEntryEditor);
+	document
+		.getElementById("entry-modal-cancel")
+		?.addEventListener("click", closeEntryEditor);
+	document
+		.getElementById("entry-modal-save")
+		?.addEventListener("click", saveEntryEditor);
+	document
+		.getElementById("entry-modal-delete")
+		?.addEventListener("click", async () => {
+			const entryId = currentEditingEntryId;
+			const onChange = onEditorChange;
+			if (entryId && (await deleteHistoricalEntry(entryId))) {
+				closeEntryEditor();
+				onChange?.();
+			}
+		});
+
+	const backdrop = document.getElementById("entry-modal-backdrop");
+	backdrop?.addEventListener("click", (e) => {
+		if (e.target === backdrop) closeEntryEditor();
+	});
+
+	document.addEventListener("keydown", (e) => {
+		if (
+			e.key === "Escape" &&
+			document.getElementById("entry-modal")?.classList.contains("active")
+		) {
+			closeEntryEditor();
+		}
+	});
+};
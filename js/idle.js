@@ -0,0 +1,339 @@
+/**
+ * Idle detection - time a running timer counted while nobody was there
+ *
+ * ROLE IN ARCHITECTURE:
+ * A timer left running over lunch keeps counting. This module notices when
+ * the user comes back after longer than the idle threshold (settings
+ * idleMinutes, 0 = off) and asks what to do with the idle stretch:
+ * - Keep: Leave the timers as they are
+ * - Discard: Take the idle time off every running timer
+ * - Split: Take it off the timers and log it as its own entry (e.g. a
+ *   meeting away from the desk), tagged with source: "idle"
+ *
+ * DETECTION:
+ * Mouse, keyboard, touch and scroll events mark the user as active. Hidden
+ * tabs get no such events, so the time since the last one also covers a tab
+ * left in the background; app.js calls checkForIdle() from its
+ * visibilitychange handler when the tab is shown again. Only running timers
+ * are asked about - paused ones weren't counting.
+ *
+ * TIMER CHANGES:
+ * removeIdleTime() moves the idle stretch out of a timer: the time up to
+ * the idle start is banked in accumulatedMs, the running segment is closed
+ * at the idle start and a new one opens at the return, so the segments show
+ * the idle stretch as a pause.
+ *
+ * UI UPDATE FLOW:
+ * User choice → Snapshot timers → removeIdleTime() → (createEntryOnServer()
+ * for a split) → saveActiveStateToServer() → Render
+ * The split entry is created first, so a failed create leaves the server's
+ * timers untouched. On failure the timers and the split entry are rolled
+ * back - on the server too, if the entry was already created.
+ *
+ * @module idle
+ */
+
+import {
+	state,
+	closeTimerSegment,
+	openTimerSegment,
+	snapshotTimer,
+	restoreTimer,
+} from "./state.js";
+import {
+	saveActiveStateToServer,
+	createEntryOnServer,
+	deleteEntryOnServer,
+} from "./api.js";
+import { CONSTANTS } from "./constants.js";
+import { sanitizeInput, showNotification } from "./utils.js";
+import { buildManualEntry, IDLE_SOURCE } from "./entries.js";
+import { extractTags, validateTags } from "./tags.js";
+import { parseTopic, renderActiveTimers, populateSuggestions } from "./ui.js";
+
+// Events that count as the user being at the computer
+const ACTIVITY_EVENTS = [
+	"mousemove",
+	"mousedown",
+	"keydown",
+	"touchstart",
+	"wheel",
+	"scroll",
+];
+
+/**
+ * When the user was last seen doing something
+ */
+let lastActivityAt = Date.now();
+
+/**
+ * Idle stretch the modal asks about (null while the modal is closed):
+ * {start: Date, end: Date, timerIds: Array<string>}
+ */
+let pendingIdle = null;
+
+/**
+ * Checks whether the time since the last activity passed the threshold
+ *
+ * @param {number} lastActivity - Last activity in ms
+ * @param {number} now - Current time in ms
+ * @param {number} idleMinutes - Threshold in minutes (0 = idle detection off)
+ * @returns {boolean} True if the user was idle
+ */
+export const isIdle = (lastActivity, now, idleMinutes) =>
+	idleMinutes > 0 && now - lastActivity >= idleMinutes * CONSTANTS.MS_PER_MINUTE;
+
+/**
+ * Takes an idle stretch off a running timer
+ *
+ * Banks the time up to the idle start (or the timer's start, if it started
+ * while the user was away) and restarts the timer at the return, closing and
+ * reopening its segment around the idle stretch. Paused timers are left alone.
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @param {Date} idleStart - Last activity before the user left
+ * @param {Date} returnedAt - When the user came back
+ * @returns {number} Milliseconds taken off the timer
+ */
+export const removeIdleTime = (timer, idleStart, returnedAt) => {
+	if (timer.isPaused || !timer.startTime || !(returnedAt > timer.startTime)) {
+		return 0;
+	}
+	const from = idleStart > timer.startTime ? idleStart : timer.startTime;
+	timer.accumulatedMs = (timer.accumulatedMs || 0) + (from - timer.startTime);
+	timer.startTime = returnedAt;
+	closeTimerSegment(timer, from);
+	openTimerSegment(timer, returnedAt);
+	return returnedAt - from;
+};
+
+/**
+ * Formats an idle stretch for the modal
+ *
+ * @param {number} ms - Idle time
+ * @returns {string} e.g. "47 minutes", "1 hour 5 minutes"
+ */
+export const formatIdleDuration = (ms) => {
+	const totalMinutes = Math.round(ms / CONSTANTS.MS_PER_MINUTE);
+	const hours = Math.floor(totalMinutes / 60);
+	const minutes = totalMinutes % 60;
+	const parts = [];
+	if (hours > 0) parts.push(`${hours} ${hours === 1 ? "hour" : "hours"}`);
+	if (minutes > 0 || hours === 0) {
+		parts.push(`${minutes} ${minutes === 1 ? "minute" : "minutes"}`);
+	}
+	return parts.join(" ");
+};
+
+/**
+ * Shows a message in the idle modal
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setIdleModalError = (message) => {
+	const errorEl = document.getElementById("idle-modal-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Enables or disables the idle modal's buttons while saving
+ *
+ * @param {boolean} disabled - Whether the buttons are disabled
+ * @returns {void}
+ */
+const setIdleButtonsDisabled = (disabled) => {
+	["idle-modal-keep", "idle-modal-discard", "idle-modal-split"].forEach((id) => {
+		const button = document.getElementById(id);
+		if (button) button.disabled = disabled;
+	});
+};
+
+/**
+ * Opens the idle modal for an idle stretch
+ *
+ * @param {{start: Date, end: Date, timerIds: Array<string>}} idle - Idle
+ *   stretch and the timers that were running through it
+ * @returns {void}
+ */
+const openIdleModal = (idle) => {
+	const modal = document.getElementById("idle-modal");
+	if (!modal) return;
+	pendingIdle = idle;
+
+	const idleFor = formatIdleDuration(idle.end - idle.start);
+	document.getElementById(
+		"idle-modal-message"
+	).textContent = `You were idle for ${idleFor} — keep, discard, or split into a new entry.`;
+	const first = state.activeTimers[idle.timerIds[0]];
+	document.getElementById(
+		"idle-modal-topic"
+	).value = `${first.project} / ${first.task}`;
+	setIdleModalError("");
+	setIdleButtonsDisabled(false);
+
+	modal.classList.add("active");
+	document.getElementById("idle-modal-backdrop").classList.add("active");
+	document.getElementById("idle-modal-keep")?.focus();
+};
+
+/**
+ * Closes the idle modal
+ *
+ * @returns {void}
+ */
+export const closeIdleModal = () => {
+	document.getElementById("idle-modal")?.classList.remove("active");
+	document.getElementById("idle-modal-backdrop")?.classList.remove("active");
+	pendingIdle = null;
+};
+
+/**
+ * Asks about the idle time if the user just came back
+ *
+ * Called on every activity event and when the tab is shown again. Does
+ * nothing while the modal is open, when idle detection is off or when no
+ * timer was running.
+ *
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {void}
+ */
+export const checkForIdle = (now = Date.now()) => {
+	const idleStart = lastActivityAt;
+	lastActivityAt = now;
+	if (pendingIdle || !isIdle(idleStart, now, state.settings.idleMinutes)) return;
+
+	const timerIds = Object.keys(state.activeTimers).filter(
+		(id) => !state.activeTimers[id].isPaused
+	);
+	if (timerIds.length === 0) return;
+
+	openIdleModal({ start: new Date(idleStart), end: new Date(now), timerIds });
+};
+
+/**
+ * Takes the idle time off the timers, optionally logging it as an entry
+ *
+ * @async
+ * @param {boolean} split - Whether to log the idle time as its own entry
+ * @returns {Promise<void>}
+ */
+const removePendingIdle = async (split) => {
+	if (!pendingIdle) return;
+	const { start, end, timerIds } = pendingIdle;
+
+	let newEntry = null;
+	if (split) {
+		const { text, tags } = extractTags(
+			document.getElementById("idle-modal-topic").value
+		);
+		const fullTopic = sanitizeInput(text);
+		if (!fullTopic) {
+			setIdleModalError("Please enter a Project / Task for the idle time.");
+			return;
+		}
+		const tagsError = validateTags(tags);
+		if (tagsError) {
+			setIdleModalError(tagsError);
+			return;
+		}
+		newEntry = buildManualEntry({
+			...parseTopic(fullTopic),
+			start,
+			end,
+			tags,
+			source: IDLE_SOURCE,
+		});
+	}
+
+	// Timers may have been stopped in another tab meanwhile
+	const timers = timerIds.map((id) => state.activeTimers[id]).filter(Boolean);
+	const snapshots = timers.map(snapshotTimer);
+	setIdleModalError("");
+	setIdleButtonsDisabled(true);
+
+	const idleFor = formatIdleDuration(end - start);
+	let entryCreated = false;
+
+	try {
+		timers.forEach((timer) => removeIdleTime(timer, start, end));
+		if (newEntry) {
+			state.historicalEntries.push(newEntry);
+			await createEntryOnServer(newEntry);
+			entryCreated = true;
+		}
+		await saveActiveStateToServer();
+
+		closeIdleModal();
+		renderActiveTimers();
+		if (newEntry) {
+			populateSuggestions();
+			showNotification(
+				`Logged ${idleFor} as ${newEntry.project} / ${newEntry.task}.`,
+				"success"
+			);
+		} else {
+			showNotification(`Discarded ${idleFor} of idle time.`, "success");
+		}
+	} catch (error) {
+		// Rollback: restore the timers and remove the split entry
+		timers.forEach((timer, index) => restoreTimer(timer, snapshots[index]));
+		if (newEntry) {
+			state.historicalEntries = state.historicalEntries.filter(
+				(entry) => entry.id !== newEntry.id
+			);
+		}
+		// The server kept its untrimmed timers; take the entry back off too
+		if (entryCreated) {
+			deleteEntryOnServer(newEntry.id).catch((deleteError) =>
+				console.error("Error removing split idle entry:", deleteError)
+			);
+		}
+		renderActiveTimers();
+		console.error("Error removing idle time:", error);
+		setIdleModalError("Failed to save. Please try again.");
+		setIdleButtonsDisabled(false);
+	}
+};
+
+/**
+ * Starts watching for activity and wires the idle modal
+ *
+ * Must be called once during app initialization after the settings loaded.
+ *
+ * @returns {void}
+ */
+export const initIdleDetection = () => {
+	lastActivityAt = Date.now();
+	ACTIVITY_EVENTS.forEach((type) =>
+		document.addEventListener(type, () => checkForIdle(), {
+			capture: true,
+			passive: true,
+		})
+	);
+
+	document
+		.getElementById("idle-modal-keep")
+		?.addEventListener("click", closeIdleModal);
+	document
+		.getElementById("idle-modal-close")
+		?.addEventListener("click", closeIdleModal);
+	document
+		.getElementById("idle-modal-discard")
+		?.addEventListener("click", () => removePendingIdle(false));
+	document
+		.getElementById("idle-modal-split")
+		?.addEventListener("click", () => removePendingIdle(true));
+
+	// Closing without a choice keeps the time
+	const backdrop = document.getElementById("idle-modal-backdrop");
+	backdrop?.addEventListener("click", (e) => {
+		if (e.target === backdrop) closeIdleModal();
+	});
+	document.addEventListener("keydown", (e) => {
+		const modal = document.getElementById("idle-modal");
+		if (e.key === "Escape" && modal?.classList.contains("active")) {
+			closeIdleModal();
+		}
+	});
+};
@@ -0,0 +1,379 @@
+/**
+ * Invoices - bill a project's billable time for a date range
+ *
+ * ROLE IN ARCHITECTURE:
+ * Owns the "Create Invoice" modal (opened from the History tab) and the
+ * printable invoice. Which entries are billed and how each line is priced
+ * is decided by buildInvoiceDraft() in billing.js; the server assigns the
+ * sequential number and marks the entries (POST /api/invoices).
+ *
+ * UI UPDATE FLOW (server first, unlike the rest of the app):
+ * Pick project + range → Preview lines → createInvoiceOnServer() →
+ * Mark entries in state → Download invoice
+ * State only changes after the server has confirmed the invoice, so there
+ * is nothing to roll back - and nothing is queued while offline.
+ *
+ * PRINTABLE INVOICE:
+ * A standalone HTML file with inline styles (no app CSS, fonts or scripts
+ * beyond the Print button), downloaded like the CSV export. Past invoices
+ * can be downloaded again from the modal.
+ *
+ * @module invoices
+ */
+
+import { state } from "./state.js";
+import { createInvoiceOnServer } from "./api.js";
+import { escapeHtml, showNotification } from "./utils.js";
+import {
+	buildInvoiceDraft,
+	formatInvoiceNumber,
+	formatMoney,
+	getInvoiceableProjects,
+} from "./billing.js";
+import {
+	getCustomRange,
+	getPresetRange,
+	getRangeLastDay,
+	parseDateInputValue,
+	toDateInputValue,
+} from "./ranges.js";
+import { renderHistoryView } from "./history.js";
+
+/**
+ * Invoice shown in the modal preview (null if the form is invalid)
+ */
+let currentDraft = null;
+
+/**
+ * Shows a message below the invoice preview
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setInvoiceModalError = (message) => {
+	const errorEl = document.getElementById("invoice-modal-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Formats a "YYYY-MM-DD" day for display (e.g. "Oct 1, 2025")
+ *
+ * @param {string} value - Date input value
+ * @returns {string} Readable date
+ */
+const formatInvoiceDay = (value) =>
+	parseDateInputValue(value).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+	});
+
+/**
+ * Rebuilds the preview from the selected project and range
+ *
+ * @returns {void}
+ */
+const renderInvoicePreview = () => {
+	const linesEl = document.getElementById("invoice-lines");
+	const totalEl = document.getElementById("invoice-total");
+	const createBtn = document.getElementById("invoice-modal-create");
+	const project = document.getElementById("invoice-project").value;
+	const range = getCustomRange(
+		document.getElementById("invoice-from").value,
+		document.getElementById("invoice-to").value
+	);
+
+	linesEl.innerHTML = "";
+	totalEl.textContent = "";
+	currentDraft = null;
+	createBtn.disabled = true;
+
+	if (!project) {
+		setInvoiceModalError("There is no uninvoiced billable time.");
+		return;
+	}
+	if (!range) {
+		setInvoiceModalError("Choose a valid date range.");
+		return;
+	}
+
+	const draft = buildInvoiceDraft(
+		state.historicalEntries,
+		project,
+		range,
+		state.settings
+	);
+	if (draft.lines.length === 0) {
+		setInvoiceModalError(
+			`No uninvoiced billable time for ${project} in this range.`
+		);
+		return;
+	}
+
+	draft.lines.forEach((line) => {
+		const row = document.createElement("tr");
+		[
+			line.task,
+			line.hours.toFixed(2),
+			formatMoney(line.rate, draft.currency),
+			formatMoney(line.amount, draft.currency),
+		].forEach((value, index) => {
+			const cell = document.createElement("td");
+			cell.className = index === 0 ? "py-1 pr-2" : "py-1 pl-2 text-right font-mono";
+			cell.textContent = value;
+			row.appendChild(cell);
+		});
+		linesEl.appendChild(row);
+	});
+	totalEl.textContent = formatMoney(draft.total, draft.currency);
+
+	currentDraft = draft;
+	createBtn.disabled = false;
+	setInvoiceModalError(
+		draft.lines.some((line) => line.rate === 0)
+			? "Some tasks have no hourly rate and are billed at 0."
+			: ""
+	);
+};
+
+/**
+ * Lists past invoices (newest first) with a download button each
+ *
+ * @returns {void}
+ */
+const renderPastInvoices = () => {
+	const listEl = document.getElementById("invoice-history");
+	if (!listEl) return;
+	listEl.innerHTML = "";
+
+	[...state.invoices].reverse().forEach((invoice) => {
+		const row = document.createElement("li");
+		row.className = "flex items-center gap-2 text-sm text-gray-700";
+
+		const label = document.createElement("span");
+		label.className = "flex-1 truncate";
+		label.textContent = `${formatInvoiceNumber(invoice.number)} · ${
+			invoice.project
+		} · ${formatMoney(invoice.total, invoice.currency)}`;
+
+		const downloadBtn = document.createElement("button");
+		downloadBtn.type = "button";
+		downloadBtn.className = "text-blue-600 hover:underline text-xs";
+		downloadBtn.textContent = "Download";
+		downloadBtn.addEventListener("click", () => downloadInvoice(invoice));
+
+		row.appendChild(label);
+		row.appendChild(downloadBtn);
+		listEl.appendChild(row);
+	});
+	document
+		.getElementById("invoice-history-section")
+		?.classList.toggle("hidden", state.invoices.length === 0);
+};
+
+/**
+ * Builds the printable invoice as a standalone HTML document
+ *
+ * @param {Object} invoice - Stored invoice (with number and createdAt)
+ * @returns {string} Complete HTML document
+ */
+export const buildInvoiceDocument = (invoice) => {
+	const number = escapeHtml(formatInvoiceNumber(invoice.number));
+	const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+	const issued = new Date(invoice.createdAt).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+	const rows = invoice.lines
+		.map(
+			(line) => `
+				<tr>
+					<td>${escapeHtml(line.task)}</td>
+					<td class="num">${line.hours.toFixed(2)}</td>
+					<td class="num">${money(line.rate)}</td>
+					<td class="num">${money(line.amount)}</td>
+				</tr>`
+		)
+		.join("");
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<title>Invoice ${number}</title>
+	<style>
+		body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; max-width: 800px; margin: 40px auto; padding: 0 24px; }
+		h1 { font-size: 28px; margin: 0; }
+		.number { color: #6b7280; margin: 4px 0 24px; }
+		dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 24px; }
+		dt { color: #6b7280; }
+		dd { margin: 0; }
+		table { width: 100%; border-collapse: collapse; }
+		th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+		th { background: #f9fafb; }
+		.num { text-align: right; font-variant-numeric: tabular-nums; }
+		tfoot td { font-weight: bold; border-bottom: none; }
+		@media print { .no-print { display: none; } body { margin: 0; } }
+	</style>
+</head>
+<body>
+	<h1>Invoice</h1>
+	<p class="number">${number}</p>
+	<dl>
+		<dt>Issued</dt><dd>${escapeHtml(issued)}</dd>
+		<dt>Project</dt><dd>${escapeHtml(invoice.project)}</dd>
+		<dt>Period</dt><dd>${escapeHtml(formatInvoiceDay(invoice.from))} – ${escapeHtml(
+		formatInvoiceDay(invoice.to)
+	)}</dd>
+	</dl>
+	<table>
+		<thead>
+			<tr><th>Task</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+		</thead>
+		<tbody>${rows}
+		</tbody>
+		<tfoot>
+			<tr><td colspan="3">Total</td><td class="num">${money(invoice.total)}</td></tr>
+		</tfoot>
+	</table>
+	<p class="no-print"><button onclick="window.print()">Print</button></p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Downloads an invoice as an HTML file
+ *
+ * @param {Object} invoice - Stored invoice
+ * @returns {void}
+ */
+export const downloadInvoice = (invoice) => {
+	const blob = new Blob([buildInvoiceDocument(invoice)], {
+		type: "text/html;charset=utf-8;",
+	});
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(blob);
+	link.download = `invoice_${formatInvoiceNumber(invoice.number)}.html`;
+	link.click();
+};
+
+/**
+ * Opens the invoice modal
+ *
+ * Lists the projects with uninvoiced billable time and preselects last
+ * month, the usual billing period.
+ *
+ * @returns {void}
+ */
+export const openInvoiceModal = () => {
+	const projectSelect = document.getElementById("invoice-project");
+	projectSelect.innerHTML = "";
+	getInvoiceableProjects(state.historicalEntries).forEach((project) => {
+		const option = document.createElement("option");
+		option.value = project;
+		option.textContent = project;
+		projectSelect.appendChild(option);
+	});
+
+	const range = getPresetRange("last-month");
+	document.getElementById("invoice-from").value = toDateInputValue(range.from);
+	document.getElementById("invoice-to").value = toDateInputValue(
+		getRangeLastDay(range)
+	);
+
+	renderInvoicePreview();
+	renderPastInvoices();
+	document.getElementById("invoice-modal").classList.add("active");
+	document.getElementById("invoice-modal-backdrop").classList.add("active");
+	projectSelect.focus();
+};
+
+/**
+ * Closes the invoice modal
+ *
+ * @returns {void}
+ */
+export const closeInvoiceModal = () => {
+	document.getElementById("invoice-modal")?.classList.remove("active");
+	document.getElementById("invoice-modal-backdrop")?.classList.remove("active");
+	currentDraft = null;
+};
+
+/**
+ * Issues the previewed invoice and downloads it
+ *
+ * Marks the billed entries with the invoice number only once the server has
+ * confirmed it. Server and network errors are shown in the modal.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const createInvoice = async () => {
+	if (!currentDraft) return;
+	const createBtn = document.getElementById("invoice-modal-create");
+	createBtn.disabled = true;
+
+	try {
+		const invoice = await createInvoiceOnServer(currentDraft);
+		const invoicedIds = new Set(invoice.entryIds);
+		state.historicalEntries.forEach((entry) => {
+			if (invoicedIds.has(entry.id)) entry.invoiceNumber = invoice.number;
+		});
+		state.invoices.push(invoice);
+
+		downloadInvoice(invoice);
+		closeInvoiceModal();
+		renderHistoryView();
+		showNotification(
+			`Invoice ${formatInvoiceNumber(invoice.number)} created.`,
+			"success"
+		);
+	} catch (error) {
+		console.error("Error creating invoice:", error);
+		setInvoiceModalError(error.message);
+		createBtn.disabled = false;
+	}
+};
+
+/**
+ * Initializes event listeners for the invoice modal
+ *
+ * Wires the History tab's "Create Invoice" button, the form fields, the
+ * modal buttons, backdrop clicks and ESC. Must be called once during app
+ * initialization.
+ *
+ * @returns {void}
+ */
+export const initInvoiceModal = () => {
+	document
+		.getElementById("history-invoice-btn")
+		?.addEventListener("click", openInvoiceModal);
+	["invoice-project", "invoice-from", "invoice-to"].forEach((id) =>
+		document.getElementById(id)?.addEventListener("change", renderInvoicePreview)
+	);
+	document
+		.getElementById("invoice-modal-close")
+		?.addEventListener("click", closeInvoiceModal);
+	document
+		.getElementById("invoice-modal-cancel")
+		?.addEventListener("click", closeInvoiceModal);
+	document
+		.getElementById("invoice-modal-create")
+		?.addEventListener("click", createInvoice);
+
+	const backdrop = document.getElementById("invoice-modal-backdrop");
+	backdrop?.addEventListener("click", (e) => {
+		if (e.target === backdrop) closeInvoiceModal();
+	});
+
+	document.addEventListener("keydown", (e) => {
+		if (
+			e.key === "Escape" &&
+			document.getElementById("invoice-modal")?.classList.contains("active")
+		) {
+			closeInvoiceModal();
+		}
+	});
+};
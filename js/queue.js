@@ -0,0 +1,137 @@
+/**
+ * Offline write queue
+ *
+ * ROLE IN ARCHITECTURE:
+ * Persists server writes that couldn't be delivered because the local server
+ * was unreachable (node process restarted or crashed). api.js queues writes
+ * here instead of failing, and replays them in order once /api/health
+ * responds again. This module only stores the queue - all fetch() calls stay
+ * in api.js.
+ *
+ * WHY LOCALSTORAGE:
+ * - Survives a page reload while the server is down
+ * - Synchronous, so the queue is persisted before the UI moves on
+ * - Pending writes are small JSON payloads (one entry or the active state)
+ *
+ * ORDERING:
+ * Writes replay strictly in the order they were made. Once anything is
+ * queued, later writes are queued behind it too (even if the server is back),
+ * so an entry edit can never reach the server before the entry's creation.
+ *
+ * COALESCING:
+ * Writes that replace a whole file (the active timer state) carry a
+ * coalesceKey. Queuing a newer one drops the older one - only the latest
+ * state matters, and the queue doesn't grow with every pause/resume.
+ *
+ * QUEUED WRITE SHAPE:
+ * { id, method, url, body, coalesceKey, queuedAt }
+ *
+ * IMPACT OF CHANGES:
+ * - Changing the storage key orphans writes queued by older versions
+ * - Reordering or deduplicating non-coalescing writes can lose changes
+ *
+ * @module queue
+ */
+
+// localStorage key (kept out of CONSTANTS, which holds numeric settings only)
+const STORAGE_KEY = "mtt-pending-writes";
+
+const listeners = new Set();
+
+/**
+ * Reads the queue from localStorage
+ *
+ * @returns {Array<Object>} Queued writes (empty if none or unreadable)
+ */
+const readPendingWrites = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return Array.isArray(stored) ? stored : [];
+	} catch (error) {
+		console.error("Could not read offline write queue:", error);
+		return [];
+	}
+};
+
+let pendingWrites = readPendingWrites();
+
+/**
+ * Persists the queue and notifies listeners of the new count
+ *
+ * @returns {void}
+ */
+const persistPendingWrites = () => {
+	try {
+		if (pendingWrites.length === 0) {
+			localStorage.removeItem(STORAGE_KEY);
+		} else {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(pendingWrites));
+		}
+	} catch (error) {
+		// Quota exceeded or storage disabled: the queue still works in memory
+		console.error("Could not persist offline write queue:", error);
+	}
+	listeners.forEach((listener) => listener(pendingWrites.length));
+};
+
+/**
+ * Returns the number of writes waiting to be sent
+ *
+ * @returns {number} Pending write count
+ */
+export const getPendingWriteCount = () => pendingWrites.length;
+
+/**
+ * Returns the oldest pending write without removing it
+ *
+ * @returns {Object|undefined} Oldest queued write, or undefined if empty
+ */
+export const peekPendingWrite = () => pendingWrites[0];
+
+/**
+ * Adds a write to the end of the queue
+ *
+ * If the write has a coalesceKey, any older queued write with the same key
+ * is dropped first.
+ *
+ * @param {Object} write - Write to queue
+ * @param {string} write.id - Unique id (used to remove it after replay)
+ * @param {string} write.method - HTTP method
+ * @param {string} write.url - Endpoint URL
+ * @param {*} [write.body] - JSON-serializable payload
+ * @param {string} [write.coalesceKey] - Key for writes that supersede each other
+ * @returns {void}
+ */
+export const enqueueWrite = (write) => {
+	if (write.coalesceKey) {
+		pendingWrites = pendingWrites.filter(
+			(queued) => queued.coalesceKey !== write.coalesceKey
+		);
+	}
+	pendingWrites.push({ ...write, queuedAt: new Date().toISOString() });
+	persistPendingWrites();
+};
+
+/**
+ * Removes a write from the queue once it has been delivered (or rejected)
+ *
+ * Removes by id rather than position, because a coalescing write queued
+ * during replay may already have replaced the write being sent.
+ *
+ * @param {string} id - Id of the write to remove
+ * @returns {void}
+ */
+export const removePendingWrite = (id) => {
+	pendingWrites = pendingWrites.filter((queued) => queued.id !== id);
+	persistPendingWrites();
+};
+
+/**
+ * Registers a listener called with the pending count whenever it changes
+ *
+ * @param {function(number): void} listener - Change listener
+ * @returns {void}
+ */
+export const onPendingWritesChange = (listener) => {
+	listeners.add(listener);
+};
@@ -0,0 +1,295 @@
+/**
+ * Report date ranges
+ *
+ * ROLE IN ARCHITECTURE:
+ * Pure functions that turn a preset ("This Month") or a custom from/to pair
+ * into concrete start/end dates, and filter entries to them. reports.js owns
+ * the selected range and the DOM; this module has no DOM or state access, so
+ * the calendar arithmetic is easy to unit test.
+ *
+ * RANGE SHAPE:
+ * { from: Date, to: Date } - both at local midnight, `to` EXCLUSIVE.
+ * "March 2026" is { from: Mar 1 00:00, to: Apr 1 00:00 }. An exclusive end
+ * avoids 23:59:59.999 edge cases and makes consecutive ranges line up.
+ *
+ * LOCAL CALENDAR:
+ * All boundaries are local dates (what the user means by "today"), never
+ * UTC. Days are stepped with setDate() rather than adding 24h, so ranges
+ * stay correct across daylight saving changes.
+ *
+ * WEEKS:
+ * Weeks start on Monday.
+ *
+ * BUCKETS:
+ * Long ranges are charted per week or per month instead of per day
+ * (getBucketGranularity). Every aggregation keys time by getBucketKey(),
+ * so the bar chart and the summary statistics agree on which local day
+ * (or week, or month) an entry belongs to.
+ *
+ * IMPACT OF CHANGES:
+ * - Changing preset keys breaks the data-range attributes in index.html
+ * - Making `to` inclusive double-counts entries ending exactly at midnight
+ *
+ * @module ranges
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { pad2 } from "./utils.js";
+
+/**
+ * Returns local midnight at the start of the given date's day
+ *
+ * @param {Date|string} date - Date object or ISO string
+ * @returns {Date} New Date at 00:00 local time
+ */
+export const startOfDay = (date) => {
+	const d = new Date(date);
+	d.setHours(0, 0, 0, 0);
+	return d;
+};
+
+/**
+ * Adds whole calendar days (DST-safe)
+ *
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New Date
+ */
+export const addDays = (date, days) => {
+	const d = new Date(date);
+	d.setDate(d.getDate() + days);
+	return d;
+};
+
+/**
+ * Returns local midnight on the Monday of the given date's week
+ *
+ * @param {Date} date - Any date in the week
+ * @returns {Date} Start of the week
+ */
+export const startOfWeek = (date) => {
+	const d = startOfDay(date);
+	// getDay(): Sunday = 0, so Sunday is 6 days after Monday
+	return addDays(d, -((d.getDay() + 6) % 7));
+};
+
+/**
+ * Formats a date as a local "YYYY-MM-DD" string
+ *
+ * Used for <input type="date"> values and as a stable per-day key.
+ *
+ * @param {Date|string} date - Date object or ISO string
+ * @returns {string} Local date string, or "" if the date is invalid
+ */
+export const toDateInputValue = (date) => {
+	const d = new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+
+/**
+ * Parses a "YYYY-MM-DD" value from a date input as local midnight
+ *
+ * @param {string} value - Date input value
+ * @returns {Date|null} Parsed date, or null if empty/invalid
+ */
+export const parseDateInputValue = (value) => {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+	if (!match) return null;
+	const [, year, month, day] = match.map(Number);
+	const date = new Date(year, month - 1, day);
+	// Reject rollovers like 2025-02-30
+	if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+	return date;
+};
+
+/**
+ * Returns the date range for a report preset
+ *
+ * Presets covering the current period ("this-week", "this-month", ...) end
+ * after today rather than at the end of the period - there is nothing to
+ * report for future days.
+ *
+ * @param {string} preset - "today", "last-7", "last-30", "this-week",
+ *   "last-week", "this-month", "last-month", "this-quarter", "ytd" or "all"
+ * @param {Date} [now=new Date()] - Current time
+ * @param {Array<Object>} [entries=[]] - Entries (only used by "all" to find
+ *   the earliest day)
+ * @returns {{from: Date, to: Date}|null} Range, or null for an unknown preset
+ */
+export const getPresetRange = (preset, now = new Date(), entries = []) => {
+	const today = startOfDay(now);
+	const tomorrow = addDays(today, 1);
+	const year = today.getFullYear();
+	const month = today.getMonth();
+
+	switch (preset) {
+		case "today":
+			return { from: today, to: tomorrow };
+		case "last-7":
+			return { from: addDays(today, -6), to: tomorrow };
+		case "last-30":
+			return { from: addDays(today, -29), to: tomorrow };
+		case "this-week":
+			return { from: startOfWeek(today), to: tomorrow };
+		case "last-week": {
+			const thisWeek = startOfWeek(today);
+			return { from: addDays(thisWeek, -7), to: thisWeek };
+		}
+		case "this-month":
+			return { from: new Date(year, month, 1), to: tomorrow };
+		case "last-month":
+			return {
+				from: new Date(year, month - 1, 1),
+				to: new Date(year, month, 1),
+			};
+		case "this-quarter":
+			return { from: new Date(year, month - (month % 3), 1), to: tomorrow };
+		case "ytd":
+			return { from: new Date(year, 0, 1), to: tomorrow };
+		case "all": {
+			const earliest = entries.reduce((min, entry) => {
+				const time = new Date(entry.createdAt || entry.endTime).getTime();
+				return isNaN(time) ? min : Math.min(min, time);
+			}, today.getTime());
+			return { from: startOfDay(earliest), to: tomorrow };
+		}
+		default:
+			return null;
+	}
+};
+
+/**
+ * Builds a range from two date input values (both days inclusive)
+ *
+ * @param {string} fromValue - "YYYY-MM-DD" first day
+ * @param {string} toValue - "YYYY-MM-DD" last day
+ * @returns {{from: Date, to: Date}|null} Range, or null if either value is
+ *   invalid or the first day is after the last
+ */
+export const getCustomRange = (fromValue, toValue) => {
+	const from = parseDateInputValue(fromValue);
+	const lastDay = parseDateInputValue(toValue);
+	if (!from || !lastDay || from > lastDay) return null;
+	return { from, to: addDays(lastDay, 1) };
+};
+
+/**
+ * Returns the last day included in a range (for display and date inputs)
+ *
+ * @param {{from: Date, to: Date}} range - Range
+ * @returns {Date} Local midnight of the last day
+ */
+export const getRangeLastDay = (range) => addDays(range.to, -1);
+
+/**
+ * Returns local midnight of every day in a range, oldest first
+ *
+ * @param {{from: Date, to: Date}} range - Range
+ * @returns {Array<Date>} Days in the range
+ */
+export const getRangeDays = (range) => {
+	const days = [];
+	for (let day = startOfDay(range.from); day < range.to; day = addDays(day, 1)) {
+		days.push(day);
+	}
+	return days;
+};
+
+/**
+ * Returns the period of equal length right before a range
+ *
+ * Counted in calendar days, so "Last 7 Days" is compared with the 7 days
+ * before it and "This Month" on the 19th with the 19 days before the 1st.
+ *
+ * @param {{from: Date, to: Date}} range - Range
+ * @returns {{from: Date, to: Date}} Previous range, ending where range starts
+ */
+export const getPreviousRange = (range) => ({
+	from: addDays(range.from, -getRangeDays(range).length),
+	to: range.from,
+});
+
+/**
+ * Picks the bar chart bucket size for a range
+ *
+ * @param {{from: Date, to: Date}} range - Range
+ * @returns {string} "day", "week" or "month"
+ */
+export const getBucketGranularity = (range) => {
+	// Rounded, because a range containing a DST change isn't whole days of ms
+	const days = Math.round((range.to - range.from) / CONSTANTS.MS_PER_DAY);
+	if (days <= CONSTANTS.REPORT_DAILY_BUCKET_MAX_DAYS) return "day";
+	if (days <= CONSTANTS.REPORT_WEEKLY_BUCKET_MAX_DAYS) return "week";
+	return "month";
+};
+
+/**
+ * Returns the start of the day, week or month containing a date
+ *
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {Date} Local midnight at the start of the bucket
+ */
+export const getBucketStart = (date, granularity) => {
+	const day = startOfDay(date);
+	if (granularity === "week") return startOfWeek(day);
+	if (granularity === "month") {
+		return new Date(day.getFullYear(), day.getMonth(), 1);
+	}
+	return day;
+};
+
+/**
+ * Returns the local "YYYY-MM-DD" key of the bucket containing a date
+ *
+ * getBucketKey(date, "day") is THE local-day key - use it wherever time is
+ * grouped by day, never toISOString() (UTC) or toLocaleDateString() (locale
+ * dependent).
+ *
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} [granularity="day"] - "day", "week" or "month"
+ * @returns {string} Key of the bucket start, or "" for invalid dates
+ */
+export const getBucketKey = (date, granularity = "day") => {
+	const d = new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return toDateInputValue(getBucketStart(d, granularity));
+};
+
+/**
+ * Returns the start of every bucket overlapping a range, oldest first
+ *
+ * The first week or month may start before range.from (a range starting on
+ * a Wednesday still gets the whole week's bucket key).
+ *
+ * @param {{from: Date, to: Date}} range - Range
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {Array<Date>} Bucket start dates
+ */
+export const getRangeBuckets = (range, granularity) => {
+	const buckets = [];
+	let bucket = getBucketStart(range.from, granularity);
+	while (bucket < range.to) {
+		buckets.push(bucket);
+		if (granularity === "month") {
+			bucket = new Date(bucket.getFullYear(), bucket.getMonth() + 1, 1);
+		} else {
+			bucket = addDays(bucket, granularity === "week" ? 7 : 1);
+		}
+	}
+	return buckets;
+};
+
+/**
+ * Keeps entries that ended within a range
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {{from: Date, to: Date}} range - Range
+ * @returns {Array<Object>} Entries with from <= endTime < to
+ */
+export const filterEntriesByRange = (entries, range) =>
+	entries.filter((entry) => {
+		const end = new Date(entry.endTime);
+		return end >= range.from && end < range.to;
+	});
@@ -6,13 +6,54 @@
  * into meaningful charts for productivity insights.
  *
  * CHARTS PROVIDED:
- * 1. Project Time Distribution (Doughnut): Shows % of time per project
- * 2. Daily Time Logged (Bar): Shows hours logged each day for last 7 days
+ * 1. Project Time Distribution (Doughnut): Shows % of time per project.
+ *    Clicking a slice drills down into that project's tasks (a second
+ *    doughnut and a table, where "Continue" starts a task again); the
+ *    breadcrumb leads back to all projects.
+ * 2. Time Logged (Bar): Hours per day of the range - per week or per month
+ *    for long ranges (see REPORT_*_BUCKET_MAX_DAYS)
+ * 3. Time by Tag (Horizontal bar): Hours per tag, untagged time separately
+ * 4. Earnings by Project (Bar): Billable hours × hourly rate per project
+ * 5. Weekly Work Patterns (Heatmap): Time per weekday and hour of day, drawn
+ *    on a plain canvas by heatmap.js rather than with Chart.js
+ * 6. Year at a Glance (Heatmap): One square per day of a calendar year with
+ *    the current and longest streak (calendar.js). Ignores the date range.
+ * 7. Day Timeline (Gantt): When the work of one chosen day happened, one
+ *    lane per project (timeline.js). Clicking a block opens the entry editor.
+ *
+ * COMPARISON:
+ * The total, daily average, today and tracking days cards show their change
+ * against the previous period of equal length, and the Project Comparison
+ * table lists which projects grew or shrank (comparison.js). Both are
+ * hidden when nothing was tracked in the previous period.
+ *
+ * EARNINGS:
+ * The "Billable" and "Earnings" cards and the earnings chart only count
+ * entries flagged billable, priced with the rates from the Settings tab
+ * (state.settings, see billing.js).
+ *
+ * ROUNDING:
+ * Every card and chart uses the time rounding rule from the Settings tab
+ * (rounding.js), and a note below the cards says which rule is active.
+ *
+ * TAG FILTER:
+ * Tag chips above the statistics narrow every card and chart to entries
+ * with ANY of the selected tags. No selection means all entries.
+ *
+ * DATE RANGE:
+ * Statistics and charts all use the selected range: a preset button
+ * ("This Month", "Last Week", ...) or custom from/to dates. The selection is
+ * kept while switching tabs. Presets are stored by key and re-resolved on
+ * every render, so "Today" moves on after midnight. See ranges.js.
  *
  * DATA PROCESSING APPROACH:
  * - All calculations happen client-side (no server processing needed)
- * - Historical entries are aggregated into chart-ready format
- * - Projects are color-coded consistently using deterministic algorithm
+ * - Historical entries are split into per-day slices (aggregation.js), so
+ *   a session crossing midnight counts on both days, then aggregated into
+ *   chart-ready format
+ * - Projects are color-coded by name (getProjectColor() in utils.js, with
+ *   the colours chosen in the Settings tab), so a project has the same
+ *   colour in every chart, on the timer headers and in exports
  *
  * CHART LIFECYCLE:
  * 1. User switches to Reports tab
@@ -28,9 +69,10 @@
  * This would eventually slow down or crash the browser.
  *
  * COLOR CONSISTENCY:
- * Projects are sorted alphabetically, then assigned colors in order.
- * Same project always gets same color across sessions (deterministic).
- * This helps users quickly identify projects by color.
+ * Each project's colour comes from getProjectColor() (utils.js), which hashes
+ * the project name into PROJECT_COLORS unless settings.projectColors holds a
+ * chosen colour. A project keeps its colour across sessions and charts, and
+ * adding another project never recolours the existing ones.
  *
  * SINGLE-USER CONTEXT:
  * - No real-time updates needed (user manually switches to Reports tab)
@@ -41,23 +83,120 @@
  * - Skipping chart destruction causes memory leaks
  * - Changing aggregation logic affects what users see in reports
  * - Modifying colors affects user's learned associations
- * - Changing REPORT_DAYS_DEFAULT in constants affects bar chart
+ * - Changing DEFAULT_RANGE_PRESET changes what users see first
  *
  * @module reports
  */
 
 import { state } from "./state.js";
-import { formatDuration, getDistinctColors } from "./utils.js";
+import { formatDuration, getDistinctColors, getProjectColor } from "./utils.js";
 import { CONSTANTS } from "./constants.js";
+import { renderHistoryView } from "./history.js";
+import { createContinueButton } from "./ui.js";
+import {
+	getPresetRange,
+	getCustomRange,
+	getRangeLastDay,
+	getBucketGranularity,
+	getBucketKey,
+	getRangeBuckets,
+	getRangeDays,
+	getPreviousRange,
+	addDays,
+	toDateInputValue,
+} from "./ranges.js";
+import {
+	getDaySlices,
+	getHourSlices,
+	sumSlicesBy,
+	sumSlicesByTag,
+	summarizeProjectTasks,
+} from "./aggregation.js";
+import { collectTags, filterEntriesByTags, formatTags } from "./tags.js";
+import { summarizeEarnings, formatMoney } from "./billing.js";
+import { applyRounding, describeRounding } from "./rounding.js";
+import { renderSettingsView } from "./settings.js";
+import { renderSuggestionsPanel } from "./suggestions.js";
+import { renderTimesheetView } from "./timesheet.js";
+import { buildWeekdayHourMatrix, renderWeeklyHeatmap } from "./heatmap.js";
+import { renderYearHeatmap } from "./calendar.js";
+import { renderDayTimeline } from "./timeline.js";
+import {
+	describePreviousPeriod,
+	formatDelta,
+	compareProjectTotals,
+} from "./comparison.js";
+
+// Preset selected when the app loads (see ranges.js for all keys)
+const DEFAULT_RANGE_PRESET = "last-7";
+
+// Selected range: a preset key, or a custom range when customRange is set
+let selectedPreset = DEFAULT_RANGE_PRESET;
+let customRange = null;
+
+// Tags selected in the tag filter (empty = no filtering)
+let selectedTags = new Set();
+
+// Project opened in the Project Distribution drill-down (null = all projects)
+let drilldownProject = null;
+
+// window properties holding the Chart.js instances of the reports view
+const REPORT_CHARTS = [
+	"projectPieChart",
+	"taskPieChart",
+	"dailyBarChart",
+	"tagBarChart",
+	"earningsBarChart",
+];
+
+/**
+ * Destroys all report charts (prevents Chart.js memory leaks)
+ */
+function destroyReportCharts() {
+	REPORT_CHARTS.forEach((name) => {
+		if (window[name]) {
+			window[name].destroy();
+			window[name] = null;
+		}
+	});
+}
 
 /**
- * Switches between tracker and reports tabs
+ * Returns the entries the report covers (after the tag filter)
+ *
+ * @returns {Array<Object>} Historical entries
+ */
+const getReportEntries = () =>
+	filterEntriesByTags(state.historicalEntries, selectedTags);
+
+/**
+ * Returns the report's day slices, rounded by the rule in settings
+ *
+ * @param {{from: Date, to: Date}} range - Date range (to is exclusive)
+ * @returns {Array<Object>} Day slices
+ */
+const getReportSlices = (range) =>
+	applyRounding(getDaySlices(getReportEntries(), range), state.settings.rounding);
+
+/**
+ * Resolves the selected preset or custom range to concrete dates
+ *
+ * @returns {{from: Date, to: Date}} Selected range (to is exclusive)
+ */
+const getSelectedRange = () =>
+	customRange ||
+	getPresetRange(selectedPreset, new Date(), state.historicalEntries);
+
+/**
+ * Switches between tracker, history, timesheet, reports and settings tabs
  *
  * Hides all content views, removes active state from all tabs, displays the
  * selected tab's content, and marks the tab button as active. If switching
- * to reports tab, automatically triggers report rendering.
+ * to the reports, history, timesheet or settings tab, automatically
+ * triggers its rendering.
  *
- * @param {string} targetTab - Tab name ('tracker' or 'reports')
+ * @param {string} targetTab - Tab name ('tracker', 'history', 'timesheet',
+ *   'reports' or 'settings')
  * @returns {void}
  */
 export const switchTab = (targetTab) => {
@@ -70,6 +209,12 @@ export const switchTab = (targetTab) => {
 	document.getElementById(`view-${targetTab}`).classList.remove("hidden");
 	document.getElementById(`tab-${targetTab}`).classList.add("active");
 	if (targetTab === "reports") renderReportsView();
+	if (targetTab === "history") renderHistoryView();
+	if (targetTab === "timesheet") renderTimesheetView();
+	if (targetTab === "settings") {
+		renderSettingsView();
+		renderSuggestionsPanel();
+	}
 };
 
 /**
@@ -79,7 +224,8 @@ export const switchTab = (targetTab) => {
  * 1. Summary Statistics: At-a-glance metrics
  * 2. Project Time Distribution (Doughnut Chart)
  * 3. Daily Time Logged (Bar Chart)
- * 4. Weekly Work Patterns (Heatmap)
+ * 4. Time by Tag and Earnings by Project (Bar Charts)
+ * 5. Weekly Work Patterns (Heatmap)
  *
  * Handles loading states, errors, and empty data scenarios.
  *
@@ -106,28 +252,22 @@ export const renderReportsView = () => {
 		}
 
 		// Destroy existing chart instances to prevent memory leaks
-		if (window.projectPieChart) {
-			window.projectPieChart.destroy();
-			window.projectPieChart = null;
-		}
-		if (window.dailyBarChart) {
-			window.dailyBarChart.destroy();
-			window.dailyBarChart = null;
-		}
+		destroyReportCharts();
 
 		// Check if Chart.js is available
 		if (typeof Chart === "undefined") {
 			loadingEl.classList.add("hidden");
 			errorEl.classList.remove("hidden");
 			errorEl.textContent =
-				"Chart library failed to load. Please refresh the page or check your internet connection.";
+				"Chart library failed to load. Please refresh the page or check that vendor/chart.js is present.";
 			return;
 		}
 
-		// Default range is 7 days
-		const defaultRange = 7;
-		updateStatisticsDisplay(defaultRange);
-		renderChartsForRange(defaultRange);
+		const range = getSelectedRange();
+		syncRangeControls(range);
+		renderTagFilter();
+		updateStatisticsDisplay(range);
+		renderChartsForRange(range);
 
 		loadingEl?.classList.add("hidden");
 		contentEl?.classList.remove("hidden");
@@ -144,22 +284,20 @@ export const renderReportsView = () => {
 
 /**
  * Calculate summary statistics for the selected date range
- * @param {number} daysBack - Number of days to look back (7, 30, 365, etc.)
+ * @param {{from: Date, to: Date}} range - Date range (to is exclusive)
+ * @param {Date} [today=new Date()] - Day counted as "Today" (shifted back
+ *   when calculating the previous period)
  * @returns {object} Statistics object
  */
-function calculateStatistics(daysBack = 7) {
-	const now = new Date();
-	const cutoffDate = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000);
+function calculateStatistics(range, today = new Date()) {
+	// Split entries into per-day slices within the date range
+	const slices = getReportSlices(range);
 
-	// Filter entries within date range
-	const entries = state.historicalEntries.filter((entry) => {
-		const entryDate = new Date(entry.endTime);
-		return entryDate >= cutoffDate;
-	});
-
-	if (entries.length === 0) {
+	if (slices.length === 0) {
 		return {
 			totalHours: 0,
+			billableHours: 0,
+			earnings: 0,
 			dailyAverage: 0,
 			busiestDay: "—",
 			topProject: "—",
@@ -169,43 +307,40 @@ function calculateStatistics(daysBack = 7) {
 	}
 
 	// Total hours
-	const totalMinutes = entries.reduce(
-		(sum, entry) => sum + (entry.totalDurationMs / 60000),
+	const totalMinutes = slices.reduce(
+		(sum, slice) => sum + (slice.durationMs / 60000),
 		0
 	);
 	const totalHours = (totalMinutes / 60).toFixed(1);
 
-	// Daily average
-	const uniqueDays = new Set(
-		entries.map((e) => new Date(e.endTime).toLocaleDateString())
-	).size;
+	// Billable hours and earnings (billable entries × hourly rate)
+	const { billableMs, earnings } = summarizeEarnings(
+		slices,
+		state.settings.rates
+	);
+	const billableHours = (billableMs / CONSTANTS.MS_PER_HOUR).toFixed(1);
+
+	// Daily average (local calendar days, same keys as the bar chart)
+	const uniqueDays = new Set(slices.map((s) => s.dayKey)).size;
 	const dailyAverage = (totalMinutes / uniqueDays / 60).toFixed(1);
 
 	// Busiest day (most hours)
-	const dayMap = {};
-	entries.forEach((entry) => {
-		const day = new Date(entry.endTime).toLocaleDateString("en-US", {
-			weekday: "long",
-		});
-		dayMap[day] = (dayMap[day] || 0) + (entry.totalDurationMs / 60000);
-	});
+	const dayMap = sumSlicesBy(slices, (slice) =>
+		slice.start.toLocaleDateString("en-US", { weekday: "long" })
+	);
 	const busiestDay =
 		Object.entries(dayMap).sort((a, b) => b[1] - a[1])[0]?.[0] || "—";
 
 	// Top project
-	const projectMap = {};
-	entries.forEach((entry) => {
-		const project = entry.project;
-		projectMap[project] = (projectMap[project] || 0) + (entry.totalDurationMs / 60000);
-	});
+	const projectMap = sumSlicesBy(slices, (slice) => slice.entry.project);
 	const topProject =
 		Object.entries(projectMap).sort((a, b) => b[1] - a[1])[0]?.[0] || "—";
 
 	// Today's hours
-	const today = new Date().toLocaleDateString();
-	const todayMinutes = entries
-		.filter((e) => new Date(e.endTime).toLocaleDateString() === today)
-		.reduce((sum, e) => sum + (e.totalDurationMs / 60000), 0);
+	const todayKey = getBucketKey(today);
+	const todayMinutes = slices
+		.filter((s) => s.dayKey === todayKey)
+		.reduce((sum, s) => sum + (s.durationMs / 60000), 0);
 	const todayHours = (todayMinutes / 60).toFixed(1);
 
 	// Tracking days (days with at least 1 entry)
@@ -213,6 +348,8 @@ function calculateStatistics(daysBack = 7) {
 
 	return {
 		totalHours,
+		billableHours,
+		earnings,
 		dailyAverage,
 		busiestDay,
 		topProject,
@@ -224,12 +361,19 @@ function calculateStatistics(daysBack = 7) {
 /**
  * Update statistics display with new data
  */
-function updateStatisticsDisplay(daysBack = 7) {
-	const stats = calculateStatistics(daysBack);
+function updateStatisticsDisplay(range) {
+	const stats = calculateStatistics(range);
 
 	document.getElementById(
 		"stat-total-hours"
 	).textContent = `${stats.totalHours} h`;
+	document.getElementById(
+		"stat-billable-hours"
+	).textContent = `${stats.billableHours} h`;
+	document.getElementById("stat-earnings").textContent = formatMoney(
+		stats.earnings,
+		state.settings.currency
+	);
 	document.getElementById(
 		"stat-daily-avg"
 	).textContent = `${stats.dailyAverage} h`;
@@ -240,50 +384,123 @@ function updateStatisticsDisplay(daysBack = 7) {
 	).textContent = `${stats.todayHours} h`;
 	document.getElementById("stat-tracking-days").textContent =
 		stats.trackingDays;
+
+	// Change against the previous period of equal length
+	const now = new Date();
+	const previousRange = getPreviousRange(range);
+	const previousToday = addDays(now, -getRangeDays(range).length);
+	const previous = calculateStatistics(previousRange, previousToday);
+	const hasPrevious = getReportSlices(previousRange).length > 0;
+	const label = `vs ${describePreviousPeriod(range)}`;
+	const todayInRange = now >= range.from && now < range.to;
+	const previousDayLabel = `vs ${previousToday.toLocaleDateString("en-US", {
+		month: "short",
+		day: "numeric",
+	})}`;
+
+	setStatDelta(
+		"stat-total-hours-delta",
+		hasPrevious ? stats.totalHours - previous.totalHours : null,
+		" h",
+		label
+	);
+	setStatDelta(
+		"stat-daily-avg-delta",
+		hasPrevious ? stats.dailyAverage - previous.dailyAverage : null,
+		" h",
+		label
+	);
+	setStatDelta(
+		"stat-today-hours-delta",
+		hasPrevious && todayInRange ? stats.todayHours - previous.todayHours : null,
+		" h",
+		previousDayLabel
+	);
+	setStatDelta(
+		"stat-tracking-days-delta",
+		hasPrevious ? stats.trackingDays - previous.trackingDays : null,
+		"",
+		label,
+		0
+	);
+
+	const roundingNote = document.getElementById("report-rounding-note");
+	if (roundingNote) {
+		roundingNote.textContent = describeRounding(state.settings.rounding);
+		roundingNote.classList.toggle("hidden", !roundingNote.textContent);
+	}
 }
 
 /**
- * Weekly work patterns visualization - planned for future enhancement
- * Currently removed due to Cal-Heatmap dependency on D3 libraries
- * Future: Either add D3 dependencies or use alternative visualization library
+ * Show a card's change against the previous period
+ *
+ * @param {string} id - Id of the delta element below the card's value
+ * @param {number|null} delta - Change, or null to hide the element
+ * @param {string} unit - Unit for formatDelta(), e.g. " h"
+ * @param {string} label - What it is compared with, e.g. "vs previous 7 days"
+ * @param {number} [decimals=1] - Decimal places
  */
+function setStatDelta(id, delta, unit, label, decimals = 1) {
+	const el = document.getElementById(id);
+	if (!el) return;
+	el.classList.toggle("hidden", delta === null);
+	if (delta === null) return;
+
+	const text = formatDelta(delta, unit, decimals);
+	el.textContent = `${text} ${label}`;
+	el.classList.toggle("text-green-700", text.startsWith("+"));
+	el.classList.toggle("text-red-600", text.startsWith("-"));
+	el.classList.toggle("text-gray-500", text.startsWith("±"));
+}
 
 /**
- * Render existing charts (doughnut and bar) for a specific range
+ * Render all charts for a specific range
  */
-function renderChartsForRange(daysBack) {
-	const cutoffDate = new Date();
-	cutoffDate.setDate(cutoffDate.getDate() - daysBack);
+function renderChartsForRange(range) {
+	const slices = getReportSlices(range);
 
-	const filteredEntries = state.historicalEntries.filter(
-		(entry) => new Date(entry.endTime) >= cutoffDate
+	// Destroy existing charts
+	destroyReportCharts();
+
+	renderProjectPieChart(slices);
+	renderProjectComparison(slices, range);
+	renderDailyBarChart(slices, range);
+	renderTagBarChart(slices);
+	renderEarningsBarChart(slices);
+
+	// Weekly work patterns: hour slices, drawn on a plain canvas (heatmap.js)
+	const hourSlices = applyRounding(
+		getHourSlices(getReportEntries(), range),
+		state.settings.rounding
+	);
+	renderWeeklyHeatmap(
+		document.getElementById("weekly-heatmap"),
+		buildWeekdayHourMatrix(hourSlices)
 	);
 
-	// Destroy existing charts
-	if (window.projectPieChart) {
-		window.projectPieChart.destroy();
-		window.projectPieChart = null;
-	}
-	if (window.dailyBarChart) {
-		window.dailyBarChart.destroy();
-		window.dailyBarChart = null;
-	}
+	// Year grid and streaks: all day slices, not clipped to the range
+	renderYearHeatmap(
+		applyRounding(getDaySlices(getReportEntries()), state.settings.rounding)
+	);
 
-	renderProjectPieChart(filteredEntries);
-	renderDailyBarChart(filteredEntries);
+	// Day timeline: raw clock times of its own day; redraw after edits
+	renderDayTimeline(
+		getReportEntries(),
+		applySelectedRange,
+		state.settings.projectColors
+	);
 }
 
 /**
- * Render project pie chart with filtered entries
+ * Render project pie chart from the range's day slices
  */
-function renderProjectPieChart(entries) {
-	const projectDurations = entries.reduce((acc, entry) => {
-		acc[entry.project] = (acc[entry.project] || 0) + entry.totalDurationMs;
-		return acc;
-	}, {});
+function renderProjectPieChart(slices) {
+	const projectDurations = sumSlicesBy(slices, (slice) => slice.entry.project);
 	const projectLabels = Object.keys(projectDurations);
 	const projectData = Object.values(projectDurations);
-	const projectColors = getDistinctColors(projectLabels.length);
+	const projectColors = projectLabels.map((project) =>
+		getProjectColor(project, state.settings.projectColors)
+	);
 
 	const pieCtx = document
 		.getElementById("project-pie-chart")
@@ -302,6 +519,15 @@ function renderProjectPieChart(entries) {
 		options: {
 			responsive: true,
 			maintainAspectRatio: false,
+			// Clicking a slice opens the project's tasks
+			onClick: (event, elements) => {
+				if (elements.length === 0) return;
+				drilldownProject = projectLabels[elements[0].index];
+				renderProjectDrilldown(slices);
+			},
+			onHover: (event, elements) => {
+				event.native.target.style.cursor = elements.length ? "pointer" : "default";
+			},
 			plugins: {
 				legend: { position: "right" },
 				tooltip: {
@@ -315,35 +541,227 @@ function renderProjectPieChart(entries) {
 			},
 		},
 	});
+
+	renderProjectDrilldown(slices);
+}
+
+/**
+ * Shows the drilled-down project's tasks, or all projects
+ *
+ * Falls back to all projects when the project has no time left in the
+ * range (e.g. after changing the range or the tag filter).
+ */
+function renderProjectDrilldown(slices) {
+	const tasks = drilldownProject
+		? summarizeProjectTasks(slices, drilldownProject)
+		: [];
+	if (tasks.length === 0) drilldownProject = null;
+
+	document
+		.getElementById("project-pie-wrapper")
+		?.classList.toggle("hidden", drilldownProject !== null);
+	document
+		.getElementById("project-drilldown")
+		?.classList.toggle("hidden", drilldownProject === null);
+
+	if (window.taskPieChart) {
+		window.taskPieChart.destroy();
+		window.taskPieChart = null;
+	}
+	if (drilldownProject === null) return;
+
+	document.getElementById("project-breadcrumb-current").textContent =
+		drilldownProject;
+	renderTaskPieChart(tasks);
+	renderTaskTable(tasks);
+}
+
+/**
+ * Render the drilled-down project's tasks as a doughnut chart
+ */
+function renderTaskPieChart(tasks) {
+	const taskCtx = document.getElementById("task-pie-chart").getContext("2d");
+	window.taskPieChart = new Chart(taskCtx, {
+		type: "doughnut",
+		data: {
+			labels: tasks.map((task) => task.task),
+			datasets: [
+				{
+					data: tasks.map((task) => task.durationMs),
+					backgroundColor: getDistinctColors(tasks.length),
+				},
+			],
+		},
+		options: {
+			responsive: true,
+			maintainAspectRatio: false,
+			plugins: {
+				legend: { position: "right" },
+				tooltip: {
+					callbacks: {
+						label: (c) =>
+							`${c.label}: ${formatDuration(
+								Math.round(c.parsed / CONSTANTS.MS_PER_SECOND)
+							)}`,
+					},
+				},
+			},
+		},
+	});
+}
+
+/**
+ * Render the drilled-down project's tasks as a table: hours, number of
+ * entries, share of the project, the latest notes and a "Continue" button
+ */
+function renderTaskTable(tasks) {
+	const tbody = document.getElementById("task-table-body");
+	if (!tbody) return;
+	tbody.innerHTML = "";
+
+	tasks.forEach((task) => {
+		const row = document.createElement("tr");
+		row.className = "border-b last:border-b-0";
+		[
+			[task.task, "py-2 pr-4 text-gray-800"],
+			[
+				(task.durationMs / CONSTANTS.MS_PER_HOUR).toFixed(2),
+				"py-2 pr-4 text-right font-mono",
+			],
+			[String(task.entryCount), "py-2 pr-4 text-right"],
+			[`${Math.round(task.share * 100)}%`, "py-2 pr-4 text-right"],
+			[task.latestNotes || "—", "py-2 pr-4 text-gray-500 truncate max-w-xs"],
+		].forEach(([text, className]) => {
+			const cell = document.createElement("td");
+			cell.className = className;
+			cell.textContent = text;
+			row.appendChild(cell);
+		});
+
+		// Continue the task with its latest entry's tags and billable flag
+		const actionCell = document.createElement("td");
+		actionCell.className = "py-2 text-right";
+		actionCell.appendChild(createContinueButton(task.latestEntry));
+		row.appendChild(actionCell);
+		tbody.appendChild(row);
+	});
+}
+
+/**
+ * Render the per-project comparison with the previous period
+ *
+ * One row per project with time in either period, most grown first. The
+ * table is replaced by a hint when the previous period has no time.
+ */
+function renderProjectComparison(slices, range) {
+	const tbody = document.getElementById("project-comparison-body");
+	if (!tbody) return;
+	tbody.innerHTML = "";
+
+	const previousSlices = getReportSlices(getPreviousRange(range));
+	const rows = compareProjectTotals(slices, previousSlices);
+	const hasPrevious = previousSlices.length > 0;
+	const period = describePreviousPeriod(range);
+
+	document.getElementById("project-comparison-label").textContent =
+		`Selected range vs ${period}`;
+	document
+		.getElementById("project-comparison-table")
+		?.classList.toggle("hidden", !hasPrevious);
+	const emptyEl = document.getElementById("project-comparison-empty");
+	emptyEl?.classList.toggle("hidden", hasPrevious);
+	if (emptyEl) {
+		emptyEl.textContent = `Nothing was tracked in the ${period} to compare with.`;
+	}
+	if (!hasPrevious) return;
+
+	const toHours = (ms) => (ms / CONSTANTS.MS_PER_HOUR).toFixed(2);
+	rows.forEach((row) => {
+		const delta = formatDelta(row.deltaMs / CONSTANTS.MS_PER_HOUR, " h", 2);
+		const change =
+			row.change === null ? "new" : formatDelta(row.change * 100, "%", 0);
+		const changeClass = delta.startsWith("+")
+			? "text-green-700"
+			: delta.startsWith("-")
+			? "text-red-600"
+			: "text-gray-500";
+
+		const tr = document.createElement("tr");
+		tr.className = "border-b last:border-b-0";
+		[
+			[row.project, "py-2 pr-4 text-gray-800 truncate max-w-xs"],
+			[toHours(row.currentMs), "py-2 pr-4 text-right font-mono"],
+			[toHours(row.previousMs), "py-2 pr-4 text-right font-mono"],
+			[`${delta} (${change})`, `py-2 text-right font-mono ${changeClass}`],
+		].forEach(([text, className]) => {
+			const cell = document.createElement("td");
+			cell.className = className;
+			cell.textContent = text;
+			tr.appendChild(cell);
+		});
+		tbody.appendChild(tr);
+	});
 }
 
 /**
- * Render daily bar chart with filtered entries
+ * Chart heading for each bucket size
+ */
+const BAR_CHART_TITLES = {
+	day: "Daily Time Logged",
+	week: "Weekly Time Logged",
+	month: "Monthly Time Logged",
+};
+
+/**
+ * Format a bar label for a bucket start date
+ *
+ * Weekday names are enough for a week of daily bars; longer ranges need the
+ * date, weekly bars are labelled by their Monday.
  */
-function renderDailyBarChart(entries) {
-	const dailyDurations = {};
-	for (let i = 6; i >= 0; i--) {
-		const day = new Date(Date.now() - i * CONSTANTS.MS_PER_DAY);
-		dailyDurations[day.toISOString().split("T")[0]] = 0;
+function formatBucketLabel(bucket, granularity, bucketCount) {
+	if (granularity === "month") {
+		return bucket.toLocaleDateString("en-US", { month: "short", year: "numeric" });
+	}
+	if (granularity === "day" && bucketCount <= 7) {
+		return bucket.toLocaleDateString("en-US", { weekday: "short" });
 	}
-	entries.forEach((entry) => {
-		const dateKey = new Date(entry.endTime).toISOString().split("T")[0];
-		if (dailyDurations.hasOwnProperty(dateKey)) {
-			dailyDurations[dateKey] += entry.totalDurationMs;
+	return bucket.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+}
+
+/**
+ * Render the time logged bar chart from the range's day slices
+ *
+ * Buckets by local calendar day, week or month depending on the range
+ * length, so a long range still gets a readable number of bars.
+ */
+function renderDailyBarChart(slices, range) {
+	const granularity = getBucketGranularity(range);
+	const buckets = getRangeBuckets(range, granularity);
+	const bucketDurations = {};
+	buckets.forEach((bucket) => {
+		bucketDurations[toDateInputValue(bucket)] = 0;
+	});
+	slices.forEach((slice) => {
+		const bucketKey = getBucketKey(slice.start, granularity);
+		if (bucketDurations.hasOwnProperty(bucketKey)) {
+			bucketDurations[bucketKey] += slice.durationMs;
 		}
 	});
 
+	const titleEl = document.getElementById("daily-bar-chart-title");
+	if (titleEl) titleEl.textContent = BAR_CHART_TITLES[granularity];
+
 	const barCtx = document.getElementById("daily-bar-chart").getContext("2d");
 	window.dailyBarChart = new Chart(barCtx, {
 		type: "bar",
 		data: {
-			labels: Object.keys(dailyDurations).map((d) =>
-				new Date(d).toLocaleDateString("en-US", { weekday: "short" })
+			labels: buckets.map((bucket) =>
+				formatBucketLabel(bucket, granularity, buckets.length)
 			),
 			datasets: [
 				{
 					label: "Hours Logged",
-					data: Object.values(dailyDurations).map(
+					data: Object.values(bucketDurations).map(
 						(ms) => ms / CONSTANTS.MS_PER_HOUR
 					),
 					backgroundColor: "#4f46e5",
@@ -367,7 +785,169 @@ function renderDailyBarChart(entries) {
 }
 
 /**
- * Setup event listeners for date range buttons and collapsible sections
+ * Render time by tag chart from the range's day slices
+ *
+ * Horizontal bars, largest first. Entries with several tags count towards
+ * each, so this is a breakdown rather than a share of the total.
+ */
+function renderTagBarChart(slices) {
+	const tagDurations = Object.entries(sumSlicesByTag(slices)).sort(
+		(a, b) => b[1] - a[1]
+	);
+
+	const tagCtx = document.getElementById("tag-bar-chart").getContext("2d");
+	window.tagBarChart = new Chart(tagCtx, {
+		type: "bar",
+		data: {
+			labels: tagDurations.map(([tag]) =>
+				tag ? formatTags([tag]) : "Untagged"
+			),
+			datasets: [
+				{
+					label: "Hours Logged",
+					data: tagDurations.map(([, ms]) => ms / CONSTANTS.MS_PER_HOUR),
+					backgroundColor: tagDurations.map(([tag]) =>
+						tag ? "#6366f1" : "#9ca3af"
+					),
+				},
+			],
+		},
+		options: {
+			indexAxis: "y",
+			responsive: true,
+			maintainAspectRatio: false,
+			scales: {
+				x: {
+					beginAtZero: true,
+					title: { display: true, text: "Hours" },
+				},
+			},
+			plugins: {
+				legend: { display: false },
+				tooltip: {
+					callbacks: {
+						label: (c) =>
+							formatDuration(
+								Math.round(
+									(c.parsed.x * CONSTANTS.MS_PER_HOUR) /
+										CONSTANTS.MS_PER_SECOND
+								)
+							),
+					},
+				},
+			},
+		},
+	});
+}
+
+/**
+ * Render earnings per project from the range's day slices
+ *
+ * Only projects with billable time get a bar (a billable project without a
+ * rate shows as 0, which points at the missing rate). Shows a hint instead
+ * of an empty chart when nothing in the range is billable.
+ */
+function renderEarningsBarChart(slices) {
+	const { earningsByProject } = summarizeEarnings(slices, state.settings.rates);
+	const projectEarnings = Object.entries(earningsByProject).sort(
+		(a, b) => b[1] - a[1]
+	);
+	const currency = state.settings.currency;
+
+	const hasBillableTime = projectEarnings.length > 0;
+	document
+		.getElementById("earnings-empty")
+		?.classList.toggle("hidden", hasBillableTime);
+	document
+		.getElementById("earnings-chart-wrapper")
+		?.classList.toggle("hidden", !hasBillableTime);
+	if (!hasBillableTime) return;
+
+	const earningsCtx = document
+		.getElementById("earnings-bar-chart")
+		.getContext("2d");
+	window.earningsBarChart = new Chart(earningsCtx, {
+		type: "bar",
+		data: {
+			labels: projectEarnings.map(([project]) => project),
+			datasets: [
+				{
+					label: `Earnings (${currency})`,
+					data: projectEarnings.map(([, amount]) => amount),
+					backgroundColor: projectEarnings.map(([project]) =>
+						getProjectColor(project, state.settings.projectColors)
+					),
+				},
+			],
+		},
+		options: {
+			responsive: true,
+			maintainAspectRatio: false,
+			scales: {
+				y: {
+					beginAtZero: true,
+					title: { display: true, text: currency },
+				},
+			},
+			plugins: {
+				legend: { display: false },
+				tooltip: {
+					callbacks: {
+						label: (c) => formatMoney(c.parsed.y, currency),
+					},
+				},
+			},
+		},
+	});
+}
+
+/**
+ * Render the tag filter chips (hidden when no entry has tags)
+ *
+ * Selected tags that no longer exist (renamed or deleted entries) are
+ * dropped, so the filter can't hide everything without showing why.
+ */
+function renderTagFilter() {
+	const wrapper = document.getElementById("report-tag-filter");
+	const list = document.getElementById("report-tag-filter-list");
+	if (!wrapper || !list) return;
+
+	const allTags = collectTags(state.historicalEntries);
+	selectedTags = new Set(allTags.filter((tag) => selectedTags.has(tag)));
+	wrapper.classList.toggle("hidden", allTags.length === 0);
+
+	list.innerHTML = "";
+	allTags.forEach((tag) => {
+		const isSelected = selectedTags.has(tag);
+		const chip = document.createElement("button");
+		chip.className = `report-tag-btn px-3 py-1 rounded-full text-xs font-medium ${
+			isSelected
+				? "bg-indigo-600 text-white"
+				: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+		}`;
+		chip.dataset.tag = tag;
+		chip.setAttribute("aria-pressed", String(isSelected));
+		chip.textContent = formatTags([tag]);
+		chip.addEventListener("click", handleTagFilterClick);
+		list.appendChild(chip);
+	});
+}
+
+/**
+ * Handle tag filter chip clicks (toggles the tag)
+ */
+function handleTagFilterClick(e) {
+	const tag = e.currentTarget.dataset.tag;
+	if (selectedTags.has(tag)) {
+		selectedTags.delete(tag);
+	} else {
+		selectedTags.add(tag);
+	}
+	applySelectedRange();
+}
+
+/**
+ * Setup event listeners for date range controls and collapsible sections
  */
 function setupReportEventListeners() {
 	// Date range buttons
@@ -376,6 +956,18 @@ function setupReportEventListeners() {
 		btn.addEventListener("click", handleDateRangeClick);
 	});
 
+	// Custom from/to dates
+	["report-range-from", "report-range-to"].forEach((id) => {
+		const input = document.getElementById(id);
+		input?.removeEventListener("change", handleCustomRangeChange);
+		input?.addEventListener("change", handleCustomRangeChange);
+	});
+
+	// Breadcrumb back from the project drill-down
+	const allProjectsBtn = document.getElementById("project-breadcrumb-all");
+	allProjectsBtn?.removeEventListener("click", handleAllProjectsClick);
+	allProjectsBtn?.addEventListener("click", handleAllProjectsClick);
+
 	// Collapsible sections
 	document.querySelectorAll(".chart-section-header").forEach((header) => {
 		header.removeEventListener("click", handleSectionToggle);
@@ -384,22 +976,80 @@ function setupReportEventListeners() {
 }
 
 /**
- * Handle date range button clicks
+ * Reflect the selected range in the preset buttons and from/to inputs
+ *
+ * The preset matching selectedPreset is highlighted (none for a custom
+ * range), and the date inputs always show the resolved first and last day.
  */
-function handleDateRangeClick(e) {
+function syncRangeControls(range) {
 	document
 		.querySelectorAll(".date-range-btn")
 		.forEach((b) => {
-			b.classList.remove("active", "border-b-2", "border-blue-600", "text-blue-600");
-			b.classList.add("text-gray-600", "hover:text-gray-900");
+			const isActive = !customRange && b.dataset.range === selectedPreset;
+			b.classList.toggle("active", isActive);
+			["border-b-2", "border-blue-600", "text-blue-600"].forEach((c) =>
+				b.classList.toggle(c, isActive)
+			);
+			["text-gray-600", "hover:text-gray-900"].forEach((c) =>
+				b.classList.toggle(c, !isActive)
+			);
 		});
 
-	e.target.classList.add("active", "border-b-2", "border-blue-600", "text-blue-600");
-	e.target.classList.remove("text-gray-600", "hover:text-gray-900");
+	const fromInput = document.getElementById("report-range-from");
+	const toInput = document.getElementById("report-range-to");
+	if (fromInput) fromInput.value = toDateInputValue(range.from);
+	if (toInput) toInput.value = toDateInputValue(getRangeLastDay(range));
+	document.getElementById("report-range-error")?.classList.add("hidden");
+}
+
+/**
+ * Re-render statistics and charts for the selected range
+ */
+function applySelectedRange() {
+	const range = getSelectedRange();
+	syncRangeControls(range);
+	renderTagFilter();
+	updateStatisticsDisplay(range);
+	renderChartsForRange(range);
+}
+
+/**
+ * Leave the project drill-down and show all projects again
+ */
+function handleAllProjectsClick() {
+	drilldownProject = null;
+	renderProjectDrilldown([]);
+}
+
+/**
+ * Handle date range button clicks
+ */
+function handleDateRangeClick(e) {
+	selectedPreset = e.currentTarget.dataset.range;
+	customRange = null;
+	applySelectedRange();
+}
+
+/**
+ * Handle changes to the custom from/to date inputs
+ *
+ * An incomplete or reversed range shows an error and keeps the current
+ * charts, so the user can fix one input at a time.
+ */
+function handleCustomRangeChange() {
+	const range = getCustomRange(
+		document.getElementById("report-range-from").value,
+		document.getElementById("report-range-to").value
+	);
+	const errorEl = document.getElementById("report-range-error");
+	if (!range) {
+		errorEl.textContent = "Choose a valid start and end date (start on or before end).";
+		errorEl.classList.remove("hidden");
+		return;
+	}
 
-	const daysBack = parseInt(e.target.dataset.range);
-	updateStatisticsDisplay(daysBack);
-	renderChartsForRange(daysBack);
+	customRange = range;
+	applySelectedRange();
 }
 
 /**
@@ -0,0 +1,159 @@
+/**
+ * Time rounding rules for exports, reports and invoices
+ *
+ * ROLE IN ARCHITECTURE:
+ * Clients often bill in 6- or 15-minute increments. state.settings.rounding
+ * (edited in the Settings tab) says how tracked time is rounded before it is
+ * totalled; this module applies that rule. Entries themselves are never
+ * changed - History shows and stores raw durations, and the CSV export has
+ * both. Pure functions - no DOM or state access.
+ *
+ * THE RULE:
+ * { mode, incrementMinutes, scope }
+ * - mode: "none" (off), "up", "down" or "nearest"
+ * - incrementMinutes: 1-60, e.g. 6 (tenths of an hour) or 15
+ * - scope: "entry" rounds each entry's total duration; "day" rounds each
+ *   task's total per calendar day, so three 5-minute entries on one task
+ *   bill one increment instead of three
+ *
+ * ROUNDING SLICES:
+ * Reports are built from day slices (aggregation.js). applyRounding()
+ * scales each slice by rounded / raw for its group (its entry, or its
+ * task-day), so an entry crossing midnight keeps its split and every
+ * report total, chart and earnings figure follows the same rule.
+ *
+ * IMPACT OF CHANGES:
+ * - The rule's shape and limits must match validateSettings() in server.cjs
+ * - Rounding happens after clipping to the report range, so an entry that
+ *   straddles the range edge is rounded by its full duration and counted
+ *   proportionally
+ *
+ * @module rounding
+ */
+
+import { CONSTANTS } from "./constants.js";
+import { splitEntryByDay } from "./aggregation.js";
+
+/**
+ * Rounds a number of increments for each mode
+ */
+const ROUNDING_FUNCTIONS = {
+	up: Math.ceil,
+	down: Math.floor,
+	nearest: Math.round,
+};
+
+/**
+ * How each mode and scope reads in describeRounding()
+ */
+const MODE_LABELS = { up: "up to", down: "down to", nearest: "to the nearest" };
+const SCOPE_LABELS = { entry: "per entry", day: "per task per day" };
+
+/**
+ * Checks whether a rounding rule changes durations at all
+ *
+ * @param {Object} [rule] - Rounding rule from settings
+ * @returns {boolean} True for a known mode other than "none" with a
+ *   positive increment
+ */
+export const isRoundingEnabled = (rule) =>
+	Boolean(rule) &&
+	Object.hasOwn(ROUNDING_FUNCTIONS, rule.mode) &&
+	rule.incrementMinutes > 0;
+
+/**
+ * Rounds a duration to the rule's increment
+ *
+ * Works on whole milliseconds, so a day total of slices that is a hair over
+ * an increment (floating point) doesn't round up to the next one.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @param {Object} [rule] - Rounding rule from settings
+ * @returns {number} Rounded duration in milliseconds (ms unchanged if the
+ *   rule is off)
+ */
+export const roundDuration = (ms, rule) => {
+	if (!isRoundingEnabled(rule)) return ms;
+	const incrementMs = rule.incrementMinutes * CONSTANTS.MS_PER_MINUTE;
+	return ROUNDING_FUNCTIONS[rule.mode](Math.round(ms) / incrementMs) * incrementMs;
+};
+
+/**
+ * Returns the key of the group a slice is rounded with
+ *
+ * @param {Object} slice - Day slice
+ * @param {Object} rule - Rounding rule
+ * @returns {Object|string} The entry itself, or "day|project:task"
+ */
+const getRoundingGroup = (slice, rule) =>
+	rule.scope === "day"
+		? `${slice.dayKey}|${slice.entry.project.toLowerCase()}:${slice.entry.task.toLowerCase()}`
+		: slice.entry;
+
+/**
+ * Applies a rounding rule to day slices
+ *
+ * @param {Array<Object>} slices - Day slices (see aggregation.js)
+ * @param {Object} [rule] - Rounding rule from settings
+ * @returns {Array<Object>} New slices with rounded durationMs (the same
+ *   array if the rule is off)
+ */
+export const applyRounding = (slices, rule) => {
+	if (!isRoundingEnabled(rule)) return slices;
+
+	const rawTotals = new Map();
+	slices.forEach((slice) => {
+		const group = getRoundingGroup(slice, rule);
+		rawTotals.set(group, (rawTotals.get(group) || 0) + slice.durationMs);
+	});
+
+	return slices.map((slice) => {
+		const group = getRoundingGroup(slice, rule);
+		// Per entry, round the whole entry even if only part of it is in range
+		const rawMs =
+			rule.scope === "day" ? rawTotals.get(group) : slice.entry.totalDurationMs;
+		const factor = rawMs > 0 ? roundDuration(rawMs, rule) / rawMs : 1;
+		return { ...slice, durationMs: slice.durationMs * factor };
+	});
+};
+
+/**
+ * Returns each entry's rounded duration
+ *
+ * Per day, a task-day's rounding is shared between its entries in
+ * proportion to their time, so the values can be fractions of an increment
+ * while every task-day still adds up to whole increments.
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {Object} [rule] - Rounding rule from settings
+ * @returns {Map<Object, number>} Rounded milliseconds per entry
+ */
+export const getRoundedDurations = (entries, rule) => {
+	if (!isRoundingEnabled(rule) || rule.scope !== "day") {
+		return new Map(
+			entries.map((entry) => [entry, roundDuration(entry.totalDurationMs, rule)])
+		);
+	}
+
+	const durations = new Map(entries.map((entry) => [entry, 0]));
+	applyRounding(
+		entries.flatMap((entry) => splitEntryByDay(entry)),
+		rule
+	).forEach((slice) => {
+		durations.set(slice.entry, durations.get(slice.entry) + slice.durationMs);
+	});
+	return durations;
+};
+
+/**
+ * Describes a rounding rule for display
+ *
+ * @param {Object} [rule] - Rounding rule from settings
+ * @returns {string} e.g. "Rounded up to 15 min per entry" ("" if off)
+ */
+export const describeRounding = (rule) =>
+	isRoundingEnabled(rule)
+		? `Rounded ${MODE_LABELS[rule.mode]} ${rule.incrementMinutes} min ${
+				SCOPE_LABELS[rule.scope] || SCOPE_LABELS.entry
+		  }`
+		: "";
@@ -0,0 +1,335 @@
+/**
+ * Settings view - currency, hourly rates, time rounding, project colours and
+ * single focus
+ *
+ * ROLE IN ARCHITECTURE:
+ * Renders the Settings tab and saves state.settings to mtt-settings.json
+ * (POST /api/settings). Reports read the settings when they render, so a
+ * saved rate shows up in earnings the next time the Reports tab opens.
+ *
+ * UI UPDATE FLOW (same pattern as saveNotesModal in ui.js):
+ * User edits form → Validate → Replace state.settings → saveSettingsToServer()
+ * On server failure the previous settings are restored (rollback) and the
+ * form is left as typed so nothing has to be re-entered.
+ *
+ * RATE ROWS:
+ * Each row is Project, Task (optional) and rate per hour. Leaving the task
+ * empty sets the project's rate; a task rate overrides it (see billing.js).
+ * Rows with every field empty are ignored, so "Add rate" can't cause errors.
+ *
+ * TIME ROUNDING:
+ * Mode, increment (whole minutes) and scope of the rounding rule applied by
+ * rounding.js. The increment is kept while rounding is off, so switching it
+ * back on restores the previous rule.
+ *
+ * PROJECT COLOURS:
+ * One colour picker per project (from history, running timers and earlier
+ * choices), preset with the colour getProjectColor() derives from the name.
+ * Only colours that differ from that default are saved, so "Reset" simply
+ * drops a project from settings.projectColors.
+ *
+ * SINGLE FOCUS:
+ * When on, starting or resuming a timer pauses the other running timers
+ * (see pauseOtherTimers() in ui.js).
+ *
+ * IDLE DETECTION:
+ * After idleMinutes without activity (0 = off), coming back asks whether to
+ * keep, discard or split the idle time (see idle.js).
+ *
+ * @module settings
+ */
+
+import { state } from "./state.js";
+import { saveSettingsToServer } from "./api.js";
+import {
+	getRunningTasksKey,
+	getProjectColor,
+	getProjectColorKey,
+	sanitizeInput,
+	showNotification,
+} from "./utils.js";
+import { parseRateInput } from "./billing.js";
+import { CONSTANTS } from "./constants.js";
+
+/**
+ * Shows a validation message below the settings form
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setSettingsError = (message) => {
+	const errorEl = document.getElementById("settings-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Creates one editable row of the rates table
+ *
+ * @param {{project: string, task: string, rate: number}} [rate] - Rate to
+ *   show (omit for an empty row)
+ * @returns {HTMLElement} Row element
+ */
+const createRateRow = (rate = { project: "", task: "", rate: "" }) => {
+	const row = document.createElement("div");
+	row.className = "rate-row grid grid-cols-12 gap-2 items-center";
+
+	const inputClass =
+		"px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none material-input";
+	row.innerHTML = `
+		<input type="text" class="rate-project col-span-5 ${inputClass}" placeholder="Project" aria-label="Project">
+		<input type="text" class="rate-task col-span-4 ${inputClass}" placeholder="All tasks" aria-label="Task (optional)">
+		<input type="text" inputmode="decimal" class="rate-value col-span-2 ${inputClass}" placeholder="0.00" aria-label="Rate per hour">
+		<button type="button" class="rate-remove col-span-1 material-icons text-gray-400 hover:text-red-600" title="Remove rate">close</button>
+	`;
+	row.querySelector(".rate-project").value = rate.project;
+	row.querySelector(".rate-task").value = rate.task;
+	row.querySelector(".rate-value").value = rate.rate;
+	row
+		.querySelector(".rate-remove")
+		.addEventListener("click", () => row.remove());
+	return row;
+};
+
+/**
+ * Lists the projects that can be given a colour
+ *
+ * @returns {Array<{key: string, name: string}>} One item per project (names
+ *   compared case-insensitively), sorted by name
+ */
+const getColorableProjects = () => {
+	const projects = new Map();
+	const addProject = (name) => {
+		const key = getProjectColorKey(name);
+		if (key && !projects.has(key)) projects.set(key, name.trim());
+	};
+	state.historicalEntries.forEach((entry) => addProject(entry.project));
+	Object.values(state.activeTimers).forEach((timer) => addProject(timer.project));
+	Object.keys(state.settings.projectColors).forEach(addProject);
+
+	return [...projects]
+		.map(([key, name]) => ({ key, name }))
+		.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Creates one row of the project colours list
+ *
+ * @param {{key: string, name: string}} project - Project to colour
+ * @returns {HTMLElement} Row element
+ */
+const createProjectColorRow = ({ key, name }) => {
+	const row = document.createElement("div");
+	row.className = "project-color-row flex items-center gap-3";
+	row.dataset.project = key;
+	row.innerHTML = `
+		<input type="color" class="project-color-value w-10 h-8 border border-gray-300 rounded cursor-pointer">
+		<span class="project-color-name flex-grow text-sm text-gray-700 truncate"></span>
+		<button type="button" class="project-color-reset text-sm text-gray-500 hover:text-indigo-600">Reset</button>
+	`;
+	const input = row.querySelector(".project-color-value");
+	input.value = getProjectColor(key, state.settings.projectColors);
+	input.setAttribute("aria-label", `Colour of ${name}`);
+	row.querySelector(".project-color-name").textContent = name;
+	row
+		.querySelector(".project-color-reset")
+		.addEventListener("click", () => {
+			input.value = getProjectColor(key);
+		});
+	return row;
+};
+
+/**
+ * Renders the Settings tab from state.settings
+ *
+ * @returns {void}
+ */
+export const renderSettingsView = () => {
+	const currencyInput = document.getElementById("settings-currency");
+	const ratesList = document.getElementById("settings-rates-list");
+	if (!currencyInput || !ratesList) return;
+
+	currencyInput.value = state.settings.currency;
+	const { rounding } = state.settings;
+	document.getElementById("settings-rounding-mode").value = rounding.mode;
+	document.getElementById("settings-rounding-increment").value =
+		rounding.incrementMinutes;
+	document.getElementById("settings-rounding-scope").value = rounding.scope;
+	const singleFocusInput = document.getElementById("settings-single-focus");
+	if (singleFocusInput) singleFocusInput.checked = state.settings.singleFocus === true;
+	const idleInput = document.getElementById("settings-idle-minutes");
+	if (idleInput) idleInput.value = state.settings.idleMinutes || 0;
+	ratesList.innerHTML = "";
+	state.settings.rates.forEach((rate) =>
+		ratesList.appendChild(createRateRow(rate))
+	);
+
+	const colorsList = document.getElementById("settings-project-colors-list");
+	if (colorsList) {
+		colorsList.innerHTML = "";
+		const projects = getColorableProjects();
+		projects.forEach((project) =>
+			colorsList.appendChild(createProjectColorRow(project))
+		);
+		document
+			.getElementById("settings-project-colors-empty")
+			?.classList.toggle("hidden", projects.length > 0);
+	}
+	setSettingsError("");
+};
+
+/**
+ * Reads and validates the settings form
+ *
+ * @returns {{settings: Object|null, error: string|null}} New settings, or an
+ *   error message for the first invalid field
+ */
+const readSettingsForm = () => {
+	const currency = document
+		.getElementById("settings-currency")
+		.value.trim()
+		.toUpperCase();
+	if (!/^[A-Z]{3}$/.test(currency)) {
+		return {
+			settings: null,
+			error: "Currency must be a three-letter code such as USD or EUR.",
+		};
+	}
+
+	const rates = [];
+	const seenKeys = new Set();
+	const rows = document.querySelectorAll("#settings-rates-list .rate-row");
+	for (const row of rows) {
+		const project = sanitizeInput(row.querySelector(".rate-project").value);
+		const task = sanitizeInput(row.querySelector(".rate-task").value);
+		const rateValue = row.querySelector(".rate-value").value;
+		if (!project && !task && !rateValue.trim()) continue;
+
+		if (!project) {
+			return { settings: null, error: "Every rate needs a project." };
+		}
+		const rate = parseRateInput(rateValue);
+		if (rate === null) {
+			return {
+				settings: null,
+				error: `Enter a rate like 120 or 95.50 for ${project}.`,
+			};
+		}
+		const key = getRunningTasksKey(project, task);
+		if (seenKeys.has(key)) {
+			return {
+				settings: null,
+				error: `${project}${task ? ` / ${task}` : ""} has more than one rate.`,
+			};
+		}
+		seenKeys.add(key);
+		rates.push({ project, task, rate });
+	}
+
+	const incrementValue = document
+		.getElementById("settings-rounding-increment")
+		.value.trim();
+	const incrementMinutes = Number(incrementValue);
+	if (
+		!/^\d+$/.test(incrementValue) ||
+		incrementMinutes < 1 ||
+		incrementMinutes > CONSTANTS.MAX_ROUNDING_INCREMENT_MINUTES
+	) {
+		return {
+			settings: null,
+			error: `The rounding increment must be a whole number of minutes from 1 to ${CONSTANTS.MAX_ROUNDING_INCREMENT_MINUTES}.`,
+		};
+	}
+	const rounding = {
+		mode: document.getElementById("settings-rounding-mode").value,
+		incrementMinutes,
+		scope: document.getElementById("settings-rounding-scope").value,
+	};
+
+	// Only colours that differ from the name's default are stored
+	const projectColors = {};
+	document
+		.querySelectorAll("#settings-project-colors-list .project-color-row")
+		.forEach((row) => {
+			const key = row.dataset.project;
+			const color = row.querySelector(".project-color-value").value.toLowerCase();
+			if (color !== getProjectColor(key)) projectColors[key] = color;
+		});
+
+	const singleFocus =
+		document.getElementById("settings-single-focus")?.checked === true;
+
+	const idleValue = (
+		document.getElementById("settings-idle-minutes")?.value || "0"
+	).trim();
+	const idleMinutes = Number(idleValue);
+	if (!/^\d+$/.test(idleValue) || idleMinutes > CONSTANTS.MAX_IDLE_MINUTES) {
+		return {
+			settings: null,
+			error: `Idle detection must be a whole number of minutes from 0 (off) to ${CONSTANTS.MAX_IDLE_MINUTES}.`,
+		};
+	}
+
+	return {
+		settings: {
+			...state.settings,
+			currency,
+			rates,
+			rounding,
+			projectColors,
+			singleFocus,
+			idleMinutes,
+		},
+		error: null,
+	};
+};
+
+/**
+ * Saves the settings form to the server
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const saveSettingsView = async () => {
+	const { settings, error } = readSettingsForm();
+	if (error) {
+		setSettingsError(error);
+		return;
+	}
+	setSettingsError("");
+
+	const previousSettings = state.settings;
+	const saveButton = document.getElementById("settings-save");
+	if (saveButton) saveButton.disabled = true;
+
+	try {
+		state.settings = settings;
+		await saveSettingsToServer(settings);
+		renderSettingsView();
+		showNotification("Settings saved.", "success");
+	} catch (err) {
+		// Rollback: keep the form as typed, restore the saved settings
+		state.settings = previousSettings;
+		setSettingsError("Failed to save settings. Please try again.");
+	} finally {
+		if (saveButton) saveButton.disabled = false;
+	}
+};
+
+/**
+ * Initializes event listeners for the Settings tab
+ *
+ * Wires the "Add rate" and "Save" buttons. Must be called once during app
+ * initialization.
+ *
+ * @returns {void}
+ */
+export const initSettingsView = () => {
+	document.getElementById("settings-add-rate")?.addEventListener("click", () => {
+		const row = createRateRow();
+		document.getElementById("settings-rates-list").appendChild(row);
+		row.querySelector(".rate-project").focus();
+	});
+	document
+		.getElementById("settings-save")
+		?.addEventListener("click", saveSettingsView);
+};
@@ -12,8 +12,13 @@
  *
  * STATE STRUCTURE:
  * - historicalEntries: Array of completed time entries (from mtt-data.json)
- * - predefinedSuggestions: Array of task suggestions (from mtt-suggestions.json)
+ * - predefinedSuggestions: Ordered { text, pinned } task suggestions (from
+ *   mtt-suggestions.json, see suggestions.js)
  * - activeTimers: Object mapping timer IDs to timer objects (from mtt-active-state.json)
+ * - settings: Currency, hourly rates, time rounding, project colours, single
+ *   focus and the idle threshold (from mtt-settings.json, see billing.js,
+ *   rounding.js and idle.js)
+ * - invoices: Issued invoices (from mtt-invoices.json, see invoices.js)
  * - timerInterval: Reference to setInterval for cleanup
  * - activeChartInstances: Array of Chart.js instances for cleanup
  *
@@ -32,6 +37,13 @@
  * 4. Stopped: Removed from activeTimers, added to historicalEntries
  * 5. Deleted: Removed from activeTimers (not saved to history)
  *
+ * SEGMENTS:
+ * Alongside accumulatedMs, every timer keeps segments: [{ start, end }] with
+ * one segment per running stretch (ISO strings, end = null while running).
+ * accumulatedMs stays the source of truth for the displayed duration;
+ * segments record *when* the work happened and are stored on the historical
+ * entry, so createdAt is the real wall-clock start rather than end - duration.
+ *
  * IMPACT OF CHANGES:
  * - Changing state structure requires updates in ui.js, api.js, reports.js
  * - Adding state properties requires considering persistence (save/load)
@@ -48,8 +60,10 @@
  *
  * @typedef {Object} ApplicationState
  * @property {Array<Object>} historicalEntries - Completed time entries from server
- * @property {Array<string>} predefinedSuggestions - Task/project suggestions from server
+ * @property {Array<{text: string, pinned: boolean}>} predefinedSuggestions - Saved task suggestions from server, in their saved order
  * @property {Object<string, TimerObject>} activeTimers - Map of timer IDs to timer objects
+ * @property {{currency: string, rates: Array<Object>, rounding: Object, projectColors: Object<string, string>, singleFocus: boolean, idleMinutes: number}} settings - Billing, rounding, project colour and timer settings from server
+ * @property {Array<Object>} invoices - Issued invoices from server
  * @property {number|null} timerInterval - Reference to setInterval for cleanup
  * @property {Array<Chart>} activeChartInstances - Chart.js instances for cleanup
  *
@@ -59,6 +73,15 @@ export const state = {
 	historicalEntries: [],
 	predefinedSuggestions: [],
 	activeTimers: {},
+	settings: {
+		currency: "USD",
+		rates: [],
+		rounding: { mode: "none", incrementMinutes: 15, scope: "entry" },
+		projectColors: {},
+		singleFocus: false,
+		idleMinutes: 0,
+	},
+	invoices: [],
 	timerInterval: null,
 	activeChartInstances: [],
 	expandedProjects: new Set(), // Tracks which project sections are expanded
@@ -74,16 +97,219 @@ export const state = {
  * @param {number} timer.accumulatedMs - Milliseconds accumulated during previous runs
  * @param {boolean} timer.isPaused - Whether timer is currently paused
  * @param {Date|null} timer.startTime - When timer was last started (null if paused)
+ * @param {number} [now=Date.now()] - Current time in ms (pass one value when
+ *   several calculations must agree, e.g. duration and segment end on stop)
  * @returns {number} Total elapsed milliseconds
  */
-export const calculateElapsedMs = (timer) => {
+export const calculateElapsedMs = (timer, now = Date.now()) => {
 	let elapsed = timer.accumulatedMs || 0;
 	if (!timer.isPaused && timer.startTime) {
-		elapsed += Date.now() - timer.startTime.getTime();
+		elapsed += now - timer.startTime.getTime();
 	}
 	return elapsed;
 };
 
+/**
+ * Starts a new running segment on a timer
+ *
+ * Called when a timer is created or resumed. Legacy timers restored from an
+ * older mtt-active-state.json may have no segments array yet.
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @param {Date} at - When the segment starts
+ * @returns {void}
+ */
+export const openTimerSegment = (timer, at) => {
+	if (!Array.isArray(timer.segments)) timer.segments = [];
+	timer.segments.push({ start: at.toISOString(), end: null });
+};
+
+/**
+ * Ends the currently running segment of a timer, if any
+ *
+ * Called when a timer is paused or stopped.
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @param {Date} at - When the segment ends
+ * @returns {void}
+ */
+export const closeTimerSegment = (timer, at) => {
+	const last = timer.segments?.[timer.segments.length - 1];
+	if (last && last.end === null) last.end = at.toISOString();
+};
+
+/**
+ * Returns a copy of a timer's segments, safe to restore on rollback
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @returns {Array<{start: string, end: string|null}>} Copied segments
+ */
+export const copyTimerSegments = (timer) =>
+	(timer.segments || []).map((segment) => ({ ...segment }));
+
+/**
+ * Builds a new running timer with its first segment open
+ *
+ * @param {{project: string, task: string, tags?: Array<string>,
+ *   billable?: boolean}} details - What to track
+ * @param {Date} startTime - When the timer starts
+ * @returns {Object} Timer object for state.activeTimers
+ */
+export const createTimer = (
+	{ project, task, tags = [], billable = false },
+	startTime
+) => {
+	const timer = {
+		project,
+		task,
+		startTime,
+		accumulatedMs: 0,
+		isPaused: false,
+		notes: "",
+		tags,
+		billable,
+		segments: [],
+	};
+	openTimerSegment(timer, startTime);
+	return timer;
+};
+
+/**
+ * Builds the timer that continues a past entry
+ *
+ * Takes the entry's project, task, tags and billable flag (the same rule as
+ * isBillable() in billing.js); notes, segments and invoice details stay with
+ * the entry, so the new timer starts from zero.
+ *
+ * @param {Object} entry - Historical entry to continue
+ * @param {Date} startTime - When the timer starts
+ * @returns {Object} Timer object for state.activeTimers
+ */
+export const createTimerFromEntry = (entry, startTime) =>
+	createTimer(
+		{
+			project: entry.project,
+			task: entry.task,
+			tags: [...(entry.tags || [])],
+			billable: entry.billable === true,
+		},
+		startTime
+	);
+
+/**
+ * Copies the fields pausing and resuming change, safe to restore on rollback
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @returns {{isPaused: boolean, startTime: Date|null, accumulatedMs: number,
+ *   segments: Array<Object>}} Snapshot for restoreTimer()
+ */
+export const snapshotTimer = (timer) => ({
+	isPaused: timer.isPaused,
+	startTime: timer.startTime,
+	accumulatedMs: timer.accumulatedMs,
+	segments: copyTimerSegments(timer),
+});
+
+/**
+ * Restores a timer from snapshotTimer()
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @param {Object} snapshot - From snapshotTimer()
+ * @returns {void}
+ */
+export const restoreTimer = (timer, snapshot) => {
+	timer.isPaused = snapshot.isPaused;
+	timer.startTime = snapshot.startTime;
+	timer.accumulatedMs = snapshot.accumulatedMs;
+	timer.segments = snapshot.segments;
+};
+
+/**
+ * Pauses a running timer: accumulates elapsed time, clears startTime and
+ * closes the current segment
+ *
+ * @param {Object} timer - Running timer
+ * @param {Date} now - Pause time
+ * @returns {void}
+ */
+export const pauseTimer = (timer, now) => {
+	timer.accumulatedMs += now.getTime() - timer.startTime.getTime();
+	timer.startTime = null;
+	timer.isPaused = true;
+	closeTimerSegment(timer, now);
+};
+
+/**
+ * Pauses every other running timer when single focus is on
+ *
+ * SINGLE FOCUS (settings.singleFocus):
+ * Starting or resuming a timer pauses the others, so switching tasks no
+ * longer depends on remembering to pause the previous one. Only the timers
+ * are changed here - the caller saves them together with the started or
+ * resumed timer in one save, and calls restorePausedTimers() if that save
+ * fails.
+ *
+ * @param {Object<string, Object>} timers - Active timers by id
+ * @param {string} keepId - Timer being started or resumed
+ * @param {Date} now - Pause time
+ * @param {boolean} singleFocus - settings.singleFocus
+ * @returns {Array<{id: string, snapshot: Object}>} Timers that were paused,
+ *   with their snapshotTimer() copies from before
+ */
+export const pauseOtherTimers = (timers, keepId, now, singleFocus) => {
+	if (!singleFocus) return [];
+
+	return Object.entries(timers)
+		.filter(([id, timer]) => id !== keepId && !timer.isPaused)
+		.map(([id, timer]) => {
+			const snapshot = snapshotTimer(timer);
+			pauseTimer(timer, now);
+			return { id, snapshot };
+		});
+};
+
+/**
+ * Undoes pauseOtherTimers() after a failed save
+ *
+ * Timers removed in the meantime are skipped.
+ *
+ * @param {Object<string, Object>} timers - Active timers by id
+ * @param {Array<{id: string, snapshot: Object}>} pausedTimers - From
+ *   pauseOtherTimers()
+ * @returns {void}
+ */
+export const restorePausedTimers = (timers, pausedTimers) => {
+	pausedTimers.forEach(({ id, snapshot }) => {
+		if (timers[id]) restoreTimer(timers[id], snapshot);
+	});
+};
+
+/**
+ * Builds the closed segment list stored on a historical entry
+ *
+ * Returns null when the segments don't account for the timer's full duration
+ * (e.g. a timer started before segments were tracked), so the entry falls
+ * back to the old createdAt = endTime - duration behaviour instead of
+ * recording a misleading partial history.
+ *
+ * @param {Object} timer - Timer object from state.activeTimers
+ * @param {Date} endTime - When the timer was stopped
+ * @param {number} totalDurationMs - Final duration from calculateElapsedMs()
+ * @returns {Array<{start: string, end: string}>|null} Closed segments, or null
+ */
+export const buildEntrySegments = (timer, endTime, totalDurationMs) => {
+	const segments = copyTimerSegments(timer);
+	closeTimerSegment({ segments }, endTime);
+	if (segments.length === 0 || segments.some((s) => s.end === null)) {
+		return null;
+	}
+	const coveredMs = segments.reduce(
+		(sum, s) => sum + (new Date(s.end) - new Date(s.start)),
+		0
+	);
+	return Math.abs(coveredMs - totalDurationMs) <= 1000 ? segments : null;
+};
+
 /**
  * Clears the timer display update interval if one exists
  *
@@ -0,0 +1,511 @@
+/**
+ * Task suggestions - ranking and the "Manage Suggestions" panel
+ *
+ * ROLE IN ARCHITECTURE:
+ * The topic inputs' autocomplete (autocomplete.js) offers saved suggestions
+ * and every "Project / Task" from history. Saved suggestions live in
+ * mtt-suggestions.json as an ordered list of { text, pinned } (plain
+ * strings written by hand still load, as unpinned suggestions). The panel
+ * in the Settings tab adds, renames, deletes, reorders and pins them;
+ * every change is saved right away.
+ *
+ * RANKING (rankSuggestions):
+ * A plain list of every task stops being useful after a few hundred
+ * tasks, so suggestions are fuzzy-matched against what was typed and
+ * ranked by frecency - how often and how recently a task was used.
+ * Pinned suggestions always come first; saved suggestions that were never
+ * used follow in their saved order. Texts are compared case-insensitively,
+ * like timer names.
+ *
+ * UI UPDATE FLOW (same pattern as saveSettingsView in settings.js):
+ * Change → Replace state.predefinedSuggestions → save to server
+ * On server failure the previous list is restored (rollback) and redrawn.
+ * After a successful change the caller's onChange (populateSuggestions)
+ * refreshes the autocomplete's data.
+ *
+ * @module suggestions
+ */
+
+import { state } from "./state.js";
+import {
+	saveSuggestionsToServer,
+	deleteSuggestionOnServer,
+} from "./api.js";
+import { sanitizeInput } from "./utils.js";
+import { CONSTANTS } from "./constants.js";
+
+/**
+ * What to call after the suggestions changed (set by initSuggestionsPanel)
+ */
+let onSuggestionsChange = null;
+
+/**
+ * Returns the case-insensitive key of a suggestion text
+ *
+ * @param {string} text - "Project / Task"
+ * @returns {string} Lowercase text with normalized " / "
+ */
+const getSuggestionKey = (text) =>
+	text
+		.split("/")
+		.map((part) => part.trim())
+		.join(" / ")
+		.toLowerCase();
+
+/**
+ * Weight of one use of a task by its age (frecency)
+ *
+ * Recent uses count more than old ones, and every use adds up, so a task
+ * used daily this week outranks one used a hundred times last year.
+ */
+const FRECENCY_WEIGHTS = [
+	{ maxAgeDays: 4, weight: 100 },
+	{ maxAgeDays: 14, weight: 70 },
+	{ maxAgeDays: 31, weight: 50 },
+	{ maxAgeDays: 90, weight: 30 },
+];
+const FRECENCY_OLD_WEIGHT = 10;
+
+/**
+ * Returns the frecency weight of one use
+ *
+ * @param {Date} usedAt - When the entry ended
+ * @param {Date} now - Reference time
+ * @returns {number} Weight from FRECENCY_WEIGHTS
+ */
+const getUseWeight = (usedAt, now) => {
+	const ageDays = (now - usedAt) / CONSTANTS.MS_PER_DAY;
+	const bucket = FRECENCY_WEIGHTS.find(({ maxAgeDays }) => ageDays <= maxAgeDays);
+	return bucket ? bucket.weight : FRECENCY_OLD_WEIGHT;
+};
+
+/**
+ * Summarizes how often and how recently each task was used
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {Date} [now=new Date()] - Reference time for frecency
+ * @returns {Map<string, {text: string, count: number, totalMs: number,
+ *   lastUsed: Date|null, frecency: number}>} One item per "Project / Task"
+ *   (case-insensitive key); text is spelled as in the latest entry
+ */
+export const summarizeActivities = (entries, now = new Date()) => {
+	const activities = new Map();
+	entries.forEach((entry) => {
+		if (!entry.project || !entry.task) return;
+		const text = `${entry.project.trim()} / ${entry.task.trim()}`;
+		const key = getSuggestionKey(text);
+		if (!activities.has(key)) {
+			activities.set(key, { text, count: 0, totalMs: 0, lastUsed: null, frecency: 0 });
+		}
+
+		const activity = activities.get(key);
+		activity.count++;
+		activity.totalMs += entry.totalDurationMs || 0;
+		const usedAt = new Date(entry.endTime);
+		if (isNaN(usedAt)) return;
+		activity.frecency += getUseWeight(usedAt, now);
+		if (!activity.lastUsed || usedAt > activity.lastUsed) {
+			activity.lastUsed = usedAt;
+			activity.text = text;
+		}
+	});
+	return activities;
+};
+
+/**
+ * Checks whether every character of a query token appears in order
+ *
+ * @param {string} token - Lowercase query token
+ * @param {string} target - Lowercase text
+ * @returns {boolean} True for e.g. "hdr" in "header"
+ */
+const isSubsequence = (token, target) => {
+	let position = 0;
+	for (const char of target) {
+		if (char === token[position]) position++;
+		if (position === token.length) return true;
+	}
+	return false;
+};
+
+/**
+ * Scores how well query tokens match a text
+ *
+ * @param {Array<string>} tokens - Lowercase query tokens
+ * @param {string} target - Text to search
+ * @returns {number|null} Sum of token scores, or null if a token is missing
+ */
+const scoreTokens = (tokens, target) => {
+	const text = target.toLowerCase();
+	let score = 0;
+	for (const token of tokens) {
+		const index = text.indexOf(token);
+		if (index !== -1) {
+			// Start of a word beats the middle of one
+			score += index === 0 || /[\s\-_#./]/.test(text[index - 1]) ? 3 : 2;
+		} else if (isSubsequence(token, text)) {
+			score += 1;
+		} else {
+			return null;
+		}
+	}
+	return score;
+};
+
+/**
+ * Fuzzy-matches a query against a "Project / Task" suggestion
+ *
+ * The query is split into words, and each word must appear in the project
+ * or the task, either as typed or with letters skipped ("web hdr" matches
+ * "Website / Header"). A query containing "/" matches its first part
+ * against the project and the rest against the task.
+ *
+ * @param {string} query - Text typed so far
+ * @param {string} text - Suggestion text
+ * @returns {number|null} Match score (higher is better; 0 for an empty
+ *   query), or null if it doesn't match
+ */
+export const matchSuggestion = (query, text) => {
+	const tokenize = (value) =>
+		value.toLowerCase().split(/\s+/).filter(Boolean);
+	const slash = query.indexOf("/");
+	if (slash === -1) return scoreTokens(tokenize(query), text);
+
+	const [project, ...taskParts] = text.split("/");
+	const projectScore = scoreTokens(tokenize(query.slice(0, slash)), project);
+	const taskScore = scoreTokens(
+		tokenize(query.slice(slash + 1)),
+		taskParts.join("/")
+	);
+	return projectScore === null || taskScore === null
+		? null
+		: projectScore + taskScore;
+};
+
+/**
+ * Orders saved suggestions by their saved position, before past tasks
+ *
+ * @param {{savedIndex: number}} a - Candidate (Infinity if not saved)
+ * @param {{savedIndex: number}} b - Candidate (Infinity if not saved)
+ * @returns {number} Sort order
+ */
+const compareSavedIndex = (a, b) =>
+	a.savedIndex === b.savedIndex ? 0 : a.savedIndex < b.savedIndex ? -1 : 1;
+
+/**
+ * Ranks saved suggestions and past tasks for the autocomplete
+ *
+ * ORDER:
+ * 1. Pinned suggestions, in their saved order
+ * 2. Better fuzzy matches before weaker ones (while typing)
+ * 3. Higher frecency (used more often and more recently)
+ * 4. Saved suggestions not used yet, in their saved order
+ *
+ * @param {string} query - Text typed so far ("" for the top suggestions)
+ * @param {Array<{text: string, pinned: boolean}>} suggestions - Saved
+ *   suggestions in their saved order
+ * @param {Map<string, Object>} activities - From summarizeActivities()
+ * @param {number} [limit=CONSTANTS.AUTOCOMPLETE_MAX_RESULTS] - Most results
+ * @returns {Array<{text: string, pinned: boolean, count: number,
+ *   totalMs: number, lastUsed: Date|null}>} Best suggestions first
+ */
+export const rankSuggestions = (
+	query,
+	suggestions,
+	activities,
+	limit = CONSTANTS.AUTOCOMPLETE_MAX_RESULTS
+) => {
+	const unused = { count: 0, totalMs: 0, lastUsed: null, frecency: 0 };
+	const candidates = new Map();
+	suggestions.forEach((item, savedIndex) => {
+		const key = getSuggestionKey(item.text);
+		candidates.set(key, {
+			...unused,
+			...activities.get(key),
+			text: item.text,
+			pinned: item.pinned,
+			savedIndex,
+		});
+	});
+	activities.forEach((activity, key) => {
+		if (!candidates.has(key)) {
+			candidates.set(key, { ...activity, pinned: false, savedIndex: Infinity });
+		}
+	});
+
+	return [...candidates.values()]
+		.map((candidate) => ({
+			...candidate,
+			match: matchSuggestion(query, candidate.text),
+		}))
+		.filter((candidate) => candidate.match !== null)
+		.sort(
+			(a, b) =>
+				b.pinned - a.pinned ||
+				(a.pinned && compareSavedIndex(a, b)) ||
+				b.match - a.match ||
+				b.frecency - a.frecency ||
+				compareSavedIndex(a, b) ||
+				a.text.localeCompare(b.text)
+		)
+		.slice(0, limit)
+		.map(({ text, pinned, count, totalMs, lastUsed }) => ({
+			text,
+			pinned,
+			count,
+			totalMs,
+			lastUsed,
+		}));
+};
+
+/**
+ * Describes a suggestion's use for the autocomplete
+ *
+ * @param {{lastUsed: Date|null, totalMs: number}} suggestion - Ranked
+ *   suggestion
+ * @returns {string} e.g. "Last used Oct 6, 2025 · 12.5 h", or "Not used yet"
+ */
+export const describeSuggestionUse = (suggestion) => {
+	if (!suggestion.lastUsed) return "Not used yet";
+	const date = suggestion.lastUsed.toLocaleDateString("en-US", {
+		month: "short",
+		day: "numeric",
+		year: "numeric",
+	});
+	const hours = (suggestion.totalMs / CONSTANTS.MS_PER_HOUR).toFixed(1);
+	return `Last used ${date} · ${hours} h`;
+};
+
+/**
+ * Validates and normalizes a suggestion text
+ *
+ * Mirrors validateSuggestions() in server.cjs: exactly one "/" with a
+ * non-empty project and task, and no other suggestion with the same text.
+ * Both parts are cleaned like timer names (sanitizeInput), which also
+ * keeps them within the server's length limit.
+ *
+ * @param {string} value - Text as typed
+ * @param {Array<{text: string}>} suggestions - Current suggestions
+ * @param {number} [ignoreIndex=-1] - Suggestion being renamed (may keep its
+ *   own text)
+ * @returns {{text: string|null, error: string|null}} "Project / Task", or an
+ *   error message
+ */
+export const parseSuggestionText = (value, suggestions, ignoreIndex = -1) => {
+	const parts = String(value || "")
+		.split("/")
+		.map((part) => sanitizeInput(part));
+	if (parts.length !== 2 || !parts[0] || !parts[1]) {
+		return { text: null, error: 'Use the format "Project / Task".' };
+	}
+
+	const text = parts.join(" / ");
+	const key = getSuggestionKey(text);
+	const duplicate = suggestions.some(
+		(item, i) => i !== ignoreIndex && getSuggestionKey(item.text) === key
+	);
+	if (duplicate) {
+		return { text: null, error: `"${text}" is already a suggestion.` };
+	}
+	return { text, error: null };
+};
+
+/**
+ * Shows a message below the suggestion list
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setSuggestionsError = (message) => {
+	const errorEl = document.getElementById("suggestions-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Replaces the suggestions and saves them, rolling back on failure
+ *
+ * @async
+ * @param {Array<Object>} suggestions - New list
+ * @param {function(): Promise<void>} [save] - Server call (defaults to
+ *   saving the whole list)
+ * @returns {Promise<void>}
+ */
+const applySuggestions = async (
+	suggestions,
+	save = () => saveSuggestionsToServer(suggestions)
+) => {
+	const previousSuggestions = state.predefinedSuggestions;
+	setSuggestionsError("");
+	try {
+		state.predefinedSuggestions = suggestions;
+		renderSuggestionsPanel();
+		await save();
+		onSuggestionsChange?.();
+	} catch (error) {
+		// Rollback: show the saved list again
+		state.predefinedSuggestions = previousSuggestions;
+		renderSuggestionsPanel();
+		setSuggestionsError("Failed to save suggestions. Please try again.");
+	}
+};
+
+/**
+ * Renames a suggestion (keeps its position and pin)
+ *
+ * @param {number} index - Suggestion position
+ * @param {HTMLInputElement} input - Its text field
+ * @returns {void}
+ */
+const renameSuggestion = (index, input) => {
+	const suggestions = state.predefinedSuggestions;
+	const { text, error } = parseSuggestionText(input.value, suggestions, index);
+	if (error) {
+		setSuggestionsError(error);
+		input.value = suggestions[index].text;
+		return;
+	}
+	if (text === suggestions[index].text) return;
+	applySuggestions(
+		suggestions.map((item, i) => (i === index ? { ...item, text } : item))
+	);
+};
+
+/**
+ * Moves a suggestion one place up or down
+ *
+ * @param {number} index - Suggestion position
+ * @param {number} delta - -1 (up) or 1 (down)
+ * @returns {void}
+ */
+const moveSuggestion = (index, delta) => {
+	const suggestions = [...state.predefinedSuggestions];
+	const target = index + delta;
+	if (target < 0 || target >= suggestions.length) return;
+	[suggestions[index], suggestions[target]] = [suggestions[target], suggestions[index]];
+	applySuggestions(suggestions);
+};
+
+/**
+ * Builds one row of the suggestion list
+ *
+ * @param {{text: string, pinned: boolean}} suggestion - Suggestion to show
+ * @param {number} index - Its position
+ * @param {number} count - Number of suggestions
+ * @returns {HTMLElement} Row element
+ */
+const createSuggestionRow = (suggestion, index, count) => {
+	const row = document.createElement("div");
+	row.className = "suggestion-row flex items-center gap-2";
+
+	const iconButton = (icon, title, className = "") => {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = `material-icons text-xl text-gray-400 hover:text-indigo-600 disabled:opacity-30 disabled:cursor-not-allowed ${className}`;
+		button.textContent = icon;
+		button.title = title;
+		button.setAttribute("aria-label", title);
+		return button;
+	};
+
+	const pin = iconButton(
+		"push_pin",
+		suggestion.pinned ? "Unpin" : "Pin to the top",
+		"suggestion-pin"
+	);
+	pin.setAttribute("aria-pressed", String(suggestion.pinned));
+	if (suggestion.pinned) pin.classList.replace("text-gray-400", "text-indigo-600");
+	pin.addEventListener("click", () =>
+		applySuggestions(
+			state.predefinedSuggestions.map((item, i) =>
+				i === index ? { ...item, pinned: !item.pinned } : item
+			)
+		)
+	);
+
+	const input = document.createElement("input");
+	input.type = "text";
+	input.className =
+		"suggestion-text flex-grow px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none material-input";
+	input.value = suggestion.text;
+	input.setAttribute("aria-label", "Suggestion");
+	input.addEventListener("change", () => renameSuggestion(index, input));
+
+	const up = iconButton("arrow_upward", "Move up", "suggestion-up");
+	up.disabled = index === 0;
+	up.addEventListener("click", () => moveSuggestion(index, -1));
+
+	const down = iconButton("arrow_downward", "Move down", "suggestion-down");
+	down.disabled = index === count - 1;
+	down.addEventListener("click", () => moveSuggestion(index, 1));
+
+	const remove = iconButton("delete", "Delete suggestion", "suggestion-delete");
+	remove.classList.replace("hover:text-indigo-600", "hover:text-red-600");
+	remove.addEventListener("click", () =>
+		applySuggestions(
+			state.predefinedSuggestions.filter((_, i) => i !== index),
+			() => deleteSuggestionOnServer(suggestion.text)
+		)
+	);
+
+	[pin, input, up, down, remove].forEach((el) => row.appendChild(el));
+	return row;
+};
+
+/**
+ * Renders the suggestion list from state.predefinedSuggestions
+ *
+ * @returns {void}
+ */
+export const renderSuggestionsPanel = () => {
+	const list = document.getElementById("suggestions-list");
+	if (!list) return;
+
+	const suggestions = state.predefinedSuggestions;
+	list.innerHTML = "";
+	suggestions.forEach((suggestion, index) =>
+		list.appendChild(createSuggestionRow(suggestion, index, suggestions.length))
+	);
+	document
+		.getElementById("suggestions-empty")
+		?.classList.toggle("hidden", suggestions.length > 0);
+};
+
+/**
+ * Adds the suggestion typed into #suggestion-new-input to the end
+ *
+ * @returns {void}
+ */
+const addSuggestion = () => {
+	const input = document.getElementById("suggestion-new-input");
+	const { text, error } = parseSuggestionText(
+		input.value,
+		state.predefinedSuggestions
+	);
+	if (error) {
+		setSuggestionsError(error);
+		return;
+	}
+	input.value = "";
+	applySuggestions([...state.predefinedSuggestions, { text, pinned: false }]);
+};
+
+/**
+ * Initializes the "Manage Suggestions" panel
+ *
+ * Wires the add field and button. Must be called once during app
+ * initialization.
+ *
+ * @param {function(): void} [onChange] - Called after a change was saved
+ * @returns {void}
+ */
+export const initSuggestionsPanel = (onChange = null) => {
+	onSuggestionsChange = onChange;
+	document
+		.getElementById("suggestion-add")
+		?.addEventListener("click", addSuggestion);
+	document
+		.getElementById("suggestion-new-input")
+		?.addEventListener("keydown", (e) => {
+			if (e.key === "Enter") addSuggestion();
+		});
+};
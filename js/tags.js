@@ -0,0 +1,129 @@
+/**
+ * Tag parsing and formatting
+ *
+ * ROLE IN ARCHITECTURE:
+ * Tags are free-form labels ("billable", "meeting") that cut across the
+ * project / task hierarchy. They're typed inline as "#billable #meeting"
+ * in the topic input or the notes modal, and stored on timers and entries
+ * as `tags: ["billable", "meeting"]`. Pure functions - no DOM or state.
+ *
+ * TAG RULES (mirrored by validateTags() in server.cjs):
+ * - Letters, digits, "-" and "_" only, stored lowercase without the "#"
+ * - At most CONSTANTS.MAX_TAG_LENGTH characters each
+ * - At most CONSTANTS.MAX_TAGS tags, no duplicates
+ * Lowercase storage makes "#Billable" and "#billable" the same tag in
+ * reports, like project names are compared case-insensitively.
+ *
+ * IMPACT OF CHANGES:
+ * - Loosening the rules here without updating server.cjs makes saves fail
+ * - Tightening them makes existing tags fail server validation on edit
+ *
+ * @module tags
+ */
+
+import { CONSTANTS } from "./constants.js";
+
+// "#tag" anywhere in a string (preceded by start or whitespace)
+const INLINE_TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// A bare tag name, as stored (lowercase - same character set as server.cjs)
+const TAG_NAME_PATTERN = /^[\p{Ll}\p{Lm}\p{Lo}\p{N}_-]+$/u;
+
+/**
+ * Normalizes a list of tag names (lowercase, no "#", no duplicates)
+ *
+ * @param {Array<string>} tags - Tag names, with or without "#"
+ * @returns {Array<string>} Normalized tags in first-seen order
+ */
+export const normalizeTags = (tags) => [
+	...new Set(
+		tags
+			.map((tag) => tag.trim().replace(/^#/, "").toLowerCase())
+			.filter(Boolean)
+	),
+];
+
+/**
+ * Checks a tag list against the tag rules
+ *
+ * @param {Array<string>} tags - Normalized tag names
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateTags = (tags) => {
+	if (tags.length > CONSTANTS.MAX_TAGS) {
+		return `Use at most ${CONSTANTS.MAX_TAGS} tags.`;
+	}
+	const invalid = tags.find(
+		(tag) => !TAG_NAME_PATTERN.test(tag) || tag.length > CONSTANTS.MAX_TAG_LENGTH
+	);
+	if (invalid !== undefined) {
+		return `Invalid tag "#${invalid}": use up to ${CONSTANTS.MAX_TAG_LENGTH} letters, digits, "-" or "_".`;
+	}
+	return null;
+};
+
+/**
+ * Pulls inline "#tags" out of a topic string
+ *
+ * "Website / Fix header #billable #urgent" becomes
+ * { text: "Website / Fix header", tags: ["billable", "urgent"] }.
+ *
+ * @param {string} value - Raw input text
+ * @returns {{text: string, tags: Array<string>}} Text without tags, and tags
+ */
+export const extractTags = (value) => {
+	const tags = [];
+	const text = String(value || "")
+		.replace(INLINE_TAG_PATTERN, (match, before, tag) => {
+			tags.push(tag);
+			return before;
+		})
+		.replace(/\s+/g, " ")
+		.trim();
+	return { text, tags: normalizeTags(tags) };
+};
+
+/**
+ * Parses a dedicated tags field ("#billable #meeting", "billable, meeting")
+ *
+ * @param {string} value - Tags input value
+ * @returns {{tags: Array<string>, error: string|null}} Normalized tags and
+ *   a validation error (null if valid)
+ */
+export const parseTagsInput = (value) => {
+	const tags = normalizeTags(String(value || "").split(/[\s,]+/));
+	return { tags, error: validateTags(tags) };
+};
+
+/**
+ * Formats tags for display or for a tags input
+ *
+ * @param {Array<string>} [tags] - Tag names
+ * @returns {string} "#billable #meeting", or "" if there are none
+ */
+export const formatTags = (tags) =>
+	(tags || []).map((tag) => `#${tag}`).join(" ");
+
+/**
+ * Returns every tag used by a list of entries, sorted alphabetically
+ *
+ * @param {Array<Object>} entries - Historical entries (or timers)
+ * @returns {Array<string>} Distinct tags
+ */
+export const collectTags = (entries) =>
+	[...new Set(entries.flatMap((entry) => entry.tags || []))].sort();
+
+/**
+ * Keeps entries that have at least one of the selected tags
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {Set<string>|Array<string>} selectedTags - Tags to filter by
+ * @returns {Array<Object>} Matching entries (all entries if none selected)
+ */
+export const filterEntriesByTags = (entries, selectedTags) => {
+	const selected = new Set(selectedTags);
+	if (selected.size === 0) return entries;
+	return entries.filter((entry) =>
+		(entry.tags || []).some((tag) => selected.has(tag))
+	);
+};
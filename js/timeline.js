@@ -0,0 +1,329 @@
+/**
+ * Day timeline - when the work of one day happened
+ *
+ * ROLE IN ARCHITECTURE:
+ * Draws the Reports tab's Gantt-style timeline: a 24-hour axis for a chosen
+ * day, one lane per project, and a block for every stretch of work. Blocks
+ * come from each entry's pause segments (getEntrySegments() in entries.js),
+ * so a paused timer shows as separate blocks with the pause as a gap.
+ * Parts of entries that started the day before or ran past midnight are
+ * clipped to the day.
+ *
+ * WHAT IT SHOWS:
+ * - Gaps: empty stretches between blocks
+ * - Overlaps: blocks in different lanes at the same time (two timers ran)
+ * - Context switches: counted in the summary above the lanes
+ * Entries from the timesheet have no clock time (they start at midnight),
+ * so they are drawn faded and left out of the summary.
+ *
+ * Lanes are sorted by project name and coloured with getProjectColor(), so
+ * a project has the same colour here as in the charts above.
+ *
+ * EDITING:
+ * Clicking a block opens the entry in the History tab's edit modal
+ * (openEntryEditor); after a save or delete the Reports tab redraws.
+ *
+ * @module timeline
+ */
+
+import { getProjectColor, getRunningTasksKey, formatDuration } from "./utils.js";
+import { CONSTANTS } from "./constants.js";
+import {
+	addDays,
+	startOfDay,
+	toDateInputValue,
+	parseDateInputValue,
+} from "./ranges.js";
+import { getEntrySegments, TIMESHEET_SOURCE } from "./entries.js";
+import { openEntryEditor } from "./history.js";
+
+// Axis labels every few hours, from 00:00 to 24:00
+const HOURS_PER_DAY = 24;
+const HOUR_LABEL_STEP = 3;
+
+/**
+ * Day shown in the timeline (kept while switching tabs)
+ */
+let selectedDay = startOfDay(new Date());
+
+/**
+ * Entries of the last render, and what to call after an entry was edited
+ */
+let currentEntries = [];
+let currentColors = {};
+let onEntryChange = null;
+
+/**
+ * Builds the lanes of one day's timeline
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {Date} day - Any time on the day
+ * @param {Object<string, string>} [colorOverrides={}] - Chosen project
+ *   colours (settings.projectColors)
+ * @returns {Array<{project: string, color: string, blocks: Array<Object>}>}
+ *   Lanes sorted by project; blocks are {entry, start, end, untimed} clipped
+ *   to the day, oldest first
+ */
+export const buildDayTimeline = (entries, day, colorOverrides = {}) => {
+	const from = startOfDay(day);
+	const to = addDays(from, 1);
+	const lanes = new Map();
+
+	entries.forEach((entry) => {
+		getEntrySegments(entry).forEach(({ start, end }) => {
+			const blockStart = start > from ? start : from;
+			const blockEnd = end < to ? end : to;
+			// Also skips segments with invalid dates (comparisons are false)
+			if (!(blockStart < blockEnd)) return;
+
+			if (!lanes.has(entry.project)) lanes.set(entry.project, []);
+			lanes.get(entry.project).push({
+				entry,
+				start: blockStart,
+				end: blockEnd,
+				untimed: entry.source === TIMESHEET_SOURCE,
+			});
+		});
+	});
+
+	const projects = [...lanes.keys()].sort((a, b) => a.localeCompare(b));
+	return projects.map((project) => ({
+		project,
+		color: getProjectColor(project, colorOverrides),
+		blocks: lanes.get(project).sort((a, b) => a.start - b.start),
+	}));
+};
+
+/**
+ * Summarizes gaps, overlaps and context switches of a day's timeline
+ *
+ * Untimed (timesheet) blocks are ignored. Gaps are only counted between the
+ * first and the last block, not before starting or after finishing work.
+ *
+ * @param {Array<Object>} lanes - From buildDayTimeline()
+ * @returns {{trackedMs: number, gapMs: number, overlapMs: number,
+ *   switches: number}} trackedMs counts overlapping time once
+ */
+export const summarizeTimeline = (lanes) => {
+	const blocks = lanes
+		.flatMap((lane) => lane.blocks)
+		.filter((block) => !block.untimed)
+		.sort((a, b) => a.start - b.start);
+
+	let totalMs = 0;
+	let trackedMs = 0;
+	let switches = 0;
+	let coveredUntil = null;
+	let previousKey = null;
+
+	blocks.forEach((block) => {
+		totalMs += block.end - block.start;
+		const newFrom =
+			coveredUntil && coveredUntil > block.start ? coveredUntil : block.start;
+		if (block.end > newFrom) trackedMs += block.end - newFrom;
+		if (!coveredUntil || block.end > coveredUntil) coveredUntil = block.end;
+
+		const key = getRunningTasksKey(block.entry.project, block.entry.task);
+		if (previousKey !== null && key !== previousKey) switches++;
+		previousKey = key;
+	});
+
+	const spanMs = blocks.length > 0 ? coveredUntil - blocks[0].start : 0;
+	return {
+		trackedMs,
+		gapMs: spanMs - trackedMs,
+		overlapMs: totalMs - trackedMs,
+		switches,
+	};
+};
+
+/**
+ * Returns a block's position on the 24-hour axis
+ *
+ * @param {{start: Date, end: Date}} block - Block clipped to the day
+ * @param {Date} day - Local midnight of the day
+ * @returns {{left: number, width: number}} Percentages of the axis width
+ */
+export const getBlockPosition = (block, day) => {
+	// Real day length, so 23- and 25-hour DST days still fill the axis
+	const dayMs = addDays(day, 1) - day;
+	return {
+		left: ((block.start - day) / dayMs) * 100,
+		width: ((block.end - block.start) / dayMs) * 100,
+	};
+};
+
+/**
+ * Formats a local clock time for block tooltips
+ *
+ * @param {Date} date - Time
+ * @returns {string} e.g. "09:40"
+ */
+const formatTime = (date) =>
+	date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Formats milliseconds as the summary's durations
+ *
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "01:20:00"
+ */
+const formatMs = (ms) => formatDuration(Math.round(ms / CONSTANTS.MS_PER_SECOND));
+
+/**
+ * Draws the hour labels above the lanes
+ *
+ * @param {HTMLElement} axis - #timeline-axis
+ * @returns {void}
+ */
+const renderAxis = (axis) => {
+	axis.innerHTML = "";
+	for (let hour = 0; hour <= HOURS_PER_DAY; hour += HOUR_LABEL_STEP) {
+		const label = document.createElement("span");
+		label.className = "absolute text-xs text-gray-500 -translate-x-1/2";
+		label.style.left = `${(hour / HOURS_PER_DAY) * 100}%`;
+		label.textContent = `${hour < 10 ? "0" : ""}${hour}:00`;
+		axis.appendChild(label);
+	}
+};
+
+/**
+ * Builds one lane: project name and a track with the project's blocks
+ *
+ * @param {Object} lane - From buildDayTimeline()
+ * @returns {HTMLElement} Lane row
+ */
+const createLaneElement = (lane) => {
+	const row = document.createElement("div");
+	row.className = "flex items-center gap-3";
+
+	const label = document.createElement("span");
+	label.className = "w-32 flex-shrink-0 text-sm text-gray-700 truncate";
+	label.textContent = lane.project;
+	label.title = lane.project;
+
+	const track = document.createElement("div");
+	track.className = "relative flex-grow h-8 bg-gray-50 rounded";
+
+	lane.blocks.forEach((block) => {
+		const { left, width } = getBlockPosition(block, selectedDay);
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "absolute inset-y-1 rounded-sm hover:opacity-90";
+		if (block.untimed) button.classList.add("opacity-40");
+		button.style.left = `${left}%`;
+		button.style.width = `${width}%`;
+		button.style.minWidth = "2px";
+		button.style.backgroundColor = lane.color;
+		button.title = block.untimed
+			? `${block.entry.task} (timesheet, no clock time): ${formatMs(
+					block.end - block.start
+			  )}`
+			: `${block.entry.task}: ${formatTime(block.start)}–${formatTime(
+					block.end
+			  )}`;
+		button.setAttribute("aria-label", `${lane.project} / ${button.title}`);
+
+		// Entries without an id can't be addressed by the server
+		if (block.entry.id) {
+			button.addEventListener("click", () =>
+				openEntryEditor(block.entry.id, onEntryChange)
+			);
+		} else {
+			button.disabled = true;
+		}
+		track.appendChild(button);
+	});
+
+	row.appendChild(label);
+	row.appendChild(track);
+	return row;
+};
+
+/**
+ * Draws the selected day's lanes and summary
+ *
+ * @returns {void}
+ */
+const renderTimeline = () => {
+	const lanesEl = document.getElementById("timeline-lanes");
+	if (!lanesEl) return;
+
+	const dayInput = document.getElementById("timeline-day");
+	if (dayInput) dayInput.value = toDateInputValue(selectedDay);
+	const nextBtn = document.getElementById("timeline-next");
+	if (nextBtn) nextBtn.disabled = selectedDay >= startOfDay(new Date());
+
+	const lanes = buildDayTimeline(currentEntries, selectedDay, currentColors);
+	const emptyEl = document.getElementById("timeline-empty");
+	const axis = document.getElementById("timeline-axis");
+	const summaryEl = document.getElementById("timeline-summary");
+
+	lanesEl.innerHTML = "";
+	emptyEl?.classList.toggle("hidden", lanes.length > 0);
+	axis?.parentElement?.classList.toggle("hidden", lanes.length === 0);
+	summaryEl?.classList.toggle("hidden", lanes.length === 0);
+	if (lanes.length === 0) return;
+
+	if (axis) renderAxis(axis);
+	lanes.forEach((lane) => lanesEl.appendChild(createLaneElement(lane)));
+
+	if (summaryEl) {
+		const summary = summarizeTimeline(lanes);
+		summaryEl.textContent = [
+			`Tracked ${formatMs(summary.trackedMs)}`,
+			`gaps ${formatMs(summary.gapMs)}`,
+			`overlaps ${formatMs(summary.overlapMs)}`,
+			`${summary.switches} context ${
+				summary.switches === 1 ? "switch" : "switches"
+			}`,
+		].join(" · ");
+	}
+};
+
+/**
+ * Moves the timeline to another day
+ *
+ * @param {Date} day - Any time on the day
+ * @returns {void}
+ */
+const showDay = (day) => {
+	selectedDay = startOfDay(day);
+	renderTimeline();
+};
+
+/**
+ * Renders the day timeline
+ *
+ * Listeners are attached once; each render replaces the entries they read.
+ *
+ * @param {Array<Object>} entries - Historical entries (tag-filtered)
+ * @param {function(): void} [onChange] - Called after an entry was edited
+ *   or deleted from the timeline
+ * @param {Object<string, string>} [colorOverrides={}] - Chosen project
+ *   colours (settings.projectColors)
+ * @returns {void}
+ */
+export const renderDayTimeline = (entries, onChange = null, colorOverrides = {}) => {
+	const lanesEl = document.getElementById("timeline-lanes");
+	if (!lanesEl) return;
+	currentEntries = entries;
+	currentColors = colorOverrides;
+	onEntryChange = onChange;
+
+	if (!lanesEl.dataset.timelineReady) {
+		document
+			.getElementById("timeline-prev")
+			?.addEventListener("click", () => showDay(addDays(selectedDay, -1)));
+		document
+			.getElementById("timeline-next")
+			?.addEventListener("click", () => showDay(addDays(selectedDay, 1)));
+		document.getElementById("timeline-day")?.addEventListener("change", (e) => {
+			const day = parseDateInputValue(e.target.value);
+			if (day) showDay(day);
+		});
+		lanesEl.dataset.timelineReady = "true";
+	}
+
+	renderTimeline();
+};
@@ -0,0 +1,527 @@
+/**
+ * Timesheet view - a week of time per project/task
+ *
+ * ROLE IN ARCHITECTURE:
+ * Renders the Timesheet tab: one row per project/task pair, one column per
+ * day of the selected week (Monday first), hours in each cell and totals
+ * per row, per day and for the week. Cells are built from day slices
+ * (aggregation.js), so they agree with Reports. Times are raw - the
+ * rounding setting only applies to reports, invoices and exports.
+ *
+ * EDITING A CELL:
+ * Time tracked with timers or logged in History is never changed here.
+ * Each cell instead owns at most one entry with source: "timesheet" that
+ * holds the difference between the typed hours and the other time that
+ * day. Typing a new value creates, adjusts or deletes that entry; a cell
+ * can't go below the time tracked by other entries. Timesheet entries have
+ * no clock time of their own, so they start at local midnight to stay on
+ * their day. Invoiced timesheet entries are left alone like any other
+ * entry.
+ *
+ * UI UPDATE FLOW (same pattern as saveEntryEditor in history.js):
+ * User edits cell → planCellEdit() → Mutate state → create/update/delete
+ * on the server → Re-render. On server failure the change is rolled back.
+ *
+ * @module timesheet
+ */
+
+import { state } from "./state.js";
+import {
+	createEntryOnServer,
+	updateEntryOnServer,
+	deleteEntryOnServer,
+} from "./api.js";
+import { getRunningTasksKey, sanitizeInput } from "./utils.js";
+import { CONSTANTS } from "./constants.js";
+import { addDays, getBucketKey, startOfDay, startOfWeek } from "./ranges.js";
+import { getDaySlices } from "./aggregation.js";
+import {
+	buildEntryChanges,
+	buildManualEntry,
+	validateEntryTimes,
+	TIMESHEET_SOURCE,
+} from "./entries.js";
+import { isInvoiced } from "./billing.js";
+import { populateSuggestions } from "./ui.js";
+
+// Columns of the grid
+const DAYS_PER_WEEK = 7;
+
+/**
+ * Monday of the week shown in the Timesheet tab
+ */
+let weekStart = startOfWeek(new Date());
+
+/**
+ * Rows added with "Add row" that have no time yet (cleared on week change)
+ */
+let extraRows = [];
+
+/**
+ * Returns the seven days of a week
+ *
+ * @param {Date} start - Monday of the week (local midnight)
+ * @returns {Array<Date>} Days, Monday first
+ */
+export const getTimesheetDays = (start) =>
+	Array.from({ length: DAYS_PER_WEEK }, (_, index) => addDays(start, index));
+
+/**
+ * Formats a duration as decimal hours for a timesheet cell
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1.50" ("" for no time)
+ */
+export const formatTimesheetHours = (ms) =>
+	ms > 0 ? (ms / CONSTANTS.MS_PER_HOUR).toFixed(2) : "";
+
+/**
+ * Parses the hours typed into a timesheet cell
+ *
+ * Accepts decimal hours ("7.5") or hours and minutes ("7:30"). An empty
+ * cell means no time.
+ *
+ * @param {string} value - Cell input value
+ * @returns {number|null} Duration in whole minutes as milliseconds, or null
+ *   if invalid or longer than a day
+ */
+export const parseTimesheetHours = (value) => {
+	const text = String(value ?? "").trim();
+	let minutes = null;
+
+	const clock = text.match(/^(\d+):([0-5]\d)$/);
+	if (text === "") {
+		minutes = 0;
+	} else if (clock) {
+		minutes = Number(clock[1]) * 60 + Number(clock[2]);
+	} else if (/^\d*\.?\d+$/.test(text)) {
+		minutes = Math.round(Number(text) * 60);
+	}
+
+	if (minutes === null) return null;
+	const ms = minutes * CONSTANTS.MS_PER_MINUTE;
+	return ms <= CONSTANTS.MS_PER_DAY ? ms : null;
+};
+
+/**
+ * Builds the timesheet grid for a week
+ *
+ * Project/task pairs are grouped case-insensitively, like duplicate timer
+ * detection, and shown with the first name seen.
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {Date} start - Monday of the week (local midnight)
+ * @param {Array<{project: string, task: string}>} [rows] - Extra rows to
+ *   show even without time
+ * @returns {{days: Array<Date>, rows: Array<Object>, dayTotals: Array<number>,
+ *   totalMs: number}} Rows are { project, task, cells, totalMs } sorted by
+ *   project then task; cells and dayTotals hold milliseconds per day
+ */
+export const buildTimesheet = (entries, start, rows = []) => {
+	const days = getTimesheetDays(start);
+	const dayKeys = days.map((day) => getBucketKey(day));
+	const range = { from: start, to: addDays(start, DAYS_PER_WEEK) };
+
+	const grid = new Map();
+	const getRow = (project, task) => {
+		const key = getRunningTasksKey(project, task);
+		if (!grid.has(key)) {
+			grid.set(key, {
+				project,
+				task,
+				cells: new Array(DAYS_PER_WEEK).fill(0),
+				totalMs: 0,
+			});
+		}
+		return grid.get(key);
+	};
+
+	getDaySlices(entries, range).forEach((slice) => {
+		const row = getRow(slice.entry.project, slice.entry.task);
+		row.cells[dayKeys.indexOf(slice.dayKey)] += slice.durationMs;
+		row.totalMs += slice.durationMs;
+	});
+	rows.forEach(({ project, task }) => getRow(project, task));
+
+	const sortedRows = [...grid.values()].sort(
+		(a, b) =>
+			a.project.localeCompare(b.project) || a.task.localeCompare(b.task)
+	);
+	const dayTotals = dayKeys.map((_, index) =>
+		sortedRows.reduce((sum, row) => sum + row.cells[index], 0)
+	);
+	return {
+		days,
+		rows: sortedRows,
+		dayTotals,
+		totalMs: dayTotals.reduce((sum, ms) => sum + ms, 0),
+	};
+};
+
+/**
+ * Works out how to make a cell show the typed hours
+ *
+ * @param {Array<Object>} entries - Historical entries
+ * @param {{project: string, task: string, day: Date}} cell - Row and day
+ * @param {number} targetMs - Typed duration in milliseconds
+ * @param {Date} [now=new Date()] - Current time (injectable for tests)
+ * @returns {Object} One of { action: "none" }, { action: "create", entry },
+ *   { action: "update", entry, changes }, { action: "delete", entry } or
+ *   { error } if the other entries already exceed the typed hours, or the
+ *   timesheet entry would end in the future (today's cell)
+ */
+export const planCellEdit = (
+	entries,
+	{ project, task, day },
+	targetMs,
+	now = new Date()
+) => {
+	const key = getRunningTasksKey(project, task);
+	const rowEntries = entries.filter(
+		(entry) => getRunningTasksKey(entry.project, entry.task) === key
+	);
+	const from = startOfDay(day);
+	const cellSlices = getDaySlices(rowEntries, { from, to: addDays(from, 1) });
+	const currentMs = cellSlices.reduce(
+		(sum, slice) => sum + slice.durationMs,
+		0
+	);
+
+	// Values are typed to the minute, so a change below that is no change
+	if (Math.abs(targetMs - currentMs) < CONSTANTS.MS_PER_MINUTE) {
+		return { action: "none" };
+	}
+
+	const sheetEntry = cellSlices
+		.map((slice) => slice.entry)
+		.find((entry) => entry.source === TIMESHEET_SOURCE && !isInvoiced(entry));
+	const sheetMs = sheetEntry ? sheetEntry.totalDurationMs : 0;
+	const otherMs = Math.round(currentMs - sheetMs);
+	const newSheetMs = targetMs - otherMs;
+
+	if (newSheetMs < 0) {
+		return {
+			error: `${formatTimesheetHours(otherMs)} h of this day is tracked in other entries. Edit them in History to go lower.`,
+		};
+	}
+
+	// The timesheet entry runs from its start (midnight) for the new hours,
+	// so on today's cell it can't hold more time than has passed
+	const start = sheetEntry ? new Date(sheetEntry.createdAt) : from;
+	const end = new Date(start.getTime() + newSheetMs);
+	if (newSheetMs > 0) {
+		const timeError = validateEntryTimes(start, end, now);
+		if (timeError) {
+			const maxMs = Math.max(0, otherMs + (now.getTime() - start.getTime()));
+			return {
+				error: `${timeError} This cell can show at most ${formatTimesheetHours(maxMs)} h right now.`,
+			};
+		}
+	}
+
+	if (!sheetEntry) {
+		// New time inherits the tags and billable flag of the row's latest entry
+		const latest = [...rowEntries].sort(
+			(a, b) => new Date(b.endTime).getTime() - new Date(a.endTime).getTime()
+		)[0];
+		return {
+			action: "create",
+			entry: buildManualEntry({
+				project,
+				task,
+				start,
+				end,
+				tags: latest?.tags || [],
+				billable: latest?.billable === true,
+				source: TIMESHEET_SOURCE,
+			}),
+		};
+	}
+	if (newSheetMs === 0) {
+		return { action: "delete", entry: sheetEntry };
+	}
+
+	return {
+		action: "update",
+		entry: sheetEntry,
+		changes: buildEntryChanges(sheetEntry, {
+			project: sheetEntry.project,
+			task: sheetEntry.task,
+			start,
+			end,
+			notes: sheetEntry.notes || "",
+		}),
+	};
+};
+
+/**
+ * Shows a message below the timesheet
+ *
+ * @param {string} message - Message to show ("" clears it)
+ * @returns {void}
+ */
+const setTimesheetError = (message) => {
+	const errorEl = document.getElementById("timesheet-error");
+	if (errorEl) errorEl.textContent = message;
+};
+
+/**
+ * Creates a table cell
+ *
+ * @param {string} text - Cell text
+ * @param {string} className - CSS classes
+ * @param {string} [tag="td"] - "td" or "th"
+ * @returns {HTMLElement} Cell element
+ */
+const createCell = (text, className, tag = "td") => {
+	const cell = document.createElement(tag);
+	cell.className = className;
+	cell.textContent = text;
+	return cell;
+};
+
+/**
+ * Formats a day of the week for headings
+ *
+ * @param {Date} day - Day
+ * @param {Object} options - toLocaleDateString options
+ * @returns {string} Formatted day
+ */
+const formatWeekDay = (day, options) => day.toLocaleDateString("en-US", options);
+
+/**
+ * Renders the Timesheet tab for the selected week
+ *
+ * @returns {void}
+ */
+export const renderTimesheetView = () => {
+	const table = document.getElementById("timesheet-table");
+	if (!table) return;
+
+	const sheet = buildTimesheet(state.historicalEntries, weekStart, extraRows);
+	const today = startOfDay(new Date());
+	const lastDay = sheet.days[DAYS_PER_WEEK - 1];
+
+	const firstLabel = formatWeekDay(sheet.days[0], {
+		month: "short",
+		day: "numeric",
+	});
+	const lastLabel = formatWeekDay(lastDay, {
+		month: "short",
+		day: "numeric",
+		year: "numeric",
+	});
+	document.getElementById(
+		"timesheet-week-label"
+	).textContent = `${firstLabel} – ${lastLabel}`;
+
+	const headRow = document.createElement("tr");
+	headRow.appendChild(createCell("Project / Task", "py-2 pr-2 text-left", "th"));
+	sheet.days.forEach((day) => {
+		headRow.appendChild(
+			createCell(
+				formatWeekDay(day, { weekday: "short", day: "numeric" }),
+				`py-2 px-1 text-right ${
+					day.getTime() === today.getTime() ? "text-blue-600" : ""
+				}`,
+				"th"
+			)
+		);
+	});
+	headRow.appendChild(createCell("Total", "py-2 pl-2 text-right", "th"));
+
+	const body = document.createElement("tbody");
+	sheet.rows.forEach((row) => {
+		const tr = document.createElement("tr");
+		tr.className = "border-t border-gray-100";
+		tr.appendChild(
+			createCell(
+				`${row.project} / ${row.task}`,
+				"py-1 pr-2 text-gray-800 truncate"
+			)
+		);
+		row.cells.forEach((ms, index) => {
+			const day = sheet.days[index];
+			const td = document.createElement("td");
+			td.className = "py-1 px-1";
+			const input = document.createElement("input");
+			input.type = "text";
+			input.inputMode = "decimal";
+			input.className =
+				"timesheet-cell w-16 px-2 py-1 border border-gray-200 rounded text-right font-mono text-sm focus:outline-none material-input disabled:bg-gray-50";
+			input.value = formatTimesheetHours(ms);
+			input.setAttribute(
+				"aria-label",
+				`${row.project} / ${row.task}, ${day.toDateString()}`
+			);
+			// Time can't be logged for days that haven't happened yet
+			input.disabled = day > today;
+			input.addEventListener("change", () =>
+				saveTimesheetCell(row, day, input.value)
+			);
+			td.appendChild(input);
+			tr.appendChild(td);
+		});
+		tr.appendChild(
+			createCell(
+				formatTimesheetHours(row.totalMs),
+				"py-1 pl-2 text-right font-mono font-medium"
+			)
+		);
+		body.appendChild(tr);
+	});
+
+	const footRow = document.createElement("tr");
+	footRow.className = "border-t-2 border-gray-200 font-medium";
+	footRow.appendChild(createCell("Total", "py-2 pr-2"));
+	sheet.dayTotals.forEach((ms) =>
+		footRow.appendChild(
+			createCell(formatTimesheetHours(ms), "py-2 px-1 text-right font-mono")
+		)
+	);
+	footRow.appendChild(
+		createCell(
+			formatTimesheetHours(sheet.totalMs),
+			"py-2 pl-2 text-right font-mono"
+		)
+	);
+
+	table.innerHTML = "";
+	const head = document.createElement("thead");
+	head.appendChild(headRow);
+	const foot = document.createElement("tfoot");
+	foot.appendChild(footRow);
+	table.appendChild(head);
+	table.appendChild(body);
+	table.appendChild(foot);
+
+	document
+		.getElementById("timesheet-empty")
+		?.classList.toggle("hidden", sheet.rows.length > 0);
+};
+
+/**
+ * Saves a typed cell value
+ *
+ * @async
+ * @param {{project: string, task: string}} row - Row of the cell
+ * @param {Date} day - Day of the cell
+ * @param {string} value - Typed hours
+ * @returns {Promise<void>}
+ */
+export const saveTimesheetCell = async (row, day, value) => {
+	const targetMs = parseTimesheetHours(value);
+	if (targetMs === null) {
+		setTimesheetError("Enter hours like 7.5 or 7:30 (at most 24 per day).");
+		renderTimesheetView();
+		return;
+	}
+
+	const plan = planCellEdit(
+		state.historicalEntries,
+		{ project: row.project, task: row.task, day },
+		targetMs
+	);
+	if (plan.error) {
+		setTimesheetError(plan.error);
+		renderTimesheetView();
+		return;
+	}
+	setTimesheetError("");
+
+	const { entry } = plan;
+	if (plan.action === "create") {
+		try {
+			state.historicalEntries.push(entry);
+			await createEntryOnServer(entry);
+			populateSuggestions();
+		} catch (error) {
+			// Rollback: remove the entry we just added
+			state.historicalEntries = state.historicalEntries.filter(
+				(e) => e.id !== entry.id
+			);
+			setTimesheetError("Failed to save the timesheet. Please try again.");
+		}
+	} else if (plan.action === "update") {
+		const entryBackup = { ...entry };
+		try {
+			Object.assign(entry, plan.changes);
+			entry.endTime = new Date(plan.changes.endTime);
+			await updateEntryOnServer(entry.id, plan.changes);
+		} catch (error) {
+			// Rollback to previous state
+			Object.keys(entry).forEach((key) => delete entry[key]);
+			Object.assign(entry, entryBackup);
+			setTimesheetError("Failed to save the timesheet. Please try again.");
+		}
+	} else if (plan.action === "delete") {
+		const index = state.historicalEntries.indexOf(entry);
+		try {
+			state.historicalEntries.splice(index, 1);
+			await deleteEntryOnServer(entry.id);
+		} catch (error) {
+			// Rollback: restore entry if delete failed
+			state.historicalEntries.splice(index, 0, entry);
+			setTimesheetError("Failed to save the timesheet. Please try again.");
+		}
+	}
+	renderTimesheetView();
+};
+
+/**
+ * Moves the timesheet by whole weeks
+ *
+ * @param {number} weeks - Weeks to move (negative = back)
+ * @returns {void}
+ */
+export const shiftTimesheetWeek = (weeks) => {
+	weekStart = startOfWeek(addDays(weekStart, weeks * DAYS_PER_WEEK));
+	extraRows = [];
+	setTimesheetError("");
+	renderTimesheetView();
+};
+
+/**
+ * Adds an empty row for a project/task pair with no time this week
+ *
+ * @returns {void}
+ */
+const addTimesheetRow = () => {
+	const projectInput = document.getElementById("timesheet-new-project");
+	const taskInput = document.getElementById("timesheet-new-task");
+	const project = sanitizeInput(projectInput.value);
+	const task = sanitizeInput(taskInput.value);
+	if (!project || !task) {
+		setTimesheetError("Enter a project and a task to add a row.");
+		return;
+	}
+	extraRows.push({ project, task });
+	projectInput.value = "";
+	taskInput.value = "";
+	setTimesheetError("");
+	renderTimesheetView();
+};
+
+/**
+ * Initializes event listeners for the Timesheet tab
+ *
+ * Wires week navigation and "Add row". Must be called once during app
+ * initialization.
+ *
+ * @returns {void}
+ */
+export const initTimesheetView = () => {
+	document
+		.getElementById("timesheet-prev")
+		?.addEventListener("click", () => shiftTimesheetWeek(-1));
+	document
+		.getElementById("timesheet-next")
+		?.addEventListener("click", () => shiftTimesheetWeek(1));
+	document.getElementById("timesheet-this-week")?.addEventListener("click", () => {
+		weekStart = startOfWeek(new Date());
+		shiftTimesheetWeek(0);
+	});
+	document
+		.getElementById("timesheet-add-row")
+		?.addEventListener("click", addTimesheetRow);
+};
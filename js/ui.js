@@ -12,6 +12,8 @@
  * 4. Notes/comments management for active timers
  * 5. CSV export generation (including notes)
  * 6. Real-time timer display updates
+ * 7. Manual entry form for logging time after the fact
+ * 8. Sync status line (pending offline writes)
  *
  * UI UPDATE FLOW:
  * User Action → Handler Function → Update State → Save to Server → Re-render UI
@@ -20,12 +22,16 @@
  * 1. stopTimer(id) called
  * 2. Calculate final duration, remove from activeTimers
  * 3. Add to historicalEntries (including notes)
- * 4. await saveActiveStateToServer() + saveDataToServer()
+ * 4. await saveActiveStateToServer() + createEntryOnServer(newEntry)
  * 5. renderActiveTimers() updates DOM
- * 6. populateSuggestions() adds task to dropdown
+ * 6. populateSuggestions() counts the task for the autocomplete
  *
  * TIMER LIFECYCLE:
  * Created → Running ⇄ Paused → Stopped (saved with notes) or Deleted (discarded)
+ * Each Running stretch is recorded as a { start, end } segment, and the
+ * segments are saved on the historical entry when the timer is stopped.
+ * With the "single focus" setting on, starting or resuming a timer pauses
+ * all others in the same save (pauseOtherTimers).
  *
  * NOTES FEATURE:
  * Each timer has an associated textarea for notes/comments.
@@ -34,6 +40,17 @@
  * - Notes are included in CSV exports with proper escaping
  * - Empty notes are stored as empty strings
  *
+ * TAGS:
+ * "#billable #meeting" typed after the Project / Task (in the topic input
+ * or the manual entry form) becomes the timer's tags. Tags are editable in
+ * the notes modal and are copied onto the entry when the timer stops.
+ * Parsing and rules live in tags.js.
+ *
+ * BILLABLE:
+ * The "Billable" checkbox next to the topic input (and in the manual entry
+ * form) sets the timer's billable flag. It's editable in the notes modal and
+ * copied onto the entry as billable: true; non-billable entries omit it.
+ *
  * DUPLICATE DETECTION:
  * Uses lowercase "project:task" keys to prevent duplicate timers.
  * Example: "Project A / Task 1" and "project a / task 1" are considered duplicates.
@@ -64,16 +81,41 @@ import {
 	calculateElapsedMs,
 	clearTimerInterval,
 	hasRunningTimers,
+	openTimerSegment,
+	snapshotTimer,
+	restoreTimer,
+	createTimer,
+	createTimerFromEntry,
+	pauseTimer,
+	pauseOtherTimers,
+	restorePausedTimers,
+	buildEntrySegments,
 } from "./state.js";
-import { saveActiveStateToServer, saveDataToServer } from "./api.js";
+import { saveActiveStateToServer, createEntryOnServer } from "./api.js";
 import {
 	formatDuration,
 	generateUUID,
 	getRunningTasksKey,
+	getProjectColor,
 	sanitizeInput,
 	showNotification,
 } from "./utils.js";
 import { CONSTANTS } from "./constants.js";
+import {
+	buildManualEntry,
+	parseDateTimeLocalValue,
+	parseDurationInput,
+	validateEntryTimes,
+} from "./entries.js";
+import { extractTags, validateTags, parseTagsInput, formatTags } from "./tags.js";
+import { isBillable, isInvoiced, formatInvoiceNumber } from "./billing.js";
+import { getRoundedDurations } from "./rounding.js";
+import {
+	summarizeActivities,
+	rankSuggestions,
+	describeSuggestionUse,
+} from "./suggestions.js";
+import { attachAutocomplete } from "./autocomplete.js";
 
 // DOM Element References
 let domElements = null;
@@ -89,6 +131,7 @@ let domElements = null;
 export const initDOMElements = () => {
 	domElements = {
 		topicInput: document.getElementById("topic-input"),
+		billableInput: document.getElementById("billable-input"),
 		startButton: document.getElementById("start-button"),
 		exportButton: document.getElementById("export-button"),
 		activeTimersList: document.getElementById("active-timers-list"),
@@ -96,48 +139,122 @@ export const initDOMElements = () => {
 		noActiveMessage: document.getElementById("no-active-message"),
 		userIdDisplay: document.getElementById("user-id-display"),
 		errorMessage: document.getElementById("error-message"),
-		suggestionsDatalist: document.getElementById("activity-suggestions"),
 		notesModalBackdrop: document.getElementById("notes-modal-backdrop"),
 		notesModal: document.getElementById("notes-modal"),
 		notesModalTitle: document.getElementById("notes-modal-title"),
 		notesModalTextarea: document.getElementById("notes-modal-textarea"),
+		notesModalTags: document.getElementById("notes-modal-tags"),
+		notesModalBillable: document.getElementById("notes-modal-billable"),
+		notesModalError: document.getElementById("notes-modal-error"),
 		notesModalClose: document.getElementById("notes-modal-close"),
 		notesModalCancel: document.getElementById("notes-modal-cancel"),
 		notesModalSave: document.getElementById("notes-modal-save"),
+		manualTopicInput: document.getElementById("manual-topic-input"),
+		manualStartInput: document.getElementById("manual-start-input"),
+		manualRangeMode: document.getElementById("manual-range-mode"),
+		manualRangeLabel: document.getElementById("manual-range-label"),
+		manualEndInput: document.getElementById("manual-end-input"),
+		manualDurationInput: document.getElementById("manual-duration-input"),
+		manualNotesInput: document.getElementById("manual-notes-input"),
+		manualBillableInput: document.getElementById("manual-billable-input"),
+		manualSaveButton: document.getElementById("manual-save-button"),
+		manualErrorMessage: document.getElementById("manual-error-message"),
+	};
+};
+
+/**
+ * Shows the server sync status in the footer status line
+ *
+ * "Local Mode" when everything is saved; otherwise highlights how many
+ * writes are queued while the server is unreachable (see queue.js).
+ *
+ * @param {number} pendingCount - Number of queued writes
+ * @returns {void}
+ */
+export const renderSyncStatus = (pendingCount) => {
+	if (!domElements?.userIdDisplay) return;
+
+	const hasPending = pendingCount > 0;
+	domElements.userIdDisplay.textContent = hasPending
+		? `Status: Offline - ${pendingCount} pending write${
+				pendingCount === 1 ? "" : "s"
+		  } (will sync when the server is back)`
+		: "Status: Local Mode";
+	domElements.userIdDisplay.classList.toggle("text-gray-400", !hasPending);
+	domElements.userIdDisplay.classList.toggle("text-orange-600", hasPending);
+	domElements.userIdDisplay.classList.toggle("font-medium", hasPending);
+};
+
+/**
+ * Splits a "Project / Task" string into its parts
+ *
+ * Missing parts fall back to "Uncategorized" and "Task", matching how timers
+ * have always been named.
+ *
+ * @param {string} fullTopic - Sanitized "Project / Task" input
+ * @returns {{project: string, task: string}} Project and task names
+ */
+export const parseTopic = (fullTopic) => {
+	const parts = fullTopic.split("/").map((p) => sanitizeInput(p).trim());
+	return {
+		project: (parts[0] || "Uncategorized").trim(),
+		task: (parts[1] || "Task").trim(),
 	};
 };
 
 /**
- * Populates the datalist with predefined and recent activity suggestions
+ * Use counts, hours and frecency of every "Project / Task" in history
+ * (refreshed by populateSuggestions, read by the autocomplete)
+ */
+let activitySummary = new Map();
+
+/**
+ * Refreshes the autocomplete's suggestions after history changed
  *
- * Combines predefined suggestions from the server with recent activities from
- * historical entries to provide autocomplete options. Eliminates duplicates
- * and formats entries as "Project / Task".
+ * Summarizes historical entries once (see summarizeActivities() in
+ * suggestions.js) instead of on every keystroke. Saved suggestions are read
+ * from state when the list opens.
  *
  * @returns {void}
  */
 export const populateSuggestions = () => {
-	if (!domElements) return;
+	activitySummary = summarizeActivities(state.historicalEntries);
+};
 
-	domElements.suggestionsDatalist.innerHTML = "";
-	const recentActivities = new Set(
-		state.historicalEntries
-			.map((entry) =>
-				entry.project && entry.task
-					? `${entry.project.trim()} / ${entry.task.trim()}`
-					: null
-			)
-			.filter(Boolean)
+/**
+ * Returns the ranked autocomplete items for a topic input's value
+ *
+ * Inline "#tags" are left out of the search and kept when a suggestion is
+ * taken, so "web hdr #urgent" becomes "Website / Header #urgent".
+ *
+ * @param {string} value - Input value
+ * @returns {Array<Object>} Items for attachAutocomplete()
+ */
+const getTopicSuggestions = (value) => {
+	const { text, tags } = extractTags(value);
+	const tagSuffix = tags.length > 0 ? ` ${formatTags(tags)}` : "";
+	return rankSuggestions(text, state.predefinedSuggestions, activitySummary).map(
+		(suggestion) => ({
+			value: `${suggestion.text}${tagSuffix}`,
+			label: suggestion.text,
+			detail: describeSuggestionUse(suggestion),
+			pinned: suggestion.pinned,
+		})
 	);
-	const combined = new Set([
-		...state.predefinedSuggestions,
-		...recentActivities,
-	]);
-	combined.forEach((activity) => {
-		const option = document.createElement("option");
-		option.value = activity;
-		domElements.suggestionsDatalist.appendChild(option);
-	});
+};
+
+/**
+ * Attaches the ranked suggestion dropdown to both topic inputs
+ *
+ * Must be called once during app initialization, after initDOMElements().
+ *
+ * @returns {void}
+ */
+export const initAutocomplete = () => {
+	if (!domElements) return;
+
+	attachAutocomplete(domElements.topicInput, getTopicSuggestions);
+	attachAutocomplete(domElements.manualTopicInput, getTopicSuggestions);
 };
 
 /**
@@ -165,6 +282,9 @@ export const openNotesModal = (activityId) => {
 	// Set modal title with task name
 	domElements.notesModalTitle.textContent = `Notes for ${activity.task}`;
 	domElements.notesModalTextarea.value = activity.notes || "";
+	domElements.notesModalTags.value = formatTags(activity.tags);
+	domElements.notesModalBillable.checked = isBillable(activity);
+	domElements.notesModalError.textContent = "";
 	domElements.notesModal.classList.add("active");
 	domElements.notesModalBackdrop.classList.add("active");
 	domElements.notesModalTextarea.focus();
@@ -187,10 +307,11 @@ export const closeNotesModal = () => {
 };
 
 /**
- * Saves notes from the modal to the timer state
+ * Saves notes, tags and the billable flag from the modal to the timer state
  *
- * Updates the timer's notes field and persists to server. If save fails,
- * rolls back changes and displays error notification.
+ * Updates the timer's notes, tags and billable fields and persists to server. Invalid
+ * tags keep the modal open with an error. If save fails, rolls back changes
+ * and displays error notification.
  *
  * @async
  * @returns {Promise<void>}
@@ -201,10 +322,22 @@ export const saveNotesModal = async () => {
 	const activity = state.activeTimers[currentNotesEditingId];
 	if (!activity) return;
 
+	const { tags: newTags, error: tagsError } = parseTagsInput(
+		domElements.notesModalTags.value
+	);
+	if (tagsError) {
+		domElements.notesModalError.textContent = tagsError;
+		return;
+	}
+
 	const newNotes = domElements.notesModalTextarea.value;
 	const previousNotes = activity.notes;
+	const previousTags = activity.tags;
+	const previousBillable = activity.billable;
 
 	activity.notes = newNotes;
+	activity.tags = newTags;
+	activity.billable = domElements.notesModalBillable.checked;
 
 	try {
 		await saveActiveStateToServer();
@@ -212,6 +345,8 @@ export const saveNotesModal = async () => {
 	} catch (error) {
 		console.error("Error saving notes:", error);
 		activity.notes = previousNotes;
+		activity.tags = previousTags;
+		activity.billable = previousBillable;
 		domElements.notesModalTextarea.value = previousNotes;
 		showNotification(
 			"Failed to save notes. Please try again.",
@@ -322,8 +457,12 @@ export const renderActiveTimers = () => {
 		headerContent.className = "flex items-center space-x-2 flex-1";
 		headerContent.innerHTML = `
 			<svg id="icon-${projectId}" class="collapse-icon w-4 h-4 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path></svg>
+			<span class="inline-block w-3 h-3 rounded-full flex-shrink-0" data-project-color></span>
 			<span>${projectKey} (${tasks.length})</span>
 		`;
+		// Same colour as the project's slices and lanes in the Reports tab
+		headerContent.querySelector("[data-project-color]").style.backgroundColor =
+			getProjectColor(projectKey, state.settings.projectColors);
 
 		// STEP 5: Create project action button (add new task in this project)
 		const projectActionBtn = document.createElement("button");
@@ -426,6 +565,16 @@ export const renderActiveTimers = () => {
 			taskNameSpan.className = "task-name flex-1 text-sm font-medium text-gray-800 truncate";
 			taskNameSpan.textContent = activity.task;
 
+			// Tags (shown after the task name, if any)
+			const tagsSpan = document.createElement("span");
+			tagsSpan.className = "task-tags flex-shrink-0 text-xs text-indigo-600 truncate max-w-[40%]";
+			tagsSpan.textContent = formatTags(activity.tags);
+
+			// Billable marker
+			const billableIcon = document.createElement("span");
+			billableIcon.className = "task-billable material-icons flex-shrink-0 text-base text-emerald-600";
+			billableIcon.title = "Billable";
+			billableIcon.textContent = "paid";
 
 			// Duration display (right-aligned)
 			const durationSpan = document.createElement("span");
@@ -448,6 +597,8 @@ export const renderActiveTimers = () => {
 			// Build row
 			row.appendChild(statusIndicator);
 			row.appendChild(taskNameSpan);
+			if (activity.tags?.length) row.appendChild(tagsSpan);
+			if (isBillable(activity)) row.appendChild(billableIcon);
 			row.appendChild(durationSpan);
 			row.appendChild(actionButtons);
 
@@ -550,6 +701,81 @@ export const startTimerDisplay = () => {
 	}
 };
 
+/**
+ * Finds the active timer for a project/task
+ *
+ * DUPLICATE DETECTION:
+ * Prevents multiple timers for the same project/task combination.
+ * Uses case-insensitive comparison to avoid "Project / Task" and "project / task" both running.
+ * This is a UX decision - having duplicates would make reports confusing.
+ *
+ * @param {string} project - Project name
+ * @param {string} task - Task name
+ * @returns {string|undefined} Id of the running or paused timer, if any
+ */
+const findActiveTimerId = (project, task) => {
+	const taskKey = getRunningTasksKey(project, task);
+	return Object.keys(state.activeTimers).find(
+		(id) =>
+			getRunningTasksKey(
+				state.activeTimers[id].project,
+				state.activeTimers[id].task
+			) === taskKey
+	);
+};
+
+/**
+ * Tells the user which timers single focus paused
+ *
+ * @param {Array<{id: string}>} pausedTimers - From pauseOtherTimers() in
+ *   state.js
+ * @returns {void}
+ */
+const notePausedTimers = (pausedTimers) => {
+	if (pausedTimers.length === 0) return;
+	const names = pausedTimers
+		.map(({ id }) => state.activeTimers[id])
+		.filter(Boolean)
+		.map((timer) => `"${timer.project} / ${timer.task}"`);
+	showNotification(`Single focus: paused ${names.join(", ")}.`, "info");
+};
+
+/**
+ * Adds a running timer to activeTimers and saves it
+ *
+ * Callers check for duplicates first (findActiveTimerId). With single focus
+ * on, the other running timers are paused in the same save. Removes the
+ * timer (and resumes the others) if the save fails (rollback) and rethrows.
+ *
+ * @async
+ * @param {Object} timer - New running timer (createTimer() or
+ *   createTimerFromEntry() in state.js)
+ * @returns {Promise<void>}
+ * @throws {Error} If the server save fails
+ */
+const addActiveTimer = async (timer) => {
+	const newId = generateUUID();
+	const { startTime } = timer;
+	state.activeTimers[newId] = timer;
+	const pausedTimers = pauseOtherTimers(
+		state.activeTimers,
+		newId,
+		startTime,
+		state.settings.singleFocus
+	);
+
+	try {
+		await saveActiveStateToServer();
+		renderActiveTimers();
+		startTimerDisplay();
+		notePausedTimers(pausedTimers);
+	} catch (error) {
+		delete state.activeTimers[newId];
+		restorePausedTimers(state.activeTimers, pausedTimers);
+		throw error;
+	}
+};
+
 /**
  * Starts a new timer for a project/task
  *
@@ -557,7 +783,8 @@ export const startTimerDisplay = () => {
  * creates a new timer in activeTimers state, saves to server, and updates UI.
  * Prevents multiple timers for the same project/task combination.
  *
- * Input format: "Project / Task" or just "Project" (defaults to "Task")
+ * Input format: "Project / Task" or just "Project" (defaults to "Task"),
+ * optionally followed by "#tags"
  *
  * @async
  * @returns {Promise<void>}
@@ -566,59 +793,104 @@ export const startNewTimer = async () => {
 	if (!domElements) return;
 
 	domElements.errorMessage.textContent = "";
-	const fullTopic = sanitizeInput(domElements.topicInput.value);
+	const { text, tags } = extractTags(domElements.topicInput.value);
+	const fullTopic = sanitizeInput(text);
 	if (!fullTopic) {
 		domElements.errorMessage.textContent =
 			"Please enter or select a Project / Task.";
 		return;
 	}
+	const tagsError = validateTags(tags);
+	if (tagsError) {
+		domElements.errorMessage.textContent = tagsError;
+		return;
+	}
 
-	const parts = fullTopic.split("/").map((p) => sanitizeInput(p).trim());
-	const project = (parts[0] || "Uncategorized").trim();
-	const task = (parts[1] || "Task").trim();
-	const taskKey = getRunningTasksKey(project, task);
-
-	// DUPLICATE DETECTION:
-	// Prevents multiple timers for the same project/task combination.
-	// Uses case-insensitive comparison to avoid "Project / Task" and "project / task" both running.
-	// This is a UX decision - having duplicates would make reports confusing.
-	if (
-		Object.values(state.activeTimers).some(
-			(t) => getRunningTasksKey(t.project, t.task) === taskKey
-		)
-	) {
+	const { project, task } = parseTopic(fullTopic);
+	if (findActiveTimerId(project, task)) {
 		domElements.errorMessage.textContent = `Error: The task "${project} / ${task}" is already running.`;
 		return;
 	}
 
-	const newId = generateUUID();
-	state.activeTimers[newId] = {
-		project,
-		task,
-		startTime: new Date(),
-		accumulatedMs: 0,
-		isPaused: false,
-		notes: "",
-	};
-
+	const billable = domElements.billableInput?.checked === true;
 	domElements.topicInput.value = "";
 
 	try {
-		await saveActiveStateToServer();
-		renderActiveTimers();
-		startTimerDisplay();
+		await addActiveTimer(
+			createTimer({ project, task, tags, billable }, new Date())
+		);
 	} catch (error) {
-		delete state.activeTimers[newId];
 		domElements.errorMessage.textContent =
 			"Failed to start timer. Please try again.";
 	}
 };
 
+/**
+ * Continues a past entry: tracks its project/task again
+ *
+ * One-click alternative to retyping "Project / Task #tags" - used by the
+ * History list, the "Saved ..." message after stopping a timer and the
+ * Reports drill-downs. The new timer gets the entry's tags and billable
+ * flag, and goes through the same duplicate detection as startNewTimer():
+ * if the task is already paused it is resumed instead, and if it is
+ * running nothing changes.
+ *
+ * @async
+ * @param {Object} entry - Historical entry to continue
+ * @returns {Promise<void>}
+ */
+export const continueEntry = async (entry) => {
+	const { project, task } = entry;
+	const name = `${project} / ${task}`;
+
+	const activeId = findActiveTimerId(project, task);
+	if (activeId) {
+		if (!state.activeTimers[activeId].isPaused) {
+			showNotification(`"${name}" is already running.`, "info");
+			return;
+		}
+		// toggleTimer() reports its own failure and leaves the timer paused
+		await toggleTimer(activeId);
+		if (!state.activeTimers[activeId]?.isPaused) {
+			showNotification(`Resumed "${name}".`, "success");
+		}
+		return;
+	}
+
+	try {
+		await addActiveTimer(createTimerFromEntry(entry, new Date()));
+		showNotification(`Started "${name}".`, "success");
+	} catch (error) {
+		showNotification("Failed to start timer. Please try again.", "error");
+	}
+};
+
+/**
+ * Creates a "Continue" button for a past entry (see continueEntry)
+ *
+ * @param {Object} entry - Historical entry
+ * @returns {HTMLButtonElement} Icon button
+ */
+export const createContinueButton = (entry) => {
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className =
+		"continue-button material-icons flex-shrink-0 text-xl text-gray-400 hover:text-indigo-600";
+	button.textContent = "play_circle";
+	button.title = `Continue ${entry.project} / ${entry.task}`;
+	button.setAttribute("aria-label", button.title);
+	button.addEventListener("click", () => continueEntry(entry));
+	return button;
+};
+
 /**
  * Toggles a timer between paused and running states
  *
- * If running: Pauses the timer, accumulates elapsed time, and clears startTime.
- * If paused: Resumes the timer, sets new startTime, and keeps accumulated time.
+ * If running: Pauses the timer, accumulates elapsed time, clears startTime and
+ * closes the current segment.
+ * If paused: Resumes the timer, sets new startTime, keeps accumulated time and
+ * opens a new segment. With single focus on, the other running timers are
+ * paused in the same save (see pauseOtherTimers() in state.js).
  * Rolls back changes if server save fails.
  *
  * @async
@@ -629,31 +901,34 @@ export const toggleTimer = async (id) => {
 	const timer = state.activeTimers[id];
 	if (!timer) return;
 
-	const previousState = {
-		isPaused: timer.isPaused,
-		startTime: timer.startTime,
-		accumulatedMs: timer.accumulatedMs,
-	};
+	const previousState = snapshotTimer(timer);
+	let pausedTimers = [];
 
 	try {
+		const now = new Date();
 		if (timer.isPaused) {
 			timer.isPaused = false;
-			timer.startTime = new Date();
+			timer.startTime = now;
+			openTimerSegment(timer, now);
+			pausedTimers = pauseOtherTimers(
+				state.activeTimers,
+				id,
+				now,
+				state.settings.singleFocus
+			);
 		} else {
-			timer.accumulatedMs += Date.now() - timer.startTime.getTime();
-			timer.startTime = null;
-			timer.isPaused = true;
+			pauseTimer(timer, now);
 		}
 
 		await saveActiveStateToServer();
 		renderActiveTimers();
 		startTimerDisplay();
+		notePausedTimers(pausedTimers);
 	} catch (error) {
 		console.error("Error toggling timer:", error);
 		// Rollback to previous state
-		timer.isPaused = previousState.isPaused;
-		timer.startTime = previousState.startTime;
-		timer.accumulatedMs = previousState.accumulatedMs;
+		restoreTimer(timer, previousState);
+		restorePausedTimers(state.activeTimers, pausedTimers);
 		renderActiveTimers(); // Update UI to reflect rollback
 		showNotification("Failed to toggle timer. Please try again.", "error");
 	}
@@ -705,9 +980,10 @@ export const deleteTimer = async (id) => {
 /**
  * Stops a timer and saves it to historical data
  *
- * Calculates final duration, creates a historical entry with notes, saves to
- * server, and removes from active timers. Automatically discards timers with
- * zero duration. Updates UI and adds the task to suggestions.
+ * Calculates final duration, creates a historical entry with notes and the
+ * timer's run segments, saves to server, and removes from active timers. Automatically discards timers with
+ * zero duration. Updates UI and adds the task to suggestions. The "Saved ..."
+ * message offers "Continue" to start the same task again (continueEntry).
  *
  * @async
  * @param {string} id - UUID of the timer to stop
@@ -719,7 +995,8 @@ export const stopTimer = async (id) => {
 	const activity = state.activeTimers[id];
 	if (!activity) return;
 
-	const finalDurationMs = calculateElapsedMs(activity);
+	const endTime = new Date();
+	const finalDurationMs = calculateElapsedMs(activity, endTime.getTime());
 	if (finalDurationMs <= 0) {
 		deleteTimer(id);
 		domElements.errorMessage.textContent =
@@ -728,10 +1005,15 @@ export const stopTimer = async (id) => {
 		return;
 	}
 
-	const endTime = new Date();
-	const startTime = new Date(endTime.getTime() - finalDurationMs);
+	// Real wall-clock start comes from the first segment; timers started
+	// before segments were tracked fall back to endTime - duration
+	const segments = buildEntrySegments(activity, endTime, finalDurationMs);
+	const startTime = segments
+		? new Date(segments[0].start)
+		: new Date(endTime.getTime() - finalDurationMs);
 
 	const newEntry = {
+		id: generateUUID(),
 		project: activity.project,
 		task: activity.task,
 		totalDurationMs: finalDurationMs,
@@ -740,24 +1022,36 @@ export const stopTimer = async (id) => {
 		createdAt: startTime.toISOString(),
 		notes: activity.notes || "",
 	};
+	if (segments) newEntry.segments = segments;
+	if (activity.tags?.length) newEntry.tags = [...activity.tags];
+	if (isBillable(activity)) newEntry.billable = true;
 
 	try {
 		// Remove from active timers and add to history
 		delete state.activeTimers[id];
 		state.historicalEntries.push(newEntry);
 
-		// Persist both changes to server
+		// Persist both changes to server (only the new entry is sent)
 		await saveActiveStateToServer();
-		await saveDataToServer();
+		await createEntryOnServer(newEntry);
 
 		renderActiveTimers();
 
-		// Show success message
+		// Show success message, with a shortcut to pick the task up again
 		const tempStatus = document.createElement("p");
 		tempStatus.className = "text-center text-sm text-green-600 mt-2";
 		tempStatus.textContent = `Saved ${activity.project} / ${
 			activity.task
-		} (${formatDuration(newEntry.durationSeconds)})`;
+		} (${formatDuration(newEntry.durationSeconds)}) `;
+		const continueLink = document.createElement("button");
+		continueLink.type = "button";
+		continueLink.className = "continue-button underline hover:text-green-800";
+		continueLink.textContent = "Continue";
+		continueLink.addEventListener("click", () => {
+			tempStatus.remove();
+			continueEntry(newEntry);
+		});
+		tempStatus.appendChild(continueLink);
 		domElements.activeTimersList.insertAdjacentElement("afterend", tempStatus);
 		setTimeout(() => tempStatus.remove(), CONSTANTS.NOTIFICATION_DURATION);
 
@@ -765,19 +1059,143 @@ export const stopTimer = async (id) => {
 	} catch (error) {
 		// Rollback: restore timer to active state and remove from history
 		state.activeTimers[id] = activity;
-		state.historicalEntries.pop(); // Remove the entry we just added
+		state.historicalEntries = state.historicalEntries.filter(
+			(entry) => entry.id !== newEntry.id
+		); // Remove the entry we just added
 		renderActiveTimers();
 		console.error("Error stopping timer:", error);
 		showNotification("Failed to save timer. Please try again.", "error");
 	}
 };
 
+/**
+ * Shows either the end time or the duration input of the manual entry form
+ *
+ * @returns {void}
+ */
+const updateManualRangeMode = () => {
+	const useDuration = domElements.manualRangeMode.value === "duration";
+	domElements.manualEndInput.classList.toggle("hidden", useDuration);
+	domElements.manualDurationInput.classList.toggle("hidden", !useDuration);
+	domElements.manualRangeLabel.textContent = useDuration ? "Duration" : "End";
+	domElements.manualRangeLabel.htmlFor = useDuration
+		? "manual-duration-input"
+		: "manual-end-input";
+};
+
+/**
+ * Saves a manually logged entry from the "Log Past Time" form
+ *
+ * For time that wasn't tracked live ("Client X / Proposal, 09:00–10:30
+ * yesterday"). The range is given as start + end or start + duration and
+ * must end in the past. The entry has the same shape stopTimer() builds and
+ * is sent via POST /api/entries. Rolls back if the save fails.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const saveManualEntry = async () => {
+	if (!domElements) return;
+
+	const errorEl = domElements.manualErrorMessage;
+	errorEl.textContent = "";
+
+	const { text, tags } = extractTags(domElements.manualTopicInput.value);
+	const fullTopic = sanitizeInput(text);
+	if (!fullTopic) {
+		errorEl.textContent = "Please enter or select a Project / Task.";
+		return;
+	}
+	const tagsError = validateTags(tags);
+	if (tagsError) {
+		errorEl.textContent = tagsError;
+		return;
+	}
+	const { project, task } = parseTopic(fullTopic);
+
+	const start = parseDateTimeLocalValue(domElements.manualStartInput.value);
+	let end = null;
+	if (domElements.manualRangeMode.value === "duration") {
+		const durationMs = parseDurationInput(domElements.manualDurationInput.value);
+		if (!durationMs) {
+			errorEl.textContent =
+				"Please enter a duration like 1:30, 1h 30m or 90m.";
+			return;
+		}
+		end = start ? new Date(start.getTime() + durationMs) : null;
+	} else {
+		end = parseDateTimeLocalValue(domElements.manualEndInput.value);
+	}
+
+	const timeError = validateEntryTimes(start, end);
+	if (timeError) {
+		errorEl.textContent = timeError;
+		return;
+	}
+
+	const newEntry = buildManualEntry({
+		project,
+		task,
+		start,
+		end,
+		notes: domElements.manualNotesInput.value.trim(),
+		tags,
+		billable: domElements.manualBillableInput?.checked === true,
+	});
+
+	domElements.manualSaveButton.disabled = true;
+	try {
+		state.historicalEntries.push(newEntry);
+		await createEntryOnServer(newEntry);
+
+		domElements.manualTopicInput.value = "";
+		domElements.manualStartInput.value = "";
+		domElements.manualEndInput.value = "";
+		domElements.manualDurationInput.value = "";
+		domElements.manualNotesInput.value = "";
+		showNotification(
+			`Logged ${project} / ${task} (${formatDuration(newEntry.durationSeconds)})`,
+			"success"
+		);
+
+		populateSuggestions();
+	} catch (error) {
+		// Rollback: remove the entry we just added
+		state.historicalEntries = state.historicalEntries.filter(
+			(entry) => entry.id !== newEntry.id
+		);
+		console.error("Error saving manual entry:", error);
+		errorEl.textContent = "Failed to save entry. Please try again.";
+	} finally {
+		domElements.manualSaveButton.disabled = false;
+	}
+};
+
+/**
+ * Initializes the "Log Past Time" form event handlers
+ *
+ * Wires the end/duration switch and the save button.
+ * Must be called once during app initialization after initDOMElements().
+ *
+ * @returns {void}
+ */
+export const initManualEntryForm = () => {
+	if (!domElements?.manualSaveButton) return;
+
+	domElements.manualRangeMode.addEventListener("change", updateManualRangeMode);
+	domElements.manualSaveButton.addEventListener("click", saveManualEntry);
+	updateManualRangeMode();
+};
+
 /**
  * Exports all historical data as a CSV file
  *
  * Generates a CSV file with all historical time entries including project, task,
- * endTime, duration (seconds and minutes), totalDurationMs, and notes. Properly
- * escapes CSV special characters. Filename includes current date.
+ * endTime, duration (seconds and minutes), totalDurationMs, the duration
+ * under the time rounding setting (seconds and minutes, see rounding.js),
+ * notes, tags, billable ("yes"/"no"), invoice number and the project's
+ * colour (hex, as in the charts, for spreadsheets). Properly escapes
+ * CSV special characters. Filename includes current date.
  *
  * @returns {void}
  */
@@ -800,14 +1218,35 @@ export const exportData = () => {
 			"durationSeconds",
 			"durationMinutes",
 			"totalDurationMs",
+			"roundedDurationSeconds",
+			"roundedDurationMinutes",
 			"notes",
+			"tags",
+			"billable",
+			"invoice",
+			"projectColor",
 		];
 		const csvRows = [headers.join(",")];
+		const roundedDurations = getRoundedDurations(
+			state.historicalEntries,
+			state.settings.rounding
+		);
 		state.historicalEntries.forEach((entry) => {
+			const roundedMs = roundedDurations.get(entry);
 			const row = {
 				...entry,
 				endTime: new Date(entry.endTime).toISOString(),
 				durationMinutes: (entry.durationSeconds / 60).toFixed(2),
+				roundedDurationSeconds: String(
+					Math.round(roundedMs / CONSTANTS.MS_PER_SECOND)
+				),
+				roundedDurationMinutes: (roundedMs / CONSTANTS.MS_PER_MINUTE).toFixed(2),
+				tags: formatTags(entry.tags),
+				billable: isBillable(entry) ? "yes" : "no",
+				invoice: isInvoiced(entry)
+					? formatInvoiceNumber(entry.invoiceNumber)
+					: "",
+				projectColor: getProjectColor(entry.project, state.settings.projectColors),
 			};
 			const values = headers.map(
 				(header) => `"${(row[header] || "").toString().replace(/"/g, '""')}"`
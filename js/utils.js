@@ -7,9 +7,9 @@
  *
  * CATEGORIES:
  * 1. Data generation: generateUUID
- * 2. Formatting: formatDuration, getRunningTasksKey
- * 3. Validation: sanitizeInput
- * 4. Visualization: getDistinctColors
+ * 2. Formatting: pad2, formatDuration, getRunningTasksKey
+ * 3. Validation: sanitizeInput, escapeHtml
+ * 4. Visualization: getDistinctColors, getProjectColorKey, getProjectColor
  * 5. User feedback: showNotification
  *
  * WHY THESE EXIST:
@@ -21,7 +21,7 @@
  * @module utils
  */
 
-import { CONSTANTS, CHART_COLORS } from "./constants.js";
+import { CONSTANTS, CHART_COLORS, PROJECT_COLORS } from "./constants.js";
 
 /**
  * Generates a unique identifier using the Web Crypto API with fallback
@@ -55,6 +55,14 @@ export const generateUUID = () => {
 	});
 };
 
+/**
+ * Pads a number to two digits
+ *
+ * @param {number} n - Number to pad
+ * @returns {string} Two-digit string
+ */
+export const pad2 = (n) => (n < 10 ? `0${n}` : `${n}`);
+
 /**
  * Formats a duration in seconds to HH:MM:SS format
  *
@@ -110,6 +118,29 @@ export const sanitizeInput = (str) => {
 		.substring(0, CONSTANTS.MAX_INPUT_LENGTH);
 };
 
+/**
+ * Entity for each character escapeHtml() replaces
+ */
+const HTML_ENTITIES = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+};
+
+/**
+ * Escapes text for use inside generated HTML
+ *
+ * For HTML built as a string (e.g. the downloadable invoice) rather than
+ * through textContent. Notes and older entries may contain any character.
+ *
+ * @param {*} value - Text to escape (converted to string)
+ * @returns {string} Text with & < > " ' replaced by entities
+ */
+export const escapeHtml = (value) =>
+	String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
 /**
  * Creates a unique key for identifying running tasks
  *
@@ -141,6 +172,44 @@ export const getDistinctColors = (count) => {
 	return result;
 };
 
+/**
+ * Returns the key a project's colour is stored under
+ *
+ * Project names match case-insensitively elsewhere (getRunningTasksKey),
+ * so "Website" and "website " share a colour.
+ *
+ * @param {string} project - Project name
+ * @returns {string} Trimmed, lowercase project name
+ */
+export const getProjectColorKey = (project) =>
+	String(project ?? "").trim().toLowerCase();
+
+/**
+ * Returns a project's colour
+ *
+ * WHY A HASH:
+ * Assigning colours by position (getDistinctColors) changes a project's
+ * colour whenever another project appears in or drops out of a chart. A
+ * hash of the name (FNV-1a) into PROJECT_COLORS gives the same colour on
+ * every chart, the timer headers and in exports.
+ *
+ * @param {string} project - Project name
+ * @param {Object<string, string>} [overrides={}] - Chosen colours by
+ *   getProjectColorKey() (settings.projectColors)
+ * @returns {string} Hex colour, e.g. "#4f46e5"
+ */
+export const getProjectColor = (project, overrides = {}) => {
+	const key = getProjectColorKey(project);
+	if (overrides?.[key]) return overrides[key];
+
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < key.length; i++) {
+		hash ^= key.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return PROJECT_COLORS[(hash >>> 0) % PROJECT_COLORS.length];
+};
+
 /**
  * Shows a temporary notification to the user
  *
@@ -14,11 +14,13 @@
  * - Local-only binding (127.0.0.1 for security)
  *
  * KEY RESPONSIBILITIES:
- * 1. Serve static frontend files (index.html, JS modules)
- * 2. Manage three JSON data files:
- *    - mtt-data.json: Historical time entries (append-only in practice)
+ * 1. Serve static frontend files (index.html, JS modules, vendored assets)
+ * 2. Manage five JSON data files:
+ *    - mtt-data.json: Historical time entries (created/edited/deleted per entry)
  *    - mtt-active-state.json: Currently running timers (frequent updates)
- *    - mtt-suggestions.json: User-editable task suggestions
+ *    - mtt-suggestions.json: Task suggestions (managed in the Settings tab or by hand)
+ *    - mtt-settings.json: Currency and hourly rates (edited in the Settings tab)
+ *    - mtt-invoices.json: Issued invoices (numbered by the server)
  * 3. Ensure data integrity via atomic writes
  * 4. Provide health monitoring endpoint
  *
@@ -41,6 +43,7 @@ const http = require("http");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 
 // --- Configuration (can be overridden by environment variables) ---
 const PORT = process.env.PORT || 13331;
@@ -48,9 +51,58 @@ const DATA_DIR = process.env.DATA_DIR || __dirname;
 const DATA_FILE_PATH = path.join(DATA_DIR, "mtt-data.json");
 const ACTIVE_STATE_PATH = path.join(DATA_DIR, "mtt-active-state.json");
 const SUGGESTIONS_PATH = path.join(DATA_DIR, "mtt-suggestions.json");
+const SETTINGS_PATH = path.join(DATA_DIR, "mtt-settings.json");
+const INVOICES_PATH = path.join(DATA_DIR, "mtt-invoices.json");
 const LOCK_FILE_PATH = path.join(DATA_DIR, "mtt-data.lock");
 const MAX_PAYLOAD_SIZE = 1048576; // 1MB
 
+// Directories served as static files, and the file types allowed from them.
+// Anything else (notably the mtt-*.json data files) is never served.
+const STATIC_DIRECTORIES = ["js", "vendor"];
+const MIME_TYPES = {
+	".js": "application/javascript",
+	".css": "text/css",
+	".woff2": "font/woff2",
+	".woff": "font/woff",
+	".svg": "image/svg+xml",
+	".png": "image/png",
+};
+// How an entry was created, if not by a timer (the *_SOURCE names in js/entries.js)
+const VALID_ENTRY_SOURCES = ["manual", "timesheet", "idle"];
+
+// Fields an invoiced entry may still change; everything else is on the invoice
+const INVOICED_EDITABLE_FIELDS = ["id", "notes", "tags"];
+
+// Tag rules, mirrored by js/tags.js: lowercase letters, digits, "-" and "_"
+const TAG_PATTERN = /^[\p{Ll}\p{Lm}\p{Lo}\p{N}_-]{1,30}$/u;
+const MAX_TAGS = 10;
+
+// Settings written on first start (and the shape js/settings.js edits)
+const DEFAULT_SETTINGS = {
+	currency: "USD",
+	rates: [],
+	rounding: { mode: "none", incrementMinutes: 15, scope: "entry" },
+	projectColors: {},
+	singleFocus: false, // Starting or resuming a timer pauses the others
+	idleMinutes: 0, // Ask about idle time after this many minutes (0 = off)
+};
+const CURRENCY_PATTERN = /^[A-Z]{3}$/; // ISO 4217 code, e.g. "EUR"
+const MAX_NAME_LENGTH = 100; // Same limit as project/task inputs
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // Local calendar day, e.g. "2025-03-31"
+
+// Time rounding rules, mirrored by js/rounding.js
+const ROUNDING_MODES = ["none", "up", "down", "nearest"];
+const ROUNDING_SCOPES = ["entry", "day"]; // Round each entry, or each day's total per task
+const MAX_ROUNDING_INCREMENT_MINUTES = 60;
+
+// Idle detection threshold, mirrored by MAX_IDLE_MINUTES in js/constants.js
+const MAX_IDLE_MINUTES = 480;
+
+// Project colour overrides, keyed by lowercase project name (see getProjectColor in js/utils.js)
+const PROJECT_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+const MAX_SUGGESTIONS = 500; // Keeps the autocomplete list usable
+
 // --- Logging Utility ---
 const log = {
 	info: (msg, meta = {}) => {
@@ -158,6 +210,84 @@ const writeFileAtomic = async (filePath, data) => {
 	}
 };
 
+// --- Historical Data Mutation Utility ---
+/**
+ * Runs a read-modify-write cycle on mtt-data.json, one cycle at a time.
+ *
+ * WHY SERIALIZE:
+ * The per-entry endpoints (create/update/delete) each read the whole file,
+ * change one entry and write it back. Two overlapping requests would both
+ * read the same old array and the second write would silently drop the first
+ * change. Chaining the cycles on a single promise queue makes them run in
+ * arrival order. writeFileAtomic's lock only protects the write itself.
+ *
+ * The mutator receives the parsed entries array and changes it in place.
+ * If it throws (e.g. { statusCode: 404 }), nothing is written.
+ *
+ * @param {function(Array): any} mutator - Changes the entries array in place
+ * @returns {Promise<any>} Whatever the mutator returned
+ */
+let dataFileQueue = Promise.resolve();
+const mutateHistoricalData = (mutator) => {
+	const run = dataFileQueue.then(async () => {
+		const entries = JSON.parse(await fs.readFile(DATA_FILE_PATH, "utf8"));
+		const result = await mutator(entries);
+		await writeFileAtomic(DATA_FILE_PATH, JSON.stringify(entries, null, 2));
+		return result;
+	});
+	// Keep the queue alive even if this cycle failed
+	dataFileQueue = run.catch(() => {});
+	return run;
+};
+
+// --- Suggestions Mutation Utility ---
+/**
+ * Runs a read-modify-write cycle on mtt-suggestions.json, one at a time.
+ *
+ * Follows the same pattern as mutateHistoricalData, with its own queue, so
+ * a DELETE can't overwrite a list that was posted while it was reading the
+ * file. The mutator receives the
+ * normalized suggestions and returns the list to write.
+ *
+ * @param {function(Array): Array} mutator - Returns the new suggestions
+ * @returns {Promise<Array>} The suggestions as written
+ */
+let suggestionsFileQueue = Promise.resolve();
+const mutateSuggestions = (mutator) => {
+	const run = suggestionsFileQueue.then(async () => {
+		const current = normalizeSuggestions(
+			JSON.parse(await fs.readFile(SUGGESTIONS_PATH, "utf8"))
+		);
+		const suggestions = await mutator(current);
+		await writeFileAtomic(SUGGESTIONS_PATH, JSON.stringify(suggestions, null, 2));
+		return suggestions;
+	});
+	// Keep the queue alive even if this cycle failed
+	suggestionsFileQueue = run.catch(() => {});
+	return run;
+};
+
+/**
+ * Gives every entry without an id a fresh UUID.
+ *
+ * Entries written before per-entry endpoints existed have no id. They get
+ * one on startup (and whenever a whole array is posted) so that they can be
+ * edited or deleted individually.
+ *
+ * @param {Array} entries - Historical entries (changed in place)
+ * @returns {number} How many entries received a new id
+ */
+const assignMissingEntryIds = (entries) => {
+	let assigned = 0;
+	for (const entry of entries) {
+		if (entry && typeof entry === "object" && !entry.id) {
+			entry.id = crypto.randomUUID();
+			assigned++;
+		}
+	}
+	return assigned;
+};
+
 // --- Request Validation Utility ---
 /**
  * Validates and parses JSON body from request with size limits.
@@ -232,6 +362,17 @@ const initializeDataFile = async () => {
 		log.info("Creating new data file", { path: DATA_FILE_PATH });
 		await writeFileAtomic(DATA_FILE_PATH, "[]");
 		log.info("Successfully created data file");
+		return;
+	}
+
+	// Migrate entries saved before entries had stable ids
+	const entries = JSON.parse(await fs.readFile(DATA_FILE_PATH, "utf8"));
+	if (Array.isArray(entries)) {
+		const assigned = assignMissingEntryIds(entries);
+		if (assigned > 0) {
+			await writeFileAtomic(DATA_FILE_PATH, JSON.stringify(entries, null, 2));
+			log.info("Assigned ids to existing entries", { count: assigned });
+		}
 	}
 };
 
@@ -270,12 +411,41 @@ const initializeSuggestionsFile = async () => {
 	}
 };
 
+// --- Pre-flight Check: Ensure settings file exists on startup ---
+const initializeSettingsFile = async () => {
+	try {
+		await fs.access(SETTINGS_PATH);
+		log.info("Settings file already exists", { path: SETTINGS_PATH });
+	} catch {
+		log.info("Creating new settings file", { path: SETTINGS_PATH });
+		await writeFileAtomic(
+			SETTINGS_PATH,
+			JSON.stringify(DEFAULT_SETTINGS, null, 2)
+		);
+		log.info("Successfully created settings file");
+	}
+};
+
+// --- Pre-flight Check: Ensure invoices file exists on startup ---
+const initializeInvoicesFile = async () => {
+	try {
+		await fs.access(INVOICES_PATH);
+		log.info("Invoices file already exists", { path: INVOICES_PATH });
+	} catch {
+		log.info("Creating new invoices file", { path: INVOICES_PATH });
+		await writeFileAtomic(INVOICES_PATH, JSON.stringify([], null, 2));
+		log.info("Successfully created invoices file");
+	}
+};
+
 // --- Initialize all necessary files before starting the server ---
 const initializeAllFiles = async () => {
 	try {
 		await initializeDataFile();
 		await initializeActiveStateFile();
 		await initializeSuggestionsFile();
+		await initializeSettingsFile();
+		await initializeInvoicesFile();
 		return true;
 	} catch (error) {
 		log.error("CRITICAL: Failed to initialize files", { error: error.message });
@@ -283,9 +453,9 @@ const initializeAllFiles = async () => {
 	}
 };
 
-// --- Data Validation Function ---
+// --- Data Validation Functions ---
 /**
- * Validates that an array contains valid historical entry objects.
+ * Validates a single historical entry object.
  *
  * WHY VALIDATION MATTERS:
  * - Ensures data integrity before persisting to disk
@@ -299,63 +469,652 @@ const initializeAllFiles = async () => {
  * - durationSeconds (number): Duration in seconds
  * - endTime (ISO date string): When timer ended
  * - createdAt (ISO date string): When timer started
+ * - id (string, optional): Stable entry id (assigned by the server if missing)
  * - notes (string, optional): User notes
+ * - tags (string[], optional): Normalized tags, see validateTags()
+ * - billable (boolean, optional): Counts towards billable hours and earnings
+ * - invoiceNumber (integer, optional): Invoice the entry was billed on
  *
- * @param {Array} entries - Array of historical entry objects to validate
+ * @param {Object} entry - Historical entry object to validate
  * @returns {string|null} Error message if invalid, null if valid
  */
-const validateHistoricalEntries = (entries) => {
-	if (!Array.isArray(entries)) {
-		return "Data must be an array";
+const validateHistoricalEntry = (entry) => {
+	if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+		return "entry must be an object";
 	}
 
-	for (let i = 0; i < entries.length; i++) {
-		const entry = entries[i];
+	// Check required fields exist
+	if (!entry.project || typeof entry.project !== "string") {
+		return "project must be a non-empty string";
+	}
+	if (!entry.task || typeof entry.task !== "string") {
+		return "task must be a non-empty string";
+	}
+	if (typeof entry.totalDurationMs !== "number" || entry.totalDurationMs < 0) {
+		return "totalDurationMs must be a non-negative number";
+	}
+	if (typeof entry.durationSeconds !== "number" || entry.durationSeconds < 0) {
+		return "durationSeconds must be a non-negative number";
+	}
+
+	// Validate ISO date strings
+	const endTime = new Date(entry.endTime);
+	if (isNaN(endTime.getTime())) {
+		return "endTime must be a valid ISO date string";
+	}
+	const createdAt = new Date(entry.createdAt);
+	if (isNaN(createdAt.getTime())) {
+		return "createdAt must be a valid ISO date string";
+	}
+
+	// Optional id field
+	if (entry.id !== undefined && (!entry.id || typeof entry.id !== "string")) {
+		return "id must be a non-empty string";
+	}
+
+	// Optional notes field
+	if (entry.notes !== undefined && typeof entry.notes !== "string") {
+		return "notes must be a string";
+	}
+
+	// Optional tags field
+	if (entry.tags !== undefined) {
+		const tagsError = validateTags(entry.tags);
+		if (tagsError) return tagsError;
+	}
+
+	// Optional billable flag
+	if (entry.billable !== undefined && typeof entry.billable !== "boolean") {
+		return "billable must be a boolean";
+	}
+
+	// Optional invoice number (set by POST /api/invoices)
+	if (
+		entry.invoiceNumber !== undefined &&
+		(!Number.isInteger(entry.invoiceNumber) || entry.invoiceNumber < 1)
+	) {
+		return "invoiceNumber must be a positive integer";
+	}
+
+	// Optional source field (absent for entries recorded by a live timer)
+	if (entry.source !== undefined && !VALID_ENTRY_SOURCES.includes(entry.source)) {
+		return `source must be one of: ${VALID_ENTRY_SOURCES.join(", ")}`;
+	}
+
+	// Optional segments field: when the work actually happened, one
+	// { start, end } pair per run between pauses
+	if (entry.segments !== undefined) {
+		const segmentsError = validateEntrySegments(entry.segments);
+		if (segmentsError) return segmentsError;
+	}
+
+	// Sanity check: duration should match time difference (or, for paused
+	// timers, the sum of their segments)
+	const duration = entry.segments
+		? entry.segments.reduce(
+				(sum, s) => sum + (new Date(s.end) - new Date(s.start)),
+				0
+		  )
+		: endTime.getTime() - createdAt.getTime();
+	if (Math.abs(duration - entry.totalDurationMs) > 1000) {
+		// Allow 1 second tolerance for rounding
+		log.warn("Duration mismatch in entry", {
+			id: entry.id,
+			calculatedMs: duration,
+			storedMs: entry.totalDurationMs,
+		});
+	}
+
+	return null; // All validations passed
+};
+
+/**
+ * Validates the segments recorded on a historical entry.
+ *
+ * Each segment needs valid ISO start/end dates with end >= start, and
+ * segments must be in chronological order without overlapping.
+ *
+ * @param {*} segments - Value of entry.segments
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateEntrySegments = (segments) => {
+	if (!Array.isArray(segments) || segments.length === 0) {
+		return "segments must be a non-empty array";
+	}
+	let previousEnd = -Infinity;
+	for (const segment of segments) {
+		const start = new Date(segment?.start).getTime();
+		const end = new Date(segment?.end).getTime();
+		if (isNaN(start) || isNaN(end)) {
+			return "segments must have valid ISO start and end dates";
+		}
+		if (end < start || start < previousEnd) {
+			return "segments must be in order and not overlap";
+		}
+		previousEnd = end;
+	}
+	return null;
+};
+
+/**
+ * Validates the tags of a historical entry or active timer.
+ *
+ * Tags are stored normalized (lowercase, without "#"), so a tag that
+ * doesn't match TAG_PATTERN or appears twice means a client bug.
+ *
+ * @param {*} tags - Value of entry.tags or timer.tags
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateTags = (tags) => {
+	if (!Array.isArray(tags)) {
+		return "tags must be an array";
+	}
+	if (tags.length > MAX_TAGS) {
+		return `tags must have at most ${MAX_TAGS} items`;
+	}
+	if (tags.some((tag) => typeof tag !== "string" || !TAG_PATTERN.test(tag))) {
+		return "tags must be lowercase words of letters, digits, - or _ (max 30 characters)";
+	}
+	if (new Set(tags).size !== tags.length) {
+		return "tags must not contain duplicates";
+	}
+	return null;
+};
+
+/**
+ * Validates the active timers object posted to /api/active-state.
+ *
+ * The timer shape is owned by the client and mostly passed through; only
+ * fields that end up on historical entries (tags, billable) are checked
+ * here, so a bad value is rejected before it can reach mtt-data.json.
+ *
+ * @param {*} timers - Object of timers keyed by id
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateActiveState = (timers) => {
+	if (!timers || typeof timers !== "object" || Array.isArray(timers)) {
+		return "Active state must be an object";
+	}
+	for (const [id, timer] of Object.entries(timers)) {
+		if (timer?.tags !== undefined) {
+			const tagsError = validateTags(timer.tags);
+			if (tagsError) return `Timer ${id}: ${tagsError}`;
+		}
+		if (timer?.billable !== undefined && typeof timer.billable !== "boolean") {
+			return `Timer ${id}: billable must be a boolean`;
+		}
+	}
+	return null;
+};
 
-		// Check required fields exist
-		if (!entry.project || typeof entry.project !== "string") {
-			return `Entry ${i}: project must be a non-empty string`;
+/**
+ * Validates the settings object posted to /api/settings.
+ *
+ * SHAPE:
+ * - currency (string): ISO 4217 code such as "USD" or "EUR"
+ * - rates (Array): { project, task, rate } hourly rates. task "" is the
+ *   project's rate; a non-empty task overrides it for that task only.
+ * Project/task pairs are unique (case-insensitive, like timer names).
+ * - rounding (Object, optional): { mode, incrementMinutes, scope } rule for
+ *   exports and reports. Settings files from before rounding existed have
+ *   no rounding and mean "none".
+ * - projectColors (Object, optional): { "project name": "#rrggbb" } colours
+ *   chosen in the Settings tab. Keys are lowercase (project names match
+ *   case-insensitively), colours lowercase hex. Projects without an entry
+ *   get their colour from a hash of the name.
+ *
+ * @param {*} settings - Settings object
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateSettings = (settings) => {
+	if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+		return "Settings must be an object";
+	}
+	if (typeof settings.currency !== "string" || !CURRENCY_PATTERN.test(settings.currency)) {
+		return "currency must be a three-letter ISO code such as USD";
+	}
+	if (!Array.isArray(settings.rates)) {
+		return "rates must be an array";
+	}
+
+	const seenKeys = new Set();
+	for (let i = 0; i < settings.rates.length; i++) {
+		const rate = settings.rates[i];
+		if (!rate || typeof rate !== "object") {
+			return `Rate ${i}: must be an object`;
 		}
-		if (!entry.task || typeof entry.task !== "string") {
-			return `Entry ${i}: task must be a non-empty string`;
+		if (
+			typeof rate.project !== "string" ||
+			!rate.project.trim() ||
+			rate.project.length > MAX_NAME_LENGTH
+		) {
+			return `Rate ${i}: project must be a non-empty string`;
 		}
-		if (typeof entry.totalDurationMs !== "number" || entry.totalDurationMs < 0) {
-			return `Entry ${i}: totalDurationMs must be a non-negative number`;
+		if (typeof rate.task !== "string" || rate.task.length > MAX_NAME_LENGTH) {
+			return `Rate ${i}: task must be a string ("" for the whole project)`;
 		}
-		if (typeof entry.durationSeconds !== "number" || entry.durationSeconds < 0) {
-			return `Entry ${i}: durationSeconds must be a non-negative number`;
+		if (typeof rate.rate !== "number" || !isFinite(rate.rate) || rate.rate < 0) {
+			return `Rate ${i}: rate must be a non-negative number`;
 		}
+		const key = `${rate.project.trim().toLowerCase()}:${rate.task.trim().toLowerCase()}`;
+		if (seenKeys.has(key)) {
+			return `Rate ${i}: duplicate rate for ${rate.project}${rate.task ? ` / ${rate.task}` : ""}`;
+		}
+		seenKeys.add(key);
+	}
 
-		// Validate ISO date strings
-		const endTime = new Date(entry.endTime);
-		if (isNaN(endTime.getTime())) {
-			return `Entry ${i}: endTime must be a valid ISO date string`;
+	if (settings.rounding !== undefined) {
+		const rounding = settings.rounding;
+		if (!rounding || typeof rounding !== "object" || Array.isArray(rounding)) {
+			return "rounding must be an object";
+		}
+		if (!ROUNDING_MODES.includes(rounding.mode)) {
+			return `rounding.mode must be one of: ${ROUNDING_MODES.join(", ")}`;
 		}
-		const createdAt = new Date(entry.createdAt);
-		if (isNaN(createdAt.getTime())) {
-			return `Entry ${i}: createdAt must be a valid ISO date string`;
+		if (
+			!Number.isInteger(rounding.incrementMinutes) ||
+			rounding.incrementMinutes < 1 ||
+			rounding.incrementMinutes > MAX_ROUNDING_INCREMENT_MINUTES
+		) {
+			return `rounding.incrementMinutes must be a whole number from 1 to ${MAX_ROUNDING_INCREMENT_MINUTES}`;
 		}
+		if (!ROUNDING_SCOPES.includes(rounding.scope)) {
+			return `rounding.scope must be one of: ${ROUNDING_SCOPES.join(", ")}`;
+		}
+	}
 
-		// Optional notes field
-		if (entry.notes !== undefined && typeof entry.notes !== "string") {
-			return `Entry ${i}: notes must be a string`;
+	if (settings.projectColors !== undefined) {
+		const colors = settings.projectColors;
+		if (!colors || typeof colors !== "object" || Array.isArray(colors)) {
+			return "projectColors must be an object";
+		}
+		for (const [project, color] of Object.entries(colors)) {
+			if (
+				!project.trim() ||
+				project !== project.trim().toLowerCase() ||
+				project.length > MAX_NAME_LENGTH
+			) {
+				return `projectColors: "${project}" must be a lowercase project name`;
+			}
+			if (typeof color !== "string" || !PROJECT_COLOR_PATTERN.test(color)) {
+				return `projectColors: colour for ${project} must be like #4f46e5`;
+			}
 		}
+	}
+
+	if (settings.singleFocus !== undefined && typeof settings.singleFocus !== "boolean") {
+		return "singleFocus must be true or false";
+	}
+	if (
+		settings.idleMinutes !== undefined &&
+		(!Number.isInteger(settings.idleMinutes) ||
+			settings.idleMinutes < 0 ||
+			settings.idleMinutes > MAX_IDLE_MINUTES)
+	) {
+		return `idleMinutes must be a whole number from 0 (off) to ${MAX_IDLE_MINUTES}`;
+	}
+	return null;
+};
+
+/**
+ * Validates an invoice sent to POST /api/invoices.
+ *
+ * The client builds the lines (see buildInvoiceDraft() in billing.js); the
+ * server checks their shape here and the entries themselves in
+ * createInvoice(). Amounts are not recomputed - rates may have changed
+ * since, and the invoice records what was billed.
+ *
+ * @param {Object} invoice - { project, from, to, currency, lines, total, entryIds }
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateInvoice = (invoice) => {
+	if (!invoice || typeof invoice !== "object" || Array.isArray(invoice)) {
+		return "Invoice must be an object";
+	}
+	if (
+		typeof invoice.project !== "string" ||
+		!invoice.project.trim() ||
+		invoice.project.length > MAX_NAME_LENGTH
+	) {
+		return "project must be a non-empty string";
+	}
+	if (
+		!DATE_KEY_PATTERN.test(invoice.from) ||
+		!DATE_KEY_PATTERN.test(invoice.to) ||
+		invoice.from > invoice.to
+	) {
+		return "from and to must be YYYY-MM-DD dates with from <= to";
+	}
+	if (typeof invoice.currency !== "string" || !CURRENCY_PATTERN.test(invoice.currency)) {
+		return "currency must be a three-letter ISO code such as USD";
+	}
+	if (!Array.isArray(invoice.entryIds) || invoice.entryIds.length === 0) {
+		return "entryIds must be a non-empty array";
+	}
+	if (invoice.entryIds.some((id) => !id || typeof id !== "string")) {
+		return "entryIds must contain entry ids";
+	}
+	if (new Set(invoice.entryIds).size !== invoice.entryIds.length) {
+		return "entryIds must not contain duplicates";
+	}
+	if (!Array.isArray(invoice.lines) || invoice.lines.length === 0) {
+		return "lines must be a non-empty array";
+	}
+
+	const isAmount = (value) =>
+		typeof value === "number" && isFinite(value) && value >= 0;
+	for (let i = 0; i < invoice.lines.length; i++) {
+		const line = invoice.lines[i];
+		if (!line || typeof line !== "object") {
+			return `Line ${i}: must be an object`;
+		}
+		if (typeof line.task !== "string" || !line.task || line.task.length > MAX_NAME_LENGTH) {
+			return `Line ${i}: task must be a non-empty string`;
+		}
+		if (!isAmount(line.hours) || !isAmount(line.rate) || !isAmount(line.amount)) {
+			return `Line ${i}: hours, rate and amount must be non-negative numbers`;
+		}
+	}
+	if (!isAmount(invoice.total)) {
+		return "total must be a non-negative number";
+	}
+	return null;
+};
+
+/**
+ * Issues an invoice: assigns the next number and marks its entries.
+ *
+ * Runs inside mutateHistoricalData() so numbering and marking are
+ * serialized with every other entry write. Each entry must exist, be
+ * billable, belong to the invoiced project and not be on an invoice yet
+ * (409) - an entry can never be billed twice.
+ *
+ * WRITE ORDER: The invoices file is written first, then the entries. If the
+ * entries can't be written, the invoices file is restored so the number is
+ * reused and no invoice exists without its marked entries.
+ *
+ * @param {Object} request - Validated invoice (see validateInvoice())
+ * @returns {Promise<Object>} Stored invoice including number and createdAt
+ * @throws {{statusCode: number, message: string}} If an entry can't be invoiced
+ */
+const createInvoice = async (request) => {
+	let previousInvoices = null;
+	try {
+		return await mutateHistoricalData(async (entries) => {
+			const invoicesJson = await fs.readFile(INVOICES_PATH, "utf8");
+			const invoices = JSON.parse(invoicesJson);
+			const number =
+				invoices.reduce((max, invoice) => Math.max(max, invoice.number), 0) + 1;
+
+			const invoicedEntries = request.entryIds.map((id) => {
+				const entry = entries.find((e) => e.id === id);
+				if (!entry) {
+					throw { statusCode: 404, message: `Entry ${id} not found` };
+				}
+				if (entry.billable !== true) {
+					throw { statusCode: 400, message: `Entry ${id} is not billable` };
+				}
+				if (entry.project.toLowerCase() !== request.project.toLowerCase()) {
+					throw {
+						statusCode: 400,
+						message: `Entry ${id} belongs to project ${entry.project}`,
+					};
+				}
+				if (entry.invoiceNumber) {
+					throw {
+						statusCode: 409,
+						message: `Entry ${id} is already on invoice ${entry.invoiceNumber}`,
+					};
+				}
+				return entry;
+			});
+
+			const invoice = {
+				number,
+				project: request.project,
+				from: request.from,
+				to: request.to,
+				currency: request.currency,
+				lines: request.lines.map(({ task, hours, rate, amount }) => ({
+					task,
+					hours,
+					rate,
+					amount,
+				})),
+				total: request.total,
+				entryIds: request.entryIds,
+				createdAt: new Date().toISOString(),
+			};
+			invoices.push(invoice);
+			await writeFileAtomic(INVOICES_PATH, JSON.stringify(invoices, null, 2));
+			previousInvoices = invoicesJson;
 
-		// Sanity check: duration should match time difference
-		const duration = endTime.getTime() - createdAt.getTime();
-		if (Math.abs(duration - entry.totalDurationMs) > 1000) {
-			// Allow 1 second tolerance for rounding
-			log.warn("Duration mismatch in entry", {
-				index: i,
-				calculatedMs: duration,
-				storedMs: entry.totalDurationMs,
+			invoicedEntries.forEach((entry) => {
+				entry.invoiceNumber = number;
 			});
+			return invoice;
+		});
+	} catch (error) {
+		if (previousInvoices !== null) {
+			await writeFileAtomic(INVOICES_PATH, previousInvoices);
+		}
+		throw error;
+	}
+};
+
+/**
+ * Validates that an array contains valid historical entry objects.
+ *
+ * Runs validateHistoricalEntry() on every element and additionally rejects
+ * duplicate ids, since per-entry updates and deletes address entries by id.
+ *
+ * @param {Array} entries - Array of historical entry objects to validate
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateHistoricalEntries = (entries) => {
+	if (!Array.isArray(entries)) {
+		return "Data must be an array";
+	}
+
+	const seenIds = new Set();
+	for (let i = 0; i < entries.length; i++) {
+		const entryError = validateHistoricalEntry(entries[i]);
+		if (entryError) {
+			return `Entry ${i}: ${entryError}`;
+		}
+		const id = entries[i].id;
+		if (id !== undefined) {
+			if (seenIds.has(id)) {
+				return `Entry ${i}: duplicate id "${id}"`;
+			}
+			seenIds.add(id);
 		}
 	}
 
 	return null; // All validations passed
 };
 
+/**
+ * Checks that replacing the entries keeps every invoiced entry as billed.
+ *
+ * An invoiced entry must stay, under the same id, with only its notes and
+ * tags changed. Entries can't arrive already invoiced either: invoice numbers
+ * are only handed out by POST /api/invoices.
+ *
+ * @param {Array} current - Entries in the data file
+ * @param {Array} replacement - Entries that would replace them
+ * @returns {string|null} Error message if an invoiced entry changes, null if not
+ */
+const findInvoicedEntryConflict = (current, replacement) => {
+	const replacementsById = new Map(replacement.map((entry) => [entry.id, entry]));
+
+	for (const entry of current) {
+		if (entry.invoiceNumber === undefined) continue;
+		const next = replacementsById.get(entry.id);
+		if (!next) {
+			return `Entry ${entry.id} is on invoice ${entry.invoiceNumber} and cannot be deleted`;
+		}
+		const fields = new Set([...Object.keys(entry), ...Object.keys(next)]);
+		const billedChange = [...fields].find(
+			(key) =>
+				!INVOICED_EDITABLE_FIELDS.includes(key) &&
+				JSON.stringify(next[key]) !== JSON.stringify(entry[key])
+		);
+		if (billedChange) {
+			return `Entry ${entry.id} is on invoice ${entry.invoiceNumber}; only notes and tags can change`;
+		}
+	}
+
+	const invoicedIds = new Set(
+		current.filter((entry) => entry.invoiceNumber !== undefined).map((entry) => entry.id)
+	);
+	const newlyInvoiced = replacement.find(
+		(entry) => entry.invoiceNumber !== undefined && !invoicedIds.has(entry.id)
+	);
+	if (newlyInvoiced) {
+		return "invoiceNumber is set by POST /api/invoices";
+	}
+
+	return null;
+};
+
+/**
+ * Brings suggestions read from mtt-suggestions.json into { text, pinned } form.
+ *
+ * The file was a plain list of "Project / Task" strings before suggestions
+ * could be pinned, and may still be edited by hand that way. Strings become
+ * unpinned suggestions; anything else that isn't a suggestion is dropped.
+ *
+ * @param {*} suggestions - Parsed file contents
+ * @returns {Array<{text: string, pinned: boolean}>} Suggestions in file order
+ */
+const normalizeSuggestions = (suggestions) => {
+	if (!Array.isArray(suggestions)) return [];
+	return suggestions
+		.map((item) =>
+			typeof item === "string"
+				? { text: item, pinned: false }
+				: { text: item?.text, pinned: item?.pinned === true }
+		)
+		.filter((item) => typeof item.text === "string" && item.text.trim());
+};
+
+/**
+ * Validates the suggestion list posted to /api/suggestions.
+ *
+ * SHAPE: an ordered array of { text, pinned }. text is "Project / Task"
+ * (exactly one "/", both parts non-empty and at most MAX_NAME_LENGTH
+ * characters); pinned is a boolean. Texts are unique (case-insensitive,
+ * like timer names). Order matters: the autocomplete lists pinned
+ * suggestions first, then the rest in this order.
+ *
+ * @param {*} suggestions - Posted suggestions
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+const validateSuggestions = (suggestions) => {
+	if (!Array.isArray(suggestions)) {
+		return "Suggestions must be an array";
+	}
+	if (suggestions.length > MAX_SUGGESTIONS) {
+		return `At most ${MAX_SUGGESTIONS} suggestions are allowed`;
+	}
+
+	const seen = new Set();
+	for (let i = 0; i < suggestions.length; i++) {
+		const item = suggestions[i];
+		if (!item || typeof item !== "object" || typeof item.text !== "string") {
+			return `Suggestion ${i}: must be an object with a text`;
+		}
+		const parts = item.text.split("/").map((part) => part.trim());
+		if (
+			parts.length !== 2 ||
+			parts.some((part) => !part || part.length > MAX_NAME_LENGTH)
+		) {
+			return `Suggestion ${i}: text must be "Project / Task"`;
+		}
+		if (typeof item.pinned !== "boolean") {
+			return `Suggestion ${i}: pinned must be a boolean`;
+		}
+		const key = parts.join(" / ").toLowerCase();
+		if (seen.has(key)) {
+			return `Suggestion ${i}: "${item.text}" is listed twice`;
+		}
+		seen.add(key);
+	}
+	return null;
+};
+
+/**
+ * Serves a file from one of the STATIC_DIRECTORIES with its MIME type.
+ *
+ * SECURITY: Prevents path traversal attacks (../../ sequences, including
+ * percent-encoded ones) with two checks - the normalized URL path may not
+ * contain "..", and the resolved file path must stay inside the requested
+ * static directory. Only extensions listed in MIME_TYPES are served.
+ *
+ * @param {http.IncomingMessage} req - Request for /js/... or /vendor/...
+ * @param {http.ServerResponse} res - Response to write the file to
+ * @returns {Promise<void>}
+ */
+const serveStaticFile = async (req, res) => {
+	const denyAccess = (reason) => {
+		log.warn(reason, { url: req.url });
+		res.writeHead(403, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ message: "Access denied" }));
+	};
+
+	let decodedPath;
+	try {
+		// Ignore query strings (e.g. cache busters) and decode %2e%2e etc.
+		decodedPath = decodeURIComponent(req.url.split("?")[0]);
+	} catch (error) {
+		res.writeHead(400, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ message: "Malformed URL" }));
+		return;
+	}
+
+	// Reject if path tries to escape the static directory (checked before
+	// normalizing, which would silently resolve the ".." segments)
+	const requestedPath = path.posix.normalize(decodedPath);
+	const staticDir = requestedPath.split("/")[1];
+	if (
+		decodedPath.includes("..") ||
+		decodedPath.includes("\0") ||
+		!STATIC_DIRECTORIES.includes(staticDir)
+	) {
+		denyAccess("Rejected path traversal attempt");
+		return;
+	}
+
+	const allowedDir = path.resolve(__dirname, staticDir);
+	const resolvedPath = path.resolve(__dirname, `.${requestedPath}`);
+
+	// Double-check: ensure resolved path is within the static directory
+	if (!resolvedPath.startsWith(allowedDir + path.sep)) {
+		denyAccess("Rejected path traversal attempt (resolution check)");
+		return;
+	}
+
+	const contentType = MIME_TYPES[path.extname(resolvedPath).toLowerCase()];
+	if (!contentType) {
+		denyAccess("Rejected request for unsupported file type");
+		return;
+	}
+
+	try {
+		const content = await fs.readFile(resolvedPath);
+		res.writeHead(200, { "Content-Type": contentType });
+		res.end(content);
+	} catch (error) {
+		log.error("Error loading static file", {
+			error: error.message,
+			url: req.url,
+		});
+		res.writeHead(404);
+		res.end("File not found");
+	}
+};
+
 // --- HTTP Request Handler ---
 const requestHandler = async (req, res) => {
 	try {
@@ -369,6 +1128,8 @@ const requestHandler = async (req, res) => {
 					data: fsSync.existsSync(DATA_FILE_PATH),
 					activeState: fsSync.existsSync(ACTIVE_STATE_PATH),
 					suggestions: fsSync.existsSync(SUGGESTIONS_PATH),
+					settings: fsSync.existsSync(SETTINGS_PATH),
+					invoices: fsSync.existsSync(INVOICES_PATH),
 				},
 			};
 			res.writeHead(200, { "Content-Type": "application/json" });
@@ -377,19 +1138,177 @@ const requestHandler = async (req, res) => {
 		}
 
 		// --- API Endpoint: /api/suggestions ---
-		if (req.url === "/api/suggestions" && req.method === "GET") {
+		if (req.url === "/api/suggestions") {
+			// GET: Read the suggestions, hand-written strings included
+			if (req.method === "GET") {
+				try {
+					const data = await fs.readFile(SUGGESTIONS_PATH, "utf8");
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify(normalizeSuggestions(JSON.parse(data))));
+				} catch (error) {
+					log.error("Error reading suggestions file", { error: error.message });
+					res.writeHead(500, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Error reading suggestions file" }));
+				}
+				return;
+			}
+
+			// POST: Validate and replace the whole (ordered) list
+			if (req.method === "POST") {
+				try {
+					const data = await validateJsonBody(req);
+					const validationError = validateSuggestions(data);
+					if (validationError) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: validationError }));
+						return;
+					}
+					const suggestions = await mutateSuggestions(() =>
+						data.map((item) => ({
+							text: item.text
+								.split("/")
+								.map((part) => part.trim())
+								.join(" / "),
+							pinned: item.pinned,
+						}))
+					);
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Suggestions saved", suggestions }));
+					log.info("Suggestions saved successfully", {
+						suggestions: suggestions.length,
+					});
+				} catch (error) {
+					const statusCode = error.statusCode || 500;
+					const message = error.message || "Error writing to suggestions file";
+					log.error("Error saving suggestions", { error: message });
+					res.writeHead(statusCode, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message }));
+				}
+				return;
+			}
+		}
+
+		// --- API Endpoint: /api/suggestions/:text ---
+		// DELETE: Remove one suggestion (text matched case-insensitively)
+		const suggestionRouteMatch = req.url.match(/^\/api\/suggestions\/([^/?#]+)$/);
+		if (suggestionRouteMatch && req.method === "DELETE") {
+			let text;
 			try {
-				const data = await fs.readFile(SUGGESTIONS_PATH, "utf8");
+				text = decodeURIComponent(suggestionRouteMatch[1]).trim();
+			} catch (error) {
+				res.writeHead(400, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ message: "Malformed suggestion text" }));
+				return;
+			}
+			try {
+				const suggestions = await mutateSuggestions((current) => {
+					const remaining = current.filter(
+						(item) => item.text.trim().toLowerCase() !== text.toLowerCase()
+					);
+					if (remaining.length === current.length) {
+						throw { statusCode: 404, message: `Suggestion "${text}" not found` };
+					}
+					return remaining;
+				});
 				res.writeHead(200, { "Content-Type": "application/json" });
-				res.end(data);
+				res.end(JSON.stringify({ message: "Suggestion deleted", suggestions }));
+				log.info("Suggestion deleted", { text });
 			} catch (error) {
-				log.error("Error reading suggestions file", { error: error.message });
-				res.writeHead(500, { "Content-Type": "application/json" });
-				res.end(JSON.stringify({ message: "Error reading suggestions file" }));
+				const statusCode = error.statusCode || 500;
+				const message = error.message || "Error writing to suggestions file";
+				log.error("Error deleting suggestion", { error: message });
+				res.writeHead(statusCode, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ message }));
 			}
 			return;
 		}
 
+		// --- API Endpoint: /api/settings ---
+		if (req.url === "/api/settings") {
+			// GET: Read and return the settings file
+			if (req.method === "GET") {
+				try {
+					const data = await fs.readFile(SETTINGS_PATH, "utf8");
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(data);
+				} catch (error) {
+					log.error("Error reading settings file", { error: error.message });
+					res.writeHead(500, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Error reading settings file" }));
+				}
+				return;
+			}
+
+			// POST: Validate and replace the whole settings file
+			if (req.method === "POST") {
+				try {
+					const data = await validateJsonBody(req);
+					const validationError = validateSettings(data);
+					if (validationError) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: validationError }));
+						return;
+					}
+					await writeFileAtomic(SETTINGS_PATH, JSON.stringify(data, null, 2));
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Settings saved" }));
+					log.info("Settings saved successfully", { rates: data.rates.length });
+				} catch (error) {
+					const statusCode = error.statusCode || 500;
+					const message = error.message || "Error writing to settings file";
+					log.error("Error saving settings", { error: message });
+					res.writeHead(statusCode, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message }));
+				}
+				return;
+			}
+		}
+
+		// --- API Endpoint: /api/invoices ---
+		if (req.url === "/api/invoices") {
+			// GET: Read and return all issued invoices
+			if (req.method === "GET") {
+				try {
+					const data = await fs.readFile(INVOICES_PATH, "utf8");
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(data);
+				} catch (error) {
+					log.error("Error reading invoices file", { error: error.message });
+					res.writeHead(500, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Error reading invoices file" }));
+				}
+				return;
+			}
+
+			// POST: Issue a new invoice and mark its entries as invoiced
+			if (req.method === "POST") {
+				try {
+					const data = await validateJsonBody(req);
+					const validationError = validateInvoice(data);
+					if (validationError) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: validationError }));
+						return;
+					}
+
+					const invoice = await createInvoice(data);
+					res.writeHead(201, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Invoice created", invoice }));
+					log.info("Invoice created", {
+						number: invoice.number,
+						entries: invoice.entryIds.length,
+					});
+				} catch (error) {
+					const statusCode = error.statusCode || 500;
+					const message = error.message || "Error writing invoice";
+					log.error("Error creating invoice", { error: message });
+					res.writeHead(statusCode, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message }));
+				}
+				return;
+			}
+		}
+
 		// --- API Endpoint: /api/active-state ---
 		if (req.url === "/api/active-state") {
 			// GET: Read and return the active state file
@@ -414,6 +1333,12 @@ const requestHandler = async (req, res) => {
 			if (req.method === "POST") {
 				try {
 					const data = await validateJsonBody(req);
+					const validationError = validateActiveState(data);
+					if (validationError) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: validationError }));
+						return;
+					}
 					await writeFileAtomic(
 						ACTIVE_STATE_PATH,
 						JSON.stringify(data, null, 2)
@@ -449,6 +1374,7 @@ const requestHandler = async (req, res) => {
 			}
 
 			// POST: Receive new data and overwrite the historical data file.
+			// Invoiced entries must come back unchanged apart from notes and tags.
 			if (req.method === "POST") {
 				try {
 					const data = await validateJsonBody(req);
@@ -461,7 +1387,16 @@ const requestHandler = async (req, res) => {
 						return;
 					}
 
-					await writeFileAtomic(DATA_FILE_PATH, JSON.stringify(data, null, 2));
+					assignMissingEntryIds(data);
+					await mutateHistoricalData((entries) => {
+						const invoiceConflict = findInvoicedEntryConflict(entries, data);
+						if (invoiceConflict) {
+							throw { statusCode: 409, message: invoiceConflict };
+						}
+						// Not splice(...data): spreading a long history overflows the call stack
+						entries.length = 0;
+						for (const entry of data) entries.push(entry);
+					});
 					res.writeHead(200, { "Content-Type": "application/json" });
 					res.end(JSON.stringify({ message: "Data saved successfully" }));
 					log.info("Historical data saved successfully", {
@@ -478,6 +1413,155 @@ const requestHandler = async (req, res) => {
 			}
 		}
 
+		// --- API Endpoint: /api/entries ---
+		// POST: Append a single historical entry (the client sends only the change)
+		if (req.url === "/api/entries" && req.method === "POST") {
+			try {
+				const entry = await validateJsonBody(req);
+				if (entry?.invoiceNumber !== undefined) {
+					res.writeHead(400, { "Content-Type": "application/json" });
+					res.end(
+						JSON.stringify({ message: "invoiceNumber is set by POST /api/invoices" })
+					);
+					return;
+				}
+
+				const validationError = validateHistoricalEntry(entry);
+				if (validationError) {
+					res.writeHead(400, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: validationError }));
+					return;
+				}
+
+				const saved = await mutateHistoricalData((entries) => {
+					if (entry.id && entries.some((e) => e.id === entry.id)) {
+						throw {
+							statusCode: 409,
+							message: `Entry ${entry.id} already exists`,
+						};
+					}
+					const newEntry = { ...entry, id: entry.id || crypto.randomUUID() };
+					entries.push(newEntry);
+					return newEntry;
+				});
+
+				res.writeHead(201, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ message: "Entry created", entry: saved }));
+				log.info("Historical entry created", { id: saved.id });
+			} catch (error) {
+				const statusCode = error.statusCode || 500;
+				const message = error.message || "Error writing to data file";
+				log.error("Error creating entry", { error: message });
+				res.writeHead(statusCode, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ message }));
+			}
+			return;
+		}
+
+		// --- API Endpoint: /api/entries/:id ---
+		const entryRouteMatch = req.url.match(/^\/api\/entries\/([^/?#]+)$/);
+		if (entryRouteMatch) {
+			let entryId;
+			try {
+				entryId = decodeURIComponent(entryRouteMatch[1]);
+			} catch (error) {
+				res.writeHead(400, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ message: "Malformed entry id" }));
+				return;
+			}
+
+			// PATCH: Merge changed fields into one entry and re-validate it
+			if (req.method === "PATCH") {
+				try {
+					const changes = await validateJsonBody(req);
+					if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: "Changes must be an object" }));
+						return;
+					}
+					if (changes.id !== undefined && changes.id !== entryId) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ message: "Entry id cannot be changed" }));
+						return;
+					}
+					if (changes.invoiceNumber !== undefined) {
+						res.writeHead(400, { "Content-Type": "application/json" });
+						res.end(
+							JSON.stringify({ message: "invoiceNumber is set by POST /api/invoices" })
+						);
+						return;
+					}
+
+					const updated = await mutateHistoricalData((entries) => {
+						const index = entries.findIndex((e) => e.id === entryId);
+						if (index === -1) {
+							throw { statusCode: 404, message: `Entry ${entryId} not found` };
+						}
+						const invoiceNumber = entries[index].invoiceNumber;
+						const billedChange = Object.keys(changes).find(
+							(key) =>
+								!INVOICED_EDITABLE_FIELDS.includes(key) &&
+								JSON.stringify(changes[key]) !== JSON.stringify(entries[index][key])
+						);
+						if (invoiceNumber !== undefined && billedChange) {
+							throw {
+								statusCode: 409,
+								message: `Entry ${entryId} is on invoice ${invoiceNumber}; only notes and tags can change`,
+							};
+						}
+						const merged = { ...entries[index], ...changes, id: entryId };
+						const validationError = validateHistoricalEntry(merged);
+						if (validationError) {
+							throw { statusCode: 400, message: validationError };
+						}
+						entries[index] = merged;
+						return merged;
+					});
+
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Entry updated", entry: updated }));
+					log.info("Historical entry updated", { id: entryId });
+				} catch (error) {
+					const statusCode = error.statusCode || 500;
+					const message = error.message || "Error writing to data file";
+					log.error("Error updating entry", { id: entryId, error: message });
+					res.writeHead(statusCode, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message }));
+				}
+				return;
+			}
+
+			// DELETE: Remove one entry
+			if (req.method === "DELETE") {
+				try {
+					await mutateHistoricalData((entries) => {
+						const index = entries.findIndex((e) => e.id === entryId);
+						if (index === -1) {
+							throw { statusCode: 404, message: `Entry ${entryId} not found` };
+						}
+						if (entries[index].invoiceNumber !== undefined) {
+							throw {
+								statusCode: 409,
+								message: `Entry ${entryId} is on invoice ${entries[index].invoiceNumber} and cannot be deleted`,
+							};
+						}
+						entries.splice(index, 1);
+					});
+
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message: "Entry deleted" }));
+					log.info("Historical entry deleted", { id: entryId });
+				} catch (error) {
+					const statusCode = error.statusCode || 500;
+					const message = error.message || "Error writing to data file";
+					log.error("Error deleting entry", { id: entryId, error: message });
+					res.writeHead(statusCode, { "Content-Type": "application/json" });
+					res.end(JSON.stringify({ message }));
+				}
+				return;
+			}
+		}
+
 		// --- Static File Server: Serve index.html ---
 		if (req.url === "/" || req.url === "/index.html") {
 			try {
@@ -501,44 +1585,9 @@ const requestHandler = async (req, res) => {
 			return;
 		}
 
-		// --- Static File Server: Serve JS modules ---
-		if (req.url.startsWith("/js/") && req.url.endsWith(".js")) {
-			try {
-				// SECURITY: Prevent path traversal attacks (../../ sequences)
-				// Extract filename from URL and verify it's in /js/ directory
-				const requestedPath = path.normalize(req.url);
-
-				// Reject if path tries to escape /js/ directory
-				if (!requestedPath.startsWith("/js/") || requestedPath.includes("..")) {
-					log.warn("Rejected path traversal attempt", { url: req.url });
-					res.writeHead(403, { "Content-Type": "application/json" });
-					res.end(JSON.stringify({ message: "Access denied" }));
-					return;
-				}
-
-				const filePath = path.join(__dirname, requestedPath);
-				const resolvedPath = path.resolve(filePath);
-				const allowedDir = path.resolve(__dirname, "js");
-
-				// Double-check: ensure resolved path is within /js/ directory
-				if (!resolvedPath.startsWith(allowedDir)) {
-					log.warn("Rejected path traversal attempt (resolution check)", { url: req.url });
-					res.writeHead(403, { "Content-Type": "application/json" });
-					res.end(JSON.stringify({ message: "Access denied" }));
-					return;
-				}
-
-				const content = await fs.readFile(filePath, "utf8");
-				res.writeHead(200, { "Content-Type": "application/javascript" });
-				res.end(content);
-			} catch (error) {
-				log.error("Error loading JS module", {
-					error: error.message,
-					url: req.url,
-				});
-				res.writeHead(404);
-				res.end("JS module not found");
-			}
+		// --- Static File Server: Serve js/ and vendor/ files ---
+		if (STATIC_DIRECTORIES.includes(req.url.split("/")[1])) {
+			await serveStaticFile(req, res);
 			return;
 		}
 
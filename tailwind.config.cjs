@@ -0,0 +1,19 @@
+/**
+ * Tailwind CSS configuration
+ *
+ * Tailwind is compiled ahead of time into vendor/tailwind/tailwind.css so the
+ * app needs no CDN. Only classes that appear in the files below end up in the
+ * build - class names must be written out in full (no string concatenation
+ * like `bg-${color}-500`), and the CSS must be rebuilt after adding classes:
+ *
+ *   npm run build:css
+ *
+ * @type {import('tailwindcss').Config}
+ */
+module.exports = {
+	content: ["./index.html", "./js/**/*.js"],
+	theme: {
+		extend: {},
+	},
+	plugins: [],
+};
@@ -74,6 +74,8 @@ test("GET /api/health reports data files status", async () => {
 	assert.strictEqual(typeof data.dataFiles.data, "boolean");
 	assert.strictEqual(typeof data.dataFiles.activeState, "boolean");
 	assert.strictEqual(typeof data.dataFiles.suggestions, "boolean");
+	assert.strictEqual(typeof data.dataFiles.settings, "boolean");
+	assert.strictEqual(typeof data.dataFiles.invoices, "boolean");
 });
 
 // --- Suggestions Endpoint Tests ---
@@ -90,12 +92,162 @@ test("GET /api/suggestions returns valid suggestion format", async () => {
 	const res = await fetch(`${BASE_URL}/api/suggestions`);
 	const data = await res.json();
 
-	if (data.length > 0) {
-		assert.strictEqual(
-			typeof data[0],
-			"string",
-			"Each suggestion should be a string"
-		);
+	data.forEach((suggestion) => {
+		assert.strictEqual(typeof suggestion.text, "string", "Each suggestion needs a text");
+		assert.strictEqual(typeof suggestion.pinned, "boolean", "Each suggestion needs a pin flag");
+	});
+});
+
+test("POST /api/suggestions saves the ordered list", async () => {
+	const suggestions = [
+		{ text: "Internal / Meetings", pinned: true },
+		{ text: "Website/Header ", pinned: false },
+	];
+	const res = await fetch(`${BASE_URL}/api/suggestions`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(suggestions),
+	});
+	assert.strictEqual(res.status, 200);
+
+	const saved = await (await fetch(`${BASE_URL}/api/suggestions`)).json();
+	assert.deepStrictEqual(saved, [
+		{ text: "Internal / Meetings", pinned: true },
+		{ text: "Website / Header", pinned: false },
+	]);
+});
+
+test("POST /api/suggestions rejects invalid suggestions", async () => {
+	const invalid = [
+		{ text: "Internal / Meetings", pinned: false },
+		["Internal / Meetings"],
+		[{ text: "No task", pinned: false }],
+		[{ text: "A / B / C", pinned: false }],
+		[{ text: "Internal / Meetings", pinned: "yes" }],
+		[
+			{ text: "Internal / Meetings", pinned: false },
+			{ text: "internal / meetings", pinned: true },
+		],
+	];
+	for (const suggestions of invalid) {
+		const res = await fetch(`${BASE_URL}/api/suggestions`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(suggestions),
+		});
+
+		assert.strictEqual(res.status, 400, `Should reject ${JSON.stringify(suggestions)}`);
+	}
+});
+
+test("DELETE /api/suggestions/:text removes one suggestion", async () => {
+	await fetch(`${BASE_URL}/api/suggestions`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify([
+			{ text: "Internal / Meetings", pinned: true },
+			{ text: "Website / Header", pinned: false },
+		]),
+	});
+
+	const url = `${BASE_URL}/api/suggestions/${encodeURIComponent("internal / meetings")}`;
+	const res = await fetch(url, { method: "DELETE" });
+	assert.strictEqual(res.status, 200);
+	const saved = await (await fetch(`${BASE_URL}/api/suggestions`)).json();
+	assert.deepStrictEqual(saved, [{ text: "Website / Header", pinned: false }]);
+
+	const missing = await fetch(url, { method: "DELETE" });
+	assert.strictEqual(missing.status, 404);
+});
+
+test("DELETE /api/suggestions/:text rejects malformed text", async () => {
+	const res = await fetch(`${BASE_URL}/api/suggestions/%E0`, { method: "DELETE" });
+	assert.strictEqual(res.status, 400);
+});
+
+// --- Settings Endpoint Tests ---
+
+test("GET /api/settings returns currency and rates", async () => {
+	const res = await fetch(`${BASE_URL}/api/settings`);
+	const data = await res.json();
+
+	assert.strictEqual(res.status, 200);
+	assert.strictEqual(typeof data.currency, "string");
+	assert.ok(Array.isArray(data.rates), "Rates should be an array");
+});
+
+test("POST /api/settings saves and persists valid settings", async () => {
+	const settings = {
+		currency: "EUR",
+		rates: [
+			{ project: "Client X", task: "", rate: 100 },
+			{ project: "Client X", task: "Workshop", rate: 150 },
+		],
+		rounding: { mode: "up", incrementMinutes: 6, scope: "day" },
+		projectColors: { "client x": "#123abc" },
+		singleFocus: true,
+		idleMinutes: 15,
+	};
+	const res = await fetch(`${BASE_URL}/api/settings`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(settings),
+	});
+	assert.strictEqual(res.status, 200);
+
+	const saved = await (await fetch(`${BASE_URL}/api/settings`)).json();
+	assert.deepStrictEqual(saved, settings);
+});
+
+test("POST /api/settings rejects invalid settings", async () => {
+	const invalid = [
+		{ currency: "euro", rates: [] },
+		{ currency: "EUR", rates: [{ project: "", task: "", rate: 10 }] },
+		{ currency: "EUR", rates: [{ project: "A", task: "", rate: -1 }] },
+		{
+			currency: "EUR",
+			rates: [
+				{ project: "A", task: "", rate: 10 },
+				{ project: "a", task: "", rate: 20 },
+			],
+		},
+		{ currency: "EUR", rates: [], rounding: "up" },
+		{
+			currency: "EUR",
+			rates: [],
+			rounding: { mode: "ceil", incrementMinutes: 15, scope: "entry" },
+		},
+		{
+			currency: "EUR",
+			rates: [],
+			rounding: { mode: "up", incrementMinutes: 7.5, scope: "entry" },
+		},
+		{
+			currency: "EUR",
+			rates: [],
+			rounding: { mode: "up", incrementMinutes: 90, scope: "entry" },
+		},
+		{
+			currency: "EUR",
+			rates: [],
+			rounding: { mode: "up", incrementMinutes: 15, scope: "week" },
+		},
+		{ currency: "EUR", rates: [], projectColors: ["#123abc"] },
+		{ currency: "EUR", rates: [], projectColors: { "Client X": "#123abc" } },
+		{ currency: "EUR", rates: [], projectColors: { "client x": "red" } },
+		{ currency: "EUR", rates: [], projectColors: { "client x": "#123ABC" } },
+		{ currency: "EUR", rates: [], singleFocus: "yes" },
+		{ currency: "EUR", rates: [], idleMinutes: 2.5 },
+		{ currency: "EUR", rates: [], idleMinutes: 600 },
+	];
+	for (const settings of invalid) {
+		const res = await fetch(`${BASE_URL}/api/settings`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(settings),
+		});
+
+		assert.strictEqual(res.status, 400, `Should reject ${JSON.stringify(settings)}`);
 	}
 });
 
@@ -148,6 +300,28 @@ test("POST /api/active-state rejects invalid JSON", async () => {
 	);
 });
 
+test("POST /api/active-state rejects invalid timer tags", async () => {
+	const res = await fetch(`${BASE_URL}/api/active-state`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({
+			"Proj-Task": {
+				project: "Proj",
+				task: "Task",
+				startTime: Date.now(),
+				accumulatedMs: 0,
+				isPaused: false,
+				notes: "",
+				tags: ["Billable"],
+			},
+		}),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.ok(result.message.includes("tag"), "Error should mention tags");
+});
+
 test("POST /api/active-state persists data", async () => {
 	const testData = {
 		"test-timer": { id: "test-timer", project: "Test", task: "Task" },
@@ -247,13 +421,37 @@ test("POST /api/data persists entries", async () => {
 	const res = await fetch(`${BASE_URL}/api/data`);
 	const retrieved = await res.json();
 
+	assert.ok(retrieved[0].id, "Server should assign an id to new entries");
+	const { id, ...withoutId } = retrieved[0];
 	assert.deepStrictEqual(
-		retrieved,
+		[withoutId],
 		testData,
 		"Retrieved data should match saved data"
 	);
 });
 
+test("POST /api/data rejects duplicate entry ids", async () => {
+	const entry = {
+		id: "dup-id",
+		project: "Dup",
+		task: "Task",
+		durationSeconds: 60,
+		totalDurationMs: 60000,
+		endTime: "2025-10-31T12:01:00.000Z",
+		createdAt: "2025-10-31T12:00:00.000Z",
+	};
+
+	const res = await fetch(`${BASE_URL}/api/data`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify([entry, entry]),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.ok(result.message.includes("duplicate"), "Error should mention duplicate id");
+});
+
 test("POST /api/data rejects invalid JSON", async () => {
 	const res = await fetch(`${BASE_URL}/api/data`, {
 		method: "POST",
@@ -264,6 +462,303 @@ test("POST /api/data rejects invalid JSON", async () => {
 	assert.strictEqual(res.status, 400);
 });
 
+// --- Per-Entry Endpoint Tests ---
+
+/**
+ * Utility: Build a valid historical entry
+ */
+function makeEntry(overrides = {}) {
+	return {
+		project: "Entry Test",
+		task: "CRUD",
+		durationSeconds: 1800,
+		totalDurationMs: 1800000,
+		endTime: "2025-10-31T10:30:00.000Z",
+		createdAt: "2025-10-31T10:00:00.000Z",
+		notes: "",
+		...overrides,
+	};
+}
+
+test("POST /api/entries appends a single entry", async () => {
+	await fetch(`${BASE_URL}/api/data`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify([]),
+	});
+
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ id: "entry-1" })),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.strictEqual(result.entry.id, "entry-1");
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.strictEqual(data.length, 1);
+	assert.strictEqual(data[0].id, "entry-1");
+});
+
+test("POST /api/entries assigns an id when missing", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry()),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.ok(result.entry.id, "Server should assign an id");
+});
+
+test("POST /api/entries rejects invalid entry", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ project: "" })),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.ok(result.message.includes("project"), "Error should name the field");
+});
+
+test("POST /api/entries rejects an existing id", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ id: "entry-1" })),
+	});
+
+	assert.strictEqual(res.status, 409);
+});
+
+test("POST /api/entries cannot create an invoiced entry", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ id: "entry-invoiced", invoiceNumber: 1 })),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.strictEqual(result.message, "invoiceNumber is set by POST /api/invoices");
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.ok(!data.some((e) => e.id === "entry-invoiced"), "Entry should not be stored");
+});
+
+test("POST /api/entries accepts manual entries", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ source: "manual" })),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.strictEqual(result.entry.source, "manual");
+});
+
+test("POST /api/entries accepts timesheet entries", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ source: "timesheet" })),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.strictEqual(result.entry.source, "timesheet");
+});
+
+test("POST /api/entries accepts entries split off from idle time", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ source: "idle" })),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.strictEqual(result.entry.source, "idle");
+});
+
+test("POST /api/entries rejects unknown source", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ source: "imported" })),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.ok(result.message.includes("source"), "Error should name the field");
+});
+
+test("POST /api/entries accepts entries with pause segments", async () => {
+	const segments = [
+		{ start: "2025-10-31T09:00:00.000Z", end: "2025-10-31T09:10:00.000Z" },
+		{ start: "2025-10-31T10:10:00.000Z", end: "2025-10-31T10:30:00.000Z" },
+	];
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(
+			makeEntry({ createdAt: "2025-10-31T09:00:00.000Z", segments })
+		),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.deepStrictEqual(result.entry.segments, segments);
+});
+
+test("POST /api/entries rejects overlapping segments", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(
+			makeEntry({
+				segments: [
+					{ start: "2025-10-31T10:00:00.000Z", end: "2025-10-31T10:20:00.000Z" },
+					{ start: "2025-10-31T10:10:00.000Z", end: "2025-10-31T10:30:00.000Z" },
+				],
+			})
+		),
+	});
+
+	assert.strictEqual(res.status, 400);
+	const result = await res.json();
+	assert.ok(result.message.includes("segments"), "Error should name the field");
+});
+
+test("POST /api/entries accepts tagged entries", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ tags: ["billable", "client-a"] })),
+	});
+
+	assert.strictEqual(res.status, 201);
+	const result = await res.json();
+	assert.deepStrictEqual(result.entry.tags, ["billable", "client-a"]);
+});
+
+test("POST /api/entries rejects invalid tags", async () => {
+	for (const tags of [["Billable"], ["has space"], ["dup", "dup"], "billable"]) {
+		const res = await fetch(`${BASE_URL}/api/entries`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(makeEntry({ tags })),
+		});
+
+		assert.strictEqual(res.status, 400, `Should reject ${JSON.stringify(tags)}`);
+	}
+});
+
+test("POST /api/entries validates the billable flag", async () => {
+	const valid = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ billable: true })),
+	});
+	assert.strictEqual(valid.status, 201);
+
+	const invalid = await fetch(`${BASE_URL}/api/entries`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(makeEntry({ billable: "yes" })),
+	});
+	assert.strictEqual(invalid.status, 400);
+});
+
+test("PATCH /api/entries/:id merges changed fields", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/entry-1`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ task: "Renamed", notes: "Fixed typo" }),
+	});
+
+	assert.strictEqual(res.status, 200);
+	const result = await res.json();
+	assert.strictEqual(result.entry.task, "Renamed");
+	assert.strictEqual(result.entry.project, "Entry Test", "Untouched fields are kept");
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	const stored = data.find((e) => e.id === "entry-1");
+	assert.strictEqual(stored.notes, "Fixed typo");
+});
+
+test("PATCH /api/entries/:id validates the merged entry", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/entry-1`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ totalDurationMs: -5 }),
+	});
+
+	assert.strictEqual(res.status, 400);
+});
+
+test("PATCH /api/entries/:id returns 404 for unknown id", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/does-not-exist`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ notes: "x" }),
+	});
+
+	assert.strictEqual(res.status, 404);
+});
+
+test("PATCH /api/entries/:id rejects a malformed id", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/%E0%A4%A`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ notes: "x" }),
+	});
+
+	assert.strictEqual(res.status, 400);
+});
+
+test("DELETE /api/entries/:id removes the entry", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/entry-1`, {
+		method: "DELETE",
+	});
+
+	assert.strictEqual(res.status, 200);
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.ok(!data.some((e) => e.id === "entry-1"), "Entry should be gone");
+
+	const again = await fetch(`${BASE_URL}/api/entries/entry-1`, {
+		method: "DELETE",
+	});
+	assert.strictEqual(again.status, 404);
+});
+
+test("Concurrent POST /api/entries keep every entry", async () => {
+	await fetch(`${BASE_URL}/api/data`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify([]),
+	});
+
+	await Promise.all(
+		Array.from({ length: 10 }, (_, i) =>
+			fetch(`${BASE_URL}/api/entries`, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify(makeEntry({ id: `concurrent-${i}` })),
+			})
+		)
+	);
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.strictEqual(data.length, 10, "No entry should be lost");
+});
+
 // --- Payload Size Tests ---
 
 test("POST /api/data accepts large but valid payload", async () => {
@@ -312,6 +807,145 @@ test("POST /api/data rejects extremely large payload", async () => {
 	}
 });
 
+// --- Invoice Endpoint Tests ---
+
+/**
+ * Utility: Build a valid invoice request for the given entry ids
+ */
+function makeInvoice(entryIds, overrides = {}) {
+	return {
+		project: "Client X",
+		from: "2025-10-01",
+		to: "2025-10-31",
+		currency: "EUR",
+		lines: [{ task: "CRUD", hours: 0.5, rate: 100, amount: 50 }],
+		total: 50,
+		entryIds,
+		...overrides,
+	};
+}
+
+/**
+ * Utility: POST an invoice request
+ */
+function postInvoice(invoice) {
+	return fetch(`${BASE_URL}/api/invoices`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(invoice),
+	});
+}
+
+test("POST /api/invoices numbers invoices and marks their entries", async () => {
+	await fetch(`${BASE_URL}/api/data`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify([
+			makeEntry({ id: "inv-1", project: "Client X", billable: true }),
+			makeEntry({ id: "inv-2", project: "client x", billable: true }),
+			makeEntry({ id: "inv-3", project: "Client X" }),
+		]),
+	});
+	const before = await (await fetch(`${BASE_URL}/api/invoices`)).json();
+	assert.ok(Array.isArray(before), "Invoices should be an array");
+	const lastNumber = before.reduce((max, inv) => Math.max(max, inv.number), 0);
+
+	const first = await postInvoice(makeInvoice(["inv-1"]));
+	assert.strictEqual(first.status, 201);
+	assert.strictEqual((await first.json()).invoice.number, lastNumber + 1);
+
+	const second = await postInvoice(makeInvoice(["inv-2"]));
+	assert.strictEqual((await second.json()).invoice.number, lastNumber + 2);
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.deepStrictEqual(
+		data.map((e) => e.invoiceNumber),
+		[lastNumber + 1, lastNumber + 2, undefined]
+	);
+	const after = await (await fetch(`${BASE_URL}/api/invoices`)).json();
+	assert.strictEqual(after.length, before.length + 2);
+});
+
+test("POST /api/invoices rejects entries that are already invoiced", async () => {
+	const res = await postInvoice(makeInvoice(["inv-1"]));
+	assert.strictEqual(res.status, 409);
+});
+
+test("POST /api/invoices rejects non-billable entries and invalid invoices", async () => {
+	const notBillable = await postInvoice(makeInvoice(["inv-3"]));
+	assert.strictEqual(notBillable.status, 400);
+
+	const badRange = await postInvoice(
+		makeInvoice(["inv-3"], { from: "2025-11-01", to: "2025-10-01" })
+	);
+	assert.strictEqual(badRange.status, 400);
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.strictEqual(data[2].invoiceNumber, undefined);
+});
+
+test("PATCH /api/entries/:id cannot change invoiceNumber", async () => {
+	const res = await fetch(`${BASE_URL}/api/entries/inv-1`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ invoiceNumber: 99 }),
+	});
+
+	assert.strictEqual(res.status, 400);
+});
+
+test("PATCH and DELETE /api/entries/:id protect invoiced entries", async () => {
+	const patch = (changes) =>
+		fetch(`${BASE_URL}/api/entries/inv-1`, {
+			method: "PATCH",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(changes),
+		});
+
+	const resized = await patch({ totalDurationMs: 60000, durationSeconds: 60 });
+	assert.strictEqual(resized.status, 409);
+	assert.strictEqual((await patch({ project: "Other" })).status, 409);
+	assert.strictEqual((await patch({ billable: false })).status, 409);
+	assert.strictEqual((await patch({ notes: "Sent to client", tags: ["sent"] })).status, 200);
+
+	const del = await fetch(`${BASE_URL}/api/entries/inv-1`, { method: "DELETE" });
+	assert.strictEqual(del.status, 409);
+
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	const stored = data.find((e) => e.id === "inv-1");
+	assert.strictEqual(stored.project, "Client X");
+	assert.strictEqual(stored.notes, "Sent to client");
+});
+
+test("POST /api/data cannot drop or change invoiced entries", async () => {
+	const postData = (entries) =>
+		fetch(`${BASE_URL}/api/data`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(entries),
+		});
+	const current = await (await fetch(`${BASE_URL}/api/data`)).json();
+	const withInv1 = (changes) =>
+		current.map((e) => (e.id === "inv-1" ? { ...e, ...changes } : e));
+
+	const dropped = await postData(current.filter((e) => e.id !== "inv-1"));
+	assert.strictEqual(dropped.status, 409);
+	assert.ok((await dropped.json()).message.includes("cannot be deleted"));
+	assert.strictEqual((await postData(withInv1({ project: "Other" }))).status, 409);
+	assert.strictEqual((await postData(withInv1({ invoiceNumber: 99 }))).status, 409);
+	// Leaving a field out changes it too
+	assert.strictEqual((await postData(withInv1({ billable: undefined }))).status, 409);
+	const invoicedOnArrival = await postData([
+		...current,
+		makeEntry({ id: "inv-4", invoiceNumber: 99 }),
+	]);
+	assert.strictEqual(invoicedOnArrival.status, 409);
+
+	assert.strictEqual((await postData(withInv1({ notes: "Paid" }))).status, 200);
+	const data = await (await fetch(`${BASE_URL}/api/data`)).json();
+	assert.deepStrictEqual(data, withInv1({ notes: "Paid" }));
+});
+
 // --- Static File Serving Tests ---
 
 test("GET / returns HTML", async () => {
@@ -345,6 +979,47 @@ test("GET /js/nonexistent.js returns 404", async () => {
 	assert.strictEqual(res.status, 404);
 });
 
+test("GET /vendor/chart.js/chart.umd.js returns JavaScript", async () => {
+	const res = await fetch(`${BASE_URL}/vendor/chart.js/chart.umd.js`);
+	const js = await res.text();
+
+	assert.strictEqual(res.status, 200);
+	assert.strictEqual(res.headers.get("content-type"), "application/javascript");
+	assert.ok(js.includes("Chart.js"), "Should be the vendored Chart.js build");
+});
+
+test("GET /vendor CSS and fonts use correct MIME types", async () => {
+	const css = await fetch(`${BASE_URL}/vendor/tailwind/tailwind.css`);
+	assert.strictEqual(css.status, 200);
+	assert.strictEqual(css.headers.get("content-type"), "text/css");
+
+	const font = await fetch(
+		`${BASE_URL}/vendor/material-icons/material-icons.woff2`
+	);
+	assert.strictEqual(font.status, 200);
+	assert.strictEqual(font.headers.get("content-type"), "font/woff2");
+	const bytes = Buffer.from(await font.arrayBuffer());
+	assert.strictEqual(bytes.subarray(0, 4).toString(), "wOF2", "Font should be served as binary");
+});
+
+test("GET static file ignores query strings", async () => {
+	const res = await fetch(`${BASE_URL}/js/utils.js?v=2`);
+	assert.strictEqual(res.status, 200);
+});
+
+test("GET static file rejects encoded path traversal", async () => {
+	const res = await fetch(`${BASE_URL}/js/%2e%2e%2fmtt-data.json`);
+	assert.strictEqual(res.status, 403);
+
+	const vendorRes = await fetch(`${BASE_URL}/vendor/%2e%2e%2fserver.cjs`);
+	assert.strictEqual(vendorRes.status, 403);
+});
+
+test("GET static file rejects unsupported file types", async () => {
+	const res = await fetch(`${BASE_URL}/vendor/chart.js/LICENSE.md`);
+	assert.strictEqual(res.status, 403);
+});
+
 test("GET /nonexistent-endpoint returns 404", async () => {
 	const res = await fetch(`${BASE_URL}/nonexistent-endpoint`);
 	assert.strictEqual(res.status, 404);
@@ -200,13 +200,16 @@ async function runTests() {
 
     assert.deepStrictEqual(
       dateRangeButtons,
-      ['7', '30', '365'],
-      'Should have 3 date range buttons'
+      [
+        'last-7', 'last-30', 'today', 'this-week', 'last-week',
+        'this-month', 'last-month', 'this-quarter', 'ytd', 'all',
+      ],
+      'Should have 10 date range preset buttons'
     );
 
     // Check default is 7 days
     const defaultActive = await page.$eval(
-      '.date-range-btn[data-range="7"]',
+      '.date-range-btn[data-range="last-7"]',
       (el) => el.classList.contains('active')
     );
     assert.strictEqual(defaultActive, true, '7 days should be active by default');
@@ -224,11 +227,11 @@ async function runTests() {
     );
 
     // Click 30 days button
-    await page.click('.date-range-btn[data-range="30"]');
+    await page.click('.date-range-btn[data-range="last-30"]');
     await delay(500); // Wait for charts to re-render
 
     const is30Active = await page.$eval(
-      '.date-range-btn[data-range="30"]',
+      '.date-range-btn[data-range="last-30"]',
       (el) => el.classList.contains('active')
     );
     assert.strictEqual(is30Active, true, '30 days button should be active');
@@ -262,11 +265,11 @@ async function runTests() {
     );
 
     // Click all time button
-    await page.click('.date-range-btn[data-range="365"]');
+    await page.click('.date-range-btn[data-range="all"]');
     await delay(500);
 
     const isAllActive = await page.$eval(
-      '.date-range-btn[data-range="365"]',
+      '.date-range-btn[data-range="all"]',
       (el) => el.classList.contains('active')
     );
     assert.strictEqual(isAllActive, true, 'All time button should be active');
@@ -437,7 +440,7 @@ async function runTests() {
     });
 
     // Trigger chart updates by switching date ranges again
-    await page.click('.date-range-btn[data-range="7"]');
+    await page.click('.date-range-btn[data-range="last-7"]');
     await delay(500);
 
     assert.strictEqual(
@@ -15,6 +15,7 @@
  * - window: Browser window object
  * - document: DOM document object
  * - crypto: Web Crypto API (includes randomUUID)
+ * - localStorage: Web Storage (offline write queue)
  * - Other browser globals as needed
  *
  * USAGE:
@@ -67,6 +68,13 @@ Object.defineProperty(global, "crypto", {
 	configurable: true,
 });
 
+// Web Storage (used by the offline write queue)
+Object.defineProperty(global, "localStorage", {
+	value: dom.window.localStorage,
+	writable: true,
+	configurable: true,
+});
+
 // Clean up after each test suite (optional but good practice)
 process.on("exit", () => {
 	dom.window.close();
@@ -0,0 +1,212 @@
+/**
+ * Frontend Unit Tests - Report Aggregation
+ *
+ * PURPOSE:
+ * Tests how entries are split into per-day and per-hour slices, which every
+ * report total is built from.
+ *
+ * WHAT'S TESTED:
+ * - splitEntryByDay: Midnight-crossing entries, segments, legacy entries
+ * - splitEntryByHour: Hour and weekday of each slice
+ * - getDaySlices: Clipping to a range
+ * - sumSlicesBy / sumSlicesByTag: Grouped totals
+ * - summarizeProjectTasks: Per-task hours, entry count, share, notes and
+ *   latest entry
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as aggregation from "../../js/aggregation.js";
+import { getCustomRange } from "../../js/ranges.js";
+
+const HOUR = 3600000;
+
+// 22:00 on Friday 2025-03-14 to 02:00 on Saturday 2025-03-15 (local)
+const makeLateEntry = (overrides = {}) => ({
+	id: "late",
+	project: "Night",
+	task: "Deploy",
+	createdAt: new Date(2025, 2, 14, 22, 0).toISOString(),
+	endTime: new Date(2025, 2, 15, 2, 0),
+	totalDurationMs: 4 * HOUR,
+	durationSeconds: 4 * 3600,
+	notes: "",
+	...overrides,
+});
+
+const summarize = (slices) =>
+	slices.map((s) => [s.dayKey, Math.round(s.durationMs / 60000)]);
+
+// --- splitEntryByDay Tests ---
+
+test("splitEntryByDay: splits an entry crossing midnight across both days", () => {
+	const slices = aggregation.splitEntryByDay(makeLateEntry());
+	assert.deepStrictEqual(summarize(slices), [
+		["2025-03-14", 120],
+		["2025-03-15", 120],
+	]);
+	assert.strictEqual(slices[0].entry.id, "late");
+});
+
+test("splitEntryByDay: keeps a same-day entry in one slice", () => {
+	const entry = makeLateEntry({
+		createdAt: new Date(2025, 2, 14, 9, 0).toISOString(),
+		endTime: new Date(2025, 2, 14, 10, 30),
+		totalDurationMs: 1.5 * HOUR,
+	});
+	assert.deepStrictEqual(summarize(aggregation.splitEntryByDay(entry)), [
+		["2025-03-14", 90],
+	]);
+});
+
+test("splitEntryByDay: uses segments so pauses don't count", () => {
+	const entry = makeLateEntry({
+		createdAt: new Date(2025, 2, 14, 20, 0).toISOString(),
+		totalDurationMs: 2 * HOUR,
+		segments: [
+			{ start: new Date(2025, 2, 14, 20, 0).toISOString(), end: new Date(2025, 2, 14, 21, 0).toISOString() },
+			{ start: new Date(2025, 2, 15, 1, 0).toISOString(), end: new Date(2025, 2, 15, 2, 0).toISOString() },
+		],
+	});
+	assert.deepStrictEqual(summarize(aggregation.splitEntryByDay(entry)), [
+		["2025-03-14", 60],
+		["2025-03-15", 60],
+	]);
+});
+
+test("splitEntryByDay: slices always add up to totalDurationMs", () => {
+	// Start time says 4h, duration says 2h: duration wins, split proportionally
+	const entry = makeLateEntry({ totalDurationMs: 2 * HOUR });
+	const slices = aggregation.splitEntryByDay(entry);
+	assert.deepStrictEqual(summarize(slices), [
+		["2025-03-14", 60],
+		["2025-03-15", 60],
+	]);
+});
+
+test("splitEntryByDay: falls back to endTime - duration without a valid start", () => {
+	const entry = makeLateEntry({ createdAt: undefined });
+	assert.deepStrictEqual(summarize(aggregation.splitEntryByDay(entry)), [
+		["2025-03-14", 120],
+		["2025-03-15", 120],
+	]);
+});
+
+// --- splitEntryByHour Tests ---
+
+test("splitEntryByHour: one slice per clock hour with hour and weekday", () => {
+	const entry = makeLateEntry({
+		createdAt: new Date(2025, 2, 14, 22, 30).toISOString(),
+		endTime: new Date(2025, 2, 15, 0, 15),
+		totalDurationMs: 1.75 * HOUR,
+	});
+	const slices = aggregation.splitEntryByHour(entry);
+	assert.deepStrictEqual(
+		slices.map((s) => [s.weekday, s.hour, Math.round(s.durationMs / 60000)]),
+		[
+			[5, 22, 30],
+			[5, 23, 60],
+			[6, 0, 15],
+		]
+	);
+});
+
+// --- getDaySlices / sumSlicesBy Tests ---
+
+test("getDaySlices: counts only the part of an entry inside the range", () => {
+	const range = getCustomRange("2025-03-15", "2025-03-15");
+	const slices = aggregation.getDaySlices([makeLateEntry()], range);
+	assert.deepStrictEqual(summarize(slices), [["2025-03-15", 120]]);
+});
+
+test("getDaySlices: skips entries outside the range", () => {
+	const range = getCustomRange("2025-03-16", "2025-03-31");
+	assert.deepStrictEqual(aggregation.getDaySlices([makeLateEntry()], range), []);
+});
+
+test("sumSlicesBy: totals durations per key", () => {
+	const entries = [
+		makeLateEntry(),
+		makeLateEntry({
+			id: "other",
+			project: "Day",
+			createdAt: new Date(2025, 2, 15, 9, 0).toISOString(),
+			endTime: new Date(2025, 2, 15, 10, 0),
+			totalDurationMs: HOUR,
+		}),
+	];
+	const slices = aggregation.getDaySlices(
+		entries,
+		getCustomRange("2025-03-14", "2025-03-15")
+	);
+	assert.deepStrictEqual(
+		aggregation.sumSlicesBy(slices, (s) => s.dayKey),
+		{ "2025-03-14": 2 * HOUR, "2025-03-15": 3 * HOUR }
+	);
+	assert.deepStrictEqual(
+		aggregation.sumSlicesBy(slices, (s) => s.entry.project),
+		{ Night: 4 * HOUR, Day: HOUR }
+	);
+});
+
+test("sumSlicesByTag: counts multi-tag entries towards each tag", () => {
+	const entries = [
+		makeLateEntry({ tags: ["billable", "ops"] }),
+		makeLateEntry({ id: "untagged", totalDurationMs: 2 * HOUR }),
+	];
+	const slices = entries.flatMap((e) => aggregation.splitEntryByDay(e));
+	assert.deepStrictEqual(aggregation.sumSlicesByTag(slices), {
+		billable: 4 * HOUR,
+		ops: 4 * HOUR,
+		"": 2 * HOUR,
+	});
+});
+
+// --- summarizeProjectTasks Tests ---
+
+test("summarizeProjectTasks: hours, entries, share, latest notes and entry per task", () => {
+	const entries = [
+		makeLateEntry({ notes: "First deploy" }), // Crosses midnight: 2 slices
+		makeLateEntry({
+			id: "later",
+			createdAt: new Date(2025, 2, 16, 9, 0).toISOString(),
+			endTime: new Date(2025, 2, 16, 13, 0),
+			notes: "Second deploy",
+		}),
+		makeLateEntry({
+			id: "review",
+			task: "Review",
+			createdAt: new Date(2025, 2, 16, 14, 0).toISOString(),
+			endTime: new Date(2025, 2, 16, 16, 0),
+			totalDurationMs: 2 * HOUR,
+		}),
+		makeLateEntry({ id: "other", project: "Day" }),
+	];
+	const slices = entries.flatMap((e) => aggregation.splitEntryByDay(e));
+
+	assert.deepStrictEqual(aggregation.summarizeProjectTasks(slices, "Night"), [
+		{
+			task: "Deploy",
+			durationMs: 8 * HOUR,
+			entryCount: 2,
+			share: 0.8,
+			latestNotes: "Second deploy",
+			latestEntry: entries[1],
+		},
+		{
+			task: "Review",
+			durationMs: 2 * HOUR,
+			entryCount: 1,
+			share: 0.2,
+			latestNotes: "",
+			latestEntry: entries[2],
+		},
+	]);
+	assert.deepStrictEqual(aggregation.summarizeProjectTasks(slices, "None"), []);
+});
@@ -0,0 +1,189 @@
+/**
+ * Frontend Unit Tests - Billing
+ *
+ * PURPOSE:
+ * Tests how billable time is priced for the earnings cards and chart.
+ *
+ * WHAT'S TESTED:
+ * - isBillable: Only an explicit billable: true counts
+ * - getHourlyRate: Task rates override project rates, case-insensitive
+ * - summarizeEarnings: Billable hours and earnings from report slices
+ * - formatMoney / parseRateInput: Display and input formats
+ * - Invoices: Which entries can be billed, lines per task (with rounding),
+ *   the draft
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as billing from "../../js/billing.js";
+import { getCustomRange } from "../../js/ranges.js";
+
+const HOUR = 3600000;
+
+const RATES = [
+	{ project: "Client X", task: "", rate: 100 },
+	{ project: "Client X", task: "Workshop", rate: 150 },
+	{ project: "Client Y", task: "", rate: 80 },
+];
+
+const makeSlice = (entry, durationMs = HOUR) => ({
+	entry: { project: "Client X", task: "Coding", ...entry },
+	durationMs,
+});
+
+// --- isBillable Tests ---
+
+test("isBillable: only entries flagged billable: true", () => {
+	assert.strictEqual(billing.isBillable({ billable: true }), true);
+	assert.strictEqual(billing.isBillable({ billable: false }), false);
+	assert.strictEqual(billing.isBillable({}), false);
+});
+
+// --- getHourlyRate Tests ---
+
+test("getHourlyRate: uses the project rate for tasks without their own", () => {
+	assert.strictEqual(billing.getHourlyRate(RATES, "Client X", "Coding"), 100);
+});
+
+test("getHourlyRate: a task rate overrides the project rate", () => {
+	assert.strictEqual(billing.getHourlyRate(RATES, "Client X", "Workshop"), 150);
+});
+
+test("getHourlyRate: matches names case-insensitively", () => {
+	assert.strictEqual(billing.getHourlyRate(RATES, " client x ", "WORKSHOP"), 150);
+});
+
+test("getHourlyRate: returns 0 without a matching rate", () => {
+	assert.strictEqual(billing.getHourlyRate(RATES, "Internal", "Email"), 0);
+	assert.strictEqual(billing.getHourlyRate(undefined, "Client X", "Coding"), 0);
+});
+
+// --- summarizeEarnings Tests ---
+
+test("summarizeEarnings: prices billable slices and skips the rest", () => {
+	const slices = [
+		makeSlice({ billable: true }, 2 * HOUR),
+		makeSlice({ billable: true, task: "Workshop" }, HOUR / 2),
+		makeSlice({ billable: true, project: "Client Y" }, HOUR),
+		makeSlice({}, 5 * HOUR),
+	];
+	assert.deepStrictEqual(billing.summarizeEarnings(slices, RATES), {
+		billableMs: 3.5 * HOUR,
+		earnings: 200 + 75 + 80,
+		earningsByProject: { "Client X": 275, "Client Y": 80 },
+	});
+});
+
+test("summarizeEarnings: billable time without a rate counts as hours only", () => {
+	const slices = [makeSlice({ billable: true, project: "Internal" }, HOUR)];
+	assert.deepStrictEqual(billing.summarizeEarnings(slices, RATES), {
+		billableMs: HOUR,
+		earnings: 0,
+		earningsByProject: { Internal: 0 },
+	});
+});
+
+// --- Format Tests ---
+
+test("formatMoney: formats amounts in the given currency", () => {
+	assert.strictEqual(billing.formatMoney(1250, "USD"), "$1,250.00");
+	assert.strictEqual(billing.formatMoney(99.5, "EUR"), "€99.50");
+});
+
+test("parseRateInput: accepts plain decimal rates only", () => {
+	assert.strictEqual(billing.parseRateInput("120"), 120);
+	assert.strictEqual(billing.parseRateInput(" 95.50 "), 95.5);
+	assert.strictEqual(billing.parseRateInput(""), null);
+	assert.strictEqual(billing.parseRateInput("-5"), null);
+	assert.strictEqual(billing.parseRateInput("abc"), null);
+});
+
+// --- Invoice Tests ---
+
+const makeEntry = (overrides = {}) => ({
+	id: "e1",
+	project: "Client X",
+	task: "Coding",
+	totalDurationMs: HOUR,
+	durationSeconds: 3600,
+	createdAt: new Date(2025, 9, 6, 9, 0).toISOString(),
+	endTime: new Date(2025, 9, 6, 10, 0),
+	notes: "",
+	billable: true,
+	...overrides,
+});
+
+const OCTOBER = getCustomRange("2025-10-01", "2025-10-31");
+
+test("formatInvoiceNumber: pads to four digits", () => {
+	assert.strictEqual(billing.formatInvoiceNumber(7), "INV-0007");
+	assert.strictEqual(billing.formatInvoiceNumber(12345), "INV-12345");
+});
+
+test("getInvoiceableEntries: only uninvoiced billable entries of the project in range", () => {
+	const entries = [
+		makeEntry({ id: "ok" }),
+		makeEntry({ id: "case", project: "client x" }),
+		makeEntry({ id: "not-billable", billable: undefined }),
+		makeEntry({ id: "invoiced", invoiceNumber: 3 }),
+		makeEntry({ id: "other-project", project: "Client Y" }),
+		makeEntry({ id: "november", endTime: new Date(2025, 10, 1, 10, 0) }),
+	];
+	assert.deepStrictEqual(
+		billing.getInvoiceableEntries(entries, "Client X", OCTOBER).map((e) => e.id),
+		["ok", "case"]
+	);
+	assert.deepStrictEqual(billing.getInvoiceableProjects(entries), [
+		"Client X",
+		"Client Y",
+	]);
+});
+
+test("buildInvoiceLines: one line per task with rounded hours", () => {
+	const entries = [
+		makeEntry({ totalDurationMs: 20 * 60000 }),
+		makeEntry({ task: "coding", totalDurationMs: 20 * 60000 }),
+		makeEntry({ task: "Workshop", totalDurationMs: 90 * 60000 }),
+	];
+	assert.deepStrictEqual(billing.buildInvoiceLines(entries, RATES), [
+		{ task: "Coding", hours: 0.67, rate: 100, amount: 67 },
+		{ task: "Workshop", hours: 1.5, rate: 150, amount: 225 },
+	]);
+});
+
+test("buildInvoiceLines: bills durations under the rounding rule", () => {
+	const entries = [
+		makeEntry({ totalDurationMs: 20 * 60000 }),
+		makeEntry({ totalDurationMs: 20 * 60000 }),
+	];
+	const rounding = { mode: "up", incrementMinutes: 15, scope: "entry" };
+	assert.deepStrictEqual(billing.buildInvoiceLines(entries, RATES, rounding), [
+		{ task: "Coding", hours: 1, rate: 100, amount: 100 },
+	]);
+});
+
+test("buildInvoiceDraft: builds the request for POST /api/invoices", () => {
+	const entries = [makeEntry(), makeEntry({ id: "e2", task: "Workshop" })];
+	const draft = billing.buildInvoiceDraft(entries, "client x", OCTOBER, {
+		currency: "EUR",
+		rates: RATES,
+	});
+	assert.deepStrictEqual(draft, {
+		project: "Client X",
+		from: "2025-10-01",
+		to: "2025-10-31",
+		currency: "EUR",
+		lines: [
+			{ task: "Coding", hours: 1, rate: 100, amount: 100 },
+			{ task: "Workshop", hours: 1, rate: 150, amount: 150 },
+		],
+		total: 250,
+		entryIds: ["e1", "e2"],
+	});
+});
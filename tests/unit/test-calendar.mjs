@@ -0,0 +1,94 @@
+/**
+ * Frontend Unit Tests - Year Heatmap and Streaks
+ *
+ * PURPOSE:
+ * Tests the layout of the calendar year grid and the streak counts above it.
+ *
+ * WHAT'S TESTED:
+ * - getYearWeeks: Monday-first week columns covering exactly one year
+ * - calculateStreaks: Current streak (today or yesterday) and longest streak,
+ *   on hand-made days and on the charting fixture (which skips some days)
+ * - formatStreak: Singular and plural
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as calendar from "../../js/calendar.js";
+import { getDaySlices, sumSlicesBy } from "../../js/aggregation.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturePath = path.join(__dirname, "../fixtures/charting-sample-data.json");
+
+const HOUR = 3600000;
+
+const totalsFor = (keys) => Object.fromEntries(keys.map((key) => [key, HOUR]));
+
+// --- getYearWeeks Tests ---
+
+test("getYearWeeks: Monday-first columns holding every day of the year", () => {
+	const weeks = calendar.getYearWeeks(2025);
+	const days = weeks.flat().filter(Boolean);
+
+	assert.strictEqual(days.length, 365);
+	assert.ok(weeks.every((week) => week.length === 7));
+	// 1 Jan 2025 is a Wednesday: Monday and Tuesday of the first column are blank
+	assert.deepStrictEqual(weeks[0].slice(0, 3).map(Boolean), [false, false, true]);
+	assert.strictEqual(days[0].getDate(), 1);
+	assert.strictEqual(days[days.length - 1].getMonth(), 11);
+	assert.strictEqual(calendar.getYearWeeks(2024).flat().filter(Boolean).length, 366);
+});
+
+// --- calculateStreaks Tests ---
+
+test("calculateStreaks: current streak runs back from today", () => {
+	const totals = totalsFor(["2025-10-04", "2025-10-05", "2025-10-06"]);
+	assert.deepStrictEqual(calendar.calculateStreaks(totals, new Date(2025, 9, 6, 18)), {
+		current: 3,
+		longest: 3,
+	});
+});
+
+test("calculateStreaks: an untracked today doesn't break the streak yet", () => {
+	const totals = totalsFor(["2025-10-04", "2025-10-05"]);
+	assert.strictEqual(calendar.calculateStreaks(totals, new Date(2025, 9, 6)).current, 2);
+	assert.strictEqual(calendar.calculateStreaks(totals, new Date(2025, 9, 7)).current, 0);
+});
+
+test("calculateStreaks: longest streak spans months and ignores empty days", () => {
+	const totals = {
+		...totalsFor(["2025-09-29", "2025-09-30", "2025-10-01", "2025-10-02"]),
+		...totalsFor(["2025-10-10"]),
+		"2025-10-03": 0,
+	};
+	assert.deepStrictEqual(calendar.calculateStreaks(totals, new Date(2025, 9, 10)), {
+		current: 1,
+		longest: 4,
+	});
+});
+
+test("calculateStreaks: fixture days with gaps give shorter streaks", () => {
+	const entries = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+	const totals = sumSlicesBy(getDaySlices(entries), (slice) => slice.dayKey);
+	const trackedDays = Object.keys(totals).length;
+	const { longest } = calendar.calculateStreaks(totals, new Date(2026, 0, 1));
+
+	assert.ok(longest > 1, "Fixture has consecutive days");
+	assert.ok(longest < trackedDays, "Fixture skips days, so no streak covers all");
+});
+
+// --- formatStreak Tests ---
+
+test("formatStreak: singular and plural", () => {
+	assert.strictEqual(calendar.formatStreak(1), "1 day");
+	assert.strictEqual(calendar.formatStreak(0), "0 days");
+	assert.strictEqual(calendar.formatStreak(12), "12 days");
+});
@@ -0,0 +1,73 @@
+/**
+ * Frontend Unit Tests - Period Comparison
+ *
+ * PURPOSE:
+ * Tests the changes against the previous period shown on the report cards
+ * and in the Project Comparison table.
+ *
+ * WHAT'S TESTED:
+ * - describePreviousPeriod: Names the equal-length previous period
+ * - formatDelta: Signs, units and changes that round to zero
+ * - compareProjectTotals: Grown, shrunk, new and dropped projects
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as comparison from "../../js/comparison.js";
+import { getCustomRange } from "../../js/ranges.js";
+
+const HOUR = 3600000;
+
+const slice = (project, hours) => ({ entry: { project }, durationMs: hours * HOUR });
+
+// --- describePreviousPeriod Tests ---
+
+test("describePreviousPeriod: counts the range's days", () => {
+	assert.strictEqual(
+		comparison.describePreviousPeriod(getCustomRange("2025-10-06", "2025-10-12")),
+		"previous 7 days"
+	);
+	assert.strictEqual(
+		comparison.describePreviousPeriod(getCustomRange("2025-10-06", "2025-10-06")),
+		"previous day"
+	);
+});
+
+// --- formatDelta Tests ---
+
+test("formatDelta: signed values with unit", () => {
+	assert.strictEqual(comparison.formatDelta(3.21, " h"), "+3.2 h");
+	assert.strictEqual(comparison.formatDelta(-1, " h"), "-1.0 h");
+	assert.strictEqual(comparison.formatDelta(2, "", 0), "+2");
+	assert.strictEqual(comparison.formatDelta(-25, "%", 0), "-25%");
+});
+
+test("formatDelta: changes that round to zero are ±0", () => {
+	assert.strictEqual(comparison.formatDelta(0, " h"), "±0 h");
+	assert.strictEqual(comparison.formatDelta(-0.04, " h"), "±0 h");
+});
+
+// --- compareProjectTotals Tests ---
+
+test("compareProjectTotals: most grown first, new and dropped projects included", () => {
+	const rows = comparison.compareProjectTotals(
+		[slice("Web", 3), slice("Web", 2), slice("Admin", 1), slice("New", 2)],
+		[slice("Web", 4), slice("Admin", 2), slice("Old", 1)]
+	);
+
+	assert.deepStrictEqual(
+		rows.map((row) => [row.project, row.deltaMs / HOUR, row.change]),
+		[
+			["New", 2, null],
+			["Web", 1, 0.25],
+			["Admin", -1, -0.5],
+			["Old", -1, -1],
+		]
+	);
+});
@@ -8,7 +8,7 @@
  * WHAT'S TESTED:
  * - Time conversion constants (milliseconds per second/minute/hour/day)
  * - UI configuration constants
- * - Chart color palette
+ * - Chart and project color palettes
  *
  * WHY THESE TESTS MATTER:
  * - Wrong time constants would cause incorrect duration calculations
@@ -24,7 +24,7 @@ import "./setup.mjs";
 
 import test from "node:test";
 import assert from "node:assert";
-import { CONSTANTS, CHART_COLORS } from "../../js/constants.js";
+import { CONSTANTS, CHART_COLORS, PROJECT_COLORS } from "../../js/constants.js";
 
 // --- Time Conversion Constants Tests ---
 
@@ -130,6 +130,16 @@ test("CHART_COLORS are all strings", () => {
 	});
 });
 
+test("PROJECT_COLORS extends CHART_COLORS with unique lowercase hex colours", () => {
+	assert.deepStrictEqual(PROJECT_COLORS.slice(0, CHART_COLORS.length), CHART_COLORS);
+	assert.ok(PROJECT_COLORS.length > CHART_COLORS.length);
+	assert.strictEqual(new Set(PROJECT_COLORS).size, PROJECT_COLORS.length);
+	PROJECT_COLORS.forEach((color) => {
+		// Same format the server accepts for settings.projectColors
+		assert.match(color, /^#[0-9a-f]{6}$/);
+	});
+});
+
 // --- Constants Object Structure Tests ---
 
 test("CONSTANTS object has all required properties", () => {
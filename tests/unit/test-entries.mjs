@@ -0,0 +1,339 @@
+/**
+ * Frontend Unit Tests - Historical Entry Helpers
+ *
+ * PURPOSE:
+ * Tests the pure helpers the History view uses to edit past entries.
+ *
+ * WHAT'S TESTED:
+ * - toDateTimeLocalValue / parseDateTimeLocalValue: datetime-local round trip
+ * - resolveEditedTime: Preserving seconds on untouched fields
+ * - parseDurationInput: Duration formats for manual entries
+ * - validateEntryTimes: Range validation (including future ranges)
+ * - getEntrySegments: Segments with fallback for legacy entries
+ * - buildEntryChanges: Minimal change sets and duration recomputation
+ * - buildManualEntry: Manual entry shape (including tags)
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as entries from "../../js/entries.js";
+
+const makeEntry = () => ({
+	id: "entry-1",
+	project: "Project",
+	task: "Task",
+	createdAt: new Date(2025, 0, 15, 9, 0, 30).toISOString(),
+	endTime: new Date(2025, 0, 15, 10, 0, 45),
+	totalDurationMs: 3615000,
+	durationSeconds: 3615,
+	notes: "",
+});
+
+// --- datetime-local conversion Tests ---
+
+test("toDateTimeLocalValue: formats local time to the minute", () => {
+	const date = new Date(2025, 2, 5, 7, 4, 59);
+	assert.strictEqual(entries.toDateTimeLocalValue(date), "2025-03-05T07:04");
+});
+
+test("toDateTimeLocalValue: returns empty string for invalid dates", () => {
+	assert.strictEqual(entries.toDateTimeLocalValue("not a date"), "");
+});
+
+test("parseDateTimeLocalValue: round-trips with toDateTimeLocalValue", () => {
+	const date = new Date(2025, 11, 31, 23, 59);
+	const parsed = entries.parseDateTimeLocalValue(
+		entries.toDateTimeLocalValue(date)
+	);
+	assert.strictEqual(parsed.getTime(), date.getTime());
+});
+
+test("parseDateTimeLocalValue: returns null for empty or malformed input", () => {
+	assert.strictEqual(entries.parseDateTimeLocalValue(""), null);
+	assert.strictEqual(entries.parseDateTimeLocalValue("2025-01-01"), null);
+	assert.strictEqual(entries.parseDateTimeLocalValue(undefined), null);
+});
+
+// --- resolveEditedTime Tests ---
+
+test("resolveEditedTime: keeps original seconds when field is untouched", () => {
+	const original = new Date(2025, 0, 15, 9, 0, 30);
+	const resolved = entries.resolveEditedTime(
+		entries.toDateTimeLocalValue(original),
+		original
+	);
+	assert.strictEqual(resolved.getTime(), original.getTime());
+});
+
+test("resolveEditedTime: parses a changed value", () => {
+	const original = new Date(2025, 0, 15, 9, 0, 30);
+	const resolved = entries.resolveEditedTime("2025-01-15T08:30", original);
+	assert.strictEqual(resolved.getTime(), new Date(2025, 0, 15, 8, 30).getTime());
+});
+
+// --- parseDurationInput Tests ---
+
+test("parseDurationInput: parses H:MM", () => {
+	assert.strictEqual(entries.parseDurationInput("1:30"), 90 * 60000);
+});
+
+test("parseDurationInput: parses hours and minutes with units", () => {
+	assert.strictEqual(entries.parseDurationInput("1h 30m"), 90 * 60000);
+	assert.strictEqual(entries.parseDurationInput("1.5h"), 90 * 60000);
+	assert.strictEqual(entries.parseDurationInput("45m"), 45 * 60000);
+});
+
+test("parseDurationInput: treats a bare number as minutes", () => {
+	assert.strictEqual(entries.parseDurationInput(" 90 "), 90 * 60000);
+});
+
+test("parseDurationInput: rejects zero, empty and malformed input", () => {
+	assert.strictEqual(entries.parseDurationInput("0"), null);
+	assert.strictEqual(entries.parseDurationInput(""), null);
+	assert.strictEqual(entries.parseDurationInput("1:75"), null);
+	assert.strictEqual(entries.parseDurationInput("abc"), null);
+});
+
+// --- validateEntryTimes Tests ---
+
+test("validateEntryTimes: accepts a valid range", () => {
+	const start = new Date(2025, 0, 1, 9);
+	const end = new Date(2025, 0, 1, 10);
+	assert.strictEqual(entries.validateEntryTimes(start, end), null);
+});
+
+test("validateEntryTimes: rejects missing times", () => {
+	assert.ok(entries.validateEntryTimes(null, new Date()));
+	assert.ok(entries.validateEntryTimes(new Date(), null));
+});
+
+test("validateEntryTimes: rejects end before or equal to start", () => {
+	const start = new Date(2025, 0, 1, 10);
+	assert.ok(entries.validateEntryTimes(start, new Date(2025, 0, 1, 9)));
+	assert.ok(entries.validateEntryTimes(start, new Date(start)));
+});
+
+test("validateEntryTimes: rejects ranges ending in the future", () => {
+	const now = new Date(2025, 0, 1, 12);
+	const start = new Date(2025, 0, 1, 11);
+	const error = entries.validateEntryTimes(start, new Date(2025, 0, 1, 13), now);
+	assert.ok(error.includes("future"));
+	assert.strictEqual(entries.validateEntryTimes(start, now, now), null);
+});
+
+// --- getEntrySegments Tests ---
+
+test("getEntrySegments: returns recorded segments as dates", () => {
+	const entry = {
+		...makeEntry(),
+		segments: [
+			{ start: "2025-01-15T09:00:00.000Z", end: "2025-01-15T09:30:00.000Z" },
+			{ start: "2025-01-15T10:00:00.000Z", end: "2025-01-15T10:30:00.000Z" },
+		],
+	};
+	const segments = entries.getEntrySegments(entry);
+	assert.strictEqual(segments.length, 2);
+	assert.ok(segments[1].start instanceof Date);
+	assert.strictEqual(segments[1].end.toISOString(), "2025-01-15T10:30:00.000Z");
+});
+
+test("getEntrySegments: falls back to createdAt-endTime for legacy entries", () => {
+	const entry = makeEntry();
+	const segments = entries.getEntrySegments(entry);
+	assert.strictEqual(segments.length, 1);
+	assert.strictEqual(segments[0].start.toISOString(), entry.createdAt);
+	assert.strictEqual(segments[0].end.getTime(), entry.endTime.getTime());
+});
+
+// --- buildEntryChanges Tests ---
+
+test("buildEntryChanges: returns empty object when nothing changed", () => {
+	const entry = makeEntry();
+	const changes = entries.buildEntryChanges(entry, {
+		project: entry.project,
+		task: entry.task,
+		start: new Date(entry.createdAt),
+		end: new Date(entry.endTime),
+		notes: "",
+	});
+	assert.deepStrictEqual(changes, {});
+});
+
+test("buildEntryChanges: includes only changed text fields", () => {
+	const entry = makeEntry();
+	const changes = entries.buildEntryChanges(entry, {
+		project: "Other",
+		task: entry.task,
+		start: new Date(entry.createdAt),
+		end: new Date(entry.endTime),
+		notes: "Added notes",
+	});
+	assert.deepStrictEqual(changes, { project: "Other", notes: "Added notes" });
+});
+
+test("buildEntryChanges: recomputes durations when the range changes", () => {
+	const entry = makeEntry();
+	const start = new Date(2025, 0, 15, 9, 0);
+	const end = new Date(2025, 0, 15, 11, 30);
+	const changes = entries.buildEntryChanges(entry, {
+		project: entry.project,
+		task: entry.task,
+		start,
+		end,
+		notes: "",
+	});
+	assert.strictEqual(changes.createdAt, start.toISOString());
+	assert.strictEqual(changes.endTime, end.toISOString());
+	assert.strictEqual(changes.totalDurationMs, 9000000);
+	assert.strictEqual(changes.durationSeconds, 9000);
+	assert.strictEqual(changes.segments, undefined, "Legacy entry gets no segments");
+});
+
+test("buildEntryChanges: replaces segments when the range changes", () => {
+	const entry = {
+		...makeEntry(),
+		segments: [
+			{ start: "2025-01-15T09:00:30.000Z", end: "2025-01-15T09:20:00.000Z" },
+		],
+	};
+	const start = new Date(2025, 0, 15, 9, 0);
+	const end = new Date(2025, 0, 15, 10, 0);
+	const changes = entries.buildEntryChanges(entry, {
+		project: entry.project,
+		task: entry.task,
+		start,
+		end,
+		notes: "",
+	});
+	assert.deepStrictEqual(changes.segments, [
+		{ start: start.toISOString(), end: end.toISOString() },
+	]);
+});
+
+test("buildEntryChanges: includes tags only when they changed", () => {
+	const entry = { ...makeEntry(), tags: ["billable"] };
+	const edited = {
+		project: entry.project,
+		task: entry.task,
+		start: new Date(entry.createdAt),
+		end: new Date(entry.endTime),
+		notes: "",
+	};
+	assert.deepStrictEqual(
+		entries.buildEntryChanges(entry, { ...edited, tags: ["billable"] }),
+		{}
+	);
+	assert.deepStrictEqual(
+		entries.buildEntryChanges(entry, { ...edited, tags: [] }),
+		{ tags: [] }
+	);
+	assert.deepStrictEqual(
+		entries.buildEntryChanges(makeEntry(), { ...edited, tags: ["meeting"] }),
+		{ tags: ["meeting"] }
+	);
+});
+
+test("buildEntryChanges: treats a missing billable flag as non-billable", () => {
+	const entry = makeEntry();
+	const edited = {
+		project: entry.project,
+		task: entry.task,
+		start: new Date(entry.createdAt),
+		end: new Date(entry.endTime),
+		notes: "",
+	};
+	assert.deepStrictEqual(
+		entries.buildEntryChanges(entry, { ...edited, billable: false }),
+		{}
+	);
+	assert.deepStrictEqual(
+		entries.buildEntryChanges(entry, { ...edited, billable: true }),
+		{ billable: true }
+	);
+	assert.deepStrictEqual(
+		entries.buildEntryChanges({ ...entry, billable: true }, { ...edited, billable: false }),
+		{ billable: false }
+	);
+});
+
+// --- buildManualEntry Tests ---
+
+test("buildManualEntry: builds an entry with the stopTimer shape", () => {
+	const start = new Date(2025, 0, 14, 9, 0);
+	const end = new Date(2025, 0, 14, 10, 30);
+	const entry = entries.buildManualEntry({
+		project: "Client X",
+		task: "Proposal Draft",
+		start,
+		end,
+		notes: "Backfilled",
+	});
+
+	assert.ok(entry.id, "Entry should have an id");
+	assert.strictEqual(entry.project, "Client X");
+	assert.strictEqual(entry.task, "Proposal Draft");
+	assert.strictEqual(entry.createdAt, start.toISOString());
+	assert.strictEqual(entry.endTime, end.toISOString());
+	assert.strictEqual(entry.totalDurationMs, 5400000);
+	assert.strictEqual(entry.durationSeconds, 5400);
+	assert.strictEqual(entry.notes, "Backfilled");
+	assert.deepStrictEqual(entry.segments, [
+		{ start: start.toISOString(), end: end.toISOString() },
+	]);
+	assert.strictEqual(entry.source, "manual");
+});
+
+test("buildManualEntry: records the given source", () => {
+	const entry = entries.buildManualEntry({
+		project: "P",
+		task: "T",
+		start: new Date(2025, 0, 14, 0),
+		end: new Date(2025, 0, 14, 8),
+		source: "timesheet",
+	});
+	assert.strictEqual(entry.source, "timesheet");
+});
+
+test("buildManualEntry: defaults notes to an empty string", () => {
+	const entry = entries.buildManualEntry({
+		project: "P",
+		task: "T",
+		start: new Date(2025, 0, 14, 9),
+		end: new Date(2025, 0, 14, 10),
+	});
+	assert.strictEqual(entry.notes, "");
+});
+
+test("buildManualEntry: stores tags only when there are some", () => {
+	const fields = {
+		project: "P",
+		task: "T",
+		start: new Date(2025, 0, 14, 9),
+		end: new Date(2025, 0, 14, 10),
+	};
+	assert.deepStrictEqual(
+		entries.buildManualEntry({ ...fields, tags: ["billable"] }).tags,
+		["billable"]
+	);
+	assert.strictEqual("tags" in entries.buildManualEntry(fields), false);
+});
+
+test("buildManualEntry: sets billable only for billable time", () => {
+	const fields = {
+		project: "P",
+		task: "T",
+		start: new Date(2025, 0, 14, 9),
+		end: new Date(2025, 0, 14, 10),
+	};
+	assert.strictEqual(
+		entries.buildManualEntry({ ...fields, billable: true }).billable,
+		true
+	);
+	assert.strictEqual("billable" in entries.buildManualEntry(fields), false);
+});
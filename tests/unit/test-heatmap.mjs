@@ -0,0 +1,78 @@
+/**
+ * Frontend Unit Tests - Weekly Work Pattern Heatmap
+ *
+ * PURPOSE:
+ * Tests the data and colours behind the weekday × hour heatmap.
+ *
+ * WHAT'S TESTED:
+ * - buildWeekdayHourMatrix: Hour slices summed per weekday (Monday first)
+ *   and hour of day
+ * - getHeatmapColor: Empty cells and the light-to-dark scale
+ * - formatHeatmapTooltip: Weekday, hour and hours in the cell
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as heatmap from "../../js/heatmap.js";
+import { getHourSlices } from "../../js/aggregation.js";
+import { getCustomRange } from "../../js/ranges.js";
+
+const MINUTE = 60000;
+
+const makeEntry = (start, minutes) => ({
+	project: "P",
+	task: "T",
+	totalDurationMs: minutes * MINUTE,
+	durationSeconds: minutes * 60,
+	createdAt: start.toISOString(),
+	endTime: new Date(start.getTime() + minutes * MINUTE),
+	notes: "",
+});
+
+test("buildWeekdayHourMatrix: sums time per weekday and hour", () => {
+	const entries = [
+		makeEntry(new Date(2025, 9, 6, 9, 40), 90), // Monday 09:40-11:10
+		makeEntry(new Date(2025, 9, 12, 23, 30), 30), // Sunday 23:30-24:00
+		makeEntry(new Date(2025, 9, 13, 9, 0), 30), // Next Monday, outside range
+	];
+	const range = getCustomRange("2025-10-06", "2025-10-12");
+	const matrix = heatmap.buildWeekdayHourMatrix(getHourSlices(entries, range));
+
+	assert.strictEqual(matrix.length, 7);
+	assert.deepStrictEqual(matrix[0].slice(9, 12), [
+		20 * MINUTE,
+		60 * MINUTE,
+		10 * MINUTE,
+	]);
+	assert.strictEqual(matrix[6][23], 30 * MINUTE);
+	assert.strictEqual(
+		matrix.flat().reduce((sum, ms) => sum + ms, 0),
+		120 * MINUTE
+	);
+});
+
+test("getHeatmapColor: empty cells are grey, busier cells darker", () => {
+	assert.strictEqual(heatmap.getHeatmapColor(0, 100), "#f3f4f6");
+	assert.strictEqual(heatmap.getHeatmapColor(100, 100), "rgb(67, 56, 202)");
+	assert.notStrictEqual(
+		heatmap.getHeatmapColor(10, 100),
+		heatmap.getHeatmapColor(90, 100)
+	);
+});
+
+test("formatHeatmapTooltip: names the weekday, hour and hours", () => {
+	assert.strictEqual(
+		heatmap.formatHeatmapTooltip(1, 14, 90 * MINUTE),
+		"Tuesday 14:00–15:00: 1.50 h"
+	);
+	assert.strictEqual(
+		heatmap.formatHeatmapTooltip(6, 23, 0),
+		"Sunday 23:00–00:00: 0.00 h"
+	);
+});
@@ -0,0 +1,94 @@
+/**
+ * Frontend Unit Tests - Idle Detection
+ *
+ * PURPOSE:
+ * Tests when the user counts as idle and how idle time is taken off a
+ * running timer.
+ *
+ * WHAT'S TESTED:
+ * - isIdle: Threshold reached, not reached, and detection turned off
+ * - removeIdleTime: accumulatedMs and segments around the idle stretch,
+ *   timers started while away, paused timers left alone
+ * - formatIdleDuration: Minutes and hours for the modal
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as idle from "../../js/idle.js";
+
+const MINUTE = 60000;
+
+const at = (hours, minutes = 0) => new Date(2025, 9, 6, hours, minutes);
+
+const runningTimer = (start, accumulatedMs = 0, segments = []) => ({
+	project: "Website",
+	task: "Header",
+	startTime: start,
+	accumulatedMs,
+	isPaused: false,
+	segments: [...segments, { start: start.toISOString(), end: null }],
+});
+
+// --- isIdle Tests ---
+
+test("isIdle: idle once the threshold is reached", () => {
+	const last = at(12).getTime();
+	assert.strictEqual(idle.isIdle(last, last + 14 * MINUTE, 15), false);
+	assert.strictEqual(idle.isIdle(last, last + 15 * MINUTE, 15), true);
+});
+
+test("isIdle: a threshold of 0 turns detection off", () => {
+	const last = at(12).getTime();
+	assert.strictEqual(idle.isIdle(last, last + 600 * MINUTE, 0), false);
+});
+
+// --- removeIdleTime Tests ---
+
+test("removeIdleTime: banks the time before the idle stretch and restarts the timer", () => {
+	const earlier = { start: at(8).toISOString(), end: at(9).toISOString() };
+	const timer = runningTimer(at(10), 60 * MINUTE, [earlier]);
+
+	const removed = idle.removeIdleTime(timer, at(12), at(12, 47));
+
+	assert.strictEqual(removed, 47 * MINUTE);
+	assert.strictEqual(timer.accumulatedMs, 180 * MINUTE);
+	assert.strictEqual(timer.startTime.getTime(), at(12, 47).getTime());
+	assert.deepStrictEqual(timer.segments, [
+		earlier,
+		{ start: at(10).toISOString(), end: at(12).toISOString() },
+		{ start: at(12, 47).toISOString(), end: null },
+	]);
+});
+
+test("removeIdleTime: a timer started while away loses only its own time", () => {
+	const timer = runningTimer(at(12, 30));
+
+	const removed = idle.removeIdleTime(timer, at(12), at(12, 47));
+
+	assert.strictEqual(removed, 17 * MINUTE);
+	assert.strictEqual(timer.accumulatedMs, 0);
+	assert.strictEqual(timer.segments[0].end, at(12, 30).toISOString());
+});
+
+test("removeIdleTime: paused timers are left alone", () => {
+	const timer = { ...runningTimer(at(10)), isPaused: true, startTime: null };
+	const before = structuredClone(timer);
+
+	assert.strictEqual(idle.removeIdleTime(timer, at(12), at(12, 47)), 0);
+	assert.deepStrictEqual(timer, before);
+});
+
+// --- formatIdleDuration Tests ---
+
+test("formatIdleDuration: minutes and hours", () => {
+	assert.strictEqual(idle.formatIdleDuration(47 * MINUTE), "47 minutes");
+	assert.strictEqual(idle.formatIdleDuration(1 * MINUTE), "1 minute");
+	assert.strictEqual(idle.formatIdleDuration(60 * MINUTE), "1 hour");
+	assert.strictEqual(idle.formatIdleDuration(125 * MINUTE), "2 hours 5 minutes");
+});
@@ -0,0 +1,58 @@
+/**
+ * Frontend Unit Tests - Invoices
+ *
+ * PURPOSE:
+ * Tests the printable invoice document built from a stored invoice.
+ *
+ * WHAT'S TESTED:
+ * - buildInvoiceDocument: Number, period, lines, total and HTML escaping
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import { buildInvoiceDocument } from "../../js/invoices.js";
+
+const makeInvoice = (overrides = {}) => ({
+	number: 7,
+	project: "Client X",
+	from: "2025-10-01",
+	to: "2025-10-31",
+	currency: "EUR",
+	lines: [
+		{ task: "Coding", hours: 1.5, rate: 100, amount: 150 },
+		{ task: "Workshop", hours: 2, rate: 150, amount: 300 },
+	],
+	total: 450,
+	entryIds: ["e1", "e2"],
+	createdAt: new Date(2025, 10, 3, 12, 0).toISOString(),
+	...overrides,
+});
+
+test("buildInvoiceDocument: includes number, period, lines and total", () => {
+	const html = buildInvoiceDocument(makeInvoice());
+	assert.ok(html.startsWith("<!DOCTYPE html>"));
+	assert.ok(html.includes("<title>Invoice INV-0007</title>"));
+	assert.ok(html.includes("Oct 1, 2025 – Oct 31, 2025"));
+	assert.ok(html.includes("November 3, 2025"));
+	assert.ok(html.includes("<td>Workshop</td>"));
+	assert.ok(html.includes('<td class="num">1.50</td>'));
+	assert.ok(html.includes('<td class="num">€450.00</td>'));
+});
+
+test("buildInvoiceDocument: escapes project and task names", () => {
+	const html = buildInvoiceDocument(
+		makeInvoice({
+			project: "R&D",
+			lines: [{ task: "<script>", hours: 1, rate: 0, amount: 0 }],
+		})
+	);
+	assert.ok(html.includes("R&amp;D"));
+	assert.ok(html.includes("&lt;script&gt;"));
+	assert.ok(!html.includes("<td><script>"));
+});
@@ -0,0 +1,112 @@
+/**
+ * Frontend Unit Tests - Offline Write Queue
+ *
+ * PURPOSE:
+ * Tests the localStorage-backed queue that holds writes while the local
+ * server is unreachable.
+ *
+ * WHAT'S TESTED:
+ * - enqueueWrite: Ordering and persistence
+ * - Coalescing: Newer active-state writes replace older ones
+ * - removePendingWrite: Removal by id
+ * - onPendingWritesChange: Listener notifications
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as queue from "../../js/queue.js";
+
+const STORAGE_KEY = "mtt-pending-writes";
+
+const storedWrites = () =>
+	JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+/**
+ * Utility: Empty the queue between tests
+ */
+const drainQueue = () => {
+	let write;
+	while ((write = queue.peekPendingWrite())) {
+		queue.removePendingWrite(write.id);
+	}
+};
+
+test("queue starts empty", () => {
+	assert.strictEqual(queue.getPendingWriteCount(), 0);
+	assert.strictEqual(queue.peekPendingWrite(), undefined);
+});
+
+test("enqueueWrite: keeps writes in order", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: {} });
+	queue.enqueueWrite({ id: "2", method: "DELETE", url: "/api/entries/x" });
+
+	assert.strictEqual(queue.getPendingWriteCount(), 2);
+	assert.strictEqual(queue.peekPendingWrite().id, "1");
+});
+
+test("enqueueWrite: persists the queue to localStorage", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: { a: 1 } });
+
+	const stored = storedWrites();
+	assert.strictEqual(stored.length, 1);
+	assert.deepStrictEqual(stored[0].body, { a: 1 });
+	assert.ok(stored[0].queuedAt, "Queued writes should be timestamped");
+});
+
+test("enqueueWrite: coalesces writes with the same key", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/active-state", body: { v: 1 }, coalesceKey: "active-state" });
+	queue.enqueueWrite({ id: "2", method: "POST", url: "/api/entries", body: {} });
+	queue.enqueueWrite({ id: "3", method: "POST", url: "/api/active-state", body: { v: 2 }, coalesceKey: "active-state" });
+
+	assert.strictEqual(queue.getPendingWriteCount(), 2);
+	assert.deepStrictEqual(
+		storedWrites().map((w) => w.id),
+		["2", "3"],
+		"Only the latest active state should remain, after the entry write"
+	);
+});
+
+test("enqueueWrite: never coalesces writes without a key", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: {} });
+	queue.enqueueWrite({ id: "2", method: "POST", url: "/api/entries", body: {} });
+	assert.strictEqual(queue.getPendingWriteCount(), 2);
+});
+
+test("removePendingWrite: removes by id, not position", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: {} });
+	queue.enqueueWrite({ id: "2", method: "POST", url: "/api/entries", body: {} });
+	queue.removePendingWrite("2");
+
+	assert.strictEqual(queue.getPendingWriteCount(), 1);
+	assert.strictEqual(queue.peekPendingWrite().id, "1");
+});
+
+test("removePendingWrite: clears localStorage when the queue empties", () => {
+	drainQueue();
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: {} });
+	queue.removePendingWrite("1");
+	assert.strictEqual(
+		localStorage.getItem(STORAGE_KEY),
+		null
+	);
+});
+
+test("onPendingWritesChange: reports the new count", () => {
+	drainQueue();
+	const counts = [];
+	queue.onPendingWritesChange((count) => counts.push(count));
+	queue.enqueueWrite({ id: "1", method: "POST", url: "/api/entries", body: {} });
+	queue.removePendingWrite("1");
+	assert.deepStrictEqual(counts, [1, 0]);
+});
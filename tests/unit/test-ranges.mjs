@@ -0,0 +1,199 @@
+/**
+ * Frontend Unit Tests - Report Date Ranges
+ *
+ * PURPOSE:
+ * Tests the calendar arithmetic behind the Reports date range selector.
+ *
+ * WHAT'S TESTED:
+ * - startOfWeek: Monday-based weeks
+ * - toDateInputValue / parseDateInputValue: date input round trip
+ * - getPresetRange: Every preset, including month/quarter/year boundaries
+ * - getCustomRange: Inclusive last day and invalid input
+ * - getRangeDays / filterEntriesByRange: Exclusive range end
+ * - getPreviousRange: Equal-length period right before a range
+ * - getBucketGranularity / getBucketKey / getRangeBuckets: Day, week and
+ *   month buckets keyed by local date (not UTC)
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as ranges from "../../js/ranges.js";
+
+// Wednesday 2025-05-14, mid-afternoon
+const NOW = new Date(2025, 4, 14, 15, 30);
+
+const assertRange = (range, from, to) => {
+	assert.strictEqual(ranges.toDateInputValue(range.from), from);
+	assert.strictEqual(ranges.toDateInputValue(range.to), to);
+};
+
+// --- Calendar helper Tests ---
+
+test("startOfWeek: returns Monday for mid-week and Sunday dates", () => {
+	assert.strictEqual(
+		ranges.toDateInputValue(ranges.startOfWeek(NOW)),
+		"2025-05-12"
+	);
+	assert.strictEqual(
+		ranges.toDateInputValue(ranges.startOfWeek(new Date(2025, 4, 18, 23))),
+		"2025-05-12"
+	);
+});
+
+test("toDateInputValue / parseDateInputValue: round trip as local midnight", () => {
+	const parsed = ranges.parseDateInputValue("2025-03-09");
+	assert.strictEqual(parsed.getFullYear(), 2025);
+	assert.strictEqual(parsed.getMonth(), 2);
+	assert.strictEqual(parsed.getDate(), 9);
+	assert.strictEqual(parsed.getHours(), 0);
+	assert.strictEqual(ranges.toDateInputValue(parsed), "2025-03-09");
+});
+
+test("parseDateInputValue: rejects empty, malformed and rolled-over dates", () => {
+	assert.strictEqual(ranges.parseDateInputValue(""), null);
+	assert.strictEqual(ranges.parseDateInputValue("2025-3-9"), null);
+	assert.strictEqual(ranges.parseDateInputValue("2025-02-30"), null);
+});
+
+// --- Preset Tests ---
+
+test("getPresetRange: today and rolling presets end after today", () => {
+	assertRange(ranges.getPresetRange("today", NOW), "2025-05-14", "2025-05-15");
+	assertRange(ranges.getPresetRange("last-7", NOW), "2025-05-08", "2025-05-15");
+	assertRange(ranges.getPresetRange("last-30", NOW), "2025-04-15", "2025-05-15");
+});
+
+test("getPresetRange: this week and last week start on Monday", () => {
+	assertRange(ranges.getPresetRange("this-week", NOW), "2025-05-12", "2025-05-15");
+	assertRange(ranges.getPresetRange("last-week", NOW), "2025-05-05", "2025-05-12");
+});
+
+test("getPresetRange: month, quarter and year-to-date boundaries", () => {
+	assertRange(ranges.getPresetRange("this-month", NOW), "2025-05-01", "2025-05-15");
+	assertRange(ranges.getPresetRange("last-month", NOW), "2025-04-01", "2025-05-01");
+	assertRange(ranges.getPresetRange("this-quarter", NOW), "2025-04-01", "2025-05-15");
+	assertRange(ranges.getPresetRange("ytd", NOW), "2025-01-01", "2025-05-15");
+});
+
+test("getPresetRange: last month wraps into the previous year in January", () => {
+	const january = new Date(2026, 0, 10);
+	assertRange(ranges.getPresetRange("last-month", january), "2025-12-01", "2026-01-01");
+	assertRange(ranges.getPresetRange("this-quarter", january), "2026-01-01", "2026-01-11");
+});
+
+test("getPresetRange: all starts on the earliest entry's day", () => {
+	const entries = [
+		{ createdAt: new Date(2025, 1, 3, 9).toISOString(), endTime: new Date(2025, 1, 3, 10) },
+		{ endTime: new Date(2024, 11, 24, 18) },
+	];
+	assertRange(ranges.getPresetRange("all", NOW, entries), "2024-12-24", "2025-05-15");
+	assertRange(ranges.getPresetRange("all", NOW, []), "2025-05-14", "2025-05-15");
+});
+
+test("getPresetRange: returns null for unknown presets", () => {
+	assert.strictEqual(ranges.getPresetRange("fortnight", NOW), null);
+});
+
+// --- Custom range Tests ---
+
+test("getCustomRange: includes the last day", () => {
+	const range = ranges.getCustomRange("2025-03-01", "2025-03-31");
+	assertRange(range, "2025-03-01", "2025-04-01");
+	assert.strictEqual(
+		ranges.toDateInputValue(ranges.getRangeLastDay(range)),
+		"2025-03-31"
+	);
+});
+
+test("getCustomRange: single day and invalid ranges", () => {
+	assertRange(ranges.getCustomRange("2025-03-05", "2025-03-05"), "2025-03-05", "2025-03-06");
+	assert.strictEqual(ranges.getCustomRange("2025-03-06", "2025-03-05"), null);
+	assert.strictEqual(ranges.getCustomRange("", "2025-03-05"), null);
+});
+
+// --- Range iteration and filtering Tests ---
+
+test("getRangeDays: lists every day once, oldest first", () => {
+	const days = ranges.getRangeDays(ranges.getCustomRange("2025-02-27", "2025-03-02"));
+	assert.deepStrictEqual(days.map(ranges.toDateInputValue), [
+		"2025-02-27",
+		"2025-02-28",
+		"2025-03-01",
+		"2025-03-02",
+	]);
+});
+
+test("getPreviousRange: same number of days, ending where the range starts", () => {
+	const previous = ranges.getPreviousRange(
+		ranges.getCustomRange("2025-03-01", "2025-03-19")
+	);
+	assert.strictEqual(ranges.toDateInputValue(previous.from), "2025-02-10");
+	assert.strictEqual(ranges.toDateInputValue(previous.to), "2025-03-01");
+	assert.strictEqual(ranges.getRangeDays(previous).length, 19);
+});
+
+test("filterEntriesByRange: includes the start and excludes the exclusive end", () => {
+	const range = ranges.getCustomRange("2025-03-01", "2025-03-31");
+	const entries = [
+		{ id: "start", endTime: new Date(2025, 2, 1, 0, 0) },
+		{ id: "inside", endTime: new Date(2025, 2, 15, 12).toISOString() },
+		{ id: "last", endTime: new Date(2025, 2, 31, 23, 59) },
+		{ id: "end", endTime: new Date(2025, 3, 1, 0, 0) },
+		{ id: "before", endTime: new Date(2025, 1, 28, 23, 59) },
+	];
+	assert.deepStrictEqual(
+		ranges.filterEntriesByRange(entries, range).map((e) => e.id),
+		["start", "inside", "last"]
+	);
+});
+
+// --- Bucket Tests ---
+
+test("getBucketGranularity: days up to a month, then weeks, then months", () => {
+	assert.strictEqual(ranges.getBucketGranularity(ranges.getPresetRange("last-7", NOW)), "day");
+	assert.strictEqual(ranges.getBucketGranularity(ranges.getCustomRange("2025-03-01", "2025-03-31")), "day");
+	assert.strictEqual(ranges.getBucketGranularity(ranges.getCustomRange("2025-03-01", "2025-05-31")), "week");
+	assert.strictEqual(ranges.getBucketGranularity(ranges.getCustomRange("2024-05-15", "2025-05-14")), "month");
+});
+
+test("getBucketKey: keys by local date, not UTC", () => {
+	const originalTZ = process.env.TZ;
+	process.env.TZ = "America/Los_Angeles";
+	try {
+		// 20:30 on May 13 in Los Angeles is already May 14 in UTC
+		assert.strictEqual(ranges.getBucketKey("2025-05-14T03:30:00.000Z"), "2025-05-13");
+	} finally {
+		if (originalTZ === undefined) delete process.env.TZ;
+		else process.env.TZ = originalTZ;
+	}
+});
+
+test("getBucketKey: week and month keys are the bucket start", () => {
+	const sunday = new Date(2025, 4, 18, 22, 0);
+	assert.strictEqual(ranges.getBucketKey(sunday, "day"), "2025-05-18");
+	assert.strictEqual(ranges.getBucketKey(sunday, "week"), "2025-05-12");
+	assert.strictEqual(ranges.getBucketKey(sunday, "month"), "2025-05-01");
+	assert.strictEqual(ranges.getBucketKey("not a date"), "");
+});
+
+test("getRangeBuckets: weekly buckets start on the Monday before the range", () => {
+	const range = ranges.getCustomRange("2025-03-05", "2025-03-20");
+	assert.deepStrictEqual(
+		ranges.getRangeBuckets(range, "week").map(ranges.toDateInputValue),
+		["2025-03-03", "2025-03-10", "2025-03-17"]
+	);
+});
+
+test("getRangeBuckets: monthly buckets cover partial months at both ends", () => {
+	const range = ranges.getCustomRange("2024-11-15", "2025-02-03");
+	assert.deepStrictEqual(
+		ranges.getRangeBuckets(range, "month").map(ranges.toDateInputValue),
+		["2024-11-01", "2024-12-01", "2025-01-01", "2025-02-01"]
+	);
+});
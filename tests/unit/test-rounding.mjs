@@ -0,0 +1,143 @@
+/**
+ * Frontend Unit Tests - Time Rounding
+ *
+ * PURPOSE:
+ * Tests the rounding rules applied to reports, exports and invoices.
+ *
+ * WHAT'S TESTED:
+ * - roundDuration: Up, down and nearest to the increment; "none" is a no-op
+ * - applyRounding: Per-entry and per-task-per-day rounding of day slices
+ * - getRoundedDurations: Rounded duration per entry for the CSV export
+ * - describeRounding: The note shown under the report cards
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as rounding from "../../js/rounding.js";
+import { getDaySlices } from "../../js/aggregation.js";
+import { getCustomRange } from "../../js/ranges.js";
+
+const MINUTE = 60000;
+
+const rule = (mode, scope = "entry", incrementMinutes = 15) => ({
+	mode,
+	incrementMinutes,
+	scope,
+});
+
+const makeEntry = (minutes, endTime, overrides = {}) => ({
+	project: "Client X",
+	task: "Coding",
+	totalDurationMs: minutes * MINUTE,
+	durationSeconds: minutes * 60,
+	createdAt: new Date(endTime - minutes * MINUTE).toISOString(),
+	endTime,
+	notes: "",
+	...overrides,
+});
+
+const sumMinutes = (slices) =>
+	slices.reduce((sum, slice) => sum + slice.durationMs, 0) / MINUTE;
+
+// --- roundDuration Tests ---
+
+test("roundDuration: rounds up, down or to the nearest increment", () => {
+	assert.strictEqual(rounding.roundDuration(16 * MINUTE, rule("up")), 30 * MINUTE);
+	assert.strictEqual(rounding.roundDuration(29 * MINUTE, rule("down")), 15 * MINUTE);
+	assert.strictEqual(rounding.roundDuration(22 * MINUTE, rule("nearest")), 15 * MINUTE);
+	assert.strictEqual(rounding.roundDuration(23 * MINUTE, rule("nearest")), 30 * MINUTE);
+	assert.strictEqual(
+		rounding.roundDuration(7 * MINUTE, rule("up", "entry", 6)),
+		12 * MINUTE
+	);
+});
+
+test("roundDuration: exact multiples and a disabled rule are unchanged", () => {
+	assert.strictEqual(rounding.roundDuration(30 * MINUTE, rule("up")), 30 * MINUTE);
+	assert.strictEqual(rounding.roundDuration(16 * MINUTE, rule("none")), 16 * MINUTE);
+	assert.strictEqual(rounding.roundDuration(16 * MINUTE, undefined), 16 * MINUTE);
+	assert.strictEqual(rounding.isRoundingEnabled(rule("none")), false);
+});
+
+// --- applyRounding Tests ---
+
+test("applyRounding: per entry rounds each entry", () => {
+	const entries = [
+		makeEntry(5, new Date(2025, 9, 6, 9, 0)),
+		makeEntry(5, new Date(2025, 9, 6, 10, 0)),
+	];
+	const range = getCustomRange("2025-10-06", "2025-10-06");
+	const slices = rounding.applyRounding(getDaySlices(entries, range), rule("up"));
+	assert.strictEqual(sumMinutes(slices), 30);
+});
+
+test("applyRounding: per day rounds each task's daily total", () => {
+	const entries = [
+		makeEntry(5, new Date(2025, 9, 6, 9, 0)),
+		makeEntry(5, new Date(2025, 9, 6, 10, 0)),
+		makeEntry(5, new Date(2025, 9, 6, 11, 0), { task: "Review" }),
+		makeEntry(5, new Date(2025, 9, 7, 9, 0)),
+	];
+	const range = getCustomRange("2025-10-06", "2025-10-07");
+	const slices = rounding.applyRounding(
+		getDaySlices(entries, range),
+		rule("up", "day")
+	);
+	// Coding on the 6th (10 min), Review on the 6th, Coding on the 7th
+	assert.strictEqual(sumMinutes(slices), 45);
+});
+
+test("applyRounding: an entry crossing midnight keeps its split", () => {
+	const entry = makeEntry(50, new Date(2025, 9, 7, 0, 20));
+	const range = getCustomRange("2025-10-06", "2025-10-07");
+	const slices = rounding.applyRounding(getDaySlices([entry], range), rule("up"));
+	assert.deepStrictEqual(
+		slices.map((slice) => [slice.dayKey, slice.durationMs / MINUTE]),
+		[
+			["2025-10-06", 36],
+			["2025-10-07", 24],
+		]
+	);
+});
+
+test("applyRounding: returns the slices unchanged when rounding is off", () => {
+	const range = getCustomRange("2025-10-06", "2025-10-06");
+	const slices = getDaySlices([makeEntry(5, new Date(2025, 9, 6, 9, 0))], range);
+	assert.strictEqual(rounding.applyRounding(slices, rule("none")), slices);
+});
+
+// --- getRoundedDurations Tests ---
+
+test("getRoundedDurations: per entry and per day", () => {
+	const first = makeEntry(5, new Date(2025, 9, 6, 9, 0));
+	const second = makeEntry(15, new Date(2025, 9, 6, 10, 0));
+
+	const perEntry = rounding.getRoundedDurations([first, second], rule("up"));
+	assert.strictEqual(perEntry.get(first), 15 * MINUTE);
+	assert.strictEqual(perEntry.get(second), 15 * MINUTE);
+
+	// 20 minutes on the day round up to 30, shared 1:3
+	const perDay = rounding.getRoundedDurations([first, second], rule("up", "day"));
+	assert.strictEqual(Math.round(perDay.get(first) / 1000), 7.5 * 60);
+	assert.strictEqual(Math.round(perDay.get(second) / 1000), 22.5 * 60);
+});
+
+// --- describeRounding Tests ---
+
+test("describeRounding: describes the active rule", () => {
+	assert.strictEqual(
+		rounding.describeRounding(rule("up")),
+		"Rounded up to 15 min per entry"
+	);
+	assert.strictEqual(
+		rounding.describeRounding(rule("nearest", "day", 6)),
+		"Rounded to the nearest 6 min per task per day"
+	);
+	assert.strictEqual(rounding.describeRounding(rule("none")), "");
+});
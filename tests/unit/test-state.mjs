@@ -8,6 +8,10 @@
  * WHAT'S TESTED:
  * - calculateElapsedMs: Timer duration calculation
  * - hasRunningTimers: Detection of running vs paused timers
+ * - Timer segments: open/close/copy and conversion for historical entries
+ * - Timer snapshots: restoring a timer after a failed save
+ * - Single focus: pausing the other timers and undoing it after a failed save
+ * - New timers: started fresh or continued from a past entry
  * - State object structure
  *
  * WHY THESE TESTS MATTER:
@@ -318,6 +322,250 @@ test("calculateElapsedMs: handles timer with very old startTime", () => {
 	assert.ok(result > 100000000, "Should be a large elapsed time");
 });
 
+// --- Timer Segment Tests ---
+
+test("calculateElapsedMs: uses the supplied current time", () => {
+	const timer = {
+		isPaused: false,
+		accumulatedMs: 1000,
+		startTime: new Date("2025-01-01T10:00:00Z"),
+	};
+	const now = new Date("2025-01-01T10:00:05Z").getTime();
+	assert.strictEqual(stateModule.calculateElapsedMs(timer, now), 6000);
+});
+
+test("openTimerSegment: adds a running segment, creating the array if missing", () => {
+	const timer = {};
+	const at = new Date("2025-01-01T09:00:00Z");
+	stateModule.openTimerSegment(timer, at);
+	assert.deepStrictEqual(timer.segments, [
+		{ start: "2025-01-01T09:00:00.000Z", end: null },
+	]);
+});
+
+test("closeTimerSegment: ends only the running segment", () => {
+	const timer = {
+		segments: [{ start: "2025-01-01T09:00:00.000Z", end: null }],
+	};
+	stateModule.closeTimerSegment(timer, new Date("2025-01-01T09:30:00Z"));
+	assert.strictEqual(timer.segments[0].end, "2025-01-01T09:30:00.000Z");
+
+	// A second close (already paused) leaves the segment untouched
+	stateModule.closeTimerSegment(timer, new Date("2025-01-01T10:00:00Z"));
+	assert.strictEqual(timer.segments[0].end, "2025-01-01T09:30:00.000Z");
+});
+
+test("closeTimerSegment: handles legacy timers without segments", () => {
+	const timer = { isPaused: false };
+	assert.doesNotThrow(() =>
+		stateModule.closeTimerSegment(timer, new Date())
+	);
+});
+
+test("copyTimerSegments: returns an independent copy", () => {
+	const timer = {
+		segments: [{ start: "2025-01-01T09:00:00.000Z", end: null }],
+	};
+	const copy = stateModule.copyTimerSegments(timer);
+	stateModule.closeTimerSegment(timer, new Date("2025-01-01T09:30:00Z"));
+	assert.strictEqual(copy[0].end, null);
+});
+
+test("snapshotTimer/restoreTimer: undo pausing a timer", () => {
+	const timer = {
+		isPaused: false,
+		startTime: new Date("2025-01-01T09:00:00Z"),
+		accumulatedMs: 0,
+		segments: [{ start: "2025-01-01T09:00:00.000Z", end: null }],
+	};
+	const snapshot = stateModule.snapshotTimer(timer);
+	const before = structuredClone(timer);
+
+	stateModule.closeTimerSegment(timer, new Date("2025-01-01T09:30:00Z"));
+	timer.isPaused = true;
+	timer.startTime = null;
+	timer.accumulatedMs = 30 * 60000;
+
+	stateModule.restoreTimer(timer, snapshot);
+	assert.deepStrictEqual(timer, before);
+});
+
+// --- New Timer Tests ---
+
+test("createTimer: a running timer with its first segment open", () => {
+	const start = new Date("2025-01-01T09:00:00Z");
+	const timer = stateModule.createTimer({ project: "Web", task: "Header" }, start);
+
+	assert.deepStrictEqual(timer, {
+		project: "Web",
+		task: "Header",
+		startTime: start,
+		accumulatedMs: 0,
+		isPaused: false,
+		notes: "",
+		tags: [],
+		billable: false,
+		segments: [{ start: start.toISOString(), end: null }],
+	});
+});
+
+test("createTimerFromEntry: takes project, task, tags and billable, nothing else", () => {
+	const entry = {
+		id: "entry-1",
+		project: "Client X",
+		task: "Workshop",
+		totalDurationMs: 3600000,
+		durationSeconds: 3600,
+		createdAt: "2025-01-01T08:00:00.000Z",
+		endTime: "2025-01-01T09:00:00.000Z",
+		notes: "Agenda draft",
+		segments: [
+			{ start: "2025-01-01T08:00:00.000Z", end: "2025-01-01T09:00:00.000Z" },
+		],
+		tags: ["client-x"],
+		billable: true,
+		invoiceNumber: 3,
+	};
+	const start = new Date("2025-01-02T10:00:00Z");
+	const timer = stateModule.createTimerFromEntry(entry, start);
+
+	assert.strictEqual(timer.project, "Client X");
+	assert.strictEqual(timer.task, "Workshop");
+	assert.deepStrictEqual(timer.tags, ["client-x"]);
+	assert.strictEqual(timer.billable, true);
+	assert.strictEqual(timer.notes, "", "Notes stay with the entry");
+	assert.strictEqual(timer.accumulatedMs, 0);
+	assert.deepStrictEqual(timer.segments, [{ start: start.toISOString(), end: null }]);
+	assert.strictEqual(timer.invoiceNumber, undefined);
+
+	timer.tags.push("later");
+	assert.deepStrictEqual(entry.tags, ["client-x"], "Tags are copied, not shared");
+});
+
+test("createTimerFromEntry: entries without the flag are not billable", () => {
+	const timer = stateModule.createTimerFromEntry(
+		{ project: "Web", task: "Header" },
+		new Date("2025-01-02T10:00:00Z")
+	);
+	assert.strictEqual(timer.billable, false);
+	assert.deepStrictEqual(timer.tags, []);
+});
+
+// --- Single Focus Tests ---
+
+const focusTimers = () => {
+	const start = new Date("2025-01-01T09:00:00Z");
+	const running = (task) => ({
+		project: "Web",
+		task,
+		isPaused: false,
+		startTime: start,
+		accumulatedMs: 0,
+		segments: [{ start: start.toISOString(), end: null }],
+	});
+	return {
+		current: running("Current"),
+		other: running("Other"),
+		paused: {
+			project: "Web",
+			task: "Paused",
+			isPaused: true,
+			startTime: null,
+			accumulatedMs: 600000,
+			segments: [
+				{ start: "2025-01-01T08:00:00.000Z", end: "2025-01-01T08:10:00.000Z" },
+			],
+		},
+	};
+};
+const FOCUS_NOW = new Date("2025-01-01T09:30:00Z");
+
+test("pauseOtherTimers: pauses the other running timers when single focus is on", () => {
+	const timers = focusTimers();
+	const pausedPaused = structuredClone(timers.paused);
+
+	const paused = stateModule.pauseOtherTimers(timers, "current", FOCUS_NOW, true);
+
+	assert.deepStrictEqual(
+		paused.map(({ id }) => id),
+		["other"]
+	);
+	assert.strictEqual(timers.other.isPaused, true);
+	assert.strictEqual(timers.other.accumulatedMs, 30 * 60000);
+	assert.strictEqual(timers.other.segments[0].end, FOCUS_NOW.toISOString());
+	assert.strictEqual(timers.current.isPaused, false, "The kept timer keeps running");
+	assert.deepStrictEqual(timers.paused, pausedPaused, "Paused timers are left alone");
+});
+
+test("pauseOtherTimers: does nothing when single focus is off", () => {
+	const timers = focusTimers();
+	const before = structuredClone(timers);
+
+	assert.deepStrictEqual(
+		stateModule.pauseOtherTimers(timers, "current", FOCUS_NOW, false),
+		[]
+	);
+	assert.deepStrictEqual(timers, before);
+});
+
+test("pauseOtherTimers: continuing an entry with single focus pauses the rest", () => {
+	const timers = focusTimers();
+	timers.continued = stateModule.createTimerFromEntry(
+		{ project: "Web", task: "Earlier", tags: ["web"] },
+		FOCUS_NOW
+	);
+
+	const paused = stateModule.pauseOtherTimers(timers, "continued", FOCUS_NOW, true);
+
+	assert.deepStrictEqual(
+		paused.map(({ id }) => id),
+		["current", "other"]
+	);
+	assert.strictEqual(timers.continued.isPaused, false);
+});
+
+test("restorePausedTimers: undoes single focus after a failed save", () => {
+	const timers = focusTimers();
+	const before = structuredClone(timers);
+
+	const paused = stateModule.pauseOtherTimers(timers, "current", FOCUS_NOW, true);
+	stateModule.restorePausedTimers(timers, paused);
+	assert.deepStrictEqual(timers, before);
+
+	// A timer stopped in the meantime is skipped
+	delete timers.other;
+	assert.doesNotThrow(() => stateModule.restorePausedTimers(timers, paused));
+});
+
+test("buildEntrySegments: closes the running segment at endTime", () => {
+	const timer = {
+		segments: [
+			{ start: "2025-01-01T09:00:00.000Z", end: "2025-01-01T09:30:00.000Z" },
+			{ start: "2025-01-01T10:00:00.000Z", end: null },
+		],
+	};
+	const endTime = new Date("2025-01-01T10:15:00Z");
+	const segments = stateModule.buildEntrySegments(timer, endTime, 45 * 60000);
+	assert.deepStrictEqual(segments, [
+		{ start: "2025-01-01T09:00:00.000Z", end: "2025-01-01T09:30:00.000Z" },
+		{ start: "2025-01-01T10:00:00.000Z", end: "2025-01-01T10:15:00.000Z" },
+	]);
+	assert.strictEqual(timer.segments[1].end, null, "Timer should not be mutated");
+});
+
+test("buildEntrySegments: returns null when segments don't cover the duration", () => {
+	// Legacy timer: 1 hour accumulated before segments were tracked
+	const timer = {
+		segments: [{ start: "2025-01-01T10:00:00.000Z", end: null }],
+	};
+	const endTime = new Date("2025-01-01T10:15:00Z");
+	assert.strictEqual(
+		stateModule.buildEntrySegments(timer, endTime, 75 * 60000),
+		null
+	);
+	assert.strictEqual(stateModule.buildEntrySegments({}, endTime, 1000), null);
+});
+
 console.log("\n✅ Frontend Unit Tests Complete - state.js");
 console.log("   All state management functions tested");
 console.log("   Run with: npm run test:unit\n");
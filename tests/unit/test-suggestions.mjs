@@ -0,0 +1,178 @@
+/**
+ * Frontend Unit Tests - Suggestions
+ *
+ * PURPOSE:
+ * Tests how suggestions are ranked for the autocomplete and how
+ * suggestion texts are checked before they are saved.
+ *
+ * WHAT'S TESTED:
+ * - summarizeActivities: Use counts, hours, last use and frecency per task
+ * - matchSuggestion: Fuzzy matching on project and task
+ * - rankSuggestions: Pinned first, then match and frecency, unused saved
+ *   suggestions last, duplicates (case-insensitive) listed once
+ * - describeSuggestionUse: Last-used date and total hours
+ * - parseSuggestionText: "Project / Task" format and duplicate detection
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as suggestions from "../../js/suggestions.js";
+
+const saved = [
+	{ text: "Website / Header", pinned: false },
+	{ text: "Internal / Meetings", pinned: true },
+	{ text: "Website / Footer", pinned: false },
+];
+
+const HOUR = 3600000;
+const NOW = new Date(2025, 9, 20, 12);
+
+const daysAgo = (days) => new Date(NOW - days * 24 * HOUR);
+
+const makeEntry = (project, task, days, hours = 1) => ({
+	project,
+	task,
+	totalDurationMs: hours * HOUR,
+	endTime: daysAgo(days).toISOString(),
+});
+
+// --- summarizeActivities Tests ---
+
+test("summarizeActivities: counts, hours and last use per task", () => {
+	const activities = suggestions.summarizeActivities(
+		[
+			makeEntry("Website", "Header", 10, 2),
+			makeEntry("website", "header", 1, 0.5),
+			makeEntry("Admin", "Email", 3),
+		],
+		NOW
+	);
+
+	const header = activities.get("website / header");
+	assert.strictEqual(activities.size, 2);
+	assert.strictEqual(header.count, 2);
+	assert.strictEqual(header.totalMs, 2.5 * HOUR);
+	assert.strictEqual(header.lastUsed.getTime(), daysAgo(1).getTime());
+	assert.strictEqual(header.text, "website / header"); // Latest spelling
+});
+
+test("summarizeActivities: recent uses weigh more than old ones", () => {
+	const activities = suggestions.summarizeActivities(
+		[
+			makeEntry("Old", "Task", 200),
+			makeEntry("Old", "Task", 210),
+			makeEntry("Old", "Task", 220),
+			makeEntry("New", "Task", 2),
+		],
+		NOW
+	);
+	assert.ok(
+		activities.get("new / task").frecency > activities.get("old / task").frecency
+	);
+});
+
+// --- matchSuggestion Tests ---
+
+test("matchSuggestion: words match project or task, letters may be skipped", () => {
+	assert.notStrictEqual(suggestions.matchSuggestion("web hdr", "Website / Header"), null);
+	assert.notStrictEqual(suggestions.matchSuggestion("header", "Website / Header"), null);
+	assert.strictEqual(suggestions.matchSuggestion("web xyz", "Website / Header"), null);
+	assert.strictEqual(suggestions.matchSuggestion("", "Website / Header"), 0);
+});
+
+test("matchSuggestion: exact words score higher than skipped letters", () => {
+	assert.ok(
+		suggestions.matchSuggestion("head", "Website / Header") >
+			suggestions.matchSuggestion("hdr", "Website / Header")
+	);
+});
+
+test("matchSuggestion: a slash matches project and task separately", () => {
+	assert.notStrictEqual(suggestions.matchSuggestion("web / head", "Website / Header"), null);
+	assert.strictEqual(suggestions.matchSuggestion("head / web", "Website / Header"), null);
+	assert.notStrictEqual(suggestions.matchSuggestion("Website / ", "Website / Header"), null);
+});
+
+// --- rankSuggestions Tests ---
+
+test("rankSuggestions: pinned first, then frecency, then unused saved suggestions", () => {
+	const activities = suggestions.summarizeActivities(
+		[
+			makeEntry("Research", "Reading", 40),
+			makeEntry("Admin", "Email", 1),
+			makeEntry("Website", "Footer", 100),
+		],
+		NOW
+	);
+	assert.deepStrictEqual(
+		suggestions.rankSuggestions("", saved, activities).map((item) => item.text),
+		[
+			"Internal / Meetings",
+			"Admin / Email",
+			"Research / Reading",
+			"Website / Footer",
+			"Website / Header",
+		]
+	);
+});
+
+test("rankSuggestions: filters by the query and limits the results", () => {
+	const activities = suggestions.summarizeActivities(
+		[makeEntry("Website", "Footer", 1), makeEntry("Admin", "Email", 1)],
+		NOW
+	);
+	const ranked = suggestions.rankSuggestions("web", saved, activities);
+	assert.deepStrictEqual(
+		ranked.map((item) => [item.text, item.count]),
+		[
+			["Website / Footer", 1],
+			["Website / Header", 0],
+		]
+	);
+	assert.strictEqual(suggestions.rankSuggestions("", saved, activities, 2).length, 2);
+});
+
+// --- describeSuggestionUse Tests ---
+
+test("describeSuggestionUse: last use and total hours", () => {
+	assert.strictEqual(
+		suggestions.describeSuggestionUse({
+			lastUsed: new Date(2025, 9, 6, 12),
+			totalMs: 12.5 * HOUR,
+		}),
+		"Last used Oct 6, 2025 · 12.5 h"
+	);
+	assert.strictEqual(
+		suggestions.describeSuggestionUse({ lastUsed: null, totalMs: 0 }),
+		"Not used yet"
+	);
+});
+
+// --- parseSuggestionText Tests ---
+
+test("parseSuggestionText: normalizes the spacing around the slash", () => {
+	assert.deepStrictEqual(suggestions.parseSuggestionText("  Admin/Email ", saved), {
+		text: "Admin / Email",
+		error: null,
+	});
+});
+
+test("parseSuggestionText: requires a project and a task", () => {
+	["Admin", "Admin /", "/ Email", "A / B / C", ""].forEach((value) => {
+		assert.strictEqual(suggestions.parseSuggestionText(value, saved).text, null, value);
+	});
+});
+
+test("parseSuggestionText: rejects duplicates, except the renamed suggestion", () => {
+	assert.ok(suggestions.parseSuggestionText("website / header", saved).error);
+	assert.deepStrictEqual(suggestions.parseSuggestionText("website / header", saved, 0), {
+		text: "website / header",
+		error: null,
+	});
+});
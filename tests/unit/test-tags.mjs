@@ -0,0 +1,98 @@
+/**
+ * Frontend Unit Tests - Tags
+ *
+ * PURPOSE:
+ * Tests #tag parsing, validation and filtering.
+ *
+ * WHAT'S TESTED:
+ * - extractTags: Inline tags in the "Project / Task" input
+ * - parseTagsInput / validateTags: The tags field and tag rules
+ * - formatTags: Display format
+ * - collectTags / filterEntriesByTags: Report tag filter
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as tags from "../../js/tags.js";
+import { CONSTANTS } from "../../js/constants.js";
+
+// --- extractTags Tests ---
+
+test("extractTags: removes inline tags from the topic", () => {
+	assert.deepStrictEqual(
+		tags.extractTags("Website / Fix header #billable #urgent"),
+		{ text: "Website / Fix header", tags: ["billable", "urgent"] }
+	);
+});
+
+test("extractTags: accepts tags anywhere and normalizes them", () => {
+	assert.deepStrictEqual(
+		tags.extractTags("#Client-A Website #client-a / Review #q3_goals"),
+		{ text: "Website / Review", tags: ["client-a", "q3_goals"] }
+	);
+});
+
+test("extractTags: ignores # inside words and bare #", () => {
+	assert.deepStrictEqual(tags.extractTags("Bug C# / Issue#12 #"), {
+		text: "Bug C# / Issue#12 #",
+		tags: [],
+	});
+});
+
+// --- parseTagsInput / validateTags Tests ---
+
+test("parseTagsInput: accepts # prefixes, spaces and commas", () => {
+	assert.deepStrictEqual(tags.parseTagsInput("#billable, meeting  #Billable"), {
+		tags: ["billable", "meeting"],
+		error: null,
+	});
+	assert.deepStrictEqual(tags.parseTagsInput(""), { tags: [], error: null });
+});
+
+test("parseTagsInput: rejects invalid characters", () => {
+	const { error } = tags.parseTagsInput("#ok #not/ok");
+	assert.match(error, /not\/ok/);
+});
+
+test("validateTags: enforces tag count and length limits", () => {
+	const tooMany = Array.from({ length: CONSTANTS.MAX_TAGS + 1 }, (_, i) => `t${i}`);
+	assert.ok(tags.validateTags(tooMany));
+	assert.ok(tags.validateTags(["x".repeat(CONSTANTS.MAX_TAG_LENGTH + 1)]));
+	assert.strictEqual(tags.validateTags(["x".repeat(CONSTANTS.MAX_TAG_LENGTH)]), null);
+});
+
+// --- formatTags Tests ---
+
+test("formatTags: prefixes tags with #", () => {
+	assert.strictEqual(tags.formatTags(["billable", "meeting"]), "#billable #meeting");
+	assert.strictEqual(tags.formatTags(undefined), "");
+});
+
+// --- collectTags / filterEntriesByTags Tests ---
+
+const entries = [
+	{ id: "a", tags: ["billable", "meeting"] },
+	{ id: "b", tags: ["internal"] },
+	{ id: "c" },
+];
+
+test("collectTags: returns distinct tags sorted", () => {
+	assert.deepStrictEqual(tags.collectTags(entries), ["billable", "internal", "meeting"]);
+});
+
+test("filterEntriesByTags: keeps entries with any selected tag", () => {
+	assert.deepStrictEqual(
+		tags.filterEntriesByTags(entries, new Set(["meeting", "internal"])).map((e) => e.id),
+		["a", "b"]
+	);
+});
+
+test("filterEntriesByTags: returns all entries when nothing is selected", () => {
+	assert.strictEqual(tags.filterEntriesByTags(entries, new Set()), entries);
+});
@@ -0,0 +1,135 @@
+/**
+ * Frontend Unit Tests - Day Timeline
+ *
+ * PURPOSE:
+ * Tests the lanes, blocks and summary of the Gantt-style day timeline.
+ *
+ * WHAT'S TESTED:
+ * - buildDayTimeline: One lane per project in the project's colour, blocks
+ *   from pause segments, clipped to the day; timesheet entries marked untimed
+ * - summarizeTimeline: Tracked time, gaps, overlaps and context switches
+ * - getBlockPosition: Block offsets on the 24-hour axis
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as timeline from "../../js/timeline.js";
+import { getProjectColor } from "../../js/utils.js";
+
+const MINUTE = 60000;
+const DAY = new Date(2025, 9, 6);
+
+const at = (hours, minutes = 0, day = 6) => new Date(2025, 9, day, hours, minutes);
+
+const makeEntry = (project, task, start, end, overrides = {}) => ({
+	id: `${project}-${task}-${start.getTime()}`,
+	project,
+	task,
+	totalDurationMs: end - start,
+	durationSeconds: (end - start) / 1000,
+	createdAt: start.toISOString(),
+	endTime: end,
+	notes: "",
+	...overrides,
+});
+
+// --- buildDayTimeline Tests ---
+
+test("buildDayTimeline: one lane per project, sorted, coloured by project", () => {
+	const entries = [
+		makeEntry("Website", "Header", at(9), at(10)),
+		makeEntry("Admin", "Email", at(8), at(8, 30)),
+		makeEntry("Website", "Footer", at(11), at(12)),
+	];
+	const lanes = timeline.buildDayTimeline(entries, DAY);
+
+	assert.deepStrictEqual(
+		lanes.map((lane) => [lane.project, lane.blocks.length]),
+		[
+			["Admin", 1],
+			["Website", 2],
+		]
+	);
+	assert.strictEqual(lanes[1].color, getProjectColor("Website"));
+});
+
+test("buildDayTimeline: chosen project colours override the default", () => {
+	const entries = [makeEntry("Website", "Header", at(9), at(10))];
+	const [lane] = timeline.buildDayTimeline(entries, DAY, { website: "#123456" });
+	assert.strictEqual(lane.color, "#123456");
+});
+
+test("buildDayTimeline: pause segments become separate blocks", () => {
+	const entry = makeEntry("Website", "Header", at(9), at(12), {
+		segments: [
+			{ start: at(9).toISOString(), end: at(10).toISOString() },
+			{ start: at(11).toISOString(), end: at(12).toISOString() },
+		],
+	});
+	const [lane] = timeline.buildDayTimeline([entry], DAY);
+	assert.deepStrictEqual(
+		lane.blocks.map((block) => [block.start.getHours(), block.end.getHours()]),
+		[
+			[9, 10],
+			[11, 12],
+		]
+	);
+});
+
+test("buildDayTimeline: clips entries crossing midnight to the day", () => {
+	const lateNight = makeEntry("Website", "Deploy", at(23), at(1, 0, 7));
+	const [lane] = timeline.buildDayTimeline([lateNight], DAY);
+	assert.strictEqual(lane.blocks[0].end.getTime(), at(0, 0, 7).getTime());
+
+	const [nextLane] = timeline.buildDayTimeline([lateNight], at(0, 0, 7));
+	assert.strictEqual(nextLane.blocks[0].start.getTime(), at(0, 0, 7).getTime());
+	assert.deepStrictEqual(timeline.buildDayTimeline([lateNight], at(0, 0, 8)), []);
+});
+
+test("buildDayTimeline: timesheet entries are marked untimed", () => {
+	const entry = makeEntry("Website", "Header", at(0), at(2), { source: "timesheet" });
+	const [lane] = timeline.buildDayTimeline([entry], DAY);
+	assert.strictEqual(lane.blocks[0].untimed, true);
+});
+
+// --- summarizeTimeline Tests ---
+
+test("summarizeTimeline: tracked time, gaps, overlaps and switches", () => {
+	const entries = [
+		makeEntry("Website", "Header", at(9), at(10)),
+		makeEntry("Admin", "Email", at(9, 30), at(10, 30)), // Overlaps 30 min
+		makeEntry("Website", "Header", at(11), at(12)), // 30 min gap before
+		makeEntry("Website", "Footer", at(0), at(3), { source: "timesheet" }),
+	];
+	const summary = timeline.summarizeTimeline(timeline.buildDayTimeline(entries, DAY));
+
+	assert.deepStrictEqual(summary, {
+		trackedMs: 150 * MINUTE,
+		gapMs: 30 * MINUTE,
+		overlapMs: 30 * MINUTE,
+		switches: 2,
+	});
+});
+
+test("summarizeTimeline: an empty day has nothing to summarize", () => {
+	assert.deepStrictEqual(timeline.summarizeTimeline([]), {
+		trackedMs: 0,
+		gapMs: 0,
+		overlapMs: 0,
+		switches: 0,
+	});
+});
+
+// --- getBlockPosition Tests ---
+
+test("getBlockPosition: percentages of the day", () => {
+	const position = timeline.getBlockPosition({ start: at(6), end: at(12) }, DAY);
+	assert.strictEqual(Math.round(position.left), 25);
+	assert.strictEqual(Math.round(position.width), 25);
+});
@@ -0,0 +1,141 @@
+/**
+ * Frontend Unit Tests - Timesheet
+ *
+ * PURPOSE:
+ * Tests the weekly timesheet grid and how cell edits turn into entries.
+ *
+ * WHAT'S TESTED:
+ * - parseTimesheetHours: Decimal hours, H:MM and empty cells
+ * - buildTimesheet: Rows per project/task, cells per day, row and day totals
+ * - planCellEdit: Creating, adjusting and deleting the cell's timesheet entry
+ *   without touching other entries; no hours past the current time today
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+// Initialize browser environment BEFORE importing modules that need it
+import "./setup.mjs";
+
+import test from "node:test";
+import assert from "node:assert";
+import * as timesheet from "../../js/timesheet.js";
+
+const HOUR = 3600000;
+const MONDAY = new Date(2025, 9, 6);
+const TUESDAY = new Date(2025, 9, 7);
+
+const makeEntry = (hours, endTime, overrides = {}) => ({
+	id: `e-${endTime.getTime()}-${overrides.task || "Coding"}`,
+	project: "Client X",
+	task: "Coding",
+	totalDurationMs: hours * HOUR,
+	durationSeconds: hours * 3600,
+	createdAt: new Date(endTime - hours * HOUR).toISOString(),
+	endTime,
+	notes: "",
+	...overrides,
+});
+
+// --- parseTimesheetHours Tests ---
+
+test("parseTimesheetHours: accepts decimal hours, H:MM and empty cells", () => {
+	assert.strictEqual(timesheet.parseTimesheetHours("7.5"), 7.5 * HOUR);
+	assert.strictEqual(timesheet.parseTimesheetHours(".25"), 0.25 * HOUR);
+	assert.strictEqual(timesheet.parseTimesheetHours("7:30"), 7.5 * HOUR);
+	assert.strictEqual(timesheet.parseTimesheetHours(" "), 0);
+});
+
+test("parseTimesheetHours: rejects text, negatives and more than a day", () => {
+	assert.strictEqual(timesheet.parseTimesheetHours("abc"), null);
+	assert.strictEqual(timesheet.parseTimesheetHours("-1"), null);
+	assert.strictEqual(timesheet.parseTimesheetHours("25"), null);
+});
+
+// --- buildTimesheet Tests ---
+
+test("buildTimesheet: one row per project/task with day and week totals", () => {
+	const entries = [
+		makeEntry(2, new Date(2025, 9, 6, 11, 0)),
+		makeEntry(1, new Date(2025, 9, 7, 11, 0), { task: "coding" }),
+		makeEntry(1.5, new Date(2025, 9, 7, 15, 0), { task: "Review" }),
+		makeEntry(4, new Date(2025, 9, 13, 11, 0)), // Next week
+	];
+	const sheet = timesheet.buildTimesheet(entries, MONDAY);
+
+	assert.strictEqual(sheet.days.length, 7);
+	assert.deepStrictEqual(
+		sheet.rows.map((row) => [row.task, row.cells.slice(0, 2), row.totalMs]),
+		[
+			["Coding", [2 * HOUR, HOUR], 3 * HOUR],
+			["Review", [0, 1.5 * HOUR], 1.5 * HOUR],
+		]
+	);
+	assert.deepStrictEqual(sheet.dayTotals.slice(0, 3), [2 * HOUR, 2.5 * HOUR, 0]);
+	assert.strictEqual(sheet.totalMs, 4.5 * HOUR);
+});
+
+test("buildTimesheet: shows extra rows without time", () => {
+	const sheet = timesheet.buildTimesheet([], MONDAY, [
+		{ project: "Client Y", task: "Design" },
+	]);
+	assert.strictEqual(sheet.rows.length, 1);
+	assert.strictEqual(sheet.rows[0].totalMs, 0);
+});
+
+// --- planCellEdit Tests ---
+
+const CELL = { project: "Client X", task: "Coding", day: TUESDAY };
+
+test("planCellEdit: creates a timesheet entry for the missing time", () => {
+	const tracked = makeEntry(1, new Date(2025, 9, 7, 11, 0), { billable: true });
+	const plan = timesheet.planCellEdit([tracked], CELL, 3 * HOUR);
+
+	assert.strictEqual(plan.action, "create");
+	assert.strictEqual(plan.entry.source, "timesheet");
+	assert.strictEqual(plan.entry.totalDurationMs, 2 * HOUR);
+	assert.strictEqual(plan.entry.createdAt, TUESDAY.toISOString());
+	assert.strictEqual(plan.entry.billable, true);
+});
+
+test("planCellEdit: adjusts or deletes the existing timesheet entry", () => {
+	const tracked = makeEntry(1, new Date(2025, 9, 7, 11, 0));
+	const sheetEntry = makeEntry(2, new Date(2025, 9, 7, 2, 0), {
+		source: "timesheet",
+	});
+
+	const update = timesheet.planCellEdit([tracked, sheetEntry], CELL, 1.5 * HOUR);
+	assert.strictEqual(update.action, "update");
+	assert.strictEqual(update.entry, sheetEntry);
+	assert.strictEqual(update.changes.totalDurationMs, 0.5 * HOUR);
+
+	const remove = timesheet.planCellEdit([tracked, sheetEntry], CELL, HOUR);
+	assert.deepStrictEqual(remove, { action: "delete", entry: sheetEntry });
+});
+
+test("planCellEdit: can't go below time tracked in other entries", () => {
+	const tracked = makeEntry(2, new Date(2025, 9, 7, 11, 0));
+	const plan = timesheet.planCellEdit([tracked], CELL, HOUR);
+	assert.ok(plan.error.includes("2.00 h"), "Error should name the tracked hours");
+	assert.deepStrictEqual(timesheet.planCellEdit([tracked], CELL, 2 * HOUR), {
+		action: "none",
+	});
+});
+
+test("planCellEdit: today's cell can't end in the future", () => {
+	const nineAm = new Date(2025, 9, 7, 9, 0);
+
+	const tooMuch = timesheet.planCellEdit([], CELL, 10 * HOUR, nineAm);
+	assert.ok(tooMuch.error.includes("future"), "Error should reject future time");
+	assert.ok(tooMuch.error.includes("9.00 h"), "Error should name the hours so far");
+
+	const sheetEntry = makeEntry(2, new Date(2025, 9, 7, 2, 0), {
+		source: "timesheet",
+	});
+	const grown = timesheet.planCellEdit([sheetEntry], CELL, 10 * HOUR, nineAm);
+	assert.ok(grown.error, "Growing the entry past now is rejected too");
+
+	const fits = timesheet.planCellEdit([], CELL, 8 * HOUR, nineAm);
+	assert.strictEqual(fits.action, "create");
+	assert.strictEqual(new Date(fits.entry.endTime).getHours(), 8);
+});
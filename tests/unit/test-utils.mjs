@@ -6,11 +6,14 @@
  * across all edge cases.
  *
  * WHAT'S TESTED:
+ * - pad2: Two-digit padding
  * - formatDuration: Time formatting
  * - sanitizeInput: Input cleaning and validation
+ * - escapeHtml: Escaping text for generated HTML
  * - generateUUID: UUID generation
  * - getRunningTasksKey: Key generation for task tracking
  * - getDistinctColors: Color array generation
+ * - getProjectColor: Colours derived from the project name, with overrides
  *
  * WHY UNIT TESTS MATTER:
  * - These functions are used throughout the application
@@ -28,6 +31,15 @@ import "./setup.mjs";
 import test from "node:test";
 import assert from "node:assert";
 import * as utils from "../../js/utils.js";
+import { PROJECT_COLORS } from "../../js/constants.js";
+
+// --- pad2 Tests ---
+
+test("pad2: pads single digits and leaves two digits alone", () => {
+	assert.strictEqual(utils.pad2(0), "00");
+	assert.strictEqual(utils.pad2(7), "07");
+	assert.strictEqual(utils.pad2(12), "12");
+});
 
 // --- formatDuration Tests ---
 
@@ -166,6 +178,20 @@ test("sanitizeInput: handles unicode characters", () => {
 	assert.strictEqual(result, "测试 тест 🚀");
 });
 
+// --- escapeHtml Tests ---
+
+test("escapeHtml: escapes HTML special characters", () => {
+	assert.strictEqual(
+		utils.escapeHtml(`Tom & Jerry's <b>"show"</b>`),
+		"Tom &amp; Jerry&#39;s &lt;b&gt;&quot;show&quot;&lt;/b&gt;"
+	);
+});
+
+test("escapeHtml: converts non-strings and handles null", () => {
+	assert.strictEqual(utils.escapeHtml(42), "42");
+	assert.strictEqual(utils.escapeHtml(null), "");
+});
+
 // --- generateUUID Tests ---
 
 test("generateUUID: returns a string", () => {
@@ -275,6 +301,34 @@ test("getDistinctColors: cycles through colors when count exceeds palette", () =
 	assert.strictEqual(result.length, 20);
 });
 
+// --- getProjectColor Tests ---
+
+test("getProjectColor: same project, same colour from the extended palette", () => {
+	const color = utils.getProjectColor("Website");
+	assert.ok(PROJECT_COLORS.includes(color));
+	assert.strictEqual(utils.getProjectColor("Website"), color);
+	assert.strictEqual(utils.getProjectColor(" website "), color);
+});
+
+test("getProjectColor: spreads different projects over the palette", () => {
+	const names = ["Admin", "Website", "Research", "Client A", "Client B", "Support"];
+	const colors = new Set(names.map((name) => utils.getProjectColor(name)));
+	assert.ok(colors.size > 1, "Different names should get different colours");
+});
+
+test("getProjectColor: chosen colours override the hash", () => {
+	const overrides = { website: "#123456" };
+	assert.strictEqual(utils.getProjectColor("Website", overrides), "#123456");
+	assert.strictEqual(
+		utils.getProjectColor("Admin", overrides),
+		utils.getProjectColor("Admin")
+	);
+});
+
+test("getProjectColorKey: trims and lowercases", () => {
+	assert.strictEqual(utils.getProjectColorKey("  Client A "), "client a");
+});
+
 // --- showNotification Tests (limited - requires DOM) ---
 
 test("showNotification: function exists", () => {